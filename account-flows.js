@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Deposits, withdrawals and internal transfers for an account.
+ * OKX credits deposits to the funding account and pays withdrawals out of it,
+ * so money only reaches the trading account (whose equity is billed) through
+ * transfers between the two. Deposits and withdrawals are reported for
+ * reconciliation; the trading account transfers are the cash flows used to
+ * measure performance.
+ */
+
+const { getBillUsdRate } = require("./usd-conversion");
+const { classifyBill } = require("./bill-classifier");
+
+/**
+ * OKX funding account bill types (the `type` field of /asset/bills records)
+ * @enum {string}
+ */
+const ASSET_BILL_TYPES = {
+  DEPOSIT: "1",
+  WITHDRAWAL: "2",
+  FROM_TRADING: "130",
+  TO_TRADING: "131",
+};
+
+// Deposit and withdrawal states that mean the funds have moved
+const DEPOSIT_SUCCESS_STATE = "2";
+const WITHDRAWAL_SUCCESS_STATE = "2";
+
+/**
+ * Sum the USD value of completed deposit or withdrawal records
+ * @param {Object} records - Deposit or withdrawal history response
+ * @param {string} successState - State of a completed record
+ * @param {Function} getAmount - Amount that left or reached the account
+ * @returns {{usd: number, count: number, unconvertedRecords: number}} USD total
+ */
+function summarizeRecords(records, successState, getAmount) {
+  const summary = { usd: 0, count: 0, unconvertedRecords: 0 };
+
+  (records?.data || [])
+    .filter((record) => record.state === successState)
+    .forEach((record) => {
+      const rate = getBillUsdRate(record);
+      summary.count++;
+
+      if (rate === null) {
+        summary.unconvertedRecords++;
+        return;
+      }
+      summary.usd += getAmount(record) * rate;
+    });
+
+  return summary;
+}
+
+/**
+ * Summarise an account's flows for the billing period
+ * @param {Object} flows - Flow responses from billing.js
+ * @param {Object} flows.deposits - Deposit history response
+ * @param {Object} flows.withdrawals - Withdrawal history response
+ * @param {Object} flows.fundingBills - Funding account bills response
+ * @param {Object} tradingTransfers - Trading account transfer bills response
+ * @returns {Object} USD totals and the trading account cash flows, oldest first
+ */
+function summarizeFlows(flows, tradingTransfers) {
+  const deposits = summarizeRecords(
+    flows?.deposits,
+    DEPOSIT_SUCCESS_STATE,
+    (record) => parseFloat(record.amt || 0)
+  );
+  // The withdrawal fee leaves the account along with the amount
+  const withdrawals = summarizeRecords(
+    flows?.withdrawals,
+    WITHDRAWAL_SUCCESS_STATE,
+    (record) => parseFloat(record.amt || 0) + parseFloat(record.fee || 0)
+  );
+
+  const internalTransfers = {
+    toTradingUsd: 0,
+    fromTradingUsd: 0,
+    count: 0,
+    unconvertedRecords: 0,
+  };
+  (flows?.fundingBills?.data || [])
+    .filter(
+      (bill) =>
+        bill.type === ASSET_BILL_TYPES.TO_TRADING ||
+        bill.type === ASSET_BILL_TYPES.FROM_TRADING
+    )
+    .forEach((bill) => {
+      const rate = getBillUsdRate(bill);
+      internalTransfers.count++;
+
+      if (rate === null) {
+        internalTransfers.unconvertedRecords++;
+        return;
+      }
+      const usd = Math.abs(parseFloat(bill.balChg || 0)) * rate;
+      if (bill.type === ASSET_BILL_TYPES.TO_TRADING) {
+        internalTransfers.toTradingUsd += usd;
+      } else {
+        internalTransfers.fromTradingUsd += usd;
+      }
+    });
+
+  // Trading account transfers, signed from the trading account's side
+  const cashFlows = [];
+  let unconvertedCashFlows = 0;
+  (tradingTransfers?.data || []).forEach((bill) => {
+    const rate = getBillUsdRate(bill);
+    if (rate === null) {
+      unconvertedCashFlows++;
+      return;
+    }
+    cashFlows.push({
+      ts: bill.ts,
+      ccy: bill.ccy,
+      usd: classifyBill(bill).components.transfers * rate,
+    });
+  });
+  cashFlows.sort((a, b) => parseInt(a.ts) - parseInt(b.ts));
+
+  return {
+    deposits,
+    withdrawals,
+    netExternalUsd: deposits.usd - withdrawals.usd,
+    internalTransfers,
+    cashFlows,
+    netCashFlowUsd: cashFlows.reduce((sum, flow) => sum + flow.usd, 0),
+    unconvertedCashFlows,
+  };
+}
+
+/**
+ * Calculate the Modified Dietz return for a period. Each cash flow is
+ * weighted by the share of the period it was invested for, which
+ * approximates a time-weighted return without valuations at each flow.
+ * @param {Object} params - Valuations and flows in USD
+ * @param {number} params.startValue - Account value at the start of the period
+ * @param {number} params.endValue - Account value at the end of the period
+ * @param {Array<{ts: string, usd: number}>} params.cashFlows - Flows in (positive) and out (negative)
+ * @param {string} params.periodStart - ISO start of the period
+ * @param {string} params.periodEnd - ISO end of the period
+ * @returns {{gain: number, averageCapital: number, return: number|null}} Return as a fraction; null when the average capital is not positive
+ */
+function calculateModifiedDietz({
+  startValue,
+  endValue,
+  cashFlows,
+  periodStart,
+  periodEnd,
+}) {
+  const start = new Date(periodStart).getTime();
+  const end = new Date(periodEnd).getTime();
+  const length = end - start;
+
+  let netFlow = 0;
+  let weightedFlow = 0;
+  cashFlows.forEach((flow) => {
+    const ts = Math.min(end, Math.max(start, parseInt(flow.ts)));
+    netFlow += flow.usd;
+    weightedFlow += length > 0 ? (flow.usd * (end - ts)) / length : 0;
+  });
+
+  const gain = endValue - startValue - netFlow;
+  const averageCapital = startValue + weightedFlow;
+
+  return {
+    gain,
+    averageCapital,
+    return: averageCapital > 0 ? gain / averageCapital : null,
+  };
+}
+
+module.exports = {
+  ASSET_BILL_TYPES,
+  DEPOSIT_SUCCESS_STATE,
+  WITHDRAWAL_SUCCESS_STATE,
+  summarizeFlows,
+  calculateModifiedDietz,
+};
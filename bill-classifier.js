@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Classification of OKX bills into PnL components.
+ * A bill's `pnl` field only carries realised trading PnL; fees, funding,
+ * liquidation penalties and interest are separate balance changes that must be
+ * included for the net figure clients are billed on.
+ */
+
+/**
+ * OKX bill types (the `type` field of a bill)
+ * @enum {string}
+ */
+const BILL_TYPES = {
+  TRANSFER: "1",
+  TRADE: "2",
+  DELIVERY: "3",
+  LIQUIDATION: "5",
+  MARGIN_TRANSFER: "6",
+  INTEREST_DEDUCTION: "7",
+  FUNDING_FEE: "8",
+  ADL: "9",
+  STRATEGY_TRANSFER: "12",
+  BLOCK_TRADE: "14",
+  SPREAD_TRADING: "24",
+  SETTLEMENT: "34",
+};
+
+// Bill types whose pnl and fee fields come from trading activity
+const TRADING_BILL_TYPES = [
+  BILL_TYPES.TRADE,
+  BILL_TYPES.DELIVERY,
+  BILL_TYPES.ADL,
+  BILL_TYPES.BLOCK_TRADE,
+  BILL_TYPES.SPREAD_TRADING,
+  BILL_TYPES.SETTLEMENT,
+];
+
+// Bill types that move funds into or out of the trading account
+const TRANSFER_BILL_TYPES = [BILL_TYPES.TRANSFER, BILL_TYPES.STRATEGY_TRANSFER];
+
+/**
+ * PnL components a bill can contribute to
+ * @type {Array<string>}
+ */
+const PNL_COMPONENTS = [
+  "grossPnl",
+  "tradingFees",
+  "funding",
+  "liquidationPenalties",
+  "interest",
+  "transfers",
+  "other",
+];
+
+// Components that make up net PnL; transfers and other balance changes
+// (conversions, borrowing, margin moves) are reported but not billed
+const NET_COMPONENTS = [
+  "grossPnl",
+  "tradingFees",
+  "funding",
+  "liquidationPenalties",
+  "interest",
+];
+
+/**
+ * Create a set of PnL components with every value at zero
+ * @returns {Object} Components keyed by name, plus `net`
+ */
+function createComponents() {
+  const components = Object.fromEntries(PNL_COMPONENTS.map((c) => [c, 0]));
+  components.net = 0;
+  return components;
+}
+
+/**
+ * Split a bill into PnL components in the bill's currency.
+ * Fees are negative when paid and positive for maker rebates.
+ * @param {Object} bill - OKX bill record
+ * @returns {{category: string, components: Object}} Bill category and components
+ */
+function classifyBill(bill) {
+  const components = createComponents();
+  const pnl = parseFloat(bill.pnl || 0);
+  const fee = parseFloat(bill.fee || 0);
+  const balChg = parseFloat(bill.balChg || 0);
+  let category;
+
+  if (TRADING_BILL_TYPES.includes(bill.type)) {
+    category = "trade";
+    components.grossPnl = pnl;
+    components.tradingFees = fee;
+  } else if (bill.type === BILL_TYPES.LIQUIDATION) {
+    // The position loss is realised PnL; the fee is the liquidation penalty
+    category = "liquidation";
+    components.grossPnl = pnl;
+    components.liquidationPenalties = fee;
+  } else if (bill.type === BILL_TYPES.FUNDING_FEE) {
+    category = "funding";
+    components.funding = balChg;
+  } else if (bill.type === BILL_TYPES.INTEREST_DEDUCTION) {
+    category = "interest";
+    components.interest = balChg;
+  } else if (TRANSFER_BILL_TYPES.includes(bill.type)) {
+    category = "transfer";
+    components.transfers = balChg;
+  } else {
+    category = "other";
+    components.other = bill.type === BILL_TYPES.MARGIN_TRANSFER ? 0 : balChg;
+  }
+
+  components.net = NET_COMPONENTS.reduce((sum, c) => sum + components[c], 0);
+  return { category, components };
+}
+
+/**
+ * Add one set of components to another, optionally scaled by a rate
+ * @param {Object} target - Components to add to (modified in place)
+ * @param {Object} source - Components to add
+ * @param {number} [rate=1] - Multiplier, e.g. a USD price
+ * @returns {Object} The target components
+ */
+function addComponents(target, source, rate = 1) {
+  [...PNL_COMPONENTS, "net"].forEach((c) => {
+    target[c] += source[c] * rate;
+  });
+  return target;
+}
+
+module.exports = {
+  BILL_TYPES,
+  PNL_COMPONENTS,
+  createComponents,
+  classifyBill,
+  addComponents,
+};
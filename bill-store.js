@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Incremental bill sync. Bills are saved in the database per API
+ * key and bill stream (the bills filter, e.g. "instType=SWAP"), keyed by
+ * billId, and each stream has a cursor holding the time range already
+ * fetched. A run only fetches the parts of its period outside that range and
+ * reads the whole period back from the store, so reports can be regenerated
+ * after OKX has dropped the raw bills.
+ */
+
+const { dbClient } = require("./database");
+const { createLogger } = require("./logger");
+
+const log = createLogger("bill-store");
+
+// Bills can show up shortly after their timestamp, so the end of the synced
+// range is fetched again on the next sync
+const SYNC_OVERLAP_MS = 60 * 60 * 1000;
+
+/**
+ * Get the time ranges of a period that have not been synced yet. Ranges
+ * extend to the synced range, so the synced range stays contiguous.
+ * @param {{syncedFrom: number, syncedTo: number}|null} cursor - Synced range
+ * @param {number} from - Inclusive start of the period in Unix ms
+ * @param {number} to - Exclusive end of the period in Unix ms, at most now
+ * @returns {Array<{from: number, to: number}>} Ranges to fetch
+ */
+function getMissingRanges(cursor, from, to) {
+  if (from >= to) return [];
+  if (!cursor) return [{ from, to }];
+
+  const ranges = [];
+  if (from < cursor.syncedFrom) {
+    ranges.push({
+      from,
+      to: Math.min(cursor.syncedFrom + SYNC_OVERLAP_MS, cursor.syncedTo),
+    });
+  }
+  if (to > cursor.syncedTo) {
+    ranges.push({
+      from: Math.max(cursor.syncedTo - SYNC_OVERLAP_MS, cursor.syncedFrom),
+      to,
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Sync a bill stream for a billing period and read the period from the store
+ * @param {Object} options
+ * @param {string} options.apiKeyId - ID of the API key row
+ * @param {string} options.stream - Bills filter as a query string
+ * @param {Object} options.period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+ * @param {Function} options.fetchBills - Fetches bills from OKX for a period
+ *   with ISO `from` and `to`, returning a bills response
+ * @param {Object} [options.db=dbClient] - Database client
+ * @returns {Promise<Object>} Bills response for the period, with the sources
+ *   fetched from OKX and the bill store; `error` if a fetch failed, in which
+ *   case the cursor is left unchanged
+ * @throws {Error} If a bill store query fails
+ */
+async function syncBills({
+  apiKeyId,
+  stream,
+  period,
+  fetchBills,
+  db = dbClient,
+}) {
+  const from = new Date(period.from).getTime();
+  const to = new Date(period.to).getTime();
+  const end = Math.min(to, Date.now());
+
+  const cursor = await db.getBillCursor(apiKeyId, stream);
+  const ranges = getMissingRanges(cursor, from, end);
+  if (!ranges.length) {
+    log.info("Bills already synced", { stream });
+  }
+
+  const sources = [];
+  for (const range of ranges) {
+    const bills = await fetchBills({
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+    });
+    if (bills.error) return bills;
+
+    const saved = await db.saveBills({ apiKeyId, stream, bills: bills.data });
+    log.info(`Synced ${saved} new bills`, {
+      stream,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+    });
+    sources.push(...bills.sources);
+  }
+
+  if (ranges.length) {
+    await db.updateBillCursor({
+      apiKeyId,
+      stream,
+      syncedFrom: Math.min(from, cursor?.syncedFrom ?? from),
+      syncedTo: Math.max(end, cursor?.syncedTo ?? end),
+    });
+  }
+
+  const data = await db.getStoredBills({ apiKeyId, stream, from, to });
+  sources.push({
+    source: "bill-store",
+    from: period.from,
+    to: period.to,
+    count: data.length,
+  });
+
+  return { code: "0", data, msg: "", sources };
+}
+
+module.exports = {
+  SYNC_OVERLAP_MS,
+  getMissingRanges,
+  syncBills,
+};
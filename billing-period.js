@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Billing period resolution.
+ * Invoices are issued per calendar month in Irish time, so period boundaries
+ * are given as Europe/Dublin local dates and converted to exact UTC instants,
+ * taking daylight saving time into account.
+ */
+
+const BILLING_TIME_ZONE = "Europe/Dublin";
+const DEFAULT_PERIOD_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {number} ts - Timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (e.g., 3600000 for IST)
+ */
+function getTimeZoneOffset(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ts));
+
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+  const localAsUtc = Date.UTC(
+    value("year"),
+    value("month") - 1,
+    value("day"),
+    value("hour"),
+    value("minute"),
+    value("second")
+  );
+
+  return localAsUtc - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC timestamp
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} [hour=0] - Hour (0-23)
+ * @param {number} [minute=0] - Minute
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {number} Timestamp in milliseconds
+ */
+function localTimeToUtc(
+  year,
+  month,
+  day,
+  hour = 0,
+  minute = 0,
+  timeZone = BILLING_TIME_ZONE
+) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Re-check the offset at the candidate instant in case a DST change
+  // falls between the guess and the real time
+  const candidate = guess - getTimeZoneOffset(guess, timeZone);
+  return guess - getTimeZoneOffset(candidate, timeZone);
+}
+
+/**
+ * Parse a local date or date-time argument (YYYY-MM-DD or YYYY-MM-DDTHH:mm)
+ * @param {string} value - Argument value
+ * @param {string} flag - Flag name for error messages
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, hasTime: boolean}} Parsed parts
+ * @throws {Error} If the value is not a valid date
+ */
+function parseLocalDateTime(value, flag) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/.exec(
+    String(value)
+  );
+  if (!match) {
+    throw new Error(
+      `Invalid --${flag} value "${value}"; expected YYYY-MM-DD or YYYY-MM-DDTHH:mm`
+    );
+  }
+
+  const [, year, month, day, hour, minute] = match;
+  const parts = {
+    year: parseInt(year, 10),
+    month: parseInt(month, 10),
+    day: parseInt(day, 10),
+    hour: hour ? parseInt(hour, 10) : 0,
+    minute: minute ? parseInt(minute, 10) : 0,
+    hasTime: hour !== undefined,
+  };
+
+  // Date.UTC rolls over out-of-range parts (2025-02-31 becomes 3 March), so
+  // a date only exists if it comes back unchanged
+  const date = new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)
+  );
+  if (
+    date.getUTCFullYear() !== parts.year ||
+    date.getUTCMonth() !== parts.month - 1 ||
+    date.getUTCDate() !== parts.day ||
+    date.getUTCHours() !== parts.hour ||
+    date.getUTCMinutes() !== parts.minute
+  ) {
+    throw new Error(`Invalid --${flag} value "${value}"; no such date or time`);
+  }
+
+  return parts;
+}
+
+/**
+ * Build a billing period object from UTC boundaries
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @param {string} label - Human-readable label
+ * @returns {{from: string, to: string, timeZone: string, label: string}} Billing period
+ */
+function createPeriod(from, to, label) {
+  if (to <= from) {
+    throw new Error("Billing period end must be after its start");
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    timeZone: BILLING_TIME_ZONE,
+    label,
+  };
+}
+
+/**
+ * Resolve the billing period from command line flags.
+ * `--month 2025-03` covers the calendar month in Irish time. `--from` and
+ * `--to` take local dates; a date-only `--to` includes that whole day.
+ * Without flags the period is the 30 days up to `now`.
+ * @param {Object} flags - Parsed command line flags
+ * @param {number} [now=Date.now()] - Timestamp used for the default period
+ * @returns {{from: string, to: string, timeZone: string, label: string}} Billing period
+ * @throws {Error} If the flags are invalid
+ */
+function resolveBillingPeriod(flags, now = Date.now()) {
+  if (flags.month !== undefined) {
+    if (flags.from !== undefined || flags.to !== undefined) {
+      throw new Error("--month cannot be combined with --from/--to");
+    }
+
+    const match = /^(\d{4})-(\d{2})$/.exec(String(flags.month));
+    const month = match ? parseInt(match[2], 10) : 0;
+    if (!match || month < 1 || month > 12) {
+      throw new Error(
+        `Invalid --month value "${flags.month}"; expected YYYY-MM`
+      );
+    }
+
+    const year = parseInt(match[1], 10);
+    return createPeriod(
+      localTimeToUtc(year, month, 1),
+      month === 12
+        ? localTimeToUtc(year + 1, 1, 1)
+        : localTimeToUtc(year, month + 1, 1),
+      flags.month
+    );
+  }
+
+  if (flags.from !== undefined || flags.to !== undefined) {
+    if (flags.from === undefined || flags.to === undefined) {
+      throw new Error("--from and --to must be used together");
+    }
+
+    const from = parseLocalDateTime(flags.from, "from");
+    const to = parseLocalDateTime(flags.to, "to");
+
+    return createPeriod(
+      localTimeToUtc(from.year, from.month, from.day, from.hour, from.minute),
+      to.hasTime
+        ? localTimeToUtc(to.year, to.month, to.day, to.hour, to.minute)
+        : localTimeToUtc(to.year, to.month, to.day + 1),
+      `${flags.from} to ${flags.to}`
+    );
+  }
+
+  return createPeriod(
+    now - DEFAULT_PERIOD_DAYS * DAY_MS,
+    now,
+    `Last ${DEFAULT_PERIOD_DAYS} days`
+  );
+}
+
+module.exports = {
+  BILLING_TIME_ZONE,
+  localTimeToUtc,
+  resolveBillingPeriod,
+};
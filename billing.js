@@ -1,8 +1,9 @@
 /**
- * OKX API Integration Script
+ * Exchange API Integration Script
  *
- * This script is designed to interact with the OKX API to retrieve trading data
+ * This script is designed to interact with the OKX and Bybit APIs to retrieve trading data
  * for spot, USDT-margined perpetuals (perps), and coin-margined perpetuals (invperps).
+ * Each API key row is fetched through the adapter of its exchange (exchanges.js).
  *
  * It provides functions to:
  * 1. Check account configuration and balances
@@ -13,249 +14,234 @@
 // Load environment variables from .env file
 require("dotenv").config();
 
-const fetch = require("node-fetch");
-const crypto = require("crypto");
 const fs = require("fs");
 const { dbClient } = require("./database");
+const { parseArgs } = require("./cli-args");
+const { resolveBillingPeriod } = require("./billing-period");
+const {
+  INST_TYPES,
+  summarizePnL,
+  summarizeTransfers,
+  summarizeEquity,
+  summarizeBalances,
+} = require("./pnl-summary");
+const {
+  BILL_TYPES,
+  createComponents,
+  addComponents,
+} = require("./bill-classifier");
+const { summarizeFlows } = require("./account-flows");
+const { OkxClient } = require("./okx-client");
+const { formatBillsFilter } = require("./exchange-adapter");
+const {
+  EXCHANGES,
+  isSupportedExchange,
+  createExchangeAdapter,
+} = require("./exchanges");
+const { resolveConcurrency, mapWithConcurrency } = require("./worker-pool");
+const { syncBills } = require("./bill-store");
+const {
+  isMasterKey,
+  expandSubAccounts,
+  summarizeClients,
+} = require("./sub-accounts");
+const { processReport } = require("./process-report");
+const {
+  STATUSES,
+  createAccountStatus,
+  recordSection,
+  markSection,
+  skipRemainingSections,
+  skipAccount,
+  failAccount,
+  summarizeRunStatus,
+  formatRunStatus,
+} = require("./run-status");
+const {
+  createLogger,
+  setLogContext,
+  runWithLogContext,
+  registerSecret,
+  maskIdentifier,
+} = require("./logger");
+
+const log = createLogger("billing");
 
 // API credentials (used as fallback if database retrieval fails)
 const API_KEY = process.env.API_KEY;
 const SECRET_KEY = process.env.SECRET_KEY;
 const PASSPHRASE = process.env.PASSPHRASE;
 
-// API constants
-const OKX_API_URL = "https://www.okx.com";
+// Sections fetched for each account, as named in the account status
+const ACCOUNT_SECTIONS = [
+  "accountInfo",
+  "balances",
+  "positions",
+  ...INST_TYPES.map((instType) => `trading.${instType}`),
+  "transfers",
+  "flows.deposits",
+  "flows.withdrawals",
+  "flows.fundingBills",
+];
 
 /**
- * Generates a signature for OKX API requests
- * @param {string} timestamp - ISO timestamp
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} requestPath - API endpoint path
- * @param {string} body - Request body for POST requests
- * @param {string} secretKey - API secret key
- * @returns {string} - Signature for the request
+ * Fetch sections of an account report. An error thrown while fetching fails
+ * the sections that were not recorded yet, so each failure is recorded
+ * against the section it happened in.
+ * @param {Object} status - Account status
+ * @param {Array<string>} sections - Sections the fetch records
+ * @param {Function} fetch - Async function that fetches and records them
+ * @returns {Promise<boolean>} False if the fetch threw
  */
-function generateSignature(timestamp, method, requestPath, body, secretKey) {
-  const message = timestamp + method + requestPath + (body || "");
-  return crypto
-    .createHmac("sha256", secretKey)
-    .update(message)
-    .digest("base64");
-}
-
-/**
- * Generates headers for OKX API requests
- * @param {string} method - HTTP method
- * @param {string} path - API endpoint path
- * @param {string} body - Request body for POST requests
- * @param {Object} credentials - API credentials
- * @returns {Object} - Request headers and timestamp
- */
-function generateOkxRequest(method, path, body, credentials) {
-  const { apiKey, secretKey, passphrase } = credentials;
-  const timestamp = new Date().toISOString().split(".")[0] + "Z";
-  const signature = generateSignature(timestamp, method, path, body, secretKey);
-
-  const signResult = {
-    timestamp,
-    signature,
-  };
-
-  const headers = {
-    "OK-ACCESS-KEY": apiKey,
-    "OK-ACCESS-SIGN": signResult.signature,
-    "OK-ACCESS-TIMESTAMP": timestamp,
-    "OK-ACCESS-PASSPHRASE": passphrase,
-    "Content-Type": "application/json",
-  };
-
-  return { headers, timestamp };
-}
-
-/**
- * Makes a request to the OKX API
- * @param {Object} credentials - API credentials
- * @param {string} method - HTTP method
- * @param {string} path - API endpoint path
- * @param {string} body - Request body for POST requests
- * @returns {Promise<Object>} - API response
- */
-async function makeOkxApiRequest(credentials, method, path, body) {
+async function fetchSections(status, sections, fetch) {
   try {
-    console.log(`Making ${method} request to ${path}`);
-    const { headers } = generateOkxRequest(method, path, body, credentials);
-
-    const response = await fetch(`${OKX_API_URL}${path}`, {
-      method,
-      headers,
-      body: method === "POST" ? body : undefined,
+    await fetch();
+    return true;
+  } catch (error) {
+    log.error(`Error fetching ${sections.join(", ")}`, {
+      error: error.message,
     });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    if (data.code !== "0") {
-      throw new Error(
-        `API Error: ${data.msg || "Unknown error"} (Code: ${data.code})`
+    sections
+      .filter((section) => !status.sections[section])
+      .forEach((section) =>
+        markSection(status, section, STATUSES.FAILED, error.message)
       );
-    }
-
-    return data;
-  } catch (error) {
-    console.error(`Error in makeOkxApiRequest: ${error.message}`);
-    throw error;
+    return false;
   }
 }
 
 /**
- * Gets account configuration
- * @param {Object} credentials - API credentials
- * @returns {Promise<Object>} - Account configuration
+ * Gets active positions
+ * @param {ExchangeAdapter} adapter - Exchange adapter of the account
+ * @returns {Object} - Positions data
  */
-async function getAccountConfig(credentials) {
-  console.log("\n=== CHECKING ACCOUNT CONFIG ===");
+async function getActivePositions(adapter) {
   try {
-    const path = "/api/v5/account/config";
-    const data = await makeOkxApiRequest(credentials, "GET", path);
-    console.log("Account Config:");
-    console.log(JSON.stringify(data, null, 2));
-    return data;
+    log.info("Checking active positions");
+    const positions = await adapter.getPositions();
+    log.debug("Active positions", { response: positions });
+    return positions;
   } catch (error) {
-    console.error("Error getting account config:", error.message);
-    return null;
+    log.error("Error getting active positions", { error: error.message });
+    return { error: error.message };
   }
 }
 
 /**
- * Gets account balance
- * @param {Object} credentials - API credentials
- * @returns {Promise<Object>} - Account balance
+ * Gets bills matching a filter within a billing period through the bill
+ * store, so only bills newer or older than those already saved are fetched.
+ * Bills are fetched directly when the store is disabled, the API key has no
+ * database row, or the store cannot be reached.
+ * @param {ExchangeAdapter} adapter - Exchange adapter of the account
+ * @param {string|null} apiKeyId - ID of the API key row
+ * @param {Object} filter - Bills filter (e.g., { instType: 'SWAP' })
+ * @param {string} description - Description for logging
+ * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+ * @param {boolean} useBillStore - Whether to use the bill store
+ * @returns {Object} - Bills data, with the date range covered by each source
  */
-async function getAccountBalance(credentials) {
-  console.log("\n=== CHECKING ACCOUNT BALANCE ===");
+async function getAccountBills(
+  adapter,
+  apiKeyId,
+  filter,
+  description,
+  period,
+  useBillStore
+) {
+  if (!useBillStore || !apiKeyId) {
+    return adapter.getBills(filter, description, period);
+  }
+
   try {
-    const path = "/api/v5/account/balance";
-    const data = await makeOkxApiRequest(credentials, "GET", path);
-    console.log("Account Balance:");
-    console.log(JSON.stringify(data, null, 2));
-    return data;
+    return await syncBills({
+      apiKeyId,
+      stream: formatBillsFilter(filter),
+      period,
+      fetchBills: (range) => adapter.getBills(filter, description, range),
+    });
   } catch (error) {
-    console.error("Error getting account balance:", error.message);
-    return null;
+    log.warn("Bill store unavailable; fetching bills directly", {
+      filter: formatBillsFilter(filter),
+      error: error.message,
+    });
+    return adapter.getBills(filter, description, period);
   }
 }
 
 /**
- * Gets active positions
- * @param {Object} credentials - API credentials
- * @returns {Object} - Positions data
+ * Formats instrument PnL for one fee market as summary lines
+ * @param {Object} instruments - Instrument PnL from summarizePnL
+ * @param {string} market - Fee market (spot, perps or inverse)
+ * @returns {Array<string>} - Summary lines for instruments with PnL
  */
-async function getActivePositions(credentials) {
-  try {
-    console.log("\n=== CHECKING ACTIVE POSITIONS ===");
-    const positions = await makeOkxApiRequest(
-      credentials,
-      "GET",
-      "/api/v5/account/positions"
+function formatMarketPnL(instruments, market) {
+  return Object.entries(instruments)
+    .filter(([_, v]) => v.market === market && v.components.net !== 0)
+    .map(
+      ([k, v]) =>
+        `${k}: ${v.native} ${v.ccy || ""} gross (${v.components.net.toFixed(
+          2
+        )} USD net)`
     );
-    console.log("Active Positions:");
-    console.log(JSON.stringify(positions, null, 2));
-    return positions;
-  } catch (error) {
-    console.error(`Error getting active positions: ${error.message}`);
-    return { error: error.message };
-  }
 }
 
 /**
- * Gets bills for a specific instrument for the last 30 days
- * @param {Object} credentials - API credentials
- * @param {string} instId - Instrument ID
- * @param {string} description - Description for logging
- * @returns {Object} - Bills data
+ * Formats PnL components as summary lines
+ * @param {Object} components - PnL components in USD
+ * @returns {Array<string>} - Summary lines
  */
-async function getBills(credentials, instId, description) {
-  try {
-    console.log(`\n=== CHECKING BILLS FOR ${description} (${instId}) ===`);
-    const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
-    let allBills = [],
-      after = "";
-
-    while (true) {
-      const bills = await makeOkxApiRequest(
-        credentials,
-        "GET",
-        `/api/v5/account/bills?instId=${instId}&limit=100${
-          after ? "&after=" + after : ""
-        }`
-      );
-
-      if (!bills.data?.length) break;
-
-      // Add bills from last 30 days
-      const newBills = bills.data.filter(
-        (b) => parseInt(b.ts) >= thirtyDaysAgo
-      );
-      if (newBills.length < bills.data.length) break; // Found bills older than 30 days
-
-      allBills = allBills.concat(newBills);
-      after = bills.data[bills.data.length - 1].billId;
-    }
-
-    return { code: "0", data: allBills, msg: "" };
-  } catch (error) {
-    console.error(`Error getting bills for ${instId}: ${error.message}`);
-    return { error: error.message };
-  }
-}
-
-// Helper function to calculate total PnL from bills
-function calculateTotalPnL(bills) {
-  if (!bills?.data) return 0;
-  return bills.data.reduce(
-    (total, bill) => total + parseFloat(bill.pnl || 0),
-    0
-  );
+function formatComponents(components) {
+  return [
+    `Gross realised PnL: ${components.grossPnl.toFixed(2)} USD`,
+    `Trading fees/rebates: ${components.tradingFees.toFixed(2)} USD`,
+    `Funding: ${components.funding.toFixed(2)} USD`,
+    `Liquidation penalties: ${components.liquidationPenalties.toFixed(2)} USD`,
+    `Interest: ${components.interest.toFixed(2)} USD`,
+    `Net PnL: ${components.net.toFixed(2)} USD`,
+  ];
 }
 
 /**
- * Generates a report file with the collected data
+ * Generates a report file with the collected data, then the CSV reports
+ * and invoices from it
  * @param {string} filename - Prefix for the report file name
  * @param {Array} reportData - Array of report data objects from different API keys
+ * @param {Object} period - Billing period the report covers
+ * @param {string} runId - ID of the run recorded in `report_runs`
+ * @param {string} [retryOf] - ID of the run whose failed accounts this run retried
+ * @returns {Promise<Object>} The saved report
+ * @throws {Error} If the CSV reports or invoices cannot be generated
  */
-async function generateReport(filename, reportData) {
+async function generateReport(filename, reportData, period, runId, retryOf) {
   const reportFilename = `${filename}_${new Date()
     .toISOString()
     .replace(/:/g, "-")}.json`;
   const currentDate = new Date().toLocaleDateString("en-GB");
+  const timestamp = new Date().toISOString();
 
   const formattedReport = {
-    timestamp: new Date().toISOString(),
+    timestamp,
     reportName: "OKX Trading Report",
+    runId,
+    retryOf,
+    period,
     totalAccounts: reportData.length,
+    // Accounts by status, and which ones failed or were skipped and why
+    status: summarizeRunStatus(reportData),
     accounts: reportData.map((account) => {
-      // Calculate PnL totals
-      const pnl = {
-        spot: {
-          "BTC-USDT": calculateTotalPnL(account.trading.spot.btc.bills),
-          "ETH-USDT": calculateTotalPnL(account.trading.spot.eth.bills),
-        },
-        perps: {
-          "BTC-USDT-SWAP": calculateTotalPnL(
-            account.trading.usdtSwap.btc.bills
-          ),
-          "ETH-USDT-SWAP": calculateTotalPnL(
-            account.trading.usdtSwap.eth.bills
-          ),
-        },
-        inverse: {
-          "BTC-USD-SWAP": calculateTotalPnL(account.trading.coinSwap.btc.bills),
-          "ETH-USD-SWAP": calculateTotalPnL(account.trading.coinSwap.eth.bills),
-        },
-      };
+      // Calculate PnL totals for every traded instrument
+      const pnl = summarizePnL(account.trading);
+      const totals = Object.values(pnl.markets).reduce(
+        (sum, market) => addComponents(sum, market),
+        createComponents()
+      );
+      const transfers = summarizeTransfers(account.transfers?.bills);
+      // Accounts carried over from an earlier run keep their balance time
+      const equity = summarizeEquity(
+        account.balances,
+        account.summary?.equity?.takenAt || timestamp
+      );
+      const flows = summarizeFlows(account.flows, account.transfers?.bills);
 
       // Format balances
       const balances =
@@ -270,24 +256,49 @@ async function generateReport(filename, reportData) {
           name: account.user.name,
           email: account.user.email,
           id: account.user.id,
+          apiKeyId: account.user.apiKeyId,
           label: account.user.label,
+          exchange: account.user.exchange,
+          subAccount: account.user.subAccount,
+          masterApiKeyId: account.user.masterApiKeyId,
         },
+        // ok, failed or skipped, for the account and each section fetched
+        status: account.status,
         summary: {
           reportDate: currentDate,
           balances: balances.map(
             (b) => `${b.ccy}: ${b.available} (Available) + ${b.frozen} (Frozen)`
           ),
           pnl: {
-            spot: Object.entries(pnl.spot)
-              .filter(([_, v]) => v !== 0)
-              .map(([k, v]) => `${k}: ${v}`),
-            perpetuals: Object.entries(pnl.perps)
-              .filter(([_, v]) => v !== 0)
-              .map(([k, v]) => `${k}: ${v}`),
-            inversePerpetuals: Object.entries(pnl.inverse)
-              .filter(([_, v]) => v !== 0)
-              .map(([k, v]) => `${k}: ${v}`),
+            spot: formatMarketPnL(pnl.instruments, "spot"),
+            perpetuals: formatMarketPnL(pnl.instruments, "perps"),
+            inversePerpetuals: formatMarketPnL(pnl.instruments, "inverse"),
           },
+          // PnL in native currency and USD per instrument, and USD totals
+          // per instrument type and fee market
+          instruments: pnl.instruments,
+          instTypes: pnl.instTypes,
+          markets: pnl.markets,
+          // Account-wide PnL components in USD; billing is based on `net`
+          totals,
+          breakdown: formatComponents(totals),
+          // Net USD transferred into the trading account (not part of PnL)
+          transfers,
+          // Deposits, withdrawals and internal transfers in USD, with the
+          // trading account cash flows used for the Modified Dietz return
+          flows,
+          // Total equity and unrealised PnL in USD, for equity-change billing
+          equity,
+          // Total equity and every currency held, from the balance response
+          holdings: summarizeBalances(account.balances),
+          // Bills endpoints and date ranges that supplied each instrument type
+          billSources: Object.fromEntries(
+            INST_TYPES.map((instType) => [
+              instType,
+              account.trading[instType]?.bills?.sources || [],
+            ])
+          ),
+          transferBillSources: account.transfers?.bills?.sources || [],
           positions:
             account.positions?.data
               ?.filter((p) => parseFloat(p.pos) !== 0)
@@ -300,84 +311,437 @@ async function generateReport(filename, reportData) {
         balances: account.balances,
         positions: account.positions,
         trading: account.trading,
+        transfers: account.transfers,
+        flows: account.flows,
       };
     }),
   };
 
+  // Totals of each client with sub-accounts, over its billed accounts
+  formattedReport.clients = summarizeClients(formattedReport.accounts);
+
   // Save report
   fs.writeFileSync(reportFilename, JSON.stringify(formattedReport, null, 2));
-  console.log(`Report saved to ${reportFilename}`);
+  log.info(`Report saved to ${reportFilename}`);
+  await dbClient.updateReportRun({
+    runId,
+    status: "completed",
+    reportFile: reportFilename,
+    accountCount: reportData.length,
+    failedAccounts: formattedReport.status.failed,
+    skippedAccounts: formattedReport.status.skipped,
+    error: formattedReport.status.failed
+      ? formatRunStatus(formattedReport.status)
+      : undefined,
+  });
 
   // Print summary
+  log.info(`Billing period: ${period.label} (${period.from} to ${period.to})`);
   formattedReport.accounts.forEach((account) => {
-    console.log(`\n=== ${account.user.name} (${account.user.email}) ===`);
-    console.log(`\nCurrent Balances (${account.summary.reportDate}):`);
-    account.summary.balances.forEach((b) => console.log("  " + b));
+    const lines = [
+      `=== ${account.user.name} (${account.user.email})${
+        account.user.exchange ? ` on ${account.user.exchange}` : ""
+      }${
+        account.user.subAccount ? ` sub-account ${account.user.subAccount}` : ""
+      } ===`,
+      `Current Balances (${account.summary.reportDate}):`,
+      ...account.summary.balances.map((b) => "  " + b),
+    ];
+
+    if (account.status && account.status.status !== STATUSES.OK) {
+      lines.splice(
+        1,
+        0,
+        `Status: ${account.status.status} (${account.status.reason}); not billed`
+      );
+    }
 
     if (account.summary.pnl.spot.length) {
-      console.log("\nSpot PnL:");
-      account.summary.pnl.spot.forEach((p) => console.log("  " + p));
+      lines.push("Spot PnL:", ...account.summary.pnl.spot.map((p) => "  " + p));
     }
 
     if (account.summary.pnl.perpetuals.length) {
-      console.log("\nPerpetuals PnL:");
-      account.summary.pnl.perpetuals.forEach((p) => console.log("  " + p));
+      lines.push(
+        "USD-Margined Derivatives PnL:",
+        ...account.summary.pnl.perpetuals.map((p) => "  " + p)
+      );
     }
 
     if (account.summary.pnl.inversePerpetuals.length) {
-      console.log("\nInverse Perpetuals PnL:");
-      account.summary.pnl.inversePerpetuals.forEach((p) =>
-        console.log("  " + p)
+      lines.push(
+        "Coin-Margined Derivatives PnL:",
+        ...account.summary.pnl.inversePerpetuals.map((p) => "  " + p)
+      );
+    }
+
+    lines.push(
+      "PnL Breakdown:",
+      ...account.summary.breakdown.map((b) => "  " + b)
+    );
+    if (account.summary.transfers.count) {
+      lines.push(
+        `  Transfers in/out: ${account.summary.transfers.usd.toFixed(2)} USD`
+      );
+    }
+
+    const { flows } = account.summary;
+    if (flows.deposits.count || flows.withdrawals.count) {
+      lines.push(
+        `  Deposits: ${flows.deposits.usd.toFixed(2)} USD, ` +
+          `withdrawals: ${flows.withdrawals.usd.toFixed(2)} USD`
+      );
+    }
+
+    if (account.summary.equity) {
+      lines.push(
+        `  Total equity: ${account.summary.equity.totalEquity.toFixed(
+          2
+        )} USD ` +
+          `(unrealised PnL: ${account.summary.equity.unrealisedPnl.toFixed(
+            2
+          )} USD)`
       );
     }
 
     if (account.summary.positions.length) {
-      console.log("\nActive Positions:");
-      account.summary.positions.forEach((p) => console.log("  " + p));
+      lines.push(
+        "Active Positions:",
+        ...account.summary.positions.map((p) => "  " + p)
+      );
     }
+
+    log.info(lines.join("\n"), { apiKeyId: account.user.apiKeyId });
   });
 
-  // Generate CSV report
-  const { spawn } = require("child_process");
-  const processReport = spawn("node", ["process-report.js", reportFilename], {
-    stdio: "inherit",
+  formattedReport.clients.forEach((client) => {
+    log.info(
+      [
+        `=== ${client.name} (${client.email}) client total ===`,
+        `Billed ${client.billed} of ${client.accounts} accounts ` +
+          `(sub-accounts: ${client.subAccounts.join(", ")})`,
+        "PnL Breakdown:",
+        ...formatComponents(client.totals).map((b) => "  " + b),
+        `  Total equity: ${client.totalEquity.toFixed(2)} USD`,
+      ].join("\n"),
+      { apiKeyId: client.masterApiKeyId }
+    );
   });
 
-  processReport.on("close", (code) => {
-    if (code !== 0) {
-      console.error("Error generating CSV report");
-    }
+  // Generate the CSV reports and invoices; the run fails if they cannot be
+  let processed;
+  try {
+    processed = await processReport(formattedReport, {
+      reportPath: reportFilename,
+    });
+  } catch (error) {
+    throw new Error(`Error generating CSV report: ${error.message}`);
+  }
+
+  // Accounts can fail while being billed, e.g. when the ledger cannot store them
+  formattedReport.status = processed.status;
+  log.info(
+    `Billed ${processed.totals.billed} of ${processed.totals.accounts} accounts: ` +
+      `${processed.totals.amountDue.toFixed(2)} USD due on ` +
+      `${processed.totals.netPnl.toFixed(2)} USD net PnL`,
+    { csvPath: processed.csvPath }
+  );
+
+  return formattedReport;
+}
+
+/**
+ * Fetch the report data of one account. The account config and balance are
+ * fetched first, as they fail fast on bad credentials; the remaining sections
+ * are fetched concurrently.
+ * @param {Object} user - User and API key row
+ * @param {Object} period - Billing period with ISO `from` and `to`
+ * @param {Object} options
+ * @param {number} options.concurrency - Number of sections to fetch at once
+ * @param {boolean} options.useBillStore - Whether to sync bills through the bill store
+ * @param {{index: number, total: number}} progress - Position of the account in the run
+ * @returns {Promise<Object>} Report data, with the status of each section
+ */
+async function processAccount(
+  user,
+  period,
+  { concurrency, useBillStore },
+  { index, total }
+) {
+  // Keep the credentials out of everything logged from here on
+  [user, user.master].filter(Boolean).forEach((row) => {
+    registerSecret(row.api_key, { identifier: true });
+    registerSecret(row.secret_key);
+    registerSecret(row.passphrase);
+  });
+
+  log.info(`Processing user ${index}/${total}`, {
+    name: user.name,
+    email: user.email,
+    apiKey: user.api_key,
+    label: user.label || "No Label",
+    exchange: user.exchange,
+    subAccount: user.sub_account || undefined,
   });
+
+  const adapter = isSupportedExchange(user.exchange)
+    ? createExchangeAdapter(user)
+    : null;
+
+  // Initialize report data object for this user
+  const reportData = {
+    user: {
+      name: user.name,
+      email: user.email,
+      id: user.id ? maskIdentifier(user.id) : "unknown",
+      apiKeyId: user.api_key_id || null,
+      label: user.label || "No Label",
+      exchange: adapter ? adapter.name : user.exchange,
+      subAccount: user.sub_account || null,
+      // Masters and their sub-accounts are consolidated under the master
+      masterApiKeyId: isMasterKey(user)
+        ? user.api_key_id
+        : user.master_api_key_id || null,
+    },
+    apiKey: user.api_key ? maskIdentifier(user.api_key) : "unknown",
+    timestamp: new Date().toISOString(),
+    accountInfo: null,
+    balances: null,
+    positions: null,
+    trading: Object.fromEntries(
+      INST_TYPES.map((instType) => [instType, { bills: null }])
+    ),
+    transfers: { bills: null },
+    flows: null,
+    status: createAccountStatus(),
+  };
+  const { status } = reportData;
+
+  if (user.sub_account && !user.api_key) {
+    log.warn(`Skipping sub-account ${user.sub_account} without an API key`);
+    skipAccount(
+      status,
+      `No API key stored for sub-account ${user.sub_account}; OKX only serves its bills to its own key`
+    );
+    return reportData;
+  }
+
+  // A key that is stored but cannot be decrypted is a failure to fix, not
+  // an account without credentials
+  if (user.decrypt_error) {
+    log.error("Skipping API key whose credentials could not be decrypted");
+    failAccount(status, `Could not decrypt credentials: ${user.decrypt_error}`);
+    return reportData;
+  }
+
+  if (!adapter) {
+    log.warn(`Skipping API key for unsupported exchange ${user.exchange}`);
+    skipAccount(status, `Exchange ${user.exchange} is not supported`);
+    return reportData;
+  }
+
+  if (!adapter.hasCredentials()) {
+    log.warn("Skipping API key with missing credentials");
+    skipAccount(status, "Missing API credentials");
+    return reportData;
+  }
+
+  // Without the account config and balance the other sections are not
+  // fetched
+  const requiredSections = [
+    [
+      "accountInfo",
+      async () => {
+        log.info("Checking account config");
+        const accountConfig = await adapter.getAccountInfo();
+        log.debug("Account config", { response: accountConfig });
+        reportData.accountInfo = accountConfig;
+        recordSection(status, "accountInfo", accountConfig);
+      },
+    ],
+    [
+      "balances",
+      async () => {
+        log.info("Checking account balance");
+        const accountBalance = await adapter.getBalances();
+        log.debug("Account balance", { response: accountBalance });
+        reportData.balances = accountBalance;
+        recordSection(status, "balances", accountBalance);
+      },
+    ],
+  ];
+  for (const [section, fetch] of requiredSections) {
+    if (!(await fetchSections(status, [section], fetch))) {
+      skipRemainingSections(
+        status,
+        ACCOUNT_SECTIONS,
+        `Not fetched after ${section} failed`
+      );
+      return reportData;
+    }
+  }
+
+  const sections = [
+    // Check active positions
+    [
+      ["positions"],
+      async () => {
+        reportData.positions = await getActivePositions(adapter);
+        recordSection(status, "positions", reportData.positions);
+      },
+    ],
+
+    // Get bills for each instrument type and value them in USD
+    ...INST_TYPES.map((instType) => [
+      [`trading.${instType}`],
+      async () => {
+        const bills = await getAccountBills(
+          adapter,
+          user.api_key_id,
+          { instType },
+          `${instType} TRADING`,
+          period,
+          useBillStore
+        );
+        reportData.trading[instType].bills = await adapter.convertBillsToUsd(
+          bills
+        );
+        recordSection(status, `trading.${instType}`, bills);
+      },
+    ]),
+
+    // Transfers between the funding and trading accounts carry no
+    // instrument type, so they are fetched by bill type
+    [
+      ["transfers"],
+      async () => {
+        const bills = await getAccountBills(
+          adapter,
+          user.api_key_id,
+          { type: BILL_TYPES.TRANSFER },
+          "TRANSFERS",
+          period,
+          useBillStore
+        );
+        reportData.transfers.bills = await adapter.convertBillsToUsd(bills);
+        recordSection(status, "transfers", bills);
+      },
+    ],
+
+    // Deposits and withdrawals go through the funding account
+    [
+      ACCOUNT_SECTIONS.filter((section) => section.startsWith("flows.")),
+      async () => {
+        const flows = await adapter.getFlows(period);
+        for (const [flow, response] of Object.entries(flows)) {
+          await adapter.convertBillsToUsd(response);
+          recordSection(status, `flows.${flow}`, response);
+        }
+        reportData.flows = flows;
+      },
+    ],
+  ];
+  await mapWithConcurrency(sections, concurrency, ([names, fetch]) =>
+    fetchSections(status, names, fetch)
+  );
+
+  return reportData;
+}
+
+/**
+ * Load the report of the most recent run that saved one
+ * @returns {Promise<Object>} Report
+ * @throws {Error} If no run has a report, or its file is missing
+ */
+async function loadLastRunReport() {
+  const [lastRun] = (await dbClient.getReportRuns()).filter(
+    (run) => run.report_file
+  );
+  if (!lastRun) {
+    throw new Error("No earlier run with a saved report to retry");
+  }
+  if (!fs.existsSync(lastRun.report_file)) {
+    throw new Error(
+      `Report ${lastRun.report_file} of run ${lastRun.run_id} not found`
+    );
+  }
+  return JSON.parse(fs.readFileSync(lastRun.report_file, "utf8"));
 }
 
 /**
  * Main function
  */
 async function main() {
+  let runId = null;
+
   try {
-    console.log("Starting OKX billing script...");
+    log.info("Starting billing script");
+
+    // Resolve the billing period once so every account uses the same boundaries
+    const { flags } = parseArgs(process.argv.slice(2));
+    const concurrency = resolveConcurrency(flags);
+    // --no-bill-store fetches every bill from the exchanges without saving it
+    const useBillStore = !flags["no-bill-store"];
+
+    // --retry-failed re-runs the failed accounts of the last run for its
+    // period, and carries its other accounts over unchanged
+    let previousReport = null;
+    let failedApiKeyIds = null;
+    if (flags["retry-failed"]) {
+      previousReport = await loadLastRunReport();
+      failedApiKeyIds = new Set(
+        previousReport.accounts
+          .filter((account) => account.status?.status === STATUSES.FAILED)
+          .map((account) => String(account.user.apiKeyId ?? null))
+      );
+      if (!failedApiKeyIds.size) {
+        log.info(`Run ${previousReport.runId} has no failed accounts to retry`);
+        return;
+      }
+      log.info(
+        `Retrying ${failedApiKeyIds.size} failed accounts of run ${previousReport.runId}`
+      );
+    }
+
+    const period = previousReport
+      ? previousReport.period
+      : resolveBillingPeriod(flags);
+    log.info(
+      `Billing period: ${period.label} (${period.from} to ${period.to})`
+    );
+
+    // Record the run so its results can be queried later; every log entry
+    // from here on carries the run ID
+    runId = new Date().toISOString();
+    setLogContext({ runId });
+    await dbClient.createReportRun({
+      runId,
+      periodStart: period.from,
+      periodEnd: period.to,
+      periodLabel: period.label,
+      retryOf: previousReport?.runId,
+    });
 
     // Get all users with their API keys from database
     let usersWithApiKeys = [];
 
     try {
       // Try to get all users with their API keys from database
-      usersWithApiKeys = await dbClient.getAllUsersWithApiKeys();
+      usersWithApiKeys = await dbClient.getAllUsersWithApiKeys(EXCHANGES);
 
       if (usersWithApiKeys && usersWithApiKeys.length > 0) {
-        console.log(
-          `Found ${usersWithApiKeys.length} users with OKX API keys in the database`
+        log.info(
+          `Found ${usersWithApiKeys.length} users with exchange API keys in the database`
         );
       } else {
-        console.log("No users with OKX API keys found in database");
+        log.warn("No users with exchange API keys found in database");
       }
     } catch (error) {
-      console.error(`Error getting users with API keys: ${error.message}`);
+      log.error("Error getting users with API keys", { error: error.message });
     }
 
     // If no users with API keys found in database, use fallback
     if (usersWithApiKeys.length === 0) {
-      console.log("Using fallback API credentials from environment variables");
+      log.info("Using fallback API credentials from environment variables");
       usersWithApiKeys = [
         {
           id: "unknown",
@@ -392,164 +756,94 @@ async function main() {
       ];
     }
 
-    // Create an array to store reports for each API key
-    const allReports = [];
-
-    // Process each user with API key
-    for (let i = 0; i < usersWithApiKeys.length; i++) {
-      const user = usersWithApiKeys[i];
-      const credentials = {
-        apiKey: user.api_key,
-        secretKey: user.secret_key,
-        passphrase: user.passphrase,
-      };
-
-      // Format user ID for display (mask all but last 4 characters)
-      const displayUserId = user.id
-        ? "******" + user.id.substring(user.id.length - 4)
-        : "unknown";
-
-      // Format API key for display (mask all but first 8 and last 4 characters)
-      const displayApiKey = user.api_key
-        ? user.api_key.substring(0, 8) +
-          "..." +
-          user.api_key.substring(user.api_key.length - 4)
-        : "unknown";
+    // Master keys bring in their sub-accounts as accounts of their own
+    usersWithApiKeys = await expandSubAccounts(
+      usersWithApiKeys,
+      (credentials) => new OkxClient(credentials)
+    );
 
-      console.log(
-        `\n=== PROCESSING USER ${i + 1}/${usersWithApiKeys.length} ===`
+    if (failedApiKeyIds) {
+      usersWithApiKeys = usersWithApiKeys.filter((user) =>
+        failedApiKeyIds.has(String(user.api_key_id || null))
       );
-      console.log(`Name: ${user.name}`);
-      console.log(`Email: ${user.email}`);
-      console.log(`User ID: ${displayUserId}`);
-      console.log(`API Key: ${displayApiKey}`);
-      console.log(`Label: ${user.label || "No Label"}`);
-
-      if (
-        !credentials.apiKey ||
-        !credentials.secretKey ||
-        !credentials.passphrase
-      ) {
-        console.log("Skipping API key with missing credentials");
-        continue;
-      }
-
-      // Initialize report data object for this user
-      const reportData = {
-        user: {
-          name: user.name,
-          email: user.email,
-          id: displayUserId,
-          label: user.label || "No Label",
-        },
-        apiKey: displayApiKey,
-        timestamp: new Date().toISOString(),
-        accountInfo: null,
-        balances: null,
-        positions: null,
-        trading: {
-          spot: {
-            btc: { bills: null },
-            eth: { bills: null },
-          },
-          usdtSwap: {
-            btc: { bills: null },
-            eth: { bills: null },
-          },
-          coinSwap: {
-            btc: { bills: null },
-            eth: { bills: null },
-          },
-        },
-      };
-
-      try {
-        // Check account configuration
-        console.log("\n=== CHECKING ACCOUNT CONFIG ===");
-        const accountConfig = await makeOkxApiRequest(
-          credentials,
-          "GET",
-          "/api/v5/account/config"
-        );
-        console.log("Account Config:");
-        console.log(JSON.stringify(accountConfig, null, 2));
-        reportData.accountInfo = accountConfig;
-
-        // Check account balance
-        console.log("\n=== CHECKING ACCOUNT BALANCE ===");
-        const accountBalance = await makeOkxApiRequest(
-          credentials,
-          "GET",
-          "/api/v5/account/balance"
-        );
-        console.log("Account Balance:");
-        console.log(JSON.stringify(accountBalance, null, 2));
-        reportData.balances = accountBalance;
-
-        // Check active positions
-        const activePositions = await getActivePositions(credentials);
-        reportData.positions = activePositions;
-
-        // Get bills for each instrument type
-        // SPOT TRADING
-        reportData.trading.spot.btc.bills = await getBills(
-          credentials,
-          "BTC-USDT",
-          "SPOT TRADING (BTC)"
-        );
-        reportData.trading.spot.eth.bills = await getBills(
-          credentials,
-          "ETH-USDT",
-          "SPOT TRADING (ETH)"
-        );
-
-        // USDT-MARGINED PERPETUALS
-        reportData.trading.usdtSwap.btc.bills = await getBills(
-          credentials,
-          "BTC-USDT-SWAP",
-          "USDT-MARGINED PERPETUALS (BTC)"
-        );
-        reportData.trading.usdtSwap.eth.bills = await getBills(
-          credentials,
-          "ETH-USDT-SWAP",
-          "USDT-MARGINED PERPETUALS (ETH)"
-        );
+    }
 
-        // COIN-MARGINED PERPETUALS
-        reportData.trading.coinSwap.btc.bills = await getBills(
-          credentials,
-          "BTC-USD-SWAP",
-          "COIN-MARGINED PERPETUALS (BTC)"
-        );
-        reportData.trading.coinSwap.eth.bills = await getBills(
-          credentials,
-          "ETH-USD-SWAP",
-          "COIN-MARGINED PERPETUALS (ETH)"
-        );
+    // Process the accounts in parallel; reports keep the order of the users
+    const reports = await mapWithConcurrency(
+      usersWithApiKeys,
+      concurrency,
+      (user, i) =>
+        runWithLogContext(
+          { userId: user.id, apiKeyId: user.api_key_id || null },
+          () =>
+            processAccount(
+              user,
+              period,
+              { concurrency, useBillStore },
+              {
+                index: i + 1,
+                total: usersWithApiKeys.length,
+              }
+            )
+        )
+    );
 
-        // Add this report to the collection
-        allReports.push(reportData);
-      } catch (error) {
-        console.error(
-          `Error processing user ${user.name} (${displayUserId}): ${error.message}`
-        );
-        // Still add the report with whatever data we got
-        allReports.push(reportData);
-      }
+    // A retry replaces the failed accounts of the last run in place
+    let allReports = reports;
+    if (previousReport) {
+      const retried = new Map(
+        reports.map((report) => [String(report.user.apiKeyId), report])
+      );
+      allReports = previousReport.accounts.map(
+        (account) => retried.get(String(account.user.apiKeyId)) || account
+      );
     }
 
     // Generate combined report file
-    await generateReport("okx_trading_report", allReports);
-
-    console.log("\n=== SUMMARY ===");
-    console.log(
-      `Successfully processed ${allReports.length} users with API keys`
+    const report = await generateReport(
+      "okx_trading_report",
+      allReports,
+      period,
+      runId,
+      previousReport?.runId
     );
-    console.log(`Report saved with data from all accounts`);
+
+    // Fail the run loudly if any account could not be fetched in full
+    const summary = `Run summary: ${formatRunStatus(report.status)}`;
+    if (report.status.failed) {
+      log.error(summary);
+      log.error("Retry the failed accounts with --retry-failed");
+      process.exitCode = 1;
+    } else {
+      log.info(summary);
+    }
   } catch (error) {
-    console.error(`Error in main function: ${error.message}`);
+    log.error("Error in main function", { error: error.message });
+    if (runId) {
+      try {
+        await dbClient.updateReportRun({
+          runId,
+          status: "failed",
+          error: error.message,
+        });
+      } catch (updateError) {
+        log.error(`Could not mark run ${runId} as failed`, {
+          error: updateError.message,
+        });
+      }
+    }
+    process.exitCode = 1;
   }
 }
 
-// Run the main function
-main();
+// Run the main function when started from the command line
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getAccountBills,
+  processAccount,
+  generateReport,
+  main,
+};
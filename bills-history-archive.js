@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Download of OKX bills older than the bills-archive window.
+ * OKX keeps older bills in quarterly files that must first be requested with
+ * POST /api/v5/account/bills-history-archive and are then downloaded as a
+ * zipped CSV once the file is ready.
+ */
+
+const fetch = require("node-fetch");
+const AdmZip = require("adm-zip");
+
+const POLL_INTERVAL_MS = 10000;
+const MAX_POLL_ATTEMPTS = 30;
+
+// Downloads in progress or completed, keyed by API key and quarter
+const archiveCache = new Map();
+
+/**
+ * List the calendar quarters (UTC) overlapping a time range
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @returns {Array<{year: string, quarter: string}>} Quarters in chronological order
+ */
+function getQuartersBetween(from, to) {
+  const quarters = [];
+  const start = new Date(from);
+  let year = start.getUTCFullYear();
+  let quarter = Math.floor(start.getUTCMonth() / 3);
+
+  while (Date.UTC(year, quarter * 3, 1) < to) {
+    quarters.push({ year: String(year), quarter: `Q${quarter + 1}` });
+    quarter++;
+    if (quarter === 4) {
+      quarter = 0;
+      year++;
+    }
+  }
+
+  return quarters;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...data] = rows.filter((r) => r.some((value) => value !== ""));
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim().replace(/^\uFEFF/, ""));
+  return data.map((values) =>
+    Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ""]))
+  );
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Request a quarterly bills file and wait until OKX has generated it
+ * @param {OkxClient} client - OKX client of the account
+ * @param {{year: string, quarter: string}} quarter - Quarter to request
+ * @returns {Promise<string>} Download link for the file
+ * @throws {Error} If the file fails or is not ready in time
+ */
+async function waitForArchiveFile(client, { year, quarter }) {
+  // Reuse a file that was already generated for this quarter
+  let status = await client.getBillsHistoryArchive({ year, quarter });
+  if (status.data?.[0]?.state !== "finished") {
+    await client.requestBillsHistoryArchive({ year, quarter });
+  }
+
+  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+    const file = status.data?.[0];
+    if (file?.state === "finished" && file.fileHref) return file.fileHref;
+    if (file?.state === "failed") {
+      throw new Error(
+        `OKX failed to generate bills file for ${year} ${quarter}`
+      );
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+    status = await client.getBillsHistoryArchive({ year, quarter });
+  }
+
+  throw new Error(`Bills file for ${year} ${quarter} was not ready in time`);
+}
+
+/**
+ * Download and unzip a quarterly bills file
+ * @param {string} fileHref - Download link returned by OKX
+ * @returns {Promise<Array<Object>>} Bill records
+ */
+async function downloadArchiveFile(fileHref) {
+  const response = await fetch(fileHref);
+  if (!response.ok) {
+    throw new Error(
+      `HTTP error downloading bills file! status: ${response.status}`
+    );
+  }
+
+  const zip = new AdmZip(await response.buffer());
+  return zip
+    .getEntries()
+    .filter((entry) => entry.entryName.toLowerCase().endsWith(".csv"))
+    .flatMap((entry) => parseCsv(entry.getData().toString("utf8")));
+}
+
+/**
+ * Get bills for a time range from the quarterly history archive.
+ * The archive CSV uses the same field names as the bills endpoint.
+ * @param {OkxClient} client - OKX client of the account the files belong to
+ * @param {Object} filter - Bill fields to match (e.g., { instType: 'SWAP' })
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @returns {Promise<Array<Object>>} Bill records, newest first
+ */
+async function getHistoryArchiveBills(client, filter, from, to) {
+  const bills = [];
+
+  for (const quarter of getQuartersBetween(from, to)) {
+    const cacheKey = `${client.apiKey}:${quarter.year}${quarter.quarter}`;
+    if (!archiveCache.has(cacheKey)) {
+      archiveCache.set(
+        cacheKey,
+        waitForArchiveFile(client, quarter).then(downloadArchiveFile)
+      );
+    }
+
+    let records;
+    try {
+      records = await archiveCache.get(cacheKey);
+    } catch (error) {
+      archiveCache.delete(cacheKey);
+      throw error;
+    }
+
+    records
+      .filter(
+        (bill) =>
+          Object.entries(filter).every(([key, value]) => bill[key] === value) &&
+          parseInt(bill.ts) >= from &&
+          parseInt(bill.ts) < to
+      )
+      .forEach((bill) => bills.push(bill));
+  }
+
+  return bills.sort((a, b) => parseInt(b.ts) - parseInt(a.ts));
+}
+
+module.exports = {
+  getQuartersBetween,
+  parseCsv,
+  getHistoryArchiveBills,
+};
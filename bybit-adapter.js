@@ -0,0 +1,546 @@
+/**
+ * @fileoverview Bybit exchange adapter for unified trading accounts. Bills
+ * come from the transaction log, which Bybit serves in windows of at most 7
+ * days for the last 2 years, and are normalised to OKX bills: Bybit symbols
+ * become OKX instrument types and IDs (BTCUSDT linear is SWAP BTC-USDT-SWAP,
+ * BTCUSD inverse is SWAP BTC-USD-SWAP) and transaction types become OKX bill
+ * types, so fee markets and PnL components come out as they do for OKX.
+ * Bybit fees are positive when paid, OKX fees negative, so fees change sign.
+ * Deposits, withdrawals and transfers between the funding and unified
+ * accounts become the OKX funding records account-flows.js reads.
+ */
+
+const { BILL_TYPES } = require("./bill-classifier");
+const {
+  ASSET_BILL_TYPES,
+  DEPOSIT_SUCCESS_STATE,
+  WITHDRAWAL_SUCCESS_STATE,
+} = require("./account-flows");
+const { BybitClient } = require("./bybit-client");
+const { ExchangeAdapter, formatBillsFilter } = require("./exchange-adapter");
+const { createLogger } = require("./logger");
+
+const log = createLogger("bybit-adapter");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest time range each record endpoint serves in one request
+const TRANSACTION_LOG_WINDOW_MS = 7 * DAY_MS;
+const TRANSFER_WINDOW_MS = 7 * DAY_MS;
+const DEPOSIT_WINDOW_MS = 30 * DAY_MS;
+const PAGE_SIZE = 50;
+const POSITION_PAGE_SIZE = 200;
+
+// Account type billed: the unified trading account
+const ACCOUNT_TYPE = "UNIFIED";
+
+/**
+ * Bybit transaction types and the OKX bill types they are normalised to.
+ * Other types (bonuses, fee refunds, conversions, loans) keep their Bybit
+ * type and count as other balance changes.
+ * @type {Object<string, string>}
+ */
+const TRANSACTION_BILL_TYPES = {
+  TRADE: BILL_TYPES.TRADE,
+  SETTLEMENT: BILL_TYPES.FUNDING_FEE,
+  DELIVERY: BILL_TYPES.DELIVERY,
+  LIQUIDATION: BILL_TYPES.LIQUIDATION,
+  ADL: BILL_TYPES.ADL,
+  INTEREST: BILL_TYPES.INTEREST_DEDUCTION,
+  TRANSFER_IN: BILL_TYPES.TRANSFER,
+  TRANSFER_OUT: BILL_TYPES.TRANSFER,
+};
+
+// Transaction types of transfers into and out of the unified account
+const TRANSFER_TRANSACTION_TYPES = ["TRANSFER_IN", "TRANSFER_OUT"];
+
+// Bybit product categories holding each OKX instrument type; Bybit has no
+// separate margin instruments
+const INST_TYPE_CATEGORIES = {
+  SPOT: ["spot"],
+  MARGIN: [],
+  SWAP: ["linear", "inverse"],
+  FUTURES: ["linear", "inverse"],
+  OPTION: ["option"],
+};
+
+// Position queries covering every derivatives account; linear positions
+// are listed per settle coin
+const POSITION_QUERIES = [
+  { category: "linear", settleCoin: "USDT" },
+  { category: "linear", settleCoin: "USDC" },
+  { category: "inverse" },
+];
+
+// Bybit deposit status of a credited deposit, and withdrawal status of a
+// completed withdrawal
+const BYBIT_DEPOSIT_SUCCESS = 3;
+const BYBIT_WITHDRAWAL_SUCCESS = "success";
+
+/**
+ * Get the OKX instrument type and ID of a Bybit symbol
+ * @param {string} category - Bybit category (spot, linear, inverse, option)
+ * @param {string} symbol - Bybit symbol (e.g., 'BTCUSDT', 'BTCUSDH25')
+ * @returns {{instType: string, instId: string}} OKX instrument type and ID;
+ *   empty for records without a symbol
+ */
+function toOkxInstrument(category, symbol) {
+  if (!symbol) return { instType: "", instId: "" };
+  if (category === "option") return { instType: "OPTION", instId: symbol };
+
+  const pair = symbol.match(/^([A-Z0-9]+?)(USDT|USDC|USD)$/);
+  if (category === "spot") {
+    return {
+      instType: "SPOT",
+      instId: pair ? `${pair[1]}-${pair[2]}` : symbol,
+    };
+  }
+  if (pair) return { instType: "SWAP", instId: `${pair[1]}-${pair[2]}-SWAP` };
+
+  // USDC perpetuals (BTCPERP), USDT and USDC futures (BTCUSDT-26DEC25,
+  // BTC-26DEC25) and inverse futures (BTCUSDH25)
+  const usdcPerpetual = symbol.match(/^([A-Z0-9]+)PERP$/);
+  if (usdcPerpetual) {
+    return { instType: "SWAP", instId: `${usdcPerpetual[1]}-USDC-SWAP` };
+  }
+  const linearFuture = symbol.match(/^([A-Z0-9]+?)(USDT|USDC)?-([A-Z0-9]+)$/);
+  if (linearFuture) {
+    const [, base, quote, expiry] = linearFuture;
+    return {
+      instType: "FUTURES",
+      instId: `${base}-${quote || "USDC"}-${expiry}`,
+    };
+  }
+  const inverseFuture = symbol.match(/^([A-Z0-9]+?)USD([A-Z]\d{2})$/);
+  if (inverseFuture) {
+    return {
+      instType: "FUTURES",
+      instId: `${inverseFuture[1]}-USD-${inverseFuture[2]}`,
+    };
+  }
+
+  return { instType: "SWAP", instId: symbol };
+}
+
+/**
+ * Normalise a transaction log record to an OKX bill. Only derivatives trades,
+ * deliveries, liquidations and ADL realise PnL; spot trades swap one balance
+ * for another, as on OKX.
+ * @param {Object} record - Bybit transaction log record
+ * @returns {Object} OKX bill record, with the Bybit type as `exchangeType`
+ */
+function toOkxBill(record) {
+  const { instType, instId } = toOkxInstrument(record.category, record.symbol);
+  const type = TRANSACTION_BILL_TYPES[record.type] || record.type;
+  const realisesPnl =
+    record.category !== "spot" &&
+    [
+      BILL_TYPES.TRADE,
+      BILL_TYPES.DELIVERY,
+      BILL_TYPES.LIQUIDATION,
+      BILL_TYPES.ADL,
+    ].includes(type);
+
+  return {
+    billId: record.id,
+    ts: String(record.transactionTime),
+    instType,
+    instId,
+    ccy: record.currency,
+    type,
+    exchangeType: record.type,
+    pnl: realisesPnl ? record.cashFlow || "0" : "0",
+    fee: String(-parseFloat(record.fee || 0)),
+    balChg: record.change || "0",
+    px: record.tradePrice || "",
+    sz: record.qty || "",
+  };
+}
+
+/**
+ * Normalise a Bybit deposit record to an OKX deposit record
+ * @param {Object} record - Bybit deposit record
+ * @returns {Object} OKX deposit record
+ */
+function toOkxDeposit(record) {
+  return {
+    depId: record.id || record.txID,
+    ts: String(record.successAt),
+    ccy: record.coin,
+    amt: record.amount,
+    txId: record.txID,
+    // Records still in progress keep their Bybit status
+    state:
+      record.status === BYBIT_DEPOSIT_SUCCESS
+        ? DEPOSIT_SUCCESS_STATE
+        : `bybit-${record.status}`,
+  };
+}
+
+/**
+ * Normalise a Bybit withdrawal record to an OKX withdrawal record
+ * @param {Object} record - Bybit withdrawal record
+ * @returns {Object} OKX withdrawal record
+ */
+function toOkxWithdrawal(record) {
+  return {
+    wdId: record.withdrawId,
+    ts: String(record.createTime),
+    ccy: record.coin,
+    amt: record.amount,
+    fee: record.withdrawFee || "0",
+    txId: record.txID,
+    state:
+      record.status === BYBIT_WITHDRAWAL_SUCCESS
+        ? WITHDRAWAL_SUCCESS_STATE
+        : `bybit-${record.status}`,
+  };
+}
+
+/**
+ * Normalise a transfer between account types to an OKX funding account bill.
+ * Transfers not involving the unified account are kept with an empty type.
+ * @param {Object} record - Bybit internal transfer record
+ * @returns {Object} OKX funding account bill, signed from the funding side
+ */
+function toOkxFundingBill(record) {
+  const amount = parseFloat(record.amount || 0);
+  let type = "";
+  if (record.toAccountType === ACCOUNT_TYPE) {
+    type = ASSET_BILL_TYPES.TO_TRADING;
+  } else if (record.fromAccountType === ACCOUNT_TYPE) {
+    type = ASSET_BILL_TYPES.FROM_TRADING;
+  }
+
+  return {
+    billId: record.transferId,
+    ts: String(record.timestamp),
+    ccy: record.coin,
+    type,
+    balChg: String(type === ASSET_BILL_TYPES.TO_TRADING ? -amount : amount),
+  };
+}
+
+/**
+ * Pages through a Bybit record endpoint within a time range, in windows no
+ * longer than the endpoint serves at once, following `nextPageCursor`
+ * @param {Function} fetchPage - Fetches a page of records for query parameters
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @param {number} windowMs - Longest range of one request
+ * @param {Function} getTs - Gets the timestamp of a record
+ * @returns {Promise<Array>} - Records within the range
+ */
+async function fetchWindowPages(fetchPage, from, to, windowMs, getTs) {
+  let allRecords = [];
+
+  for (let start = from; start < to; start += windowMs) {
+    const end = Math.min(start + windowMs, to);
+    let cursor = "";
+
+    while (true) {
+      const page = await fetchPage({
+        startTime: start,
+        endTime: end - 1,
+        limit: PAGE_SIZE,
+        cursor,
+      });
+      const records = page.result?.list || page.result?.rows || [];
+
+      allRecords = allRecords.concat(
+        records.filter((r) => {
+          const ts = parseInt(getTs(r));
+          return ts >= start && ts < end;
+        })
+      );
+
+      cursor = page.result?.nextPageCursor;
+      if (!records.length || !cursor) break;
+    }
+  }
+
+  return allRecords;
+}
+
+// Index price requests in progress or completed, keyed by symbol and
+// minute, so concurrent accounts share a single request
+const indexPriceCache = new Map();
+
+/**
+ * Gets the index price at a point in time from Bybit 1-minute index klines
+ * of the coin's inverse perpetual
+ * @param {BybitClient} client - Bybit client
+ * @param {string} symbol - Inverse symbol (e.g., 'BTCUSD')
+ * @param {number} ts - Timestamp in milliseconds
+ * @returns {Promise<number>} - Close price of the kline containing the timestamp
+ */
+function getIndexPriceAt(client, symbol, ts) {
+  const minute = Math.floor(ts / 60000) * 60000;
+  const cacheKey = `${symbol}:${minute}`;
+  if (indexPriceCache.has(cacheKey)) return indexPriceCache.get(cacheKey);
+
+  const price = (async () => {
+    const klines = await client.getIndexPriceKline({
+      category: "inverse",
+      symbol,
+      interval: "1",
+      start: minute,
+      end: minute,
+      limit: 1,
+    });
+
+    const close = parseFloat(klines.result?.list?.[0]?.[4]);
+    if (!(close > 0)) {
+      throw new Error(`No ${symbol} index price available at ${ts}`);
+    }
+    return close;
+  })();
+
+  // Failed requests are not cached so a later bill can try again
+  indexPriceCache.set(cacheKey, price);
+  price.catch(() => indexPriceCache.delete(cacheKey));
+  return price;
+}
+
+/**
+ * Adapter for a Bybit unified trading account
+ * @class
+ */
+class BybitAdapter extends ExchangeAdapter {
+  /**
+   * Create a BybitAdapter instance
+   * @param {Object} credentials - API credentials
+   * @param {string} credentials.apiKey - API key
+   * @param {string} credentials.secretKey - API secret key
+   * @param {Object} [options]
+   * @param {Object} [options.clientOptions] - Options of BybitClient
+   */
+  constructor(credentials, { clientOptions } = {}) {
+    super("Bybit", credentials);
+    this.client = new BybitClient(credentials, clientOptions);
+  }
+
+  /**
+   * Gets the account configuration
+   * @returns {Promise<Object>} - Response with the account info in `data[0]`
+   */
+  async getAccountInfo() {
+    const info = await this.client.getAccountInfo();
+    return { code: "0", msg: "", data: [info.result] };
+  }
+
+  /**
+   * Gets the unified account balance. The account-wide unrealised PnL is
+   * that of perpetuals and futures, in USD.
+   * @returns {Promise<Object>} - Balance response
+   */
+  async getBalances() {
+    const balance = await this.client.getWalletBalance({
+      accountType: ACCOUNT_TYPE,
+    });
+    const account = balance.result?.list?.[0];
+
+    return {
+      code: "0",
+      msg: "",
+      data: account
+        ? [
+            {
+              totalEq: account.totalEquity,
+              upl: account.totalPerpUPL,
+              details: (account.coin || []).map((coin) => ({
+                ccy: coin.coin,
+                eq: coin.equity,
+                eqUsd: coin.usdValue,
+                availBal: String(
+                  parseFloat(coin.walletBalance || 0) -
+                    parseFloat(coin.locked || 0)
+                ),
+                frozenBal: coin.locked || "0",
+                upl: coin.unrealisedPnl,
+              })),
+            },
+          ]
+        : [],
+    };
+  }
+
+  /**
+   * Gets open derivatives positions
+   * @returns {Promise<Object>} - Positions response; short positions have a
+   *   negative `pos`
+   */
+  async getPositions() {
+    const positions = [];
+
+    for (const query of POSITION_QUERIES) {
+      let cursor = "";
+      while (true) {
+        const page = await this.client.getPositions({
+          ...query,
+          limit: POSITION_PAGE_SIZE,
+          cursor,
+        });
+        (page.result?.list || []).forEach((position) =>
+          positions.push({
+            ...toOkxInstrument(query.category, position.symbol),
+            pos: position.side === "Sell" ? `-${position.size}` : position.size,
+            avgPx: position.avgPrice,
+            upl: position.unrealisedPnl,
+          })
+        );
+
+        cursor = page.result?.nextPageCursor;
+        if (!page.result?.list?.length || !cursor) break;
+      }
+    }
+
+    return { code: "0", msg: "", data: positions };
+  }
+
+  /**
+   * Gets transaction log records matching a filter within a billing period,
+   * as OKX bills
+   * @param {Object} filter - { instType } or { type: BILL_TYPES.TRANSFER }
+   * @param {string} description - Description for logging
+   * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+   * @returns {Promise<Object>} - Bills data, with the date range covered by each source
+   */
+  async getBills(filter, description, period) {
+    const filterLabel = formatBillsFilter(filter);
+    try {
+      log.info(`Checking bills for ${description}`, { filter: filterLabel });
+      const from = new Date(period.from).getTime();
+      const to = new Date(period.to).getTime();
+
+      // Transfers are logged outside the product categories
+      const isTransfers = filter.type === BILL_TYPES.TRANSFER;
+      const queries = isTransfers
+        ? TRANSFER_TRANSACTION_TYPES.map((type) => ({ type }))
+        : (INST_TYPE_CATEGORIES[filter.instType] || []).map((category) => ({
+            category,
+          }));
+
+      const billsById = new Map();
+      const sources = [];
+      for (const query of queries) {
+        const records = await fetchWindowPages(
+          (params) =>
+            this.client.getTransactionLog({
+              accountType: ACCOUNT_TYPE,
+              ...query,
+              ...params,
+            }),
+          from,
+          to,
+          TRANSACTION_LOG_WINDOW_MS,
+          (record) => record.transactionTime
+        );
+
+        // Linear and inverse categories hold both perpetuals and futures
+        const bills = records
+          .map(toOkxBill)
+          .filter((bill) =>
+            isTransfers
+              ? bill.type === BILL_TYPES.TRANSFER
+              : bill.instType === filter.instType
+          );
+        bills.forEach((bill) => {
+          if (!billsById.has(bill.billId)) billsById.set(bill.billId, bill);
+        });
+        sources.push({
+          source: `transaction-log:${formatBillsFilter(query)}`,
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+          count: bills.length,
+        });
+      }
+
+      const allBills = [...billsById.values()].sort(
+        (a, b) =>
+          parseInt(b.ts) - parseInt(a.ts) || b.billId.localeCompare(a.billId)
+      );
+
+      return { code: "0", data: allBills, msg: "", sources };
+    } catch (error) {
+      log.error("Error getting bills", {
+        filter: filterLabel,
+        error: error.message,
+      });
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Gets deposits, withdrawals and transfers between the funding and unified
+   * accounts for a billing period, as OKX funding records
+   * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+   * @returns {Promise<Object>} - Responses keyed by flow; each holds `data` or `error`
+   */
+  async getFlows(period) {
+    const from = new Date(period.from).getTime();
+    const to = new Date(period.to).getTime();
+    const sources = {
+      deposits: {
+        fetchPage: (params) => this.client.getDepositRecords(params),
+        windowMs: DEPOSIT_WINDOW_MS,
+        getTs: (record) => record.successAt,
+        normalise: toOkxDeposit,
+      },
+      withdrawals: {
+        fetchPage: (params) => this.client.getWithdrawalRecords(params),
+        windowMs: DEPOSIT_WINDOW_MS,
+        getTs: (record) => record.createTime,
+        normalise: toOkxWithdrawal,
+      },
+      fundingBills: {
+        fetchPage: (params) =>
+          this.client.getInternalTransfers({ ...params, status: "SUCCESS" }),
+        windowMs: TRANSFER_WINDOW_MS,
+        getTs: (record) => record.timestamp,
+        normalise: toOkxFundingBill,
+      },
+    };
+
+    const flows = {};
+    for (const [flow, source] of Object.entries(sources)) {
+      try {
+        log.info(`Checking ${flow}`);
+        const records = await fetchWindowPages(
+          source.fetchPage,
+          from,
+          to,
+          source.windowMs,
+          source.getTs
+        );
+        flows[flow] = {
+          code: "0",
+          data: records
+            .map(source.normalise)
+            .sort((a, b) => parseInt(b.ts) - parseInt(a.ts)),
+          msg: "",
+        };
+      } catch (error) {
+        log.error(`Error getting ${flow}`, { error: error.message });
+        flows[flow] = { error: error.message };
+      }
+    }
+
+    return flows;
+  }
+
+  /**
+   * Gets the USD price of a currency from the index of its inverse perpetual
+   * @param {string} ccy - Currency code (e.g., 'BTC')
+   * @param {number} ts - Timestamp in milliseconds
+   * @returns {Promise<number>} - Index price at the timestamp
+   */
+  getUsdPriceAt(ccy, ts) {
+    return getIndexPriceAt(this.client, `${ccy}USD`, ts);
+  }
+}
+
+module.exports = {
+  BybitAdapter,
+  toOkxInstrument,
+  toOkxBill,
+};
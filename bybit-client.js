@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Bybit v5 REST API client. Signs requests with the account's
+ * API credentials, keeps each endpoint within its Bybit rate limit, retries
+ * rate-limit responses, server errors and network failures with the backoff
+ * of okx-request.js, and resyncs its clock when Bybit rejects a request
+ * timestamp. Requests go to BYBIT_API_URL (https://api.bybit.com by default).
+ * Every failure is thrown as a BybitError.
+ */
+
+const fetch = require("node-fetch");
+const crypto = require("crypto");
+const {
+  REQUEST_TIMEOUT_MS,
+  RateLimiter,
+  sleep,
+  getRetryDelay,
+} = require("./okx-request");
+const { createLogger } = require("./logger");
+
+const log = createLogger("bybit-client");
+
+const DEFAULT_BASE_URL = "https://api.bybit.com";
+const DEFAULT_RECV_WINDOW = 5000;
+const DEFAULT_MAX_RETRIES = 5;
+
+/**
+ * Bybit rate limits per endpoint: at most `requests` in any `windowMs`.
+ * Account endpoints are limited per UID, market endpoints per IP address.
+ * @type {Object<string, {requests: number, windowMs: number}>}
+ */
+const RATE_LIMITS = {
+  "/v5/account/info": { requests: 10, windowMs: 1000 },
+  "/v5/account/wallet-balance": { requests: 10, windowMs: 1000 },
+  "/v5/account/transaction-log": { requests: 10, windowMs: 1000 },
+  "/v5/position/list": { requests: 10, windowMs: 1000 },
+  "/v5/asset/deposit/query-record": { requests: 5, windowMs: 1000 },
+  "/v5/asset/withdraw/query-record": { requests: 5, windowMs: 1000 },
+  "/v5/asset/transfer/query-inter-transfer-list": {
+    requests: 5,
+    windowMs: 1000,
+  },
+  "/v5/market/index-price-kline": { requests: 10, windowMs: 1000 },
+  "/v5/market/time": { requests: 10, windowMs: 1000 },
+};
+
+// HTTP statuses (403 is Bybit's IP rate limit) and retCodes worth retrying
+const TRANSIENT_STATUSES = new Set([403, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set([
+  10000, // Server timeout
+  10006, // Too many visits
+  10016, // Server error
+  10429, // System-level frequency protection
+]);
+// Request timestamp outside the receive window
+const TIMESTAMP_EXPIRED_CODE = 10002;
+
+const rateLimiter = new RateLimiter(RATE_LIMITS);
+
+// Difference between the Bybit server clock and the local clock
+let clockOffsetMs = 0;
+
+/**
+ * Error for a failed Bybit request. HTTP and API errors carry the HTTP status
+ * and Bybit retCode; network failures carry neither.
+ * @class
+ */
+class BybitError extends Error {
+  /**
+   * Create a BybitError instance
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status
+   * @param {number} [details.code] - Bybit retCode
+   * @param {Error} [details.cause] - Underlying error of a network failure
+   */
+  constructor(message, { status, code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "BybitError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Generates a signature for Bybit API requests
+ * @param {string} timestamp - Unix timestamp in milliseconds
+ * @param {string} apiKey - API key
+ * @param {number} recvWindow - Receive window in milliseconds
+ * @param {string} payload - Query string of GET requests, body of POST requests
+ * @param {string} secretKey - API secret key
+ * @returns {string} - Hex signature for the request
+ */
+function generateSignature(timestamp, apiKey, recvWindow, payload, secretKey) {
+  return crypto
+    .createHmac("sha256", secretKey)
+    .update(timestamp + apiKey + recvWindow + payload)
+    .digest("hex");
+}
+
+/**
+ * Formats request parameters as a query string, leaving out unset values
+ * @param {Object} [params] - Query parameters
+ * @returns {string} - Query string without a leading "?"
+ */
+function formatQuery(params = {}) {
+  return Object.entries(params)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+}
+
+/**
+ * Parse a Bybit API response, throwing for HTTP and API errors
+ * @param {Object} response - Fetch response
+ * @returns {Promise<Object>} Response body
+ * @throws {BybitError} If the request failed
+ */
+async function parseBybitResponse(response) {
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Gateways answer some errors with HTML; the status says what happened
+  }
+
+  if (!response.ok || !data) {
+    throw new BybitError(
+      `HTTP error! status: ${response.status}${
+        data?.retCode ? ` (Code: ${data.retCode})` : ""
+      }`,
+      { status: response.status, code: data?.retCode }
+    );
+  }
+
+  if (data.retCode !== 0) {
+    throw new BybitError(
+      `API Error: ${data.retMsg || "Unknown error"} (Code: ${data.retCode})`,
+      { status: response.status, code: data.retCode }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+function isTransientError(error) {
+  return (
+    error.name === "FetchError" ||
+    TRANSIENT_STATUSES.has(error.status) ||
+    TRANSIENT_CODES.has(error.code)
+  );
+}
+
+/**
+ * Client for the Bybit v5 REST API, bound to one account's credentials
+ * @class
+ */
+class BybitClient {
+  /**
+   * Create a BybitClient instance
+   * @param {Object} [credentials] - API credentials; public endpoints work without
+   * @param {string} credentials.apiKey - API key
+   * @param {string} credentials.secretKey - API secret key
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API base URL; defaults to BYBIT_API_URL
+   *   or https://api.bybit.com
+   * @param {number} [options.recvWindow=5000] - How long a signed request stays valid
+   */
+  constructor(credentials = {}, options = {}) {
+    this.apiKey = credentials.apiKey;
+    this.secretKey = credentials.secretKey;
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.BYBIT_API_URL ||
+      DEFAULT_BASE_URL
+    ).replace(/\/$/, "");
+    this.recvWindow = options.recvWindow || DEFAULT_RECV_WINDOW;
+  }
+
+  /**
+   * Generates headers for a request, signed if the client has credentials
+   * @param {string} payload - Query string of GET requests, body of POST requests
+   * @returns {Object} - Request headers
+   */
+  getHeaders(payload) {
+    const headers = { "Content-Type": "application/json" };
+    if (!this.apiKey) return headers;
+
+    const timestamp = String(Date.now() + clockOffsetMs);
+    return {
+      ...headers,
+      "X-BAPI-API-KEY": this.apiKey,
+      "X-BAPI-TIMESTAMP": timestamp,
+      "X-BAPI-RECV-WINDOW": String(this.recvWindow),
+      "X-BAPI-SIGN": generateSignature(
+        timestamp,
+        this.apiKey,
+        this.recvWindow,
+        payload,
+        this.secretKey
+      ),
+    };
+  }
+
+  /**
+   * Measure the offset between the Bybit server clock and the local clock
+   * @returns {Promise<number>} Offset in milliseconds
+   */
+  async syncClock() {
+    const sentAt = Date.now();
+    const response = await fetch(`${this.baseUrl}/v5/market/time`, {
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    const data = await parseBybitResponse(response);
+    const receivedAt = Date.now();
+
+    // Assume the server read its clock halfway through the round trip
+    clockOffsetMs = parseInt(data.time) - (sentAt + receivedAt) / 2;
+    log.info("Synced clock with Bybit", {
+      offsetMs: Math.round(clockOffsetMs),
+    });
+    return clockOffsetMs;
+  }
+
+  /**
+   * Makes a request to the Bybit API within its rate limit, retrying
+   * transient failures
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.body] - Body of POST requests
+   * @returns {Promise<Object>} - API response with `retCode`, `retMsg` and `result`
+   * @throws {BybitError} If the request failed once retries are exhausted
+   */
+  async request(method, endpoint, { params, body } = {}) {
+    const query = formatQuery(params);
+    const path = query ? `${endpoint}?${query}` : endpoint;
+    const payload = method === "POST" ? JSON.stringify(body || {}) : query;
+    const isPublic = endpoint.startsWith("/v5/market/");
+    const maxRetries = parseInt(
+      process.env.BYBIT_MAX_RETRIES ?? DEFAULT_MAX_RETRIES
+    );
+
+    log.debug("Bybit request", { method, path });
+    for (let attempt = 0; ; attempt++) {
+      await rateLimiter.acquire(endpoint, isPublic ? undefined : this.apiKey);
+
+      try {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+          method,
+          headers: this.getHeaders(payload),
+          body: method === "POST" ? payload : undefined,
+          timeout: REQUEST_TIMEOUT_MS,
+        });
+        return await parseBybitResponse(response);
+      } catch (error) {
+        const retry =
+          attempt < maxRetries &&
+          (error.code === TIMESTAMP_EXPIRED_CODE || isTransientError(error));
+        if (!retry) {
+          log.error("Bybit request failed", {
+            method,
+            path,
+            error: error.message,
+          });
+          if (error instanceof BybitError) throw error;
+          throw new BybitError(error.message, { cause: error });
+        }
+
+        if (error.code === TIMESTAMP_EXPIRED_CODE) {
+          log.warn(`${method} ${endpoint} rejected for clock skew; resyncing`);
+          await this.syncClock();
+          continue;
+        }
+
+        const delay = getRetryDelay(attempt);
+        log.warn(`Retrying ${method} ${endpoint} in ${delay} ms`, {
+          attempt: attempt + 1,
+          error: error.message,
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Gets the account configuration (margin mode, unified account status)
+   * @returns {Promise<Object>} - Account info response
+   */
+  getAccountInfo() {
+    return this.request("GET", "/v5/account/info");
+  }
+
+  /**
+   * Gets the wallet balance of an account type
+   * @param {Object} params - Query parameters (e.g., { accountType: 'UNIFIED' })
+   * @returns {Promise<Object>} - Wallet balance response
+   */
+  getWalletBalance(params) {
+    return this.request("GET", "/v5/account/wallet-balance", { params });
+  }
+
+  /**
+   * Gets a page of open positions
+   * @param {Object} params - Query parameters (category, settleCoin, cursor, limit, ...)
+   * @returns {Promise<Object>} - Positions response
+   */
+  getPositions(params) {
+    return this.request("GET", "/v5/position/list", { params });
+  }
+
+  /**
+   * Gets a page of the unified account transaction log, at most 7 days long
+   * @param {Object} params - Filter and paging parameters (accountType,
+   *   category, type, startTime, endTime, cursor, limit, ...)
+   * @returns {Promise<Object>} - Transaction log response, newest first
+   */
+  getTransactionLog(params) {
+    return this.request("GET", "/v5/account/transaction-log", { params });
+  }
+
+  /**
+   * Gets a page of deposits, at most 30 days long
+   * @param {Object} params - Paging parameters (startTime, endTime, cursor, limit)
+   * @returns {Promise<Object>} - Deposit records response
+   */
+  getDepositRecords(params) {
+    return this.request("GET", "/v5/asset/deposit/query-record", { params });
+  }
+
+  /**
+   * Gets a page of withdrawals, at most 30 days long
+   * @param {Object} params - Paging parameters (startTime, endTime, cursor, limit)
+   * @returns {Promise<Object>} - Withdrawal records response
+   */
+  getWithdrawalRecords(params) {
+    return this.request("GET", "/v5/asset/withdraw/query-record", { params });
+  }
+
+  /**
+   * Gets a page of transfers between the account types of the account, at
+   * most 7 days long
+   * @param {Object} params - Paging parameters (startTime, endTime, cursor, limit)
+   * @returns {Promise<Object>} - Internal transfers response
+   */
+  getInternalTransfers(params) {
+    return this.request("GET", "/v5/asset/transfer/query-inter-transfer-list", {
+      params,
+    });
+  }
+
+  /**
+   * Gets index price klines
+   * @param {Object} params - Query parameters (category, symbol, interval, start, end, limit)
+   * @returns {Promise<Object>} - Kline response, newest first
+   */
+  getIndexPriceKline(params) {
+    return this.request("GET", "/v5/market/index-price-kline", { params });
+  }
+
+  /**
+   * Gets the Bybit server time
+   * @returns {Promise<Object>} - Response with the time in milliseconds in `time`
+   */
+  getServerTime() {
+    return this.request("GET", "/v5/market/time");
+  }
+}
+
+module.exports = {
+  RATE_LIMITS,
+  BybitClient,
+  BybitError,
+  generateSignature,
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Minimal command line argument parser for the billing scripts.
+ * Supports `--flag value`, `--flag=value` and boolean `--flag` options.
+ */
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments, usually process.argv.slice(2)
+ * @returns {{flags: Object, positional: Array<string>}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { flags, positional };
+}
+
+module.exports = {
+  parseArgs,
+};
@@ -1,75 +1,167 @@
 /**
- * @fileoverview Cloudflare D1 database client for managing OKX API credentials.
- * This module provides a client for interacting with Cloudflare D1 database,
- * specifically for retrieving and managing user API keys and trading configurations.
+ * @fileoverview Database clients for managing exchange API credentials.
+ * This module provides a client for interacting with Cloudflare D1 database or a
+ * local SQLite file, specifically for retrieving and managing user API keys and
+ * trading configurations. The backend is selected with the DB_BACKEND env var.
  */
 
 // Load environment variables from .env file
 require("dotenv").config();
 
+const path = require("path");
 const fetch = require("node-fetch");
+const { loadMasterKeys, decryptRow } = require("./secret-encryption");
+const { createLogger } = require("./logger");
 
-// Hardcoded exchange name
-const EXCHANGE_NAME = "OKX";
+const log = createLogger("database");
 
 /**
- * Client for interacting with Cloudflare D1 database
- * @class
+ * Build the WHERE clause shared by the ledger queries. The queried table must
+ * be joined to `api_keys` as `a` for the user filter.
+ * @param {string} alias - Alias of the queried table
+ * @param {Object} filter - Query filter
+ * @param {string} [filter.userId] - User ID
+ * @param {string} [filter.apiKeyId] - ID of the API key row
+ * @param {string} [filter.from] - ISO start of the range
+ * @param {string} [filter.to] - ISO end of the range
+ * @param {string} [filter.status] - Invoice status
+ * @returns {{where: string, params: Array}} WHERE clause (empty if unfiltered) and its parameters
  */
-class CloudflareD1Client {
-  /**
-   * Create a CloudflareD1Client instance
-   * @param {Object} config - Configuration object
-   * @param {string} config.accountId - Cloudflare account ID
-   * @param {string} config.databaseId - D1 database ID
-   * @param {string} config.apiToken - Cloudflare API token
-   */
-  constructor(config) {
-    this.accountId = config.accountId;
-    this.databaseId = config.databaseId;
-    this.apiToken = config.apiToken;
-    this.baseUrl = `https://api.cloudflare.com/client/v4/accounts/${config.accountId}/d1/database/${config.databaseId}`;
+function buildLedgerFilter(alias, { userId, apiKeyId, from, to, status }) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    conditions.push("a.user_id = ?");
+    params.push(userId);
+  }
+  if (apiKeyId) {
+    conditions.push(`${alias}.api_key_id = ?`);
+    params.push(apiKeyId);
+  }
+  // Periods overlapping the range
+  if (to) {
+    conditions.push(`${alias}.period_start < ?`);
+    params.push(to);
   }
+  if (from) {
+    conditions.push(`${alias}.period_end > ?`);
+    params.push(from);
+  }
+  if (status) {
+    conditions.push(`${alias}.status = ?`);
+    params.push(status);
+  }
+
+  return {
+    where: conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
 
+/**
+ * Storage interface for the billing scripts. Every query is plain SQLite SQL;
+ * backends only implement `executeQuery` and return results in the shape of
+ * the D1 HTTP API: `{ success, result: [{ results, meta }] }`.
+ * @class
+ */
+class DatabaseClient {
   /**
-   * Execute a SQL query on the D1 database
+   * Execute a SQL query
    * @param {string} query - SQL query to execute
    * @param {Array} params - Query parameters
    * @returns {Promise<Object>} Query results
-   * @throws {Error} If the query fails
+   * @throws {Error} If the query fails or the backend does not implement it
    */
   async executeQuery(query, params = []) {
-    try {
-      console.log(`Executing query: ${query}`);
-      console.log(`With params: ${JSON.stringify(params)}`);
-
-      const response = await fetch(`${this.baseUrl}/query`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${this.apiToken}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          sql: query,
-          params: params,
-        }),
-      });
+    throw new Error(`${this.constructor.name} does not implement executeQuery`);
+  }
 
-      const data = await response.json();
+  /**
+   * Decrypt the secrets of api_keys rows in memory. A row that cannot be
+   * decrypted does not stop the others: it is returned without its secrets
+   * and with the reason in `decrypt_error`, so its account is reported as
+   * failed instead of disappearing from the run.
+   * @param {Array<Object>} rows - Rows with secret_key, passphrase, data_key and master_key_id
+   * @param {string} [idField="id"] - Field holding the API key row ID, for error messages
+   * @returns {Array<Object>} Rows with plaintext secrets, or with `decrypt_error`
+   */
+  decryptApiKeyRows(rows, idField = "id") {
+    let masterKeyError = null;
+    if (rows.some((row) => row.data_key) && !this.masterKeys) {
+      try {
+        this.masterKeys = loadMasterKeys();
+      } catch (error) {
+        masterKeyError = error;
+      }
+    }
 
-      console.log(`Query response: ${JSON.stringify(data, null, 2)}`);
+    const plaintextRows = rows.filter((row) => !row.data_key).length;
+    if (plaintextRows) {
+      log.warn(
+        `${plaintextRows} API keys have unencrypted secrets; run "node secrets.js encrypt"`
+      );
+    }
 
-      if (!data.success) {
-        throw new Error(
-          `Database query failed: ${JSON.stringify(data.errors)}`
+    return rows.map((row) => {
+      try {
+        if (row.data_key && masterKeyError) throw masterKeyError;
+        return decryptRow(row, this.masterKeys || []);
+      } catch (error) {
+        log.error(
+          `Error decrypting secrets for API key ID ${row[idField]}: ${error.message}`
         );
+        const { data_key: _, master_key_id: __, ...rest } = row;
+        return {
+          ...rest,
+          secret_key: null,
+          passphrase: null,
+          decrypt_error: error.message,
+        };
       }
+    });
+  }
 
-      return data;
-    } catch (error) {
-      console.error(`Database error: ${error.message}`);
-      throw error;
-    }
+  /**
+   * Get the stored (possibly encrypted) secrets of every API key, for
+   * encrypting them or rotating the master key
+   * @returns {Promise<Array>} Rows with id, secret_key, passphrase, data_key and master_key_id
+   * @throws {Error} If the query fails
+   */
+  async getStoredApiKeySecrets() {
+    log.info("Fetching stored API key secrets");
+
+    const data = await this.executeQuery(
+      "SELECT id, secret_key, passphrase, data_key, master_key_id FROM api_keys ORDER BY id"
+    );
+    return data?.result?.[0]?.results || [];
+  }
+
+  /**
+   * Store an API key's encrypted secrets and wrapped data key
+   * @param {Object} secrets - Column values
+   * @param {string} secrets.id - ID of the API key row
+   * @param {string} secrets.secretKey - Encrypted secret key
+   * @param {string} secrets.passphrase - Encrypted passphrase
+   * @param {string} secrets.dataKey - Wrapped data key
+   * @param {string} secrets.masterKeyId - ID of the master key that wrapped it
+   * @returns {Promise<boolean>} True if the row was updated
+   * @throws {Error} If the query fails
+   */
+  async updateApiKeySecrets({
+    id,
+    secretKey,
+    passphrase,
+    dataKey,
+    masterKeyId,
+  }) {
+    log.info(`Updating stored secrets for API key ID ${id}`);
+
+    const data = await this.executeQuery(
+      "UPDATE api_keys SET secret_key = ?, passphrase = ?, data_key = ?, master_key_id = ? WHERE id = ?",
+      [secretKey, passphrase, dataKey, masterKeyId, id]
+    );
+    return (data?.result?.[0]?.meta?.changes || 0) > 0;
   }
 
   /**
@@ -77,10 +169,10 @@ class CloudflareD1Client {
    * @returns {Array} Array of API keys
    */
   async getAllApiKeys() {
-    console.log("Fetching all API keys");
+    log.info("Fetching all API keys");
     try {
       const data = await this.executeQuery(
-        "SELECT exchange, api_key, secret_key, passphrase FROM api_keys"
+        "SELECT id, exchange, api_key, secret_key, passphrase, data_key, master_key_id FROM api_keys"
       );
 
       // Check if the response has the expected structure
@@ -91,15 +183,15 @@ class CloudflareD1Client {
         data.result[0] &&
         data.result[0].results
       ) {
-        const results = data.result[0].results;
-        console.log(`Found ${results.length} API keys in the database`);
+        const results = this.decryptApiKeyRows(data.result[0].results);
+        log.info(`Found ${results.length} API keys in the database`);
         return results;
       }
 
-      console.log("No API keys found in the database");
+      log.info("No API keys found in the database");
       return [];
     } catch (error) {
-      console.error(`Error fetching API keys: ${error.message}`);
+      log.error(`Error fetching API keys: ${error.message}`);
       return [];
     }
   }
@@ -110,11 +202,12 @@ class CloudflareD1Client {
    * @returns {Promise<Array>} List of API keys with user information
    */
   async getApiKeys(exchange) {
-    console.log(`Fetching API keys for ${exchange}`);
+    log.info(`Fetching API keys for ${exchange}`);
 
     try {
       const data = await this.executeQuery(
-        "SELECT api_key, secret_key, passphrase FROM api_keys WHERE exchange = ? LIMIT 1",
+        "SELECT id, api_key, secret_key, passphrase, data_key, master_key_id " +
+          "FROM api_keys WHERE exchange = ? LIMIT 1",
         [exchange]
       );
 
@@ -127,16 +220,14 @@ class CloudflareD1Client {
         data.result[0].results &&
         data.result[0].results.length > 0
       ) {
-        console.log(`Found API keys for ${exchange}`);
-        return data.result[0].results[0];
+        log.info(`Found API keys for ${exchange}`);
+        return this.decryptApiKeyRows(data.result[0].results)[0] || null;
       }
 
-      console.log(`No ${exchange} API keys found in the database`);
+      log.info(`No ${exchange} API keys found in the database`);
       return null;
     } catch (error) {
-      console.error(
-        `Error fetching API keys for ${exchange}: ${error.message}`
-      );
+      log.error(`Error fetching API keys for ${exchange}: ${error.message}`);
       return null;
     }
   }
@@ -147,9 +238,7 @@ class CloudflareD1Client {
    * @returns {Object|null} User details or null if not found
    */
   async getUserDetailsForApiKey(apiKey) {
-    console.log(
-      `Fetching user details for API key ${apiKey.substring(0, 8)}...`
-    );
+    log.info("Fetching user details for API key", { apiKey });
 
     try {
       const data = await this.executeQuery(
@@ -168,41 +257,39 @@ class CloudflareD1Client {
         data.result[0].results &&
         data.result[0].results.length > 0
       ) {
-        console.log(
-          `Found user details for API key ${apiKey.substring(0, 8)}...`
-        );
+        log.info("Found user details for API key", { apiKey });
         return data.result[0].results[0];
       }
 
-      console.log(
-        `No user details found for API key ${apiKey.substring(0, 8)}...`
-      );
+      log.info("No user details found for API key", { apiKey });
       return null;
     } catch (error) {
-      console.error(
-        `Error fetching user details for API key ${apiKey.substring(
-          0,
-          8
-        )}...: ${error.message}`
-      );
+      log.error("Error fetching user details for API key", {
+        apiKey,
+        error: error.message,
+      });
       return null;
     }
   }
 
   /**
-   * Get all users with their API keys
+   * Get all users with their API keys on the given exchanges
+   * @param {Array<string>} exchanges - Exchange names, matched case-insensitively
    * @returns {Array} Array of users with their API keys
    */
-  async getAllUsersWithApiKeys() {
-    console.log("Fetching all users with their API keys");
+  async getAllUsersWithApiKeys(exchanges) {
+    log.info("Fetching all users with their API keys", { exchanges });
 
     try {
       const data = await this.executeQuery(
         "SELECT u.id, u.name, u.email, a.id as api_key_id, a.api_key, a.secret_key, " +
-          "a.passphrase, a.exchange, a.label " +
+          "a.passphrase, a.data_key, a.master_key_id, a.exchange, a.label, " +
+          "a.sub_accounts, a.master_api_key_id, a.sub_account " +
           "FROM users u JOIN api_keys a ON u.id = a.user_id " +
-          "WHERE a.exchange = ?",
-        [EXCHANGE_NAME]
+          `WHERE UPPER(a.exchange) IN (${exchanges
+            .map(() => "?")
+            .join(", ")}) ORDER BY a.id`,
+        exchanges.map((exchange) => exchange.toUpperCase())
       );
 
       // Check if the response has the expected structure
@@ -213,27 +300,1019 @@ class CloudflareD1Client {
         data.result[0] &&
         data.result[0].results
       ) {
-        const results = data.result[0].results;
-        console.log(`Found ${results.length} users with API keys`);
+        const results = this.decryptApiKeyRows(
+          data.result[0].results,
+          "api_key_id"
+        );
+        log.info(`Found ${results.length} users with API keys`);
         return results;
       }
 
-      console.log("No users with API keys found");
+      log.info("No users with API keys found");
+      return [];
+    } catch (error) {
+      log.error(`Error fetching users with API keys: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get the fee schedule in force for an API key at the end of a billing
+   * period, together with any fee-free periods overlapping it
+   * @param {string} apiKeyId - ID of the API key row
+   * @param {string} periodStart - ISO start of the billing period
+   * @param {string} periodEnd - ISO end of the billing period
+   * @returns {Promise<{schedule: Object|null, feeFreePeriods: Array}>} Fee schedule details
+   * @throws {Error} If a query fails, so a failed read never bills the
+   *   default rate
+   */
+  async getFeeSchedule(apiKeyId, periodStart, periodEnd) {
+    log.info(`Fetching fee schedule for API key ID ${apiKeyId}`);
+
+    const feeSchedule = { schedule: null, feeFreePeriods: [] };
+
+    const scheduleData = await this.executeQuery(
+      "SELECT s.id, s.rate, s.brackets, s.minimum_monthly_fee, s.effective_from, s.effective_to " +
+        "FROM fee_schedules s JOIN api_keys a ON a.user_id = s.user_id " +
+        "WHERE a.id = ? AND (s.api_key_id = a.id OR s.api_key_id IS NULL) " +
+        "AND s.effective_from <= ? AND (s.effective_to IS NULL OR s.effective_to > ?) " +
+        "ORDER BY s.api_key_id IS NULL, s.effective_from DESC LIMIT 1",
+      [apiKeyId, periodEnd, periodEnd]
+    );
+
+    if (
+      scheduleData &&
+      scheduleData.success &&
+      scheduleData.result &&
+      scheduleData.result[0] &&
+      scheduleData.result[0].results &&
+      scheduleData.result[0].results.length > 0
+    ) {
+      feeSchedule.schedule = scheduleData.result[0].results[0];
+    } else {
+      log.info(`No fee schedule found for API key ID ${apiKeyId}`);
+    }
+
+    const feeFreeData = await this.executeQuery(
+      "SELECT f.start_date, f.end_date, f.reason " +
+        "FROM fee_free_periods f JOIN api_keys a ON a.user_id = f.user_id " +
+        "WHERE a.id = ? AND (f.api_key_id = a.id OR f.api_key_id IS NULL) " +
+        "AND f.start_date < ? AND f.end_date > ?",
+      [apiKeyId, periodEnd, periodStart]
+    );
+
+    if (
+      feeFreeData &&
+      feeFreeData.success &&
+      feeFreeData.result &&
+      feeFreeData.result[0] &&
+      feeFreeData.result[0].results
+    ) {
+      feeSchedule.feeFreePeriods = feeFreeData.result[0].results;
+    }
+
+    return feeSchedule;
+  }
+
+  /**
+   * Get the performance fee settings for an API key
+   * A row for the specific key takes precedence over the user's default row.
+   * @param {string} apiKeyId - ID of the API key row
+   * @returns {Promise<Object|null>} Fee settings row or null if not configured
+   * @throws {Error} If the query fails
+   */
+  async getFeeSettings(apiKeyId) {
+    log.info(`Fetching fee settings for API key ID ${apiKeyId}`);
+
+    const data = await this.executeQuery(
+      "SELECT s.fee_rate, s.hurdle_rate, s.include_spot, s.billing_mode FROM fee_settings s " +
+        "JOIN api_keys a ON a.user_id = s.user_id " +
+        "WHERE a.id = ? AND (s.api_key_id = a.id OR s.api_key_id IS NULL) " +
+        "ORDER BY s.api_key_id IS NULL LIMIT 1",
+      [apiKeyId]
+    );
+
+    if (
+      data &&
+      data.success &&
+      data.result &&
+      data.result[0] &&
+      data.result[0].results &&
+      data.result[0].results.length > 0
+    ) {
+      return data.result[0].results[0];
+    }
+
+    log.info(`No fee settings found for API key ID ${apiKeyId}`);
+    return null;
+  }
+
+  /**
+   * Get the most recent performance fee period that ended by the start of
+   * the period being billed
+   * @param {string} apiKeyId - ID of the API key row
+   * @param {string} market - Fee market (spot, perps or inverse)
+   * @param {string} periodStart - ISO start of the period being billed
+   * @returns {Promise<Object|null>} Previous period row or null if none
+   * @throws {Error} If the query fails, so a failed read never resets the
+   *   high-water mark
+   */
+  async getLatestFeePeriod(apiKeyId, market, periodStart) {
+    log.info(
+      `Fetching previous ${market} fee period for API key ID ${apiKeyId}`
+    );
+
+    const data = await this.executeQuery(
+      "SELECT * FROM performance_fee_periods " +
+        "WHERE api_key_id = ? AND market = ? AND period_end <= ? " +
+        "ORDER BY period_end DESC LIMIT 1",
+      [apiKeyId, market, periodStart]
+    );
+
+    if (
+      data &&
+      data.success &&
+      data.result &&
+      data.result[0] &&
+      data.result[0].results &&
+      data.result[0].results.length > 0
+    ) {
+      return data.result[0].results[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a performance fee period recorded for other dates that overlaps the
+   * period being billed. Its PnL is already in the cumulative PnL, so
+   * billing the period would count it twice.
+   * @param {string} apiKeyId - ID of the API key row
+   * @param {string} market - Fee market (spot, perps or inverse)
+   * @param {string} periodStart - ISO start of the period being billed
+   * @param {string} periodEnd - ISO end of the period being billed
+   * @returns {Promise<Object|null>} Overlapping period row or null if none
+   * @throws {Error} If the query fails
+   */
+  async getOverlappingFeePeriod(apiKeyId, market, periodStart, periodEnd) {
+    log.info(
+      `Checking ${market} fee periods overlapping ${periodStart} to ${periodEnd} for API key ID ${apiKeyId}`
+    );
+
+    const data = await this.executeQuery(
+      "SELECT * FROM performance_fee_periods " +
+        "WHERE api_key_id = ? AND market = ? AND period_start < ? AND period_end > ? " +
+        "AND NOT (period_start = ? AND period_end = ?) " +
+        "ORDER BY period_end LIMIT 1",
+      [apiKeyId, market, periodEnd, periodStart, periodStart, periodEnd]
+    );
+
+    if (
+      data &&
+      data.success &&
+      data.result &&
+      data.result[0] &&
+      data.result[0].results &&
+      data.result[0].results.length > 0
+    ) {
+      return data.result[0].results[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the fee result for a period so the next run can build on it.
+   * Re-processing the same period replaces the earlier row.
+   * @param {Object} period - Period details
+   * @param {string} period.apiKeyId - ID of the API key row
+   * @param {string} period.market - Fee market (spot, perps or inverse)
+   * @param {string} period.periodStart - ISO start of the period
+   * @param {string} period.periodEnd - ISO end of the period
+   * @param {Object} period.result - Result of calculatePerformanceFee
+   * @returns {Promise<boolean>} True once the period is recorded
+   * @throws {Error} If the query fails
+   */
+  async recordFeePeriod({ apiKeyId, market, periodStart, periodEnd, result }) {
+    log.info(`Recording ${market} fee period for API key ID ${apiKeyId}`);
+
+    await this.executeQuery(
+      "INSERT INTO performance_fee_periods (api_key_id, market, period_start, period_end, " +
+        "period_pnl, cumulative_pnl, high_water_mark, carried_loss, hurdle_amount, " +
+        "chargeable_pnl, fee_rate, fee, fee_schedule_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) " +
+        "ON CONFLICT (api_key_id, market, period_end) DO UPDATE SET " +
+        "period_start = excluded.period_start, period_pnl = excluded.period_pnl, " +
+        "cumulative_pnl = excluded.cumulative_pnl, high_water_mark = excluded.high_water_mark, " +
+        "carried_loss = excluded.carried_loss, hurdle_amount = excluded.hurdle_amount, " +
+        "chargeable_pnl = excluded.chargeable_pnl, fee_rate = excluded.fee_rate, fee = excluded.fee, " +
+        "fee_schedule_id = excluded.fee_schedule_id",
+      [
+        apiKeyId,
+        market,
+        periodStart,
+        periodEnd,
+        result.periodPnL,
+        result.cumulativePnL,
+        result.highWaterMark,
+        result.carriedLoss,
+        result.hurdleAmount,
+        result.chargeablePnL,
+        result.feeRate,
+        result.fee,
+        result.feeScheduleId,
+      ]
+    );
+    return true;
+  }
+
+  /**
+   * Get the account equity recorded at a billing period boundary
+   * @param {string} apiKeyId - ID of the API key row
+   * @param {string} snapshotAt - ISO period boundary
+   * @returns {Promise<Object|null>} Snapshot row or null if none was recorded
+   * @throws {Error} If the query fails
+   */
+  async getEquitySnapshot(apiKeyId, snapshotAt) {
+    log.info(
+      `Fetching equity snapshot at ${snapshotAt} for API key ID ${apiKeyId}`
+    );
+
+    const data = await this.executeQuery(
+      "SELECT * FROM equity_snapshots WHERE api_key_id = ? AND snapshot_at = ?",
+      [apiKeyId, snapshotAt]
+    );
+
+    if (
+      data &&
+      data.success &&
+      data.result &&
+      data.result[0] &&
+      data.result[0].results &&
+      data.result[0].results.length > 0
+    ) {
+      return data.result[0].results[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the account equity at a billing period boundary.
+   * Re-processing the same period replaces the earlier snapshot.
+   * @param {Object} snapshot - Snapshot details
+   * @param {string} snapshot.apiKeyId - ID of the API key row
+   * @param {string} snapshot.snapshotAt - ISO period boundary
+   * @param {number} snapshot.totalEquity - Total account equity in USD
+   * @param {number} snapshot.unrealisedPnl - Unrealised PnL included in the equity, in USD
+   * @param {string} snapshot.takenAt - ISO time the balance was fetched
+   * @returns {Promise<boolean>} True once the snapshot is recorded
+   * @throws {Error} If the query fails
+   */
+  async recordEquitySnapshot({
+    apiKeyId,
+    snapshotAt,
+    totalEquity,
+    unrealisedPnl,
+    takenAt,
+  }) {
+    log.info(`Recording equity snapshot for API key ID ${apiKeyId}`);
+
+    await this.executeQuery(
+      "INSERT INTO equity_snapshots (api_key_id, snapshot_at, total_equity, unrealised_pnl, taken_at) " +
+        "VALUES (?, ?, ?, ?, ?) ON CONFLICT (api_key_id, snapshot_at) DO UPDATE SET " +
+        "total_equity = excluded.total_equity, unrealised_pnl = excluded.unrealised_pnl, " +
+        "taken_at = excluded.taken_at",
+      [apiKeyId, snapshotAt, totalEquity, unrealisedPnl, takenAt]
+    );
+    return true;
+  }
+
+  /**
+   * Record the start of a billing run. Recording a run that already exists
+   * leaves it unchanged.
+   * @param {Object} run - Run details
+   * @param {string} run.runId - Run ID (the ISO time the run started)
+   * @param {string} run.periodStart - ISO start of the billing period
+   * @param {string} run.periodEnd - ISO end of the billing period
+   * @param {string} run.periodLabel - Human-readable period
+   * @param {string} [run.retryOf] - Run whose failed accounts this run retries
+   * @returns {Promise<boolean>} True once the run is recorded
+   * @throws {Error} If the query fails
+   */
+  async createReportRun({
+    runId,
+    periodStart,
+    periodEnd,
+    periodLabel,
+    retryOf,
+  }) {
+    log.info(`Recording report run ${runId}`);
+
+    await this.executeQuery(
+      "INSERT INTO report_runs (run_id, period_start, period_end, period_label, started_at, retry_of) " +
+        "VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT (run_id) DO NOTHING",
+      [runId, periodStart, periodEnd, periodLabel, runId, retryOf ?? null]
+    );
+    return true;
+  }
+
+  /**
+   * Update the status of a billing run
+   * @param {Object} run - Run details
+   * @param {string} run.runId - Run ID
+   * @param {string} run.status - completed, processed or failed
+   * @param {string} [run.reportFile] - Path of the JSON report
+   * @param {number} [run.accountCount] - Number of accounts in the report
+   * @param {number} [run.failedAccounts] - Number of accounts that failed
+   * @param {number} [run.skippedAccounts] - Number of accounts skipped
+   * @param {string} [run.error] - Error message for a failed run, or the accounts that failed
+   * @returns {Promise<boolean>} True once the run is updated
+   * @throws {Error} If the query fails
+   */
+  async updateReportRun({
+    runId,
+    status,
+    reportFile,
+    accountCount,
+    failedAccounts,
+    skippedAccounts,
+    error,
+  }) {
+    log.info(`Marking report run ${runId} as ${status}`);
+
+    await this.executeQuery(
+      "UPDATE report_runs SET status = ?, report_file = COALESCE(?, report_file), " +
+        "account_count = COALESCE(?, account_count), " +
+        "failed_accounts = COALESCE(?, failed_accounts), " +
+        "skipped_accounts = COALESCE(?, skipped_accounts), " +
+        "error = ?, completed_at = ? " +
+        "WHERE run_id = ?",
+      [
+        status,
+        reportFile ?? null,
+        accountCount ?? null,
+        failedAccounts ?? null,
+        skippedAccounts ?? null,
+        error ?? null,
+        new Date().toISOString(),
+        runId,
+      ]
+    );
+    return true;
+  }
+
+  /**
+   * Get billing runs whose period overlaps a date range
+   * @param {Object} [filter] - Query filter
+   * @param {string} [filter.from] - ISO start of the range
+   * @param {string} [filter.to] - ISO end of the range
+   * @returns {Promise<Array>} Run rows, newest first
+   */
+  async getReportRuns({ from, to } = {}) {
+    log.info("Fetching report runs");
+
+    const conditions = [];
+    const params = [];
+    if (to) {
+      conditions.push("period_start < ?");
+      params.push(to);
+    }
+    if (from) {
+      conditions.push("period_end > ?");
+      params.push(from);
+    }
+
+    try {
+      const data = await this.executeQuery(
+        "SELECT * FROM report_runs" +
+          (conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "") +
+          " ORDER BY started_at DESC",
+        params
+      );
+
+      if (
+        data &&
+        data.success &&
+        data.result &&
+        data.result[0] &&
+        data.result[0].results
+      ) {
+        return data.result[0].results;
+      }
+
       return [];
     } catch (error) {
-      console.error(`Error fetching users with API keys: ${error.message}`);
+      log.error(`Error fetching report runs: ${error.message}`);
       return [];
     }
   }
+
+  /**
+   * Record an account's figures for a billing run.
+   * Re-processing the same run replaces the earlier row.
+   * @param {Object} period - Account period details, amounts in USD
+   * @param {string} period.runId - Run ID
+   * @param {string} period.apiKeyId - ID of the API key row
+   * @param {string} period.periodStart - ISO start of the period
+   * @param {string} period.periodEnd - ISO end of the period
+   * @param {string} period.billingMode - realised or equity
+   * @param {Object} period.markets - Net PnL keyed by fee market
+   * @param {Object} period.totals - Account-wide PnL components
+   * @param {Object} period.flows - Transfers, deposits and withdrawals
+   * @param {Object} period.equityChange - Equity figures from calculateAccountFees
+   * @param {Object} period.fees - Fee result per market
+   * @param {number} period.minimumFeeTopUp - Minimum fee top-up
+   * @param {string|null} period.invoiceNumber - Invoice issued for the period
+   * @returns {Promise<boolean>} True once the row is recorded
+   * @throws {Error} If the query fails
+   */
+  async recordAccountPeriod({
+    runId,
+    apiKeyId,
+    periodStart,
+    periodEnd,
+    billingMode,
+    markets,
+    totals,
+    flows,
+    equityChange,
+    fees,
+    minimumFeeTopUp,
+    invoiceNumber,
+  }) {
+    log.info(`Recording period results for API key ID ${apiKeyId}`);
+
+    const columns = {
+      run_id: runId,
+      api_key_id: apiKeyId,
+      period_start: periodStart,
+      period_end: periodEnd,
+      billing_mode: billingMode,
+      spot_pnl: markets.spot,
+      perps_pnl: markets.perps,
+      inverse_pnl: markets.inverse,
+      gross_pnl: totals.grossPnl,
+      trading_fees: totals.tradingFees,
+      funding: totals.funding,
+      liquidation_penalties: totals.liquidationPenalties,
+      interest: totals.interest,
+      net_pnl: totals.net,
+      transfers: flows.transfers,
+      deposits: flows.deposits,
+      withdrawals: flows.withdrawals,
+      total_equity: equityChange.endEquity,
+      unrealised_pnl: equityChange.unrealisedPnl,
+      equity_change_pnl: equityChange.pnl,
+      modified_dietz_return: equityChange.modifiedDietzReturn,
+      fees: JSON.stringify(fees),
+      total_fee: Object.values(fees).reduce((sum, f) => sum + f.fee, 0),
+      minimum_fee_topup: minimumFeeTopUp,
+      invoice_number: invoiceNumber,
+    };
+    const names = Object.keys(columns);
+
+    await this.executeQuery(
+      `INSERT INTO account_period_pnl (${names.join(", ")}) ` +
+        `VALUES (${names.map(() => "?").join(", ")}) ` +
+        "ON CONFLICT (run_id, api_key_id) DO UPDATE SET " +
+        names
+          .filter((name) => name !== "run_id" && name !== "api_key_id")
+          .map((name) => `${name} = excluded.${name}`)
+          .join(", "),
+      Object.values(columns)
+    );
+    return true;
+  }
+
+  /**
+   * Get recorded account periods for a user or API key, overlapping a date range
+   * @param {Object} [filter] - Query filter
+   * @param {string} [filter.userId] - User ID
+   * @param {string} [filter.apiKeyId] - ID of the API key row
+   * @param {string} [filter.from] - ISO start of the range
+   * @param {string} [filter.to] - ISO end of the range
+   * @returns {Promise<Array>} Period rows with the user's name and email, newest first
+   */
+  async getAccountPeriods({ userId, apiKeyId, from, to } = {}) {
+    log.info("Fetching account periods");
+
+    const { where, params } = buildLedgerFilter("p", {
+      userId,
+      apiKeyId,
+      from,
+      to,
+    });
+
+    try {
+      const data = await this.executeQuery(
+        "SELECT p.*, u.id AS user_id, u.name, u.email FROM account_period_pnl p " +
+          "LEFT JOIN api_keys a ON a.id = p.api_key_id " +
+          "LEFT JOIN users u ON u.id = a.user_id" +
+          where +
+          " ORDER BY p.period_end DESC, p.created_at DESC",
+        params
+      );
+
+      if (
+        data &&
+        data.success &&
+        data.result &&
+        data.result[0] &&
+        data.result[0].results
+      ) {
+        return data.result[0].results;
+      }
+
+      return [];
+    } catch (error) {
+      log.error(`Error fetching account periods: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Record an issued invoice. Re-processing a period updates the invoice only
+   * while it is still issued, so paid and void invoices are never changed.
+   * Other invoices still issued for the same accounts and period, such as one
+   * issued for a single account before the client's other accounts could be
+   * billed, are voided as replaced.
+   * @param {Object} invoice - Invoice details
+   * @param {string} invoice.invoiceNumber - Invoice number
+   * @param {string} invoice.runId - Run the invoice was generated in
+   * @param {string} invoice.apiKeyId - ID of the API key row
+   * @param {Array<string>} [invoice.apiKeyIds] - IDs of every API key row the
+   *   invoice bills; defaults to `apiKeyId`
+   * @param {string} invoice.periodStart - ISO start of the period
+   * @param {string} invoice.periodEnd - ISO end of the period
+   * @param {number} invoice.amountDue - Amount due in USD
+   * @param {string} invoice.issuedAt - ISO issue date
+   * @param {string} invoice.dueAt - ISO due date
+   * @param {string} [invoice.htmlPath] - Path of the HTML invoice
+   * @param {string} [invoice.pdfPath] - Path of the PDF invoice
+   * @returns {Promise<boolean>} True once the invoice is recorded
+   * @throws {Error} If a query fails
+   */
+  async recordInvoice({
+    invoiceNumber,
+    runId,
+    apiKeyId,
+    apiKeyIds = [apiKeyId],
+    periodStart,
+    periodEnd,
+    amountDue,
+    issuedAt,
+    dueAt,
+    htmlPath,
+    pdfPath,
+  }) {
+    log.info(`Recording invoice ${invoiceNumber}`);
+
+    await this.executeQuery(
+      "INSERT INTO invoices (invoice_number, run_id, api_key_id, period_start, period_end, " +
+        "amount_due, issued_at, due_at, html_path, pdf_path) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) " +
+        "ON CONFLICT (invoice_number) DO UPDATE SET run_id = excluded.run_id, " +
+        "amount_due = excluded.amount_due, issued_at = excluded.issued_at, due_at = excluded.due_at, " +
+        "html_path = excluded.html_path, pdf_path = excluded.pdf_path, updated_at = datetime('now') " +
+        "WHERE invoices.status = 'issued'",
+      [
+        invoiceNumber,
+        runId,
+        apiKeyId,
+        periodStart,
+        periodEnd,
+        amountDue,
+        issuedAt,
+        dueAt,
+        htmlPath ?? null,
+        pdfPath ?? null,
+      ]
+    );
+
+    const replaced = await this.executeQuery(
+      "UPDATE invoices SET status = 'void', voided_at = ?, notes = ?, updated_at = datetime('now') " +
+        `WHERE api_key_id IN (${apiKeyIds.map(() => "?").join(", ")}) ` +
+        "AND period_start = ? AND period_end = ? AND invoice_number <> ? AND status = 'issued'",
+      [
+        new Date().toISOString(),
+        `Replaced by ${invoiceNumber}`,
+        ...apiKeyIds.map(String),
+        periodStart,
+        periodEnd,
+        invoiceNumber,
+      ]
+    );
+    const changes = replaced?.result?.[0]?.meta?.changes || 0;
+    if (changes) {
+      log.info(`Voided ${changes} invoices replaced by ${invoiceNumber}`);
+    }
+    return true;
+  }
+
+  /**
+   * Get an invoice by its number
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {Promise<Object|null>} Invoice row or null if none was recorded
+   * @throws {Error} If the query fails, so an invoice of unknown status is
+   *   never re-issued
+   */
+  async getInvoice(invoiceNumber) {
+    log.info(`Fetching invoice ${invoiceNumber}`);
+
+    const data = await this.executeQuery(
+      "SELECT * FROM invoices WHERE invoice_number = ?",
+      [invoiceNumber]
+    );
+
+    if (
+      data &&
+      data.success &&
+      data.result &&
+      data.result[0] &&
+      data.result[0].results &&
+      data.result[0].results.length > 0
+    ) {
+      return data.result[0].results[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Get invoices for a user or API key, overlapping a date range
+   * @param {Object} [filter] - Query filter
+   * @param {string} [filter.userId] - User ID
+   * @param {string} [filter.apiKeyId] - ID of the API key row
+   * @param {string} [filter.from] - ISO start of the range
+   * @param {string} [filter.to] - ISO end of the range
+   * @param {string} [filter.status] - issued, paid or void
+   * @returns {Promise<Array>} Invoice rows with the user's name and email, newest first
+   */
+  async getInvoices({ userId, apiKeyId, from, to, status } = {}) {
+    log.info("Fetching invoices");
+
+    const { where, params } = buildLedgerFilter("i", {
+      userId,
+      apiKeyId,
+      from,
+      to,
+      status,
+    });
+
+    try {
+      const data = await this.executeQuery(
+        "SELECT i.*, u.id AS user_id, u.name, u.email FROM invoices i " +
+          "LEFT JOIN api_keys a ON a.id = i.api_key_id " +
+          "LEFT JOIN users u ON u.id = a.user_id" +
+          where +
+          " ORDER BY i.period_end DESC, i.invoice_number",
+        params
+      );
+
+      if (
+        data &&
+        data.success &&
+        data.result &&
+        data.result[0] &&
+        data.result[0].results
+      ) {
+        return data.result[0].results;
+      }
+
+      return [];
+    } catch (error) {
+      log.error(`Error fetching invoices: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Mark an issued invoice as paid or void
+   * @param {string} invoiceNumber - Invoice number
+   * @param {string} status - paid or void
+   * @param {Object} [details] - Status details
+   * @param {string} [details.at] - ISO time of the payment or cancellation
+   * @param {string} [details.notes] - Note to store with the invoice
+   * @returns {Promise<boolean>} True if an issued invoice was updated
+   */
+  async setInvoiceStatus(invoiceNumber, status, { at, notes } = {}) {
+    log.info(`Marking invoice ${invoiceNumber} as ${status}`);
+
+    const dateColumn = { paid: "paid_at", void: "voided_at" }[status];
+    if (!dateColumn) {
+      throw new Error(`Invalid invoice status: ${status}`);
+    }
+
+    try {
+      const data = await this.executeQuery(
+        `UPDATE invoices SET status = ?, ${dateColumn} = ?, notes = COALESCE(?, notes), ` +
+          "updated_at = datetime('now') WHERE invoice_number = ? AND status = 'issued'",
+        [status, at || new Date().toISOString(), notes ?? null, invoiceNumber]
+      );
+
+      const changes = data?.result?.[0]?.meta?.changes || 0;
+      if (!changes) {
+        log.info(`No issued invoice ${invoiceNumber} found`);
+      }
+      return changes > 0;
+    } catch (error) {
+      log.error(`Error updating invoice ${invoiceNumber}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get the time range of a bill stream already saved in the bill store
+   * @param {string} apiKeyId - ID of the API key row
+   * @param {string} stream - Bills filter as a query string, e.g. "instType=SWAP"
+   * @returns {Promise<{syncedFrom: number, syncedTo: number}|null>} Synced range in Unix ms, or null if never synced
+   * @throws {Error} If the query fails
+   */
+  async getBillCursor(apiKeyId, stream) {
+    log.debug(`Fetching bill cursor for API key ID ${apiKeyId}`, { stream });
+
+    const data = await this.executeQuery(
+      "SELECT synced_from, synced_to FROM bill_sync_cursors WHERE api_key_id = ? AND stream = ?",
+      [apiKeyId, stream]
+    );
+    const row = data?.result?.[0]?.results?.[0];
+    return row
+      ? { syncedFrom: Number(row.synced_from), syncedTo: Number(row.synced_to) }
+      : null;
+  }
+
+  /**
+   * Save bills to the bill store. Bills already saved are left unchanged.
+   * @param {Object} details - Bills to save
+   * @param {string} details.apiKeyId - ID of the API key row
+   * @param {string} details.stream - Bills filter as a query string
+   * @param {Array<Object>} details.bills - Raw OKX bill records
+   * @returns {Promise<number>} Number of new bills saved
+   * @throws {Error} If a query fails
+   */
+  async saveBills({ apiKeyId, stream, bills }) {
+    log.info(`Saving ${bills.length} bills for API key ID ${apiKeyId}`, {
+      stream,
+    });
+
+    // D1 allows at most 100 bound parameters per query
+    const batchSize = 20;
+    let saved = 0;
+    for (let i = 0; i < bills.length; i += batchSize) {
+      const batch = bills.slice(i, i + batchSize);
+      const data = await this.executeQuery(
+        "INSERT INTO bills (api_key_id, stream, bill_id, ts, data) VALUES " +
+          batch.map(() => "(?, ?, ?, ?, ?)").join(", ") +
+          " ON CONFLICT (api_key_id, stream, bill_id) DO NOTHING",
+        batch.flatMap((bill) => [
+          apiKeyId,
+          stream,
+          bill.billId,
+          parseInt(bill.ts),
+          JSON.stringify(bill),
+        ])
+      );
+      saved += data?.result?.[0]?.meta?.changes || 0;
+    }
+    return saved;
+  }
+
+  /**
+   * Set the time range of a bill stream saved in the bill store
+   * @param {Object} cursor - Cursor details
+   * @param {string} cursor.apiKeyId - ID of the API key row
+   * @param {string} cursor.stream - Bills filter as a query string
+   * @param {number} cursor.syncedFrom - Start of the synced range in Unix ms
+   * @param {number} cursor.syncedTo - End of the synced range in Unix ms
+   * @returns {Promise<void>}
+   * @throws {Error} If the query fails
+   */
+  async updateBillCursor({ apiKeyId, stream, syncedFrom, syncedTo }) {
+    log.debug(`Updating bill cursor for API key ID ${apiKeyId}`, {
+      stream,
+      syncedFrom: new Date(syncedFrom).toISOString(),
+      syncedTo: new Date(syncedTo).toISOString(),
+    });
+
+    await this.executeQuery(
+      "INSERT INTO bill_sync_cursors (api_key_id, stream, synced_from, synced_to) VALUES (?, ?, ?, ?) " +
+        "ON CONFLICT (api_key_id, stream) DO UPDATE SET synced_from = excluded.synced_from, " +
+        "synced_to = excluded.synced_to, updated_at = datetime('now')",
+      [apiKeyId, stream, syncedFrom, syncedTo]
+    );
+  }
+
+  /**
+   * Get bills saved in the bill store within a time range
+   * @param {Object} range - Bills to get
+   * @param {string} range.apiKeyId - ID of the API key row
+   * @param {string} range.stream - Bills filter as a query string
+   * @param {number} range.from - Inclusive start in Unix ms
+   * @param {number} range.to - Exclusive end in Unix ms
+   * @returns {Promise<Array<Object>>} Raw OKX bill records, newest first
+   * @throws {Error} If the query fails
+   */
+  async getStoredBills({ apiKeyId, stream, from, to }) {
+    log.debug(`Fetching stored bills for API key ID ${apiKeyId}`, { stream });
+
+    const data = await this.executeQuery(
+      "SELECT data FROM bills WHERE api_key_id = ? AND stream = ? AND ts >= ? AND ts < ? " +
+        "ORDER BY ts DESC, bill_id DESC",
+      [apiKeyId, stream, from, to]
+    );
+    return (data?.result?.[0]?.results || []).map((row) =>
+      JSON.parse(row.data)
+    );
+  }
+}
+
+/**
+ * Client for interacting with Cloudflare D1 database
+ * @class
+ * @extends DatabaseClient
+ */
+class CloudflareD1Client extends DatabaseClient {
+  /**
+   * Create a CloudflareD1Client instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.accountId - Cloudflare account ID
+   * @param {string} config.databaseId - D1 database ID
+   * @param {string} config.apiToken - Cloudflare API token
+   * @param {string} [config.apiUrl] - Cloudflare API base URL
+   */
+  constructor(config) {
+    super();
+    this.accountId = config.accountId;
+    this.databaseId = config.databaseId;
+    this.apiToken = config.apiToken;
+    const apiUrl = config.apiUrl || "https://api.cloudflare.com/client/v4";
+    this.baseUrl = `${apiUrl}/accounts/${config.accountId}/d1/database/${config.databaseId}`;
+  }
+
+  /**
+   * Execute a SQL query on the D1 database
+   * @param {string} query - SQL query to execute
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} Query results
+   * @throws {Error} If the query fails
+   */
+  async executeQuery(query, params = []) {
+    try {
+      // Parameters and results may contain secrets, so only counts are logged
+      log.debug("Executing query", { query, params: params.length });
+
+      const response = await fetch(`${this.baseUrl}/query`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${this.apiToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          sql: query,
+          params: params,
+        }),
+      });
+
+      const data = await response.json();
+
+      log.debug("Query returned", {
+        rows: data.result?.[0]?.results?.length ?? 0,
+      });
+
+      if (!data.success) {
+        throw new Error(
+          `Database query failed: ${JSON.stringify(data.errors)}`
+        );
+      }
+
+      return data;
+    } catch (error) {
+      log.error(`Database error: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Client for a local SQLite database file
+ * @class
+ * @extends DatabaseClient
+ */
+class SqliteClient extends DatabaseClient {
+  /**
+   * Create a SqliteClient instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.path - Path of the database file
+   */
+  constructor(config) {
+    super();
+    // Loaded here so D1 deployments don't need the native module
+    const Database = require("better-sqlite3");
+    this.path = config.path;
+    this.db = new Database(config.path);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+  }
+
+  /**
+   * Execute a SQL query on the SQLite database
+   * @param {string} query - SQL query to execute
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} Query results in the D1 response shape
+   * @throws {Error} If the query fails
+   */
+  async executeQuery(query, params = []) {
+    try {
+      // Parameters and results may contain secrets, so only counts are logged
+      log.debug("Executing query", { query, params: params.length });
+
+      // SQLite has no boolean or undefined parameter types, and whole
+      // numbers must be bound as integers so text columns store "1", not "1.0"
+      const values = params.map((value) => {
+        if (value === undefined) return null;
+        if (typeof value === "boolean") return value ? 1 : 0;
+        if (Number.isSafeInteger(value)) return BigInt(value);
+        return value;
+      });
+
+      const statement = this.db.prepare(query);
+      if (statement.reader) {
+        return {
+          success: true,
+          result: [{ results: statement.all(...values), meta: {} }],
+        };
+      }
+
+      const info = statement.run(...values);
+      return {
+        success: true,
+        result: [
+          {
+            results: [],
+            meta: {
+              changes: info.changes,
+              last_row_id: Number(info.lastInsertRowid),
+            },
+          },
+        ],
+      };
+    } catch (error) {
+      log.error(`Database error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a script of several SQL statements, such as a migration
+   * @param {string} sql - SQL statements
+   */
+  executeScript(sql) {
+    this.db.exec(sql);
+  }
+
+  /**
+   * Close the database file
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create the database client for the backend selected by DB_BACKEND
+ * (`d1`, the default, or `sqlite`)
+ * @param {Object} env - Environment variables
+ * @returns {DatabaseClient} Database client
+ * @throws {Error} If the backend is unknown
+ */
+function createDbClient(env) {
+  const backend = (env.DB_BACKEND || "d1").toLowerCase();
+
+  switch (backend) {
+    case "d1":
+      return new CloudflareD1Client({
+        accountId: env.CLOUDFLARE_ACCOUNT_ID,
+        databaseId: env.CLOUDFLARE_DATABASE_ID,
+        apiToken: env.CLOUDFLARE_API_TOKEN,
+        apiUrl: env.CLOUDFLARE_API_URL,
+      });
+    case "sqlite":
+      return new SqliteClient({
+        path: env.SQLITE_PATH || path.join(__dirname, "billing.sqlite"),
+      });
+    default:
+      throw new Error(
+        `Unknown DB_BACKEND "${env.DB_BACKEND}"; expected d1 or sqlite`
+      );
+  }
 }
 
 // Create and export the database client instance
-const dbClient = new CloudflareD1Client({
-  accountId: process.env.CLOUDFLARE_ACCOUNT_ID,
-  databaseId: process.env.CLOUDFLARE_DATABASE_ID,
-  apiToken: process.env.CLOUDFLARE_API_TOKEN,
-});
+const dbClient = createDbClient(process.env);
 
 module.exports = {
+  DatabaseClient,
+  CloudflareD1Client,
+  SqliteClient,
+  createDbClient,
   dbClient,
 };
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Interface between the billing scripts and an exchange. Each
+ * supported exchange has an adapter that fetches an account's config,
+ * balances, open positions, bills and deposits and withdrawals for a billing
+ * period. Adapters return everything in OKX's shape, which the PnL, flow and
+ * equity summaries already read: bills carry OKX bill types, instrument types
+ * and instrument IDs (e.g. type "2" on SWAP BTC-USDT-SWAP), so every exchange
+ * is classified and billed by the same code.
+ */
+
+const {
+  isUsdCurrency,
+  getBillUsdPrice,
+  applyUsdPrice,
+} = require("./usd-conversion");
+const { createLogger } = require("./logger");
+
+const log = createLogger("exchange-adapter");
+
+/**
+ * Formats a bills filter as query string parameters
+ * @param {Object} filter - Bills filter (e.g., { instType: 'SWAP' })
+ * @returns {string} - Query string parameters
+ */
+function formatBillsFilter(filter) {
+  return Object.entries(filter)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+}
+
+/**
+ * Exchange account behind the billing scripts. Responses have OKX's
+ * `{ code, msg, data }` shape. getBills and getFlows report a failed request
+ * as `{ error }`, so one failed bill stream does not lose the others; the
+ * other methods throw.
+ * @class
+ */
+class ExchangeAdapter {
+  /**
+   * Create an ExchangeAdapter instance
+   * @param {string} name - Exchange name as shown on reports (e.g., 'OKX')
+   * @param {Object} [credentials] - API credentials
+   * @param {string} credentials.apiKey - API key
+   * @param {string} credentials.secretKey - API secret key
+   */
+  constructor(name, credentials = {}) {
+    this.name = name;
+    this.credentials = credentials;
+  }
+
+  /**
+   * Check whether the credentials the exchange needs are all set
+   * @returns {boolean} True if requests can be signed
+   */
+  hasCredentials() {
+    return Boolean(this.credentials.apiKey && this.credentials.secretKey);
+  }
+
+  /**
+   * Get the account configuration
+   * @returns {Promise<Object>} Response with the account config in `data[0]`
+   * @throws {Error} If the request fails or the adapter does not implement it
+   */
+  async getAccountInfo() {
+    throw new Error(
+      `${this.constructor.name} does not implement getAccountInfo`
+    );
+  }
+
+  /**
+   * Get the account balance
+   * @returns {Promise<Object>} Response with `totalEq`, optional account-wide
+   *   `upl` and per-currency `details` (ccy, eq, eqUsd, availBal, frozenBal,
+   *   upl) in `data[0]`
+   * @throws {Error} If the request fails or the adapter does not implement it
+   */
+  async getBalances() {
+    throw new Error(`${this.constructor.name} does not implement getBalances`);
+  }
+
+  /**
+   * Get open positions
+   * @returns {Promise<Object>} Response with positions (instType, instId,
+   *   pos, avgPx, upl) in `data`
+   * @throws {Error} If the request fails or the adapter does not implement it
+   */
+  async getPositions() {
+    throw new Error(`${this.constructor.name} does not implement getPositions`);
+  }
+
+  /**
+   * Get bills matching a filter within a billing period
+   * @param {Object} filter - { instType } with an OKX instrument type, or
+   *   { type: BILL_TYPES.TRANSFER } for trading account transfers
+   * @param {string} description - Description for logging
+   * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+   * @returns {Promise<Object>} Bills response, newest first, with the date
+   *   range covered by each source; `error` if a request failed
+   */
+  async getBills(filter, description, period) {
+    return {
+      error: `${this.constructor.name} does not implement getBills`,
+    };
+  }
+
+  /**
+   * Get deposits, withdrawals and funding account bills for a billing period
+   * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+   * @returns {Promise<Object>} Responses keyed by flow (deposits, withdrawals,
+   *   fundingBills); each holds `data` or `error`
+   */
+  async getFlows(period) {
+    const error = `${this.constructor.name} does not implement getFlows`;
+    return {
+      deposits: { error },
+      withdrawals: { error },
+      fundingBills: { error },
+    };
+  }
+
+  /**
+   * Get the USD price of a currency at a point in time
+   * @param {string} ccy - Currency code (e.g., 'BTC')
+   * @param {number} ts - Timestamp in milliseconds
+   * @returns {Promise<number>} USD price
+   * @throws {Error} If no price is available or the adapter does not implement it
+   */
+  async getUsdPriceAt(ccy, ts) {
+    throw new Error(
+      `${this.constructor.name} does not implement getUsdPriceAt`
+    );
+  }
+
+  /**
+   * Values bills settled in coins in USD, using the price on the bill where
+   * available and the exchange's price at bill time otherwise
+   * @param {Object} bills - Bills response (bill records are updated in place)
+   * @returns {Promise<Object>} - The bills response
+   */
+  async convertBillsToUsd(bills) {
+    if (!bills?.data) return bills;
+
+    for (const bill of bills.data) {
+      if (isUsdCurrency(bill.ccy)) continue;
+
+      const billPrice = getBillUsdPrice(bill);
+      if (billPrice) {
+        applyUsdPrice(bill, billPrice.price, billPrice.source);
+        continue;
+      }
+
+      try {
+        const price = await this.getUsdPriceAt(bill.ccy, parseInt(bill.ts));
+        applyUsdPrice(bill, price, "index-candle");
+      } catch (error) {
+        log.error("Error getting USD price for bill", {
+          exchange: this.name,
+          billId: bill.billId || bill.depId || bill.wdId,
+          error: error.message,
+        });
+      }
+    }
+
+    return bills;
+  }
+}
+
+module.exports = {
+  ExchangeAdapter,
+  formatBillsFilter,
+};
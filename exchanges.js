@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Exchanges the billing scripts support, and the adapter for
+ * each. API key rows name their exchange in `api_keys.exchange`, matched
+ * case-insensitively.
+ */
+
+const { OkxAdapter } = require("./okx-adapter");
+const { BybitAdapter } = require("./bybit-adapter");
+
+/**
+ * Supported exchanges, as stored in `api_keys.exchange`
+ * @type {Array<string>}
+ */
+const EXCHANGES = ["OKX", "BYBIT"];
+
+/**
+ * Normalise an exchange name for matching
+ * @param {string} [exchange] - Exchange name of an API key row
+ * @returns {string} Upper-case exchange name; OKX for rows without one
+ */
+function getExchangeKey(exchange) {
+  return String(exchange || "OKX").toUpperCase();
+}
+
+/**
+ * Check whether an exchange is supported
+ * @param {string} [exchange] - Exchange name of an API key row
+ * @returns {boolean} True if an adapter exists for it
+ */
+function isSupportedExchange(exchange) {
+  return EXCHANGES.includes(getExchangeKey(exchange));
+}
+
+/**
+ * Create the exchange adapter for an API key row
+ * @param {Object} user - User and API key row, with `master` set for OKX
+ *   sub-accounts
+ * @returns {ExchangeAdapter} Adapter bound to the row's credentials
+ * @throws {Error} If the row's exchange is not supported
+ */
+function createExchangeAdapter(user) {
+  const credentials = {
+    apiKey: user.api_key,
+    secretKey: user.secret_key,
+    passphrase: user.passphrase,
+  };
+
+  switch (getExchangeKey(user.exchange)) {
+    case "OKX":
+      return new OkxAdapter(credentials, {
+        // Sub-account balances are read through the master key
+        master: user.master
+          ? {
+              apiKey: user.master.api_key,
+              secretKey: user.master.secret_key,
+              passphrase: user.master.passphrase,
+            }
+          : undefined,
+        subAccount: user.sub_account,
+      });
+    case "BYBIT":
+      return new BybitAdapter(credentials);
+    default:
+      throw new Error(
+        `Unsupported exchange "${
+          user.exchange
+        }"; expected one of ${EXCHANGES.join(", ")}`
+      );
+  }
+}
+
+module.exports = {
+  EXCHANGES,
+  getExchangeKey,
+  isSupportedExchange,
+  createExchangeAdapter,
+};
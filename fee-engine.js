@@ -0,0 +1,311 @@
+/**
+ * @fileoverview High-water-mark performance fee engine.
+ * Fees are charged only on net new profit above the highest cumulative PnL
+ * already billed, so losses from earlier periods are carried forward and must
+ * be recovered before a client is charged again.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Average length of a calendar month
+const MONTH_DAYS = 365.25 / 12;
+
+/**
+ * How performance is measured for a billing period
+ * @enum {string}
+ */
+const BILLING_MODES = Object.freeze({
+  // Net realised PnL per fee market, from bills
+  REALISED: "realised",
+  // Change in total account equity, including unrealised PnL
+  EQUITY: "equity",
+});
+
+/**
+ * Fee settings applied when a user has no row in `fee_settings` and no
+ * `fee_schedules` entry
+ * @type {Object}
+ */
+const DEFAULT_FEE_SETTINGS = Object.freeze({
+  feeRate: 0.25,
+  hurdleRate: 0,
+  includeSpot: false,
+  brackets: Object.freeze([]),
+  minimumMonthlyFee: 0,
+  feeScheduleId: null,
+  billingMode: BILLING_MODES.REALISED,
+});
+
+/**
+ * Parse the JSON brackets column of a fee schedule
+ * @param {string|Array|null} brackets - Stored brackets
+ * @returns {Array<{upTo: number|null, rate: number}>} Brackets sorted by upper bound
+ * @throws {Error} If the brackets are not valid JSON
+ */
+function parseBrackets(brackets) {
+  if (!brackets) return [];
+
+  const parsed = typeof brackets === "string" ? JSON.parse(brackets) : brackets;
+  return parsed
+    .map((bracket) => ({
+      upTo:
+        bracket.upTo === null || bracket.upTo === undefined
+          ? null
+          : parseFloat(bracket.upTo),
+      rate: parseFloat(bracket.rate),
+    }))
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+}
+
+/**
+ * Merge a stored fee settings row and fee schedule with the defaults.
+ * The schedule's rate takes precedence over `fee_settings.fee_rate`.
+ * @param {Object|null} row - Row from the `fee_settings` table
+ * @param {Object|null} [schedule] - Row from the `fee_schedules` table
+ * @returns {Object} Fee settings
+ */
+function resolveFeeSettings(row, schedule = null) {
+  const settings = { ...DEFAULT_FEE_SETTINGS };
+
+  if (row) {
+    if (row.fee_rate !== null && row.fee_rate !== undefined) {
+      settings.feeRate = parseFloat(row.fee_rate);
+    }
+    if (row.hurdle_rate !== null && row.hurdle_rate !== undefined) {
+      settings.hurdleRate = parseFloat(row.hurdle_rate);
+    }
+    settings.includeSpot = Boolean(row.include_spot);
+    if (Object.values(BILLING_MODES).includes(row.billing_mode)) {
+      settings.billingMode = row.billing_mode;
+    }
+  }
+
+  if (schedule) {
+    settings.feeRate = parseFloat(schedule.rate);
+    settings.brackets = parseBrackets(schedule.brackets);
+    settings.minimumMonthlyFee = parseFloat(schedule.minimum_monthly_fee || 0);
+    settings.feeScheduleId = schedule.id;
+  }
+
+  return settings;
+}
+
+/**
+ * Apply marginal fee brackets to a chargeable amount. Any amount above the
+ * last bracket is charged at the base rate.
+ * @param {number} amount - Chargeable profit
+ * @param {number} rate - Base fee rate
+ * @param {Array<{upTo: number|null, rate: number}>} brackets - Sorted brackets
+ * @returns {number} Fee
+ */
+function calculateTieredFee(amount, rate, brackets) {
+  if (amount <= 0) return 0;
+  if (!brackets.length) return amount * rate;
+
+  let fee = 0;
+  let lowerBound = 0;
+  for (const bracket of brackets) {
+    const upperBound = bracket.upTo === null ? Infinity : bracket.upTo;
+    if (amount <= lowerBound) break;
+
+    fee += (Math.min(amount, upperBound) - lowerBound) * bracket.rate;
+    lowerBound = upperBound;
+  }
+
+  if (amount > lowerBound) {
+    fee += (amount - lowerBound) * rate;
+  }
+
+  return fee;
+}
+
+/**
+ * Work out what fraction of a billing period falls inside fee-free periods
+ * @param {string} periodStart - ISO start of the billing period
+ * @param {string} periodEnd - ISO end of the billing period
+ * @param {Array<{start_date: string, end_date: string}>} feeFreePeriods - Fee-free periods
+ * @returns {number} Fraction between 0 and 1
+ */
+function getFeeFreeFraction(periodStart, periodEnd, feeFreePeriods) {
+  const start = new Date(periodStart).getTime();
+  const end = new Date(periodEnd).getTime();
+  if (!feeFreePeriods?.length || end <= start) return 0;
+
+  // Clip to the billing period and merge overlapping ranges
+  const ranges = feeFreePeriods
+    .map((p) => [
+      Math.max(start, new Date(p.start_date).getTime()),
+      Math.min(end, new Date(p.end_date).getTime()),
+    ])
+    .filter(([from, to]) => to > from)
+    .sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    const clippedFrom = Math.max(from, cursor);
+    if (to > clippedFrom) {
+      covered += to - clippedFrom;
+      cursor = to;
+    }
+  }
+
+  return covered / (end - start);
+}
+
+/**
+ * Measure a billing period in months, for amounts set per month such as the
+ * minimum fee and the hurdle rate. Calendar months are at least 28 days long,
+ * so longer periods count as the nearest whole number of months (a quarter
+ * is three); shorter periods are pro-rated at 30 days a month.
+ * @param {string} periodStart - ISO start of the billing period
+ * @param {string} periodEnd - ISO end of the billing period
+ * @returns {number} Length of the period in months
+ */
+function getPeriodMonths(periodStart, periodEnd) {
+  const periodDays =
+    (new Date(periodEnd).getTime() - new Date(periodStart).getTime()) / DAY_MS;
+  return periodDays >= 28
+    ? Math.max(1, Math.round(periodDays / MONTH_DAYS))
+    : periodDays / 30;
+}
+
+/**
+ * Calculate the top-up needed to bring a period's fees up to the schedule's
+ * minimum monthly fee, pro-rated by period length and fee-free time
+ * @param {number} totalFee - Fees already charged for the period
+ * @param {Object} settings - Resolved fee settings
+ * @param {string} periodStart - ISO start of the billing period
+ * @param {string} periodEnd - ISO end of the billing period
+ * @param {number} feeFreeFraction - Fraction of the period that is fee-free
+ * @returns {number} Top-up amount
+ */
+function calculateMinimumFeeTopUp(
+  totalFee,
+  settings,
+  periodStart,
+  periodEnd,
+  feeFreeFraction
+) {
+  if (!settings.minimumMonthlyFee) return 0;
+
+  const minimumFee =
+    settings.minimumMonthlyFee *
+    getPeriodMonths(periodStart, periodEnd) *
+    (1 - feeFreeFraction);
+
+  return Math.max(0, minimumFee - totalFee);
+}
+
+/**
+ * Measure performance as the change in account equity, excluding money moved
+ * in or out. Equity is marked to market, so open positions count in full.
+ * @param {Object} params - Equity figures in USD
+ * @param {number} params.startEquity - Total equity at the start of the period
+ * @param {number} params.endEquity - Total equity at the end of the period
+ * @param {number} [params.netTransfers=0] - Net amount transferred in (negative for withdrawals)
+ * @returns {number} Performance for the period
+ */
+function calculateEquityChangePnL({
+  startEquity,
+  endEquity,
+  netTransfers = 0,
+}) {
+  return endEquity - startEquity - netTransfers;
+}
+
+/**
+ * Split the capital the hurdle is measured against across fee markets in
+ * proportion to their profit for the period, so the account clears one
+ * hurdle on its capital rather than one per market
+ * @param {number} capital - Account capital at the start of the period
+ * @param {Object} periodPnL - Period PnL keyed by fee market
+ * @param {Array<string>} markets - Fee markets billed
+ * @returns {Object} Hurdle capital keyed by fee market
+ */
+function allocateHurdleCapital(capital, periodPnL, markets) {
+  const profits = markets.map((market) => Math.max(0, periodPnL[market] || 0));
+  const totalProfit = profits.reduce((sum, profit) => sum + profit, 0);
+
+  return Object.fromEntries(
+    markets.map((market, i) => [
+      market,
+      totalProfit > 0 ? (Math.max(0, capital) * profits[i]) / totalProfit : 0,
+    ])
+  );
+}
+
+/**
+ * Calculate the performance fee for one market over one billing period.
+ * The high-water mark rises to the cumulative PnL whenever it is exceeded,
+ * including profit that was not charged because it fell within the hurdle or
+ * a fee-free period: the hurdle and fee-free periods waive that profit for
+ * good rather than deferring its fee to a later period.
+ * @param {Object} params - Calculation inputs
+ * @param {number} params.periodPnL - Performance for the period (realised or equity change)
+ * @param {number} [params.capital=0] - Capital base the hurdle is measured against
+ * @param {number} [params.periodMonths=1] - Length of the period in months,
+ *   from getPeriodMonths; the hurdle rate is a monthly rate
+ * @param {Object|null} [params.previousPeriod] - Row recorded for the previous period
+ * @param {Object} params.settings - Resolved fee settings
+ * @param {number} [params.feeFreeFraction=0] - Fraction of the period that is fee-free
+ * @returns {Object} Fee result and the high-water-mark state to carry forward
+ */
+function calculatePerformanceFee({
+  periodPnL,
+  capital = 0,
+  periodMonths = 1,
+  previousPeriod = null,
+  settings,
+  feeFreeFraction = 0,
+}) {
+  const previousCumulative = previousPeriod
+    ? parseFloat(previousPeriod.cumulative_pnl)
+    : 0;
+  const previousHighWaterMark = previousPeriod
+    ? parseFloat(previousPeriod.high_water_mark)
+    : 0;
+
+  const cumulativePnL = previousCumulative + periodPnL;
+  const profitAboveMark = Math.max(0, cumulativePnL - previousHighWaterMark);
+
+  // Hard hurdle: only profit above the period's hurdle amount is chargeable
+  const hurdleAmount =
+    Math.max(0, capital) * settings.hurdleRate * periodMonths;
+  const chargeablePnL = Math.max(0, profitAboveMark - hurdleAmount);
+
+  // Raised by all profit above the mark, charged or not (see above)
+  const highWaterMark = Math.max(previousHighWaterMark, cumulativePnL);
+  const grossFee = calculateTieredFee(
+    chargeablePnL,
+    settings.feeRate,
+    settings.brackets
+  );
+
+  return {
+    periodPnL,
+    cumulativePnL,
+    previousHighWaterMark,
+    highWaterMark,
+    carriedLoss: highWaterMark - cumulativePnL,
+    hurdleAmount,
+    chargeablePnL,
+    feeRate: settings.feeRate,
+    feeScheduleId: settings.feeScheduleId,
+    waivedFee: grossFee * feeFreeFraction,
+    fee: grossFee * (1 - feeFreeFraction),
+  };
+}
+
+module.exports = {
+  BILLING_MODES,
+  DEFAULT_FEE_SETTINGS,
+  parseBrackets,
+  resolveFeeSettings,
+  calculateTieredFee,
+  getFeeFreeFraction,
+  getPeriodMonths,
+  calculateMinimumFeeTopUp,
+  calculateEquityChangePnL,
+  allocateHurdleCapital,
+  calculatePerformanceFee,
+};
@@ -0,0 +1,702 @@
+/**
+ * @fileoverview Per-client invoice generation.
+ * Each account's fee calculation is turned into an invoice and written to the
+ * dated output folder as HTML and as a PDF rendered locally with PDFKit.
+ * Clients with accounts on several exchanges get one invoice combining them,
+ * with a section per account. Issuer details and payment instructions come
+ * from the environment.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { BILLING_TIME_ZONE } = require("./billing-period");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DUE_DAYS = 14;
+
+// Fee markets in the order they appear on an invoice
+const MARKET_LABELS = {
+  spot: "Spot & margin",
+  perps: "USDT/USDC-margined derivatives",
+  inverse: "Coin-margined derivatives",
+  account: "Whole account (equity change)",
+};
+
+/**
+ * Get the invoice issuer and payment details from the environment
+ * @returns {Object} Issuer name, address lines, payment instructions and payment terms
+ */
+function getInvoiceConfig() {
+  const dueDays = parseInt(process.env.INVOICE_DUE_DAYS, 10);
+  return {
+    issuerName: process.env.INVOICE_ISSUER_NAME || "OKX Billing",
+    issuerAddress: (process.env.INVOICE_ISSUER_ADDRESS || "")
+      .split("|")
+      .filter(Boolean),
+    paymentInstructions: (
+      process.env.INVOICE_PAYMENT_INSTRUCTIONS ||
+      "Please contact us for payment details."
+    )
+      .split("|")
+      .filter(Boolean),
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX || "INV",
+    dueDays: dueDays >= 0 ? dueDays : DEFAULT_DUE_DAYS,
+  };
+}
+
+/**
+ * Format a date in Irish time for an invoice (e.g., 31 Mar 2025)
+ * @param {string|number|Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatInvoiceDate(date) {
+  return new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: BILLING_TIME_ZONE,
+  });
+}
+
+/**
+ * Format a USD amount (e.g., $1,234.56 or -$12.00)
+ * @param {number} amount - Amount in USD
+ * @returns {string} Formatted amount
+ */
+function formatUsd(amount) {
+  const formatted = Math.abs(amount).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${amount < 0 ? "-" : ""}$${formatted}`;
+}
+
+/**
+ * Format a fee rate as a percentage (e.g., 25%)
+ * @param {number} rate - Fee rate as a fraction
+ * @returns {string} Formatted rate
+ */
+function formatRate(rate) {
+  return `${parseFloat((rate * 100).toFixed(4))}%`;
+}
+
+/**
+ * Build an invoice number from the Irish date the period starts on and the
+ * API key row. Numbers are stable, so re-processing a period regenerates the
+ * same invoice.
+ * @param {string} prefix - Invoice number prefix
+ * @param {string} periodStart - ISO start of the billing period
+ * @param {string|number} apiKeyId - API key row ID
+ * @returns {string} Invoice number (e.g., INV-20250301-0042)
+ * @throws {Error} If there is no API key ID to number the invoice by
+ */
+function formatInvoiceNumber(prefix, periodStart, apiKeyId) {
+  if (!apiKeyId) {
+    throw new Error("Invoice numbers need the API key ID of the account");
+  }
+  // en-CA formats dates as YYYY-MM-DD
+  const date = new Date(periodStart)
+    .toLocaleDateString("en-CA", { timeZone: BILLING_TIME_ZONE })
+    .replace(/-/g, "");
+  return `${prefix}-${date}-${String(apiKeyId).padStart(4, "0")}`;
+}
+
+/**
+ * Build the data for one client's invoice
+ * @param {Object} params - Invoice inputs
+ * @param {Object} params.user - Report user (name, email, apiKeyId, label, exchange, subAccount)
+ * @param {Object} params.period - Period with ISO `from`, exclusive ISO `to` and `label`
+ * @param {Object} params.markets - Net PnL components in USD keyed by fee market
+ * @param {Object} params.fees - Results of calculateAccountFees
+ * @param {Date} [params.issuedAt] - Issue date
+ * @param {Object} [params.config] - Invoice configuration from getInvoiceConfig
+ * @returns {Object} Invoice; its `number` is null when the user has no API
+ *   key ID, since the invoice could not be numbered the same way again
+ */
+function buildInvoice({
+  user,
+  period,
+  markets,
+  fees,
+  issuedAt = new Date(),
+  config = getInvoiceConfig(),
+}) {
+  const feeLines = Object.entries(fees.markets).map(([market, result]) => ({
+    market,
+    label: MARKET_LABELS[market] || market,
+    periodPnL: result.periodPnL,
+    previousHighWaterMark: result.previousHighWaterMark,
+    hurdleAmount: result.hurdleAmount,
+    chargeablePnL: result.chargeablePnL,
+    feeRate: result.feeRate,
+    waivedFee: result.waivedFee,
+    fee: result.fee,
+  }));
+  const totalFee = feeLines.reduce((sum, line) => sum + line.fee, 0);
+
+  return {
+    number: user.apiKeyId
+      ? formatInvoiceNumber(config.numberPrefix, period.from, user.apiKeyId)
+      : null,
+    issuedAt: issuedAt.toISOString(),
+    dueAt: new Date(issuedAt.getTime() + config.dueDays * DAY_MS).toISOString(),
+    issuer: {
+      name: config.issuerName,
+      address: config.issuerAddress,
+    },
+    client: {
+      name: user.name || "Unknown",
+      email: user.email || "",
+      label: user.label || null,
+      exchange: user.exchange || null,
+      subAccount: user.subAccount || null,
+    },
+    period: {
+      from: period.from,
+      to: period.to,
+      label: period.label,
+    },
+    billingMode: fees.billingMode,
+    pnl: ["spot", "perps", "inverse"].map((market) => ({
+      market,
+      label: MARKET_LABELS[market],
+      grossPnl: markets[market].grossPnl,
+      tradingFees: markets[market].tradingFees,
+      funding: markets[market].funding,
+      other: markets[market].liquidationPenalties + markets[market].interest,
+      net: markets[market].net,
+    })),
+    equityChange: fees.billingMode === "equity" ? fees.equityChange : null,
+    feeLines,
+    minimumFeeTopUp: fees.minimumFeeTopUp,
+    amountDue: totalFee + fees.minimumFeeTopUp,
+    paymentInstructions: config.paymentInstructions,
+  };
+}
+
+/**
+ * Combine the invoices of one client's accounts into a single invoice. Each
+ * account keeps its own PnL, equity and fee sections, and the amount due is
+ * their sum.
+ * @param {Array<Object>} invoices - Invoices from buildInvoice, one per account
+ * @param {string} number - Number of the client's combined invoice, from
+ *   formatInvoiceNumber
+ * @returns {Object} Invoice with a section per account in `accounts`
+ */
+function combineInvoices(invoices, number) {
+  const [first] = invoices;
+  return {
+    ...first,
+    number,
+    client: {
+      name: first.client.name,
+      email: first.client.email,
+      label: null,
+      exchange: null,
+      subAccount: null,
+    },
+    accounts: invoices.map((invoice) => ({
+      label: invoice.client.label,
+      exchange: invoice.client.exchange,
+      subAccount: invoice.client.subAccount,
+      billingMode: invoice.billingMode,
+      pnl: invoice.pnl,
+      equityChange: invoice.equityChange,
+      feeLines: invoice.feeLines,
+      minimumFeeTopUp: invoice.minimumFeeTopUp,
+      amountDue: invoice.amountDue,
+    })),
+    amountDue: invoices.reduce((sum, invoice) => sum + invoice.amountDue, 0),
+  };
+}
+
+/**
+ * Get the heading of an account section of a combined invoice
+ * @param {Object} account - Account section
+ * @returns {string} Heading (e.g., 'Bybit: Main account')
+ */
+function formatAccountHeading(account) {
+  return [
+    account.exchange || "Account",
+    ": ",
+    account.label || "No Label",
+    account.subAccount ? ` (sub-account ${account.subAccount})` : "",
+  ].join("");
+}
+
+/**
+ * Get the last day covered by a period whose end is exclusive
+ * @param {Object} period - Period with ISO `to`
+ * @returns {number} Timestamp of the last instant in the period
+ */
+function getLastInstant(period) {
+  return new Date(period.to).getTime() - 1;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Build an HTML table row
+ * @param {Array<string>} cells - Cell text
+ * @param {string} [tag="td"] - Cell tag
+ * @returns {string} HTML row
+ */
+function renderHtmlRow(cells, tag = "td") {
+  return `<tr>${cells
+    .map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`)
+    .join("")}</tr>`;
+}
+
+/**
+ * Render the PnL, equity and fee tables of an invoice section as HTML
+ * @param {Object} section - Invoice, or account section of a combined invoice
+ * @param {string} [heading] - Heading of an account section
+ * @returns {string} HTML fragment
+ */
+function renderSectionHtml(section, heading) {
+  const row = renderHtmlRow;
+
+  const pnlRows = section.pnl.map((line) =>
+    row([
+      line.label,
+      formatUsd(line.grossPnl),
+      formatUsd(line.tradingFees),
+      formatUsd(line.funding),
+      formatUsd(line.other),
+      formatUsd(line.net),
+    ])
+  );
+
+  const feeRows = section.feeLines.map((line) =>
+    row([
+      line.label,
+      formatUsd(line.periodPnL),
+      formatUsd(line.previousHighWaterMark),
+      formatUsd(line.hurdleAmount),
+      formatUsd(line.chargeablePnL),
+      formatRate(line.feeRate),
+      formatUsd(line.fee),
+    ])
+  );
+  if (section.minimumFeeTopUp > 0) {
+    feeRows.push(
+      row([
+        "Minimum monthly fee top-up",
+        "",
+        "",
+        "",
+        "",
+        "",
+        formatUsd(section.minimumFeeTopUp),
+      ])
+    );
+  }
+
+  const waived = section.feeLines.reduce((sum, l) => sum + l.waivedFee, 0);
+  const equity = section.equityChange;
+
+  return `${heading ? `<h2 class="account">${escapeHtml(heading)}</h2>\n` : ""}
+<h2>Trading PnL by market (USD)</h2>
+<table>
+${row(
+  ["Market", "Gross PnL", "Trading fees", "Funding", "Other", "Net PnL"],
+  "th"
+)}
+${pnlRows.join("\n")}
+</table>
+${
+  equity
+    ? `
+<h2>Account equity (USD)</h2>
+<table>
+${row(["Start equity", "End equity", "Net transfers", "Equity change"], "th")}
+${row([
+  equity.startEquity === null ? "-" : formatUsd(equity.startEquity),
+  equity.endEquity === null ? "-" : formatUsd(equity.endEquity),
+  formatUsd(equity.netTransfers),
+  equity.pnl === null ? "-" : formatUsd(equity.pnl),
+])}
+</table>
+`
+    : ""
+}
+<h2>Performance fee</h2>
+<table>
+${row(
+  [
+    "Market",
+    "Period PnL",
+    "High-water mark",
+    "Hurdle",
+    "Chargeable",
+    "Rate",
+    "Fee",
+  ],
+  "th"
+)}
+${feeRows.join("\n")}
+</table>
+${
+  waived > 0
+    ? `<p class="muted">Fees of ${escapeHtml(
+        formatUsd(waived)
+      )} were waived for a fee-free period.</p>\n`
+    : ""
+}${
+    heading
+      ? `<p class="subtotal">Account total: ${escapeHtml(
+          formatUsd(section.amountDue)
+        )}</p>\n`
+      : ""
+  }`;
+}
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {Object} invoice - Invoice from buildInvoice or combineInvoices
+ * @returns {string} HTML document
+ */
+function renderInvoiceHtml(invoice) {
+  const sections = invoice.accounts
+    ? invoice.accounts.map((account) =>
+        renderSectionHtml(account, formatAccountHeading(account))
+      )
+    : [renderSectionHtml(invoice)];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+  h1 { margin-bottom: 0; }
+  h2.account { border-top: 2px solid #222; padding-top: 12px; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0 24px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  .parties { display: flex; justify-content: space-between; margin: 24px 0; }
+  .due { font-size: 1.4em; font-weight: bold; text-align: right; }
+  .subtotal { font-weight: bold; text-align: right; }
+  .muted { color: #666; }
+</style>
+</head>
+<body>
+<h1>Invoice</h1>
+<p class="muted">${escapeHtml(invoice.number)}</p>
+<div class="parties">
+  <div>
+    <strong>${escapeHtml(invoice.issuer.name)}</strong><br>
+    ${invoice.issuer.address.map(escapeHtml).join("<br>\n    ")}
+  </div>
+  <div>
+    <strong>Bill to</strong><br>
+    ${escapeHtml(invoice.client.name)}<br>
+    ${escapeHtml(invoice.client.email)}${
+    invoice.client.exchange
+      ? `<br>\n    Exchange: ${escapeHtml(invoice.client.exchange)}`
+      : ""
+  }${
+    invoice.client.subAccount
+      ? `<br>\n    Sub-account: ${escapeHtml(invoice.client.subAccount)}`
+      : ""
+  }
+  </div>
+  <div>
+    Issued: ${escapeHtml(formatInvoiceDate(invoice.issuedAt))}<br>
+    Due: ${escapeHtml(formatInvoiceDate(invoice.dueAt))}<br>
+    Period: ${escapeHtml(
+      formatInvoiceDate(invoice.period.from)
+    )} &ndash; ${escapeHtml(
+    formatInvoiceDate(getLastInstant(invoice.period))
+  )}<br>
+    <span class="muted">${escapeHtml(invoice.period.label || "")}</span>
+  </div>
+</div>
+${sections.join("\n")}<p class="due">Amount due: ${escapeHtml(
+    formatUsd(invoice.amountDue)
+  )}</p>
+
+<h2>Payment instructions</h2>
+<p>${invoice.paymentInstructions.map(escapeHtml).join("<br>\n")}</p>
+<p class="muted">Please quote ${escapeHtml(
+    invoice.number
+  )} with your payment.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Draw a table row of right-aligned cells (the first cell left-aligned)
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<string>} cells - Cell text
+ * @param {Array<number>} widths - Column widths in points
+ * @param {boolean} [bold=false] - Whether to use the bold font
+ */
+function drawPdfRow(doc, cells, widths, bold = false) {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+  let bottom = y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+
+  // Continue below the tallest cell in case one wrapped
+  cells.forEach((cell, i) => {
+    doc.text(cell, x, y, {
+      width: widths[i] - 4,
+      align: i === 0 ? "left" : "right",
+    });
+    bottom = Math.max(bottom, doc.y);
+    x += widths[i];
+  });
+
+  doc.x = doc.page.margins.left;
+  doc.y = bottom;
+  doc.moveDown(0.6);
+}
+
+/**
+ * Draw the PnL, equity and fee tables of an invoice section
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} section - Invoice, or account section of a combined invoice
+ * @param {string} [heading] - Heading of an account section
+ */
+function drawPdfSection(doc, section, heading) {
+  if (heading) {
+    doc.font("Helvetica-Bold").fontSize(14).text(heading);
+    doc.moveDown(0.5);
+  }
+
+  const pnlWidths = [155, 68, 68, 68, 68, 68];
+  doc.font("Helvetica-Bold").fontSize(12).text("Trading PnL by market (USD)");
+  doc.moveDown(0.5);
+  drawPdfRow(
+    doc,
+    ["Market", "Gross PnL", "Trading fees", "Funding", "Other", "Net PnL"],
+    pnlWidths,
+    true
+  );
+  section.pnl.forEach((line) =>
+    drawPdfRow(
+      doc,
+      [
+        line.label,
+        formatUsd(line.grossPnl),
+        formatUsd(line.tradingFees),
+        formatUsd(line.funding),
+        formatUsd(line.other),
+        formatUsd(line.net),
+      ],
+      pnlWidths
+    )
+  );
+  doc.moveDown();
+
+  const equity = section.equityChange;
+  if (equity) {
+    const equityWidths = [125, 125, 125, 120];
+    doc.font("Helvetica-Bold").fontSize(12).text("Account equity (USD)");
+    doc.moveDown(0.5);
+    drawPdfRow(
+      doc,
+      ["Start equity", "End equity", "Net transfers", "Equity change"],
+      equityWidths,
+      true
+    );
+    drawPdfRow(
+      doc,
+      [
+        equity.startEquity === null ? "-" : formatUsd(equity.startEquity),
+        equity.endEquity === null ? "-" : formatUsd(equity.endEquity),
+        formatUsd(equity.netTransfers),
+        equity.pnl === null ? "-" : formatUsd(equity.pnl),
+      ],
+      equityWidths
+    );
+    doc.moveDown();
+  }
+
+  const feeWidths = [135, 65, 65, 55, 65, 45, 65];
+  doc.font("Helvetica-Bold").fontSize(12).text("Performance fee");
+  doc.moveDown(0.5);
+  drawPdfRow(
+    doc,
+    [
+      "Market",
+      "Period PnL",
+      "High-water mark",
+      "Hurdle",
+      "Chargeable",
+      "Rate",
+      "Fee",
+    ],
+    feeWidths,
+    true
+  );
+  section.feeLines.forEach((line) =>
+    drawPdfRow(
+      doc,
+      [
+        line.label,
+        formatUsd(line.periodPnL),
+        formatUsd(line.previousHighWaterMark),
+        formatUsd(line.hurdleAmount),
+        formatUsd(line.chargeablePnL),
+        formatRate(line.feeRate),
+        formatUsd(line.fee),
+      ],
+      feeWidths
+    )
+  );
+  if (section.minimumFeeTopUp > 0) {
+    drawPdfRow(
+      doc,
+      [
+        "Minimum monthly fee top-up",
+        "",
+        "",
+        "",
+        "",
+        "",
+        formatUsd(section.minimumFeeTopUp),
+      ],
+      feeWidths
+    );
+  }
+
+  const waived = section.feeLines.reduce((sum, l) => sum + l.waivedFee, 0);
+  if (waived > 0) {
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#666")
+      .text(`Fees of ${formatUsd(waived)} were waived for a fee-free period.`)
+      .fillColor("#000");
+  }
+  doc.moveDown();
+  if (heading) {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text(`Account total: ${formatUsd(section.amountDue)}`, {
+        align: "right",
+      });
+    doc.moveDown();
+  }
+}
+
+/**
+ * Render an invoice as a PDF file
+ * @param {Object} invoice - Invoice from buildInvoice or combineInvoices
+ * @param {string} filePath - Path to write the PDF to
+ * @returns {Promise<string>} The PDF path once written
+ */
+function renderInvoicePdf(invoice, filePath) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+    stream.on("finish", () => resolve(filePath));
+    stream.on("error", reject);
+    doc.pipe(stream);
+
+    doc.font("Helvetica-Bold").fontSize(20).text("Invoice");
+    doc.font("Helvetica").fontSize(10).fillColor("#666").text(invoice.number);
+    doc.fillColor("#000").moveDown();
+
+    doc.font("Helvetica-Bold").text(invoice.issuer.name);
+    doc.font("Helvetica");
+    invoice.issuer.address.forEach((line) => doc.text(line));
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").text("Bill to");
+    doc.font("Helvetica").text(invoice.client.name).text(invoice.client.email);
+    if (invoice.client.exchange) {
+      doc.text(`Exchange: ${invoice.client.exchange}`);
+    }
+    if (invoice.client.subAccount) {
+      doc.text(`Sub-account: ${invoice.client.subAccount}`);
+    }
+    doc.moveDown();
+
+    doc.text(`Issued: ${formatInvoiceDate(invoice.issuedAt)}`);
+    doc.text(`Due: ${formatInvoiceDate(invoice.dueAt)}`);
+    doc.text(
+      `Period: ${formatInvoiceDate(invoice.period.from)} - ${formatInvoiceDate(
+        getLastInstant(invoice.period)
+      )}${invoice.period.label ? ` (${invoice.period.label})` : ""}`
+    );
+    doc.moveDown();
+
+    if (invoice.accounts) {
+      invoice.accounts.forEach((account) =>
+        drawPdfSection(doc, account, formatAccountHeading(account))
+      );
+    } else {
+      drawPdfSection(doc, invoice);
+    }
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(14)
+      .text(`Amount due: ${formatUsd(invoice.amountDue)}`, { align: "right" });
+    doc.moveDown();
+
+    doc.fontSize(12).text("Payment instructions");
+    doc.font("Helvetica").fontSize(10);
+    invoice.paymentInstructions.forEach((line) => doc.text(line));
+    doc.moveDown(0.5);
+    doc
+      .fillColor("#666")
+      .text(`Please quote ${invoice.number} with your payment.`);
+
+    doc.end();
+  });
+}
+
+/**
+ * Get the paths an invoice is written to in a folder
+ * @param {Object} invoice - Invoice from buildInvoice or combineInvoices
+ * @param {string} outputDir - Folder the invoice is written to
+ * @returns {{html: string, pdf: string}} Paths of the HTML and PDF files
+ */
+function getInvoicePaths(invoice, outputDir) {
+  const baseName = path.join(outputDir, `invoice_${invoice.number}`);
+  return { html: `${baseName}.html`, pdf: `${baseName}.pdf` };
+}
+
+/**
+ * Write an invoice to a folder as HTML and PDF
+ * @param {Object} invoice - Invoice from buildInvoice or combineInvoices
+ * @param {string} outputDir - Folder to write to
+ * @returns {Promise<{html: string, pdf: string}>} Paths of the written files
+ */
+async function writeInvoice(invoice, outputDir) {
+  const paths = getInvoicePaths(invoice, outputDir);
+  fs.writeFileSync(paths.html, renderInvoiceHtml(invoice));
+  await renderInvoicePdf(invoice, paths.pdf);
+  return paths;
+}
+
+module.exports = {
+  getInvoiceConfig,
+  formatInvoiceNumber,
+  buildInvoice,
+  combineInvoices,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  getInvoicePaths,
+  writeInvoice,
+};
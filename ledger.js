@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Query and update the billing ledger stored in D1.
+ * Lists report runs, per-account period results and invoices, shows
+ * outstanding balances, and records invoice payments and cancellations.
+ *
+ * Usage:
+ *   node ledger.js runs [--month YYYY-MM | --from DATE --to DATE]
+ *   node ledger.js periods [--user ID] [--api-key-id ID] [--month YYYY-MM | --from DATE --to DATE]
+ *   node ledger.js invoices [--user ID] [--api-key-id ID] [--status issued|paid|void] [--month ... | --from ... --to ...]
+ *   node ledger.js outstanding [--user ID] [--api-key-id ID]
+ *   node ledger.js mark-paid INVOICE_NUMBER [--at DATE] [--notes TEXT]
+ *   node ledger.js void INVOICE_NUMBER [--notes TEXT]
+ */
+
+const { dbClient } = require("./database");
+const { parseArgs } = require("./cli-args");
+const { resolveBillingPeriod } = require("./billing-period");
+
+/**
+ * Get the date range to filter by, if any was given
+ * @param {Object} flags - Parsed command line flags
+ * @returns {{from?: string, to?: string}} ISO range
+ */
+function getRangeFilter(flags) {
+  if (
+    flags.month === undefined &&
+    flags.from === undefined &&
+    flags.to === undefined
+  ) {
+    return {};
+  }
+
+  const { from, to } = resolveBillingPeriod(flags);
+  return { from, to };
+}
+
+/**
+ * Get the account filter from the command line flags
+ * @param {Object} flags - Parsed command line flags
+ * @returns {{userId?: string, apiKeyId?: string}} Account filter
+ */
+function getAccountFilter(flags) {
+  return {
+    userId: flags.user === undefined ? undefined : String(flags.user),
+    apiKeyId:
+      flags["api-key-id"] === undefined
+        ? undefined
+        : String(flags["api-key-id"]),
+  };
+}
+
+/**
+ * Format an optional USD amount
+ * @param {number|null} amount - Amount in USD
+ * @returns {string} Amount with two decimals, or "-"
+ */
+function formatAmount(amount) {
+  return amount === null || amount === undefined
+    ? "-"
+    : Number(amount).toFixed(2);
+}
+
+/**
+ * Print invoices with their total
+ * @param {Array} invoices - Invoice rows
+ */
+function printInvoices(invoices) {
+  const now = new Date().toISOString();
+
+  invoices.forEach((invoice) => {
+    const overdue = invoice.status === "issued" && invoice.due_at < now;
+    console.log(
+      `${invoice.invoice_number}  ${invoice.name || "Unknown"} <${
+        invoice.email || ""
+      }>  ${invoice.period_start} to ${invoice.period_end}  ` +
+        `${formatAmount(invoice.amount_due)} ${invoice.currency}  ` +
+        `${invoice.status}${overdue ? " (overdue)" : ""}`
+    );
+  });
+
+  const total = invoices.reduce((sum, i) => sum + Number(i.amount_due), 0);
+  console.log(`\n${invoices.length} invoices, total ${total.toFixed(2)} USD`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { flags, positional } = parseArgs(process.argv.slice(2));
+  const [command, invoiceNumber] = positional;
+
+  switch (command) {
+    case "runs": {
+      const runs = await dbClient.getReportRuns(getRangeFilter(flags));
+      runs.forEach((run) =>
+        console.log(
+          `${run.run_id}  ${run.period_label || ""} (${run.period_start} to ${
+            run.period_end
+          })  ${run.status}  ${run.account_count ?? "-"} accounts` +
+            `${run.failed_accounts ? `, ${run.failed_accounts} failed` : ""}` +
+            `${
+              run.skipped_accounts ? `, ${run.skipped_accounts} skipped` : ""
+            }` +
+            `${run.retry_of ? `  (retry of ${run.retry_of})` : ""}` +
+            `${run.error ? `  ${run.error}` : ""}`
+        )
+      );
+      console.log(`\n${runs.length} runs`);
+      break;
+    }
+
+    case "periods": {
+      const periods = await dbClient.getAccountPeriods({
+        ...getAccountFilter(flags),
+        ...getRangeFilter(flags),
+      });
+      periods.forEach((period) =>
+        console.log(
+          `${period.period_start} to ${period.period_end}  ${
+            period.name || "Unknown"
+          } (API key ${period.api_key_id})  ${period.billing_mode}  ` +
+            `net PnL ${formatAmount(period.net_pnl)}  ` +
+            `equity change ${formatAmount(period.equity_change_pnl)}  ` +
+            `fee ${formatAmount(
+              period.total_fee + period.minimum_fee_topup
+            )}  ` +
+            `${period.invoice_number || ""}`
+        )
+      );
+      console.log(`\n${periods.length} periods`);
+      break;
+    }
+
+    case "invoices":
+      printInvoices(
+        await dbClient.getInvoices({
+          ...getAccountFilter(flags),
+          ...getRangeFilter(flags),
+          status: flags.status,
+        })
+      );
+      break;
+
+    case "outstanding":
+      printInvoices(
+        await dbClient.getInvoices({
+          ...getAccountFilter(flags),
+          status: "issued",
+        })
+      );
+      break;
+
+    case "mark-paid":
+    case "void": {
+      if (!invoiceNumber) {
+        throw new Error(`Please provide the invoice number to ${command}`);
+      }
+
+      const status = command === "void" ? "void" : "paid";
+      const updated = await dbClient.setInvoiceStatus(invoiceNumber, status, {
+        at: flags.at ? new Date(flags.at).toISOString() : undefined,
+        notes: typeof flags.notes === "string" ? flags.notes : undefined,
+      });
+      if (!updated) {
+        throw new Error(`Invoice ${invoiceNumber} is not an issued invoice`);
+      }
+      console.log(`Invoice ${invoiceNumber} marked as ${status}`);
+      break;
+    }
+
+    default:
+      throw new Error(
+        "Please provide a command: runs, periods, invoices, outstanding, mark-paid or void"
+      );
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
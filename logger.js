@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Structured logger shared by the billing scripts.
+ * Entries have a level, a component, a message and optional fields, and are
+ * written as text or as one JSON object per line (LOG_FORMAT=json). Entries
+ * below LOG_LEVEL (default info) are dropped. Every entry carries the shared
+ * context set with `setLogContext`, such as the report run ID, so the logs of
+ * one run can be correlated across processes, and the context of the
+ * `runWithLogContext` call it was made in, such as the account being
+ * processed, so concurrent work can be told apart.
+ *
+ * Credentials and personal data are redacted before anything is written:
+ * fields named like secrets are replaced, identifiers such as API keys, UIDs
+ * and emails are masked, and known secret values and email addresses are
+ * masked wherever they appear in messages and strings.
+ */
+
+// Load environment variables from .env file
+require("dotenv").config();
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_LEVEL = "info";
+const REDACTED = "[REDACTED]";
+
+// Field names (lowercased, without separators) whose values are never logged
+const SECRET_FIELDS = new Set([
+  "secret",
+  "secretkey",
+  "passphrase",
+  "password",
+  "token",
+  "apitoken",
+  "authorization",
+  "signature",
+  "sign",
+  "okaccesssign",
+  "okaccesspassphrase",
+  "datakey",
+  "masterkey",
+]);
+
+// Field names whose values identify an account and are masked
+const IDENTIFIER_FIELDS = new Set([
+  "apikey",
+  "okaccesskey",
+  "uid",
+  "mainuid",
+  "userid",
+  "email",
+]);
+
+// Environment variables holding credentials, redacted wherever they appear
+const SECRET_ENV_VARS = [
+  "API_KEY",
+  "SECRET_KEY",
+  "PASSPHRASE",
+  "CLOUDFLARE_API_TOKEN",
+  "BILLING_MASTER_KEY",
+  "BILLING_PREVIOUS_MASTER_KEY",
+];
+
+const EMAIL_PATTERN =
+  /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Values that must not appear in logs, mapped to their replacement
+const knownSecrets = new Map();
+
+// Fields added to every entry
+let context = {};
+// Fields added to entries written within runWithLogContext
+const scopedContext = new AsyncLocalStorage();
+
+/**
+ * Mask an identifier, keeping its last 4 characters so accounts can still be
+ * told apart
+ * @param {string} value - Identifier
+ * @returns {string} Masked identifier
+ */
+function maskIdentifier(value) {
+  const text = String(value);
+  if (text.includes("@")) {
+    return text.replace(EMAIL_PATTERN, "$1***@$2");
+  }
+  return text.length > 8 ? `******${text.slice(-4)}` : "******";
+}
+
+/**
+ * Register a value to redact wherever it appears in log output
+ * @param {string} value - Secret or identifier value
+ * @param {Object} [options]
+ * @param {boolean} [options.identifier=false] - Mask instead of fully redacting
+ */
+function registerSecret(value, { identifier = false } = {}) {
+  // Very short values would match unrelated text
+  if (typeof value !== "string" || value.length < 4) return;
+  knownSecrets.set(value, identifier ? maskIdentifier(value) : REDACTED);
+}
+
+SECRET_ENV_VARS.forEach((name) => registerSecret(process.env[name]));
+
+/**
+ * Redact known secrets and email addresses in a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+function redactString(text) {
+  let redacted = text;
+  knownSecrets.forEach((replacement, secret) => {
+    redacted = redacted.split(secret).join(replacement);
+  });
+  return redacted.replace(EMAIL_PATTERN, "$1***@$2");
+}
+
+/**
+ * Redact a value for logging
+ * @param {*} value - Value to redact
+ * @param {string} [field] - Name of the field holding the value
+ * @returns {*} Redacted copy of the value
+ */
+function redact(value, field) {
+  const name = field ? field.toLowerCase().replace(/[^a-z0-9]/g, "") : "";
+  if (value === null || value === undefined) return value;
+  if (SECRET_FIELDS.has(name)) return REDACTED;
+  if (IDENTIFIER_FIELDS.has(name) && typeof value !== "object") {
+    return maskIdentifier(value);
+  }
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message) };
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item));
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redact(item, key)])
+    );
+  }
+  return typeof value === "string" ? redactString(value) : value;
+}
+
+/**
+ * Set fields added to every entry, such as the run ID
+ * @param {Object} fields - Context fields; undefined values are removed
+ */
+function setLogContext(fields) {
+  context = Object.fromEntries(
+    Object.entries({ ...context, ...fields }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+}
+
+/**
+ * Run a function with fields added to every entry written while it runs,
+ * including from async work it starts
+ * @param {Object} fields - Context fields
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runWithLogContext(fields, fn) {
+  return scopedContext.run({ ...scopedContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Check whether entries of a level are written
+ * @param {string} level - Log level
+ * @returns {boolean} True if the level is enabled
+ */
+function isLevelEnabled(level) {
+  const minimum = LEVELS[process.env.LOG_LEVEL] || LEVELS[DEFAULT_LEVEL];
+  return LEVELS[level] >= minimum;
+}
+
+/**
+ * Format an entry as a line of text
+ * @param {Object} entry - Redacted entry
+ * @returns {string} Text line
+ */
+function formatText({ time, level, component, message, ...fields }) {
+  const details = Object.keys(fields).length
+    ? ` ${JSON.stringify(fields)}`
+    : "";
+  return `${time} ${level
+    .toUpperCase()
+    .padEnd(5)} [${component}] ${message}${details}`;
+}
+
+/**
+ * Write an entry
+ * @param {string} level - Log level
+ * @param {string} component - Module or script writing the entry
+ * @param {string} message - Message
+ * @param {Object} [fields] - Structured fields
+ */
+function write(level, component, message, fields) {
+  if (!isLevelEnabled(level)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    message: redactString(String(message)),
+    ...redact({ ...context, ...scopedContext.getStore(), ...fields }),
+  };
+
+  const line =
+    process.env.LOG_FORMAT === "json"
+      ? JSON.stringify(entry)
+      : formatText(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} component - Module or script name
+ * @param {Object} [fields={}] - Fields added to every entry of this logger
+ * @returns {Object} Logger with debug, info, warn, error and child methods
+ */
+function createLogger(component, fields = {}) {
+  const log = (level) => (message, entryFields) =>
+    write(level, component, message, { ...fields, ...entryFields });
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    isLevelEnabled,
+    child: (childFields) =>
+      createLogger(component, { ...fields, ...childFields }),
+  };
+}
+
+module.exports = {
+  createLogger,
+  setLogContext,
+  runWithLogContext,
+  registerSecret,
+  maskIdentifier,
+  redact,
+};
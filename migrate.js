@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Apply the SQL migrations in migrations/ to a local SQLite
+ * database. Applied migrations are recorded in `schema_migrations`, so the
+ * script can be run again after pulling new migrations.
+ * Cloudflare D1 databases are migrated with wrangler instead (see README).
+ *
+ * Usage: DB_BACKEND=sqlite node migrate.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { dbClient, SqliteClient } = require("./database");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * List migration files in the order they must be applied
+ * @returns {Array<string>} Migration file names
+ */
+function getMigrationFiles() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d{4}_.+\.sql$/.test(file))
+    .sort();
+}
+
+/**
+ * Apply every migration that has not been applied yet
+ * @param {SqliteClient} client - SQLite database client
+ * @returns {Promise<Array<string>>} Names of the migrations applied
+ */
+async function migrate(client) {
+  client.executeScript(
+    "CREATE TABLE IF NOT EXISTS schema_migrations (" +
+      "name TEXT PRIMARY KEY, applied_at TEXT NOT NULL DEFAULT (datetime('now')))"
+  );
+
+  const data = await client.executeQuery("SELECT name FROM schema_migrations");
+  const appliedNames = new Set(data.result[0].results.map((row) => row.name));
+
+  const applied = [];
+  for (const file of getMigrationFiles()) {
+    if (appliedNames.has(file)) continue;
+
+    console.log(`Applying ${file}`);
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    // Apply each migration atomically together with its record
+    try {
+      client.executeScript(
+        `BEGIN;\n${sql}\nINSERT INTO schema_migrations (name) VALUES ('${file}');\nCOMMIT;`
+      );
+    } catch (error) {
+      if (client.db.inTransaction) client.executeScript("ROLLBACK;");
+      throw new Error(`${file}: ${error.message}`);
+    }
+    applied.push(file);
+  }
+
+  return applied;
+}
+
+if (require.main === module) {
+  if (!(dbClient instanceof SqliteClient)) {
+    console.error(
+      "migrate.js only migrates SQLite databases; set DB_BACKEND=sqlite or use wrangler for D1"
+    );
+    process.exit(1);
+  }
+
+  migrate(dbClient)
+    .then((applied) => {
+      console.log(
+        applied.length
+          ? `Applied ${applied.length} migrations to ${dbClient.path}`
+          : `${dbClient.path} is up to date`
+      );
+      dbClient.close();
+    })
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate,
+};
@@ -0,0 +1,24 @@
+-- Users and their exchange API keys, as queried by database.js.
+-- Existing Cloudflare D1 databases already have these tables; this migration
+-- creates them for new databases, such as a local SQLite file.
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users (id),
+  exchange TEXT NOT NULL,
+  label TEXT,
+  api_key TEXT NOT NULL,
+  secret_key TEXT NOT NULL,
+  passphrase TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_exchange ON api_keys (exchange);
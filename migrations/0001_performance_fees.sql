@@ -0,0 +1,36 @@
+-- Per-user performance fee settings and high-water-mark history.
+-- A fee_settings row with api_key_id NULL applies to every key of the user;
+-- a row for a specific api_key_id overrides it.
+
+CREATE TABLE IF NOT EXISTS fee_settings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  api_key_id TEXT,
+  fee_rate REAL NOT NULL DEFAULT 0.25,
+  hurdle_rate REAL NOT NULL DEFAULT 0,
+  include_spot INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (user_id, api_key_id)
+);
+
+CREATE TABLE IF NOT EXISTS performance_fee_periods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  api_key_id TEXT NOT NULL,
+  market TEXT NOT NULL,
+  period_start TEXT NOT NULL,
+  period_end TEXT NOT NULL,
+  period_pnl REAL NOT NULL,
+  cumulative_pnl REAL NOT NULL,
+  high_water_mark REAL NOT NULL,
+  carried_loss REAL NOT NULL,
+  hurdle_amount REAL NOT NULL,
+  chargeable_pnl REAL NOT NULL,
+  fee_rate REAL NOT NULL,
+  fee REAL NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (api_key_id, market, period_end)
+);
+
+CREATE INDEX IF NOT EXISTS idx_performance_fee_periods_lookup
+  ON performance_fee_periods (api_key_id, market, period_end);
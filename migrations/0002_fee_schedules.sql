@@ -0,0 +1,41 @@
+-- Per-user fee schedules and fee-free periods.
+-- A schedule applies from effective_from (inclusive) to effective_to
+-- (exclusive, NULL = open-ended). A row with api_key_id set overrides the
+-- user's default schedule for that key.
+--
+-- brackets is a JSON array of marginal tiers applied to chargeable profit,
+-- e.g. [{"upTo": 10000, "rate": 0.2}, {"upTo": 50000, "rate": 0.25}].
+-- Profit above the last bracket is charged at rate.
+
+CREATE TABLE IF NOT EXISTS fee_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  api_key_id TEXT,
+  rate REAL NOT NULL,
+  brackets TEXT,
+  minimum_monthly_fee REAL NOT NULL DEFAULT 0,
+  effective_from TEXT NOT NULL,
+  effective_to TEXT,
+  notes TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_user
+  ON fee_schedules (user_id, effective_from);
+
+-- Periods during which no performance fee or minimum fee is charged.
+-- Profit made during a fee-free period still raises the high-water mark.
+CREATE TABLE IF NOT EXISTS fee_free_periods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  api_key_id TEXT,
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  reason TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_free_periods_user
+  ON fee_free_periods (user_id, start_date);
+
+ALTER TABLE performance_fee_periods ADD COLUMN fee_schedule_id INTEGER;
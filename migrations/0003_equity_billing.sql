@@ -0,0 +1,22 @@
+-- Equity-change billing.
+-- billing_mode selects how performance is measured:
+--   realised - net realised PnL per fee market, from bills (default)
+--   equity   - change in total account equity between period snapshots,
+--              adjusted for transfers, so unrealised PnL is billed too
+--
+-- equity_snapshots holds the account equity (USD) recorded at each billing
+-- period boundary; a period's start equity is the snapshot recorded at the
+-- end of the previous period.
+
+ALTER TABLE fee_settings ADD COLUMN billing_mode TEXT NOT NULL DEFAULT 'realised';
+
+CREATE TABLE IF NOT EXISTS equity_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  api_key_id TEXT NOT NULL,
+  snapshot_at TEXT NOT NULL,
+  total_equity REAL NOT NULL,
+  unrealised_pnl REAL NOT NULL DEFAULT 0,
+  taken_at TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (api_key_id, snapshot_at)
+);
@@ -0,0 +1,90 @@
+-- Report runs, per-account period results and the invoice ledger.
+-- Every billing.js run is recorded in report_runs; process-report.js then
+-- stores each account's figures in account_period_pnl and its invoice in
+-- invoices. Amounts are in USD.
+--
+-- Run status: running -> completed (JSON report written) -> processed
+-- (CSV and invoices written), or failed.
+-- Invoice status: issued -> paid, or issued -> void. Re-processing a period
+-- only updates invoices that are still issued.
+
+CREATE TABLE IF NOT EXISTS report_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL UNIQUE,
+  period_start TEXT NOT NULL,
+  period_end TEXT NOT NULL,
+  period_label TEXT,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'processed', 'failed')),
+  account_count INTEGER,
+  report_file TEXT,
+  error TEXT,
+  started_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_runs_period
+  ON report_runs (period_start, period_end);
+
+CREATE TABLE IF NOT EXISTS account_period_pnl (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL,
+  api_key_id TEXT NOT NULL,
+  period_start TEXT NOT NULL,
+  period_end TEXT NOT NULL,
+  billing_mode TEXT NOT NULL,
+  spot_pnl REAL NOT NULL,
+  perps_pnl REAL NOT NULL,
+  inverse_pnl REAL NOT NULL,
+  gross_pnl REAL NOT NULL,
+  trading_fees REAL NOT NULL,
+  funding REAL NOT NULL,
+  liquidation_penalties REAL NOT NULL,
+  interest REAL NOT NULL,
+  net_pnl REAL NOT NULL,
+  transfers REAL NOT NULL DEFAULT 0,
+  deposits REAL NOT NULL DEFAULT 0,
+  withdrawals REAL NOT NULL DEFAULT 0,
+  total_equity REAL,
+  unrealised_pnl REAL,
+  equity_change_pnl REAL,
+  modified_dietz_return REAL,
+  -- Fee result per market, as JSON
+  fees TEXT NOT NULL,
+  total_fee REAL NOT NULL,
+  minimum_fee_topup REAL NOT NULL DEFAULT 0,
+  invoice_number TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (run_id, api_key_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_period_pnl_lookup
+  ON account_period_pnl (api_key_id, period_end);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_number TEXT NOT NULL UNIQUE,
+  run_id TEXT NOT NULL,
+  api_key_id TEXT NOT NULL,
+  period_start TEXT NOT NULL,
+  period_end TEXT NOT NULL,
+  amount_due REAL NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  status TEXT NOT NULL DEFAULT 'issued'
+    CHECK (status IN ('issued', 'paid', 'void')),
+  issued_at TEXT NOT NULL,
+  due_at TEXT NOT NULL,
+  paid_at TEXT,
+  voided_at TEXT,
+  html_path TEXT,
+  pdf_path TEXT,
+  notes TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_lookup
+  ON invoices (api_key_id, period_end);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_status
+  ON invoices (status, due_at);
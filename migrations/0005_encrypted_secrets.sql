@@ -0,0 +1,7 @@
+-- Envelope encryption of API secrets (see secret-encryption.js).
+-- data_key is the row's data key wrapped with the master key identified by
+-- master_key_id. Rows with data_key NULL still hold plaintext secrets until
+-- `node secrets.js encrypt` is run.
+
+ALTER TABLE api_keys ADD COLUMN data_key TEXT;
+ALTER TABLE api_keys ADD COLUMN master_key_id TEXT;
@@ -0,0 +1,9 @@
+-- Account status counts per billing run. An account fails when any of its
+-- report sections (config, balance, positions, bills per instrument type,
+-- transfers, funding flows) could not be fetched; failed accounts are not
+-- billed. retry_of is the run whose failed accounts a --retry-failed run
+-- fetched again.
+
+ALTER TABLE report_runs ADD COLUMN failed_accounts INTEGER;
+ALTER TABLE report_runs ADD COLUMN skipped_accounts INTEGER;
+ALTER TABLE report_runs ADD COLUMN retry_of TEXT;
@@ -0,0 +1,28 @@
+-- Local bill store. Bills fetched from OKX are kept per API key and bill
+-- stream (the bills filter, e.g. "instType=SWAP" or "type=1"), keyed by
+-- billId, with the raw OKX record in data. bill_sync_cursors holds the time
+-- range of each stream that has been fully fetched, so later runs only fetch
+-- bills outside it and reports can be rebuilt after OKX has dropped the raw
+-- bills. ts and the synced range are Unix milliseconds.
+
+CREATE TABLE IF NOT EXISTS bills (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  api_key_id TEXT NOT NULL,
+  stream TEXT NOT NULL,
+  bill_id TEXT NOT NULL,
+  ts INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (api_key_id, stream, bill_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bills_stream_ts ON bills (api_key_id, stream, ts);
+
+CREATE TABLE IF NOT EXISTS bill_sync_cursors (
+  api_key_id TEXT NOT NULL,
+  stream TEXT NOT NULL,
+  synced_from INTEGER NOT NULL,
+  synced_to INTEGER NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (api_key_id, stream)
+);
@@ -0,0 +1,12 @@
+-- OKX sub-accounts under a master API key. The sub-accounts of a master key
+-- row with sub_accounts = 1 are listed from OKX on every run, and each is
+-- billed as an account of its own. OKX only serves a sub-account's bills to
+-- the sub-account's own API key, so each sub-account needs an api_keys row
+-- holding that key, linked to the master by master_api_key_id and named by
+-- sub_account. Sub-accounts without one are listed but not billed.
+
+ALTER TABLE api_keys ADD COLUMN sub_accounts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE api_keys ADD COLUMN master_api_key_id INTEGER REFERENCES api_keys (id);
+ALTER TABLE api_keys ADD COLUMN sub_account TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_master ON api_keys (master_api_key_id);
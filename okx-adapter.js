@@ -0,0 +1,374 @@
+/**
+ * @fileoverview OKX exchange adapter. OKX responses are already in the
+ * normalised shape, so this adapter is mostly about reaching far enough back:
+ * bills come from the recent, archive and quarterly history endpoints, and
+ * funding account records are paged by timestamp. Sub-accounts are valued
+ * with the balance their master key sees for them.
+ */
+
+const { getHistoryArchiveBills } = require("./bills-history-archive");
+const { getIndexId } = require("./usd-conversion");
+const { OkxClient } = require("./okx-client");
+const { ExchangeAdapter, formatBillsFilter } = require("./exchange-adapter");
+const { createLogger } = require("./logger");
+
+const log = createLogger("okx-adapter");
+
+// How far back each bills endpoint reaches
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_BILLS_DAYS = 7;
+const ARCHIVE_BILLS_DAYS = 90;
+// Overlap between adjacent sources so no bill is lost at the boundary
+const SOURCE_OVERLAP_MS = 60 * 60 * 1000;
+const ASSET_PAGE_SIZE = 100;
+
+/**
+ * Pages through a bills endpoint within a time range
+ * @param {Function} fetchPage - Fetches a page of bills for query parameters
+ * @param {Object} filter - Bills filter (e.g., { instType: 'SWAP' })
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @returns {Promise<Array>} - Bill records
+ */
+async function fetchBillPages(fetchPage, filter, from, to) {
+  let allBills = [],
+    after = "";
+
+  while (true) {
+    const bills = await fetchPage({
+      ...filter,
+      limit: 100,
+      begin: from,
+      end: to,
+      after,
+    });
+
+    if (!bills.data?.length) break;
+
+    // Keep bills inside the requested range
+    allBills = allBills.concat(
+      bills.data.filter((b) => parseInt(b.ts) >= from && parseInt(b.ts) < to)
+    );
+
+    // Bills are returned newest first; stop once the range start is passed
+    const oldestBill = bills.data[bills.data.length - 1];
+    if (parseInt(oldestBill.ts) < from) break;
+
+    after = oldestBill.billId;
+  }
+
+  return allBills;
+}
+
+/**
+ * Gets bills matching a filter within a billing period.
+ * OKX only serves the last 7 days from /account/bills, so older parts of the
+ * period are fetched from /account/bills-archive (last 3 months) and the
+ * quarterly bills history archive, then merged by billId.
+ * @param {OkxClient} client - OKX client of the account
+ * @param {Object} filter - Bills filter (e.g., { instType: 'SWAP' } or { instId: 'BTC-USDT' })
+ * @param {string} description - Description for logging
+ * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+ * @returns {Object} - Bills data, with the date range covered by each source
+ */
+async function getBills(client, filter, description, period) {
+  const filterLabel = formatBillsFilter(filter);
+  try {
+    log.info(`Checking bills for ${description}`, { filter: filterLabel });
+    const from = new Date(period.from).getTime();
+    const to = new Date(period.to).getTime();
+    const now = Date.now();
+    const recentStart = now - RECENT_BILLS_DAYS * DAY_MS;
+    const archiveStart = now - ARCHIVE_BILLS_DAYS * DAY_MS;
+
+    const billsById = new Map();
+    const sources = [];
+
+    const addBills = (source, rangeFrom, rangeTo, bills) => {
+      bills.forEach((bill) => {
+        if (!billsById.has(bill.billId)) billsById.set(bill.billId, bill);
+      });
+      sources.push({
+        source,
+        from: new Date(rangeFrom).toISOString(),
+        to: new Date(rangeTo).toISOString(),
+        count: bills.length,
+      });
+    };
+
+    // Last 7 days
+    if (to > recentStart) {
+      const rangeFrom = Math.max(from, recentStart);
+      addBills(
+        "bills",
+        rangeFrom,
+        to,
+        await fetchBillPages(
+          (params) => client.getBills(params),
+          filter,
+          rangeFrom,
+          to
+        )
+      );
+    }
+
+    // Last 3 months
+    if (from < recentStart && to > archiveStart) {
+      const rangeFrom = Math.max(from, archiveStart);
+      const rangeTo = Math.min(to, recentStart + SOURCE_OVERLAP_MS);
+      log.info("Falling back to bills archive", { filter: filterLabel });
+      addBills(
+        "bills-archive",
+        rangeFrom,
+        rangeTo,
+        await fetchBillPages(
+          (params) => client.getBillsArchive(params),
+          filter,
+          rangeFrom,
+          rangeTo
+        )
+      );
+    }
+
+    // Older than 3 months
+    if (from < archiveStart) {
+      const rangeTo = Math.min(to, archiveStart + SOURCE_OVERLAP_MS);
+      log.info("Falling back to bills history archive", {
+        filter: filterLabel,
+      });
+      addBills(
+        "bills-history-archive",
+        from,
+        rangeTo,
+        await getHistoryArchiveBills(client, filter, from, rangeTo)
+      );
+    }
+
+    const allBills = [...billsById.values()].sort(
+      (a, b) =>
+        parseInt(b.ts) - parseInt(a.ts) || b.billId.localeCompare(a.billId)
+    );
+
+    return { code: "0", data: allBills, msg: "", sources };
+  } catch (error) {
+    log.error("Error getting bills", {
+      filter: filterLabel,
+      error: error.message,
+    });
+    return { error: error.message };
+  }
+}
+
+// Index price requests in progress or completed, keyed by index ID and
+// minute, so concurrent accounts share a single request
+const indexPriceCache = new Map();
+
+/**
+ * Gets the index price at a point in time from OKX 1-minute index candles
+ * @param {OkxClient} client - OKX client of the account
+ * @param {string} indexId - Index ID (e.g., 'BTC-USD')
+ * @param {number} ts - Timestamp in milliseconds
+ * @returns {Promise<number>} - Close price of the candle containing the timestamp
+ */
+function getIndexPriceAt(client, indexId, ts) {
+  const minute = Math.floor(ts / 60000) * 60000;
+  const cacheKey = `${indexId}:${minute}`;
+  if (indexPriceCache.has(cacheKey)) return indexPriceCache.get(cacheKey);
+
+  const price = (async () => {
+    // "after" returns candles older than the given timestamp, newest first
+    const candles = await client.getIndexCandles({
+      instId: indexId,
+      bar: "1m",
+      limit: 1,
+      after: minute + 1,
+    });
+
+    const close = parseFloat(candles.data?.[0]?.[4]);
+    if (!(close > 0)) {
+      throw new Error(`No ${indexId} index price available at ${ts}`);
+    }
+    return close;
+  })();
+
+  // Failed requests are not cached so a later bill can try again
+  indexPriceCache.set(cacheKey, price);
+  price.catch(() => indexPriceCache.delete(cacheKey));
+  return price;
+}
+
+/**
+ * Pages through a funding (asset) endpoint within a time range. These
+ * endpoints page by timestamp: `after` returns older records and `before`
+ * newer ones. Records sharing the last timestamp of a page may continue on
+ * the next, so each page starts at that millisecond again and records seen
+ * twice are dropped by ID.
+ * @param {Function} fetchPage - Fetches a page of records for query parameters
+ * @param {string} idField - Record ID field (e.g., 'depId')
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @returns {Promise<Array>} - Records, newest first
+ * @throws {Error} If more records share one timestamp than fit on a page,
+ *   as paging by timestamp cannot reach past them
+ */
+async function fetchAssetPages(fetchPage, idField, from, to) {
+  const recordsById = new Map();
+  let after = to;
+
+  while (true) {
+    const records = await fetchPage({
+      limit: ASSET_PAGE_SIZE,
+      before: from - 1,
+      after,
+    });
+
+    if (!records.data?.length) break;
+
+    const newRecords = records.data.filter((r) => !recordsById.has(r[idField]));
+    newRecords
+      .filter((r) => parseInt(r.ts) >= from && parseInt(r.ts) < to)
+      .forEach((r) => recordsById.set(r[idField], r));
+
+    if (records.data.length < ASSET_PAGE_SIZE) break;
+    const lastTs = parseInt(records.data[records.data.length - 1].ts);
+    if (!newRecords.length) {
+      throw new Error(
+        `More than ${ASSET_PAGE_SIZE} records at ${new Date(
+          lastTs
+        ).toISOString()}; cannot page past them`
+      );
+    }
+    after = lastTs + 1;
+  }
+
+  return [...recordsById.values()];
+}
+
+/**
+ * Gets deposits, withdrawals and funding account bills for a billing period
+ * @param {OkxClient} client - OKX client of the account
+ * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+ * @returns {Promise<Object>} - Responses keyed by flow; each holds `data` or `error`
+ */
+async function getFlows(client, period) {
+  const from = new Date(period.from).getTime();
+  const to = new Date(period.to).getTime();
+  const fetchPages = {
+    deposits: ["depId", (params) => client.getDepositHistory(params)],
+    withdrawals: ["wdId", (params) => client.getWithdrawalHistory(params)],
+    fundingBills: ["billId", (params) => client.getAssetBills(params)],
+  };
+
+  const flows = {};
+  for (const [flow, [idField, fetchPage]] of Object.entries(fetchPages)) {
+    try {
+      log.info(`Checking ${flow}`);
+      flows[flow] = {
+        code: "0",
+        data: await fetchAssetPages(fetchPage, idField, from, to),
+        msg: "",
+      };
+    } catch (error) {
+      log.error(`Error getting ${flow}`, { error: error.message });
+      flows[flow] = { error: error.message };
+    }
+  }
+
+  return flows;
+}
+
+/**
+ * Adapter for an OKX account, or an OKX sub-account billed with its own key
+ * @class
+ */
+class OkxAdapter extends ExchangeAdapter {
+  /**
+   * Create an OkxAdapter instance
+   * @param {Object} credentials - API credentials
+   * @param {string} credentials.apiKey - API key
+   * @param {string} credentials.secretKey - API secret key
+   * @param {string} credentials.passphrase - API passphrase
+   * @param {Object} [options]
+   * @param {Object} [options.master] - Credentials of the master key, for a
+   *   sub-account whose balance is read through its master
+   * @param {string} [options.subAccount] - Sub-account name
+   * @param {Object} [options.clientOptions] - Options of OkxClient
+   */
+  constructor(credentials, { master, subAccount, clientOptions } = {}) {
+    super("OKX", credentials);
+    this.client = new OkxClient(credentials, clientOptions);
+    this.masterClient = master ? new OkxClient(master, clientOptions) : null;
+    this.subAccount = subAccount || null;
+  }
+
+  /**
+   * Check whether the API key, secret key and passphrase are all set
+   * @returns {boolean} True if requests can be signed
+   */
+  hasCredentials() {
+    return super.hasCredentials() && Boolean(this.credentials.passphrase);
+  }
+
+  /**
+   * Gets the account configuration
+   * @returns {Promise<Object>} - Account configuration response
+   */
+  getAccountInfo() {
+    return this.client.getConfig();
+  }
+
+  /**
+   * Gets the trading account balance; sub-account balances are read through
+   * the master key
+   * @returns {Promise<Object>} - Balance response
+   */
+  getBalances() {
+    return this.masterClient
+      ? this.masterClient.getSubAccountBalances(this.subAccount)
+      : this.client.getBalance();
+  }
+
+  /**
+   * Gets open positions
+   * @returns {Promise<Object>} - Positions response
+   */
+  getPositions() {
+    return this.client.getPositions();
+  }
+
+  /**
+   * Gets bills matching a filter within a billing period
+   * @param {Object} filter - Bills filter (e.g., { instType: 'SWAP' })
+   * @param {string} description - Description for logging
+   * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+   * @returns {Promise<Object>} - Bills data, with the date range covered by each source
+   */
+  getBills(filter, description, period) {
+    return getBills(this.client, filter, description, period);
+  }
+
+  /**
+   * Gets deposits, withdrawals and funding account bills for a billing period
+   * @param {Object} period - Billing period with ISO `from` (inclusive) and `to` (exclusive)
+   * @returns {Promise<Object>} - Responses keyed by flow; each holds `data` or `error`
+   */
+  getFlows(period) {
+    return getFlows(this.client, period);
+  }
+
+  /**
+   * Gets the USD price of a currency from its OKX index
+   * @param {string} ccy - Currency code (e.g., 'BTC')
+   * @param {number} ts - Timestamp in milliseconds
+   * @returns {Promise<number>} - Index price at the timestamp
+   */
+  getUsdPriceAt(ccy, ts) {
+    return getIndexPriceAt(this.client, getIndexId(ccy), ts);
+  }
+}
+
+module.exports = {
+  OkxAdapter,
+  getBills,
+  getFlows,
+};
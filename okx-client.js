@@ -0,0 +1,309 @@
+/**
+ * @fileoverview OKX REST API client. Signs requests with the account's API
+ * credentials, sends them through the rate limits and retries of
+ * okx-request.js, and exposes the endpoints the billing scripts use as
+ * methods. Requests go to OKX_API_URL (https://www.okx.com by default) and
+ * carry the x-simulated-trading header for demo trading keys when
+ * OKX_SIMULATED_TRADING is set. Every failure is thrown as an OkxError.
+ */
+
+const fetch = require("node-fetch");
+const crypto = require("crypto");
+const {
+  REQUEST_TIMEOUT_MS,
+  OkxError,
+  getOkxTimestamp,
+  parseOkxResponse,
+  sendWithRetries,
+} = require("./okx-request");
+const { createLogger } = require("./logger");
+
+const log = createLogger("okx-client");
+
+const DEFAULT_BASE_URL = "https://www.okx.com";
+
+/**
+ * Check whether an environment flag is set
+ * @param {string} [value] - Environment variable value
+ * @returns {boolean} True for "1" and "true"
+ */
+function isFlagSet(value) {
+  return ["1", "true"].includes(String(value).toLowerCase());
+}
+
+/**
+ * Generates a signature for OKX API requests
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string} requestPath - API endpoint path with query string
+ * @param {string} body - Request body for POST requests
+ * @param {string} secretKey - API secret key
+ * @returns {string} - Signature for the request
+ */
+function generateSignature(timestamp, method, requestPath, body, secretKey) {
+  const message = timestamp + method + requestPath + (body || "");
+  return crypto
+    .createHmac("sha256", secretKey)
+    .update(message)
+    .digest("base64");
+}
+
+/**
+ * Formats request parameters as a query string, leaving out unset values
+ * @param {Object} [params] - Query parameters
+ * @returns {string} - Query string with leading "?", or "" without parameters
+ */
+function formatQuery(params = {}) {
+  const query = Object.entries(params)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  return query ? `?${query}` : "";
+}
+
+/**
+ * Client for the OKX REST API, bound to one account's credentials
+ * @class
+ */
+class OkxClient {
+  /**
+   * Create an OkxClient instance
+   * @param {Object} [credentials] - API credentials; public endpoints work without
+   * @param {string} credentials.apiKey - API key
+   * @param {string} credentials.secretKey - API secret key
+   * @param {string} credentials.passphrase - API passphrase
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API base URL; defaults to OKX_API_URL
+   *   or https://www.okx.com
+   * @param {boolean} [options.simulated] - Send requests to demo trading;
+   *   defaults to OKX_SIMULATED_TRADING
+   */
+  constructor(credentials = {}, options = {}) {
+    this.apiKey = credentials.apiKey;
+    this.secretKey = credentials.secretKey;
+    this.passphrase = credentials.passphrase;
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.OKX_API_URL ||
+      DEFAULT_BASE_URL
+    ).replace(/\/$/, "");
+    this.simulated =
+      options.simulated ?? isFlagSet(process.env.OKX_SIMULATED_TRADING);
+  }
+
+  /**
+   * Generates headers for a request, signed if the client has credentials
+   * @param {string} method - HTTP method
+   * @param {string} path - API endpoint path with query string
+   * @param {string} [body] - Request body for POST requests
+   * @returns {Object} - Request headers
+   */
+  getHeaders(method, path, body) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.simulated) headers["x-simulated-trading"] = "1";
+    if (!this.apiKey) return headers;
+
+    const timestamp = getOkxTimestamp();
+    return {
+      ...headers,
+      "OK-ACCESS-KEY": this.apiKey,
+      "OK-ACCESS-SIGN": generateSignature(
+        timestamp,
+        method,
+        path,
+        body,
+        this.secretKey
+      ),
+      "OK-ACCESS-TIMESTAMP": timestamp,
+      "OK-ACCESS-PASSPHRASE": this.passphrase,
+    };
+  }
+
+  /**
+   * Makes a request to the OKX API within its rate limit, retrying transient
+   * failures
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.body] - Body of POST requests
+   * @returns {Promise<Object>} - API response with `code`, `msg` and `data`
+   * @throws {OkxError} If the request failed once retries are exhausted
+   */
+  async request(method, endpoint, { params, body } = {}) {
+    const path = endpoint + formatQuery(params);
+    const payload = method === "POST" ? JSON.stringify(body || {}) : "";
+
+    try {
+      log.debug("OKX request", { method, path });
+      return await sendWithRetries(
+        async () => {
+          const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: this.getHeaders(method, path, payload),
+            body: payload || undefined,
+            timeout: REQUEST_TIMEOUT_MS,
+          });
+          return parseOkxResponse(response);
+        },
+        { method, path, baseUrl: this.baseUrl, apiKey: this.apiKey }
+      );
+    } catch (error) {
+      log.error("OKX request failed", { method, path, error: error.message });
+      if (error instanceof OkxError) throw error;
+      throw new OkxError(error.message, { cause: error });
+    }
+  }
+
+  /**
+   * Gets the account configuration
+   * @returns {Promise<Object>} - Account configuration response
+   */
+  getConfig() {
+    return this.request("GET", "/api/v5/account/config");
+  }
+
+  /**
+   * Gets the trading account balance
+   * @param {Object} [params] - Query parameters (e.g., { ccy: 'BTC,USDT' })
+   * @returns {Promise<Object>} - Balance response
+   */
+  getBalance(params) {
+    return this.request("GET", "/api/v5/account/balance", { params });
+  }
+
+  /**
+   * Gets open positions
+   * @param {Object} [params] - Query parameters (e.g., { instType: 'SWAP' })
+   * @returns {Promise<Object>} - Positions response
+   */
+  getPositions(params) {
+    return this.request("GET", "/api/v5/account/positions", { params });
+  }
+
+  /**
+   * Gets a page of trading account bills from the last 7 days
+   * @param {Object} [params] - Filter and paging parameters (instType, type,
+   *   begin, end, after, limit, ...)
+   * @returns {Promise<Object>} - Bills response, newest first
+   */
+  getBills(params) {
+    return this.request("GET", "/api/v5/account/bills", { params });
+  }
+
+  /**
+   * Gets a page of trading account bills from the last 3 months
+   * @param {Object} [params] - Filter and paging parameters, as for getBills
+   * @returns {Promise<Object>} - Bills response, newest first
+   */
+  getBillsArchive(params) {
+    return this.request("GET", "/api/v5/account/bills-archive", { params });
+  }
+
+  /**
+   * Asks OKX to generate the bills file of a quarter
+   * @param {{year: string, quarter: string}} quarter - Quarter (e.g., { year: '2024', quarter: 'Q1' })
+   * @returns {Promise<Object>} - Request response
+   */
+  requestBillsHistoryArchive({ year, quarter }) {
+    return this.request("POST", "/api/v5/account/bills-history-archive", {
+      body: { year, quarter },
+    });
+  }
+
+  /**
+   * Gets the state and download link of a quarter's bills file
+   * @param {{year: string, quarter: string}} quarter - Quarter
+   * @returns {Promise<Object>} - File status response
+   */
+  getBillsHistoryArchive({ year, quarter }) {
+    return this.request("GET", "/api/v5/account/bills-history-archive", {
+      params: { year, quarter },
+    });
+  }
+
+  /**
+   * Gets a page of funding account bills
+   * @param {Object} [params] - Paging parameters (before, after, limit, ...)
+   * @returns {Promise<Object>} - Funding bills response, newest first
+   */
+  getAssetBills(params) {
+    return this.request("GET", "/api/v5/asset/bills", { params });
+  }
+
+  /**
+   * Gets a page of deposits
+   * @param {Object} [params] - Paging parameters (before, after, limit, ...)
+   * @returns {Promise<Object>} - Deposit history response, newest first
+   */
+  getDepositHistory(params) {
+    return this.request("GET", "/api/v5/asset/deposit-history", { params });
+  }
+
+  /**
+   * Gets a page of withdrawals
+   * @param {Object} [params] - Paging parameters (before, after, limit, ...)
+   * @returns {Promise<Object>} - Withdrawal history response, newest first
+   */
+  getWithdrawalHistory(params) {
+    return this.request("GET", "/api/v5/asset/withdrawal-history", {
+      params,
+    });
+  }
+
+  /**
+   * Gets a page of the sub-accounts of a master account
+   * @param {Object} [params] - Query parameters (enable, subAcct, after, limit, ...)
+   * @returns {Promise<Object>} - Sub-account list response, newest first
+   */
+  getSubAccounts(params) {
+    return this.request("GET", "/api/v5/users/subaccount/list", { params });
+  }
+
+  /**
+   * Gets the trading account balance of a sub-account of a master account
+   * @param {string} subAcct - Sub-account name
+   * @returns {Promise<Object>} - Balance response, as for getBalance
+   */
+  getSubAccountBalances(subAcct) {
+    return this.request("GET", "/api/v5/account/subaccount/balances", {
+      params: { subAcct },
+    });
+  }
+
+  /**
+   * Gets the latest tickers of an instrument type
+   * @param {Object} params - Query parameters (e.g., { instType: 'SWAP' })
+   * @returns {Promise<Object>} - Tickers response
+   */
+  getTickers(params) {
+    return this.request("GET", "/api/v5/market/tickers", { params });
+  }
+
+  /**
+   * Gets historical index candles
+   * @param {Object} params - Query parameters (instId, bar, after, limit, ...)
+   * @returns {Promise<Object>} - Candles response, newest first
+   */
+  getIndexCandles(params) {
+    return this.request("GET", "/api/v5/market/history-index-candles", {
+      params,
+    });
+  }
+
+  /**
+   * Gets the OKX server time
+   * @returns {Promise<Object>} - Response with the time in `data[0].ts`
+   */
+  getServerTime() {
+    return this.request("GET", "/api/v5/public/time");
+  }
+}
+
+module.exports = {
+  OkxClient,
+  OkxError,
+  generateSignature,
+};
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Rate limiting, retries and clock sync for OKX API requests.
+ * Requests wait for a slot within the endpoint's OKX rate limit before they
+ * are sent. OKX counts private endpoints per account and public ones per IP
+ * address, so private endpoint limits are tracked per API key. Rate-limit
+ * responses, server errors and network failures are retried with exponential
+ * backoff and full jitter, and requests rejected for an expired timestamp are
+ * retried after resyncing the clock against /api/v5/public/time.
+ */
+
+const fetch = require("node-fetch");
+const { createLogger } = require("./logger");
+
+const log = createLogger("okx-request");
+
+/**
+ * OKX rate limits per endpoint: at most `requests` in any `windowMs`
+ * @type {Object<string, {requests: number, windowMs: number}>}
+ */
+const RATE_LIMITS = {
+  "/api/v5/account/config": { requests: 5, windowMs: 2000 },
+  "/api/v5/account/balance": { requests: 10, windowMs: 2000 },
+  "/api/v5/account/positions": { requests: 10, windowMs: 2000 },
+  "/api/v5/account/bills": { requests: 5, windowMs: 1000 },
+  "/api/v5/account/bills-archive": { requests: 5, windowMs: 2000 },
+  "/api/v5/account/bills-history-archive": { requests: 10, windowMs: 2000 },
+  "/api/v5/account/subaccount/balances": { requests: 6, windowMs: 2000 },
+  "/api/v5/asset/bills": { requests: 6, windowMs: 1000 },
+  "/api/v5/asset/deposit-history": { requests: 6, windowMs: 1000 },
+  "/api/v5/asset/withdrawal-history": { requests: 6, windowMs: 1000 },
+  "/api/v5/market/history-index-candles": { requests: 10, windowMs: 2000 },
+  "/api/v5/market/tickers": { requests: 20, windowMs: 2000 },
+  "/api/v5/public/time": { requests: 10, windowMs: 2000 },
+  "/api/v5/users/subaccount/list": { requests: 2, windowMs: 2000 },
+};
+
+// Limit for endpoints not listed above, lower than any OKX limit
+const DEFAULT_RATE_LIMIT = { requests: 5, windowMs: 2000 };
+
+// Endpoint prefixes limited per IP address rather than per account
+const PUBLIC_ENDPOINT_PREFIXES = ["/api/v5/market/", "/api/v5/public/"];
+
+// HTTP statuses and OKX error codes worth retrying
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set([
+  "50001", // Service temporarily unavailable
+  "50004", // Endpoint request timeout
+  "50011", // Rate limit reached
+  "50013", // System busy
+  "50026", // System error
+  "50061", // Sub-account rate limit reached
+]);
+// Request timestamp expired, usually because the local clock is off
+const TIMESTAMP_EXPIRED_CODE = "50102";
+
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Difference between the OKX server clock and the local clock
+let clockOffsetMs = 0;
+
+/**
+ * Sleep for a given number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sliding-window rate limiter with one window per endpoint and API key
+ * @class
+ */
+class RateLimiter {
+  /**
+   * Create a RateLimiter instance
+   * @param {Object} [limits=RATE_LIMITS] - Limits per endpoint
+   */
+  constructor(limits = RATE_LIMITS) {
+    this.limits = limits;
+    this.sent = new Map();
+  }
+
+  /**
+   * Wait until a request to an endpoint is within its rate limit, and count it
+   * @param {string} endpoint - Endpoint path without the query string
+   * @param {string} [apiKey] - API key the request is signed with
+   * @returns {Promise<void>}
+   */
+  async acquire(endpoint, apiKey) {
+    const { requests, windowMs } = this.limits[endpoint] || DEFAULT_RATE_LIMIT;
+    const isPublic = PUBLIC_ENDPOINT_PREFIXES.some((prefix) =>
+      endpoint.startsWith(prefix)
+    );
+    const key = isPublic || !apiKey ? endpoint : `${apiKey}:${endpoint}`;
+
+    for (;;) {
+      const now = Date.now();
+      const recent = (this.sent.get(key) || []).filter(
+        (ts) => ts > now - windowMs
+      );
+      this.sent.set(key, recent);
+
+      if (recent.length < requests) {
+        recent.push(now);
+        return;
+      }
+      await sleep(recent[0] + windowMs - now);
+    }
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+/**
+ * Get the current time on the OKX server clock in the format used by the
+ * OK-ACCESS-TIMESTAMP header
+ * @returns {string} ISO timestamp
+ */
+function getOkxTimestamp() {
+  return new Date(Date.now() + clockOffsetMs).toISOString().split(".")[0] + "Z";
+}
+
+/**
+ * Measure the offset between the OKX server clock and the local clock
+ * @param {string} baseUrl - OKX API base URL
+ * @returns {Promise<number>} Offset in milliseconds
+ */
+async function syncClock(baseUrl) {
+  await rateLimiter.acquire("/api/v5/public/time");
+
+  const sentAt = Date.now();
+  const response = await fetch(`${baseUrl}/api/v5/public/time`, {
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  const data = await parseOkxResponse(response);
+  const receivedAt = Date.now();
+
+  // Assume the server read its clock halfway through the round trip
+  clockOffsetMs = parseInt(data.data[0].ts) - (sentAt + receivedAt) / 2;
+  log.info("Synced clock with OKX", { offsetMs: Math.round(clockOffsetMs) });
+  return clockOffsetMs;
+}
+
+/**
+ * Error for a failed OKX request. HTTP and API errors carry the HTTP status
+ * and OKX error code; network failures carry neither.
+ * @class
+ */
+class OkxError extends Error {
+  /**
+   * Create an OkxError instance
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.code] - OKX error code
+   * @param {number} [details.retryAfterMs] - Delay requested by Retry-After
+   * @param {Error} [details.cause] - Underlying error of a network failure
+   */
+  constructor(message, { status, code, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "OkxError";
+    this.status = status;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Parse an OKX API response, throwing for HTTP and API errors
+ * @param {Object} response - Fetch response
+ * @returns {Promise<Object>} Response body
+ * @throws {OkxError} If the request failed
+ */
+async function parseOkxResponse(response) {
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Gateways answer some errors with HTML; the status says what happened
+  }
+
+  if (!response.ok || !data) {
+    const retryAfter = parseInt(response.headers.get("retry-after"));
+    throw new OkxError(
+      `HTTP error! status: ${response.status}${
+        data?.code ? ` (Code: ${data.code})` : ""
+      }`,
+      {
+        status: response.status,
+        code: data?.code,
+        retryAfterMs: retryAfter >= 0 ? retryAfter * 1000 : undefined,
+      }
+    );
+  }
+
+  if (data.code !== "0") {
+    throw new OkxError(
+      `API Error: ${data.msg || "Unknown error"} (Code: ${data.code})`,
+      { status: response.status, code: data.code }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+function isTransientError(error) {
+  return (
+    error.name === "FetchError" ||
+    TRANSIENT_STATUSES.has(error.status) ||
+    TRANSIENT_CODES.has(error.code)
+  );
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with full jitter, or the
+ * server's Retry-After delay if longer
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @param {number} [retryAfterMs] - Delay requested by the server
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  const backoff = Math.min(
+    MAX_RETRY_DELAY_MS,
+    BASE_RETRY_DELAY_MS * 2 ** attempt
+  );
+  return Math.max(Math.round(Math.random() * backoff), retryAfterMs || 0);
+}
+
+/**
+ * Send an OKX request within the endpoint's rate limit, retrying transient
+ * failures. `send` is called for each attempt so it can sign the request
+ * with a fresh timestamp.
+ * @param {Function} send - Sends the request and returns the parsed response
+ * @param {Object} options
+ * @param {string} options.method - HTTP method, for logging
+ * @param {string} options.path - Request path, with or without query string
+ * @param {string} options.baseUrl - OKX API base URL, for clock syncs
+ * @param {string} [options.apiKey] - API key the request is signed with
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} The last error once retries are exhausted, or any other error
+ */
+async function sendWithRetries(send, { method, path, baseUrl, apiKey }) {
+  const endpoint = path.split("?")[0];
+  const maxRetries = parseInt(
+    process.env.OKX_MAX_RETRIES ?? DEFAULT_MAX_RETRIES
+  );
+
+  for (let attempt = 0; ; attempt++) {
+    await rateLimiter.acquire(endpoint, apiKey);
+
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= maxRetries) throw error;
+
+      if (error.code === TIMESTAMP_EXPIRED_CODE) {
+        log.warn(`${method} ${endpoint} rejected for clock skew; resyncing`);
+        await syncClock(baseUrl);
+        continue;
+      }
+      if (!isTransientError(error)) throw error;
+
+      const delay = getRetryDelay(attempt, error.retryAfterMs);
+      log.warn(`Retrying ${method} ${endpoint} in ${delay} ms`, {
+        attempt: attempt + 1,
+        error: error.message,
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  RATE_LIMITS,
+  REQUEST_TIMEOUT_MS,
+  sleep,
+  RateLimiter,
+  OkxError,
+  getOkxTimestamp,
+  syncClock,
+  parseOkxResponse,
+  isTransientError,
+  getRetryDelay,
+  sendWithRetries,
+};
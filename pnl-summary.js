@@ -0,0 +1,197 @@
+/**
+ * @fileoverview PnL aggregation for whatever instruments an account traded.
+ * Bills are fetched per instrument type, split into PnL components and grouped
+ * here by instrument, by instrument type and by fee market (spot, perps,
+ * inverse). Component totals are in USD; the net figure is what is billed.
+ */
+
+const {
+  isUsdCurrency,
+  isInverseInstrument,
+  getBillUsdRate,
+} = require("./usd-conversion");
+const {
+  createComponents,
+  classifyBill,
+  addComponents,
+} = require("./bill-classifier");
+
+/**
+ * OKX instrument types bills are fetched for
+ * @type {Array<string>}
+ */
+const INST_TYPES = ["SPOT", "MARGIN", "SWAP", "FUTURES", "OPTION"];
+
+/**
+ * Get the fee market an instrument is billed under
+ * @param {string} instType - OKX instrument type
+ * @param {string} instId - Instrument ID
+ * @returns {string} spot, perps (USD/stablecoin-margined derivatives) or inverse (coin-margined)
+ */
+function getFeeMarket(instType, instId) {
+  if (instType === "SPOT" || instType === "MARGIN") return "spot";
+  return isInverseInstrument(instId) ? "inverse" : "perps";
+}
+
+/**
+ * Check whether any component of a bill is non-zero
+ * @param {Object} components - Bill components from classifyBill
+ * @returns {boolean} True if the bill changes any component
+ */
+function hasComponents(components) {
+  return Object.values(components).some((value) => value !== 0);
+}
+
+/**
+ * Summarise PnL per instrument, instrument type and fee market
+ * @param {Object} trading - Bills responses keyed by instrument type
+ * @returns {{instruments: Object, instTypes: Object, markets: Object}} PnL totals; USD figures exclude bills without a USD price
+ */
+function summarizePnL(trading) {
+  const instruments = {};
+  const instTypes = {};
+  const markets = {
+    spot: createComponents(),
+    perps: createComponents(),
+    inverse: createComponents(),
+  };
+
+  INST_TYPES.forEach((instType) => {
+    const bills = trading?.[instType]?.bills?.data || [];
+    if (!bills.length) return;
+
+    instTypes[instType] = { ...createComponents(), unconvertedBills: 0 };
+
+    bills.forEach((bill) => {
+      const instId = bill.instId || instType;
+      if (!instruments[instId]) {
+        instruments[instId] = {
+          instType,
+          market: getFeeMarket(instType, instId),
+          ccy: null,
+          native: 0,
+          usd: 0,
+          components: createComponents(),
+          unconvertedBills: 0,
+        };
+      }
+
+      const instrument = instruments[instId];
+      const { components } = classifyBill(bill);
+      if (components.grossPnl !== 0) {
+        // PnL settled in more than one currency has no single native total
+        instrument.ccy =
+          instrument.ccy && instrument.ccy !== bill.ccy ? "MIXED" : bill.ccy;
+        instrument.native += components.grossPnl;
+      }
+
+      const rate = getBillUsdRate(bill);
+      if (rate === null) {
+        if (hasComponents(components)) {
+          instrument.unconvertedBills++;
+          instTypes[instType].unconvertedBills++;
+        }
+        return;
+      }
+
+      instrument.usd += components.grossPnl * rate;
+      addComponents(instrument.components, components, rate);
+      addComponents(instTypes[instType], components, rate);
+      addComponents(markets[instrument.market], components, rate);
+    });
+  });
+
+  return { instruments, instTypes, markets };
+}
+
+/**
+ * Summarise transfers into and out of the trading account
+ * @param {Object} transfers - Bills response for transfer bills
+ * @returns {{usd: number, count: number, unconvertedBills: number}} Net USD transferred in
+ */
+function summarizeTransfers(transfers) {
+  const summary = { usd: 0, count: 0, unconvertedBills: 0 };
+
+  (transfers?.data || []).forEach((bill) => {
+    const { components } = classifyBill(bill);
+    const rate = getBillUsdRate(bill);
+    summary.count++;
+
+    if (rate === null) {
+      summary.unconvertedBills++;
+      return;
+    }
+    summary.usd += components.transfers * rate;
+  });
+
+  return summary;
+}
+
+/**
+ * Summarise account equity and the unrealised PnL included in it, as used for
+ * equity-change billing. OKX reports account-level unrealised PnL in USD for
+ * multi-currency accounts; otherwise each currency's figure is valued at its
+ * equity's USD rate.
+ * @param {Object} balances - Account balance response
+ * @param {string} takenAt - ISO time the balance was fetched
+ * @returns {{totalEquity: number, unrealisedPnl: number, takenAt: string}|null} Equity in USD, or null without a balance
+ */
+function summarizeEquity(balances, takenAt) {
+  const account = balances?.data?.[0];
+  if (!account) return null;
+
+  let unrealisedPnl;
+  if (account.upl !== undefined && account.upl !== "") {
+    unrealisedPnl = parseFloat(account.upl);
+  } else {
+    unrealisedPnl = (account.details || []).reduce((sum, detail) => {
+      const upl = parseFloat(detail.upl || 0);
+      const eq = parseFloat(detail.eq || 0);
+      if (!upl) return sum;
+      if (isUsdCurrency(detail.ccy)) return sum + upl;
+      return eq ? sum + (upl * parseFloat(detail.eqUsd || 0)) / eq : sum;
+    }, 0);
+  }
+
+  return {
+    totalEquity: parseFloat(account.totalEq || 0),
+    unrealisedPnl,
+    takenAt,
+  };
+}
+
+/**
+ * List every currency the account holds with its equity, as reported in the
+ * balance response, next to the account's total equity in USD
+ * @param {Object} balances - Account balance response
+ * @returns {{totalEq: number, currencies: Array<Object>}|null} Total equity
+ *   and, per currency with non-zero equity, its equity, USD value, available,
+ *   frozen and unrealised PnL; null without a balance
+ */
+function summarizeBalances(balances) {
+  const account = balances?.data?.[0];
+  if (!account) return null;
+
+  return {
+    totalEq: parseFloat(account.totalEq || 0),
+    currencies: (account.details || [])
+      .filter((detail) => parseFloat(detail.eq || 0) !== 0)
+      .map((detail) => ({
+        ccy: detail.ccy,
+        equity: parseFloat(detail.eq),
+        usdValue: parseFloat(detail.eqUsd || 0),
+        available: parseFloat(detail.availBal || 0),
+        frozen: parseFloat(detail.frozenBal || 0),
+        unrealisedPnl: parseFloat(detail.upl || 0),
+      })),
+  };
+}
+
+module.exports = {
+  INST_TYPES,
+  getFeeMarket,
+  summarizePnL,
+  summarizeTransfers,
+  summarizeEquity,
+  summarizeBalances,
+};
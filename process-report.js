@@ -1,11 +1,226 @@
 /**
- * @fileoverview Process OKX trading reports and generate CSV billing summaries.
+ * @fileoverview Process trading reports and generate CSV billing summaries.
  * This script takes a JSON trading report as input and generates a CSV file containing
  * account balances, PnL data, and fee calculations. All timestamps are in Irish time.
+ * Clients with accounts on more than one exchange get a single invoice.
+ * billing.js calls `processReport` with the report it has just built; run
+ * directly, the script processes a saved report file.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { dbClient } = require("./database");
+const {
+  BILLING_MODES,
+  resolveFeeSettings,
+  getFeeFreeFraction,
+  getPeriodMonths,
+  calculateMinimumFeeTopUp,
+  calculateEquityChangePnL,
+  allocateHurdleCapital,
+  calculatePerformanceFee,
+} = require("./fee-engine");
+const {
+  INST_TYPES,
+  summarizePnL,
+  summarizeBalances,
+} = require("./pnl-summary");
+const { createComponents, addComponents } = require("./bill-classifier");
+const { getBillUsdPrice, applyUsdPrice } = require("./usd-conversion");
+const { calculateModifiedDietz } = require("./account-flows");
+const { getClientKey } = require("./sub-accounts");
+const { getExchangeKey } = require("./exchanges");
+const {
+  getInvoiceConfig,
+  formatInvoiceNumber,
+  buildInvoice,
+  combineInvoices,
+  getInvoicePaths,
+  writeInvoice,
+} = require("./invoice");
+const { createLogger, setLogContext } = require("./logger");
+const {
+  STATUSES,
+  createAccountStatus,
+  markSection,
+  summarizeRunStatus,
+  formatRunStatus,
+} = require("./run-status");
+
+const log = createLogger("process-report");
+
+// Period assumed for reports generated before periods were stamped into them
+const LEGACY_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How far the balance fetch may be from the period end before the equity
+// snapshot is flagged as approximate
+const SNAPSHOT_TOLERANCE_MS = 60 * 60 * 1000;
+
+// CSV columns copied rather than summed into client totals
+const CLIENT_TOTAL_COPIED_COLUMNS = [
+  "date",
+  "time_irish",
+  "name",
+  "email",
+  "period_start",
+  "period_end",
+  "period_label",
+  "exchange",
+];
+// CSV columns left empty in client totals
+const CLIENT_TOTAL_EMPTY_COLUMNS = [
+  "billing_mode",
+  "modified_dietz_return",
+  "invoice_number",
+  "status",
+  "status_reason",
+  "sub_account",
+  "account_type",
+  "api_key_id",
+];
+
+/**
+ * Quote a CSV value if it contains a separator, quote or line break
+ * @param {string} value - Value to write
+ * @returns {string} CSV field
+ */
+function escapeCsvValue(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV row consolidating the accounts of a client with
+ * sub-accounts. Amounts are summed over the accounts that were billed, and
+ * left empty where one of them has no value.
+ * @param {Array<string>} columns - CSV columns
+ * @param {Array<Object>} rows - CSV rows of the client's accounts, keyed by column
+ * @returns {Object} Client total row, keyed by column
+ */
+function buildClientTotalRow(columns, rows) {
+  const billed = rows.filter((row) => row.status === STATUSES.OK);
+  const notBilled = rows.length - billed.length;
+
+  const total = Object.fromEntries(
+    columns.map((column) => {
+      if (CLIENT_TOTAL_COPIED_COLUMNS.includes(column)) {
+        return [column, rows[0][column]];
+      }
+      if (
+        CLIENT_TOTAL_EMPTY_COLUMNS.includes(column) ||
+        !billed.length ||
+        billed.some((row) => row[column] === "")
+      ) {
+        return [column, ""];
+      }
+      const sum = billed.reduce(
+        (sum, row) => sum + (parseFloat(row[column]) || 0),
+        0
+      );
+      return [column, sum.toFixed(8)];
+    })
+  );
+
+  // The total is only complete if every account was billed
+  const statuses = rows.map((row) => row.status);
+  total.status = statuses.includes(STATUSES.FAILED)
+    ? STATUSES.FAILED
+    : notBilled
+    ? STATUSES.SKIPPED
+    : STATUSES.OK;
+  total.status_reason = notBilled
+    ? `${notBilled} of ${rows.length} accounts not billed`
+    : "";
+  total.account_type = "client_total";
+  return total;
+}
+
+/**
+ * Find the clients whose accounts span more than one exchange, and the API
+ * key ID their combined invoice is numbered by: the lowest of all their
+ * accounts, billed or not, so the number stays the same when a retry bills
+ * an account that failed before. Report user IDs are masked, so clients are
+ * matched by email.
+ * @param {Array<Object>} accounts - Report accounts with `user`
+ * @returns {Map<string, number>} Invoice API key ID keyed by client email
+ */
+function findMultiExchangeClients(accounts) {
+  const clients = new Map();
+  accounts
+    .filter((account) => account.user?.email)
+    .forEach((account) => {
+      const { email, exchange, apiKeyId } = account.user;
+      if (!clients.has(email)) {
+        clients.set(email, { exchanges: new Set(), apiKeyIds: [] });
+      }
+      clients.get(email).exchanges.add(getExchangeKey(exchange));
+      if (apiKeyId) clients.get(email).apiKeyIds.push(Number(apiKeyId));
+    });
+
+  return new Map(
+    [...clients]
+      .filter(
+        ([_, client]) => client.exchanges.size > 1 && client.apiKeyIds.length
+      )
+      .map(([email, client]) => [email, Math.min(...client.apiKeyIds)])
+  );
+}
+
+/**
+ * Collect the bills of a report's trading section. Reports from before the
+ * PnL breakdown was stored group bills by market and coin (e.g.
+ * `trading.usdtSwap.btc.bills`) rather than by instrument type.
+ * @param {Object} trading - Trading section of a report account
+ * @returns {Array<Object>} Bills, each once
+ */
+function collectTradingBills(trading) {
+  const bills = new Map();
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node.bills?.data)) {
+      node.bills.data.forEach((bill) => bills.set(bill.billId, bill));
+      return;
+    }
+    Object.values(node).forEach(visit);
+  };
+  visit(trading);
+
+  return [...bills.values()];
+}
+
+/**
+ * Rebuild the PnL breakdown of an account from the trading bills stored in
+ * its report, for reports from before the breakdown was stored. Their bills
+ * carry no USD price, so each is priced from its own trade where it can be.
+ * @param {Object} trading - Trading section of a report account
+ * @returns {Object|null} `instruments`, `instTypes`, `markets` and `totals`
+ *   as billing.js summarises them, or null if there are no bills
+ */
+function rebuildPnLSummary(trading) {
+  const bills = collectTradingBills(trading);
+  if (!bills.length) return null;
+
+  const byInstType = {};
+  bills.forEach((bill) => {
+    if (bill.usdPx === undefined) {
+      const price = getBillUsdPrice(bill);
+      if (price) applyUsdPrice(bill, price.price, price.source);
+    }
+    if (!byInstType[bill.instType]) {
+      byInstType[bill.instType] = { bills: { data: [] } };
+    }
+    byInstType[bill.instType].bills.data.push(bill);
+  });
+
+  const pnl = summarizePnL(byInstType);
+  return {
+    ...pnl,
+    totals: Object.values(pnl.markets).reduce(
+      (sum, market) => addComponents(sum, market),
+      createComponents()
+    ),
+  };
+}
 
 /**
  * Create a directory if it doesn't exist
@@ -18,14 +233,243 @@ function ensureDirectoryExists(dirPath) {
 }
 
 /**
- * Process an OKX trading report and generate a CSV billing summary
- * @param {string} reportPath - Path to the JSON report file
- * @throws {Error} If the report file cannot be read or parsed
+ * Record the account equity at the end of the period and measure the change
+ * and Modified Dietz return since the snapshot recorded at its start
+ * @param {Object} params - Account details
+ * @param {string|null} params.apiKeyId - ID of the API key row, if known
+ * @param {Object|null} params.equity - Equity summary from the report
+ * @param {number} params.netTransfers - Net USD transferred in during the period
+ * @param {Array<{ts: string, usd: number}>} params.cashFlows - Trading account cash flows
+ * @param {string} params.periodStart - ISO start of the period
+ * @param {string} params.periodEnd - ISO end of the period
+ * @param {boolean} params.persist - Whether to record the end snapshot
+ * @returns {Promise<Object>} Start and end equity, the resulting PnL and return; both are null without a start snapshot
  */
-function processReport(reportPath) {
-  // Read and parse the report
-  const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+async function measureEquityChange({
+  apiKeyId,
+  equity,
+  netTransfers,
+  cashFlows,
+  periodStart,
+  periodEnd,
+  persist,
+}) {
+  const change = {
+    startEquity: null,
+    endEquity: equity ? equity.totalEquity : null,
+    unrealisedPnl: equity ? equity.unrealisedPnl : 0,
+    netTransfers,
+    pnl: null,
+    modifiedDietzReturn: null,
+  };
+  if (!apiKeyId || !equity) return change;
+
+  if (
+    Math.abs(new Date(equity.takenAt) - new Date(periodEnd)) >
+    SNAPSHOT_TOLERANCE_MS
+  ) {
+    log.warn(
+      `Balance for API key ID ${apiKeyId} was fetched at ${equity.takenAt}, not at the period end ${periodEnd}; equity snapshot is approximate`,
+      { apiKeyId }
+    );
+  }
+
+  if (persist) {
+    await dbClient.recordEquitySnapshot({
+      apiKeyId,
+      snapshotAt: periodEnd,
+      totalEquity: equity.totalEquity,
+      unrealisedPnl: equity.unrealisedPnl,
+      takenAt: equity.takenAt,
+    });
+  }
+
+  const start = await dbClient.getEquitySnapshot(apiKeyId, periodStart);
+  if (!start) return change;
+
+  change.startEquity = parseFloat(start.total_equity);
+  change.pnl = calculateEquityChangePnL({
+    startEquity: change.startEquity,
+    endEquity: change.endEquity,
+    netTransfers,
+  });
+  change.modifiedDietzReturn = calculateModifiedDietz({
+    startValue: change.startEquity,
+    endValue: change.endEquity,
+    cashFlows,
+    periodStart,
+    periodEnd,
+  }).return;
+  return change;
+}
+
+/**
+ * Calculate high-water-mark performance fees for an account using its fee
+ * schedule, and record the results so the next period can build on them.
+ * In realised mode each fee market is billed on its net PnL; in equity mode
+ * the whole account is billed on its change in equity.
+ * @param {Object} params - Account details
+ * @param {string|null} params.apiKeyId - ID of the API key row, if known
+ * @param {Object} params.marketPnL - Period PnL keyed by fee market
+ * @param {number} params.endEquity - Total USD equity at the end of the
+ *   period, for estimating the start equity when there is no snapshot of it
+ * @param {Object|null} params.equity - Equity summary from the report
+ * @param {number} params.netTransfers - Net USD transferred in during the period
+ * @param {Array<{ts: string, usd: number}>} params.cashFlows - Trading account cash flows
+ * @param {string} params.periodStart - ISO start of the period
+ * @param {string} params.periodEnd - ISO end of the period
+ * @param {boolean} params.persist - Whether to record the results
+ * @returns {Promise<{billingMode: string, markets: Object, equityChange: Object, minimumFeeTopUp: number}>} Fee results
+ * @throws {Error} If the fee settings or history cannot be read or recorded,
+ *   or the period overlaps one already billed for other dates
+ */
+async function calculateAccountFees({
+  apiKeyId,
+  marketPnL,
+  endEquity,
+  equity,
+  netTransfers,
+  cashFlows,
+  periodStart,
+  periodEnd,
+  persist,
+}) {
+  const { schedule, feeFreePeriods } = apiKeyId
+    ? await dbClient.getFeeSchedule(apiKeyId, periodStart, periodEnd)
+    : { schedule: null, feeFreePeriods: [] };
+  const settings = resolveFeeSettings(
+    apiKeyId ? await dbClient.getFeeSettings(apiKeyId) : null,
+    schedule
+  );
+  const feeFreeFraction = getFeeFreeFraction(
+    periodStart,
+    periodEnd,
+    feeFreePeriods
+  );
+  const equityChange = await measureEquityChange({
+    apiKeyId,
+    equity,
+    netTransfers,
+    cashFlows,
+    periodStart,
+    periodEnd,
+    persist,
+  });
+
+  let periodPnL = marketPnL;
+  let markets = settings.includeSpot
+    ? ["spot", "perps", "inverse"]
+    : ["perps", "inverse"];
+
+  // The hurdle is a return on the capital the period started with, so this
+  // period's profit never raises it. Without a snapshot of the start equity
+  // it is estimated from the end equity.
+  const startCapital =
+    equityChange.startEquity ??
+    endEquity -
+      netTransfers -
+      Object.values(marketPnL).reduce((sum, pnl) => sum + pnl, 0);
+  let hurdleCapital = allocateHurdleCapital(startCapital, periodPnL, markets);
+
+  if (settings.billingMode === BILLING_MODES.EQUITY) {
+    if (equityChange.pnl === null) {
+      // The first snapshot only establishes the baseline
+      log.warn(
+        `No equity snapshot at ${periodStart} for API key ID ${apiKeyId}; equity-change fee starts next period`,
+        { apiKeyId }
+      );
+    }
+    periodPnL = { account: equityChange.pnl || 0 };
+    hurdleCapital = { account: equityChange.startEquity || 0 };
+    markets = equityChange.pnl === null ? [] : ["account"];
+  }
+
+  const fees = {};
+  for (const market of markets) {
+    const overlapping = apiKeyId
+      ? await dbClient.getOverlappingFeePeriod(
+          apiKeyId,
+          market,
+          periodStart,
+          periodEnd
+        )
+      : null;
+    if (overlapping) {
+      throw new Error(
+        `${market} period overlaps the one billed from ${overlapping.period_start} to ${overlapping.period_end}`
+      );
+    }
+    const previousPeriod = apiKeyId
+      ? await dbClient.getLatestFeePeriod(apiKeyId, market, periodStart)
+      : null;
+
+    const result = calculatePerformanceFee({
+      periodPnL: periodPnL[market],
+      capital: hurdleCapital[market],
+      periodMonths: getPeriodMonths(periodStart, periodEnd),
+      previousPeriod,
+      settings,
+      feeFreeFraction,
+    });
+
+    if (apiKeyId && persist) {
+      await dbClient.recordFeePeriod({
+        apiKeyId,
+        market,
+        periodStart,
+        periodEnd,
+        result,
+      });
+    }
+
+    fees[market] = result;
+  }
+
+  const totalFee = Object.values(fees).reduce((sum, f) => sum + f.fee, 0);
+
+  return {
+    billingMode: settings.billingMode,
+    markets: fees,
+    equityChange,
+    minimumFeeTopUp: calculateMinimumFeeTopUp(
+      totalFee,
+      settings,
+      periodStart,
+      periodEnd,
+      feeFreeFraction
+    ),
+  };
+}
 
+/**
+ * Process a trading report and generate a CSV billing summary. Figures
+ * are taken from the numeric fields of the report summary, never from its
+ * display strings. Accounts of a client on several exchanges are billed on
+ * one combined invoice, numbered by the client's lowest API key ID.
+ * @param {Object} report - Trading report, as built by billing.js
+ * @param {Object} [options]
+ * @param {string} [options.reportPath] - Path of the JSON file the report was saved to
+ * @param {string} [options.outputDir] - Folder for the CSVs and invoices;
+ *   defaults to a folder dated after the report
+ * @param {boolean} [options.moveReport=true] - Move the JSON file into the output folder
+ * @param {boolean} [options.persist=true] - Record the run, fee periods,
+ *   equity snapshots and invoices in the database
+ * @returns {Promise<Object>} Paths of the files written, the invoices issued,
+ *   the run totals in USD and the run status, including accounts failed
+ *   while processing
+ * @throws {Error} If an account has neither a PnL breakdown nor trading bills,
+ *   a file cannot be written, or the run or a combined invoice cannot be
+ *   recorded in the database
+ */
+async function processReport(
+  report,
+  {
+    reportPath,
+    outputDir: outputDirOption,
+    moveReport = true,
+    persist = true,
+  } = {}
+) {
   // Create CSV content
   const lines = [];
 
@@ -47,61 +491,366 @@ function processReport(reportPath) {
   // Create dated folder
   const [day, month, year] = formattedDate.split("/");
   const folderName = `reports_output_${day}_${month}_${year}`;
-  const outputDir = path.join(__dirname, folderName);
-  ensureDirectoryExists(outputDir);
+  // Created once there is something to write, so a failed run leaves no
+  // empty folder behind
+  const outputDir = outputDirOption || path.join(__dirname, folderName);
+
+  // Billing period covered by the report
+  const periodStart =
+    report.period?.from ||
+    new Date(reportDate.getTime() - LEGACY_PERIOD_MS).toISOString();
+  const periodEnd = report.period?.to || reportDate.toISOString();
+  const periodLabel = report.period?.label || "Last 30 days";
 
   // Add header
-  lines.push(
-    "date,time_irish,name,email,spot_pnl,perps_pnl,invperps_pnl,btc_equity,btc_usd_value,btc_available,eth_equity,eth_usd_value,eth_available,usdt_equity,usdt_usd_value,usdt_available,perps_fee,invperps_fee"
-  );
+  const header = [
+    "date,time_irish,name,email,spot_pnl,perps_pnl,invperps_pnl_usd,btc_equity,btc_usd_value,btc_available,eth_equity,eth_usd_value,eth_available,usdt_equity,usdt_usd_value,usdt_available,perps_fee,invperps_fee,spot_fee,spot_carried_loss,perps_carried_loss,invperps_carried_loss,minimum_fee_topup,btc_usd_swap_pnl_btc,btc_usd_swap_pnl_usd,eth_usd_swap_pnl_eth,eth_usd_swap_pnl_usd,period_start,period_end,period_label,gross_pnl_usd,trading_fees_usd,funding_usd,liquidation_penalties_usd,interest_usd,net_pnl_usd,transfers_usd,billing_mode,unrealised_pnl_usd,start_equity_usd,end_equity_usd,equity_change_pnl_usd,equity_fee,equity_carried_loss,deposits_usd,withdrawals_usd,modified_dietz_return,invoice_number,amount_due_usd,status,status_reason",
+    ...INST_TYPES.map((instType) => `${instType.toLowerCase()}_type_pnl_usd`),
+    // Sub-account name, and "account" or "client_total" for the row
+    // consolidating a master and its sub-accounts
+    "sub_account",
+    "account_type",
+    "exchange",
+    // Identifies the account's row when CSVs are compared
+    "api_key_id",
+  ].join(",");
+  lines.push(header);
+  const columns = header.split(",");
+
+  const instrumentLines = [
+    "date,time_irish,name,email,inst_type,inst_id,fee_market,ccy,pnl,pnl_usd,trading_fees_usd,funding_usd,liquidation_penalties_usd,interest_usd,net_pnl_usd,period_start,period_end,sub_account,exchange",
+  ];
+
+  // One row per currency held, since the main CSV only has BTC, ETH and USDT
+  const balanceLines = [
+    "date,time_irish,name,email,ccy,equity,usd_value,available,frozen,unrealised_pnl,total_equity_usd,period_end,sub_account,exchange",
+  ];
+
+  // CSV rows of the accounts of each client with sub-accounts
+  const clientRows = new Map();
+  const addClientRow = (account, row) => {
+    const key = getClientKey(account.user);
+    if (!key) return;
+    if (!clientRows.has(key)) clientRows.set(key, []);
+    clientRows.get(key).push(row);
+  };
+
+  const invoiceConfig = getInvoiceConfig();
+  const invoices = [];
+  // Invoices of clients on several exchanges, written once all their
+  // accounts are processed
+  const multiExchangeClients = findMultiExchangeClients(report.accounts);
+  const combinedInvoices = new Map();
+  const runTotals = {
+    accounts: report.accounts.length,
+    billed: 0,
+    netPnl: 0,
+    amountDue: 0,
+  };
+
+  // Reports generated before runs were recorded are identified by timestamp
+  const runId = report.runId || report.timestamp;
+  setLogContext({ runId });
+  if (persist) {
+    await dbClient.createReportRun({
+      runId,
+      periodStart,
+      periodEnd,
+      periodLabel,
+    });
+  }
+
+  // Store an invoice in the ledger. Invoices are stored before they are
+  // written, so none is sent without a ledger row.
+  const storeInvoice = async (invoice, apiKeyIds) => {
+    const apiKeyId = apiKeyIds[0] || null;
+    if (!apiKeyId || !persist) return;
+    const invoicePaths = getInvoicePaths(invoice, outputDir);
+    await dbClient.recordInvoice({
+      invoiceNumber: invoice.number,
+      runId,
+      apiKeyId,
+      apiKeyIds,
+      periodStart,
+      periodEnd,
+      amountDue: invoice.amountDue,
+      issuedAt: invoice.issuedAt,
+      dueAt: invoice.dueAt,
+      htmlPath: invoicePaths.html,
+      pdfPath: invoicePaths.pdf,
+    });
+  };
+
+  // Write a stored invoice next to the CSV
+  const issueInvoice = async (invoice, apiKeyIds) => {
+    ensureDirectoryExists(outputDir);
+    const invoicePaths = await writeInvoice(invoice, outputDir);
+    log.info(`Invoice ${invoice.number} written to: ${invoicePaths.pdf}`);
+    invoices.push({
+      number: invoice.number,
+      apiKeyId: apiKeyIds[0] || null,
+      ...(apiKeyIds.length > 1 ? { apiKeyIds } : {}),
+      amountDue: invoice.amountDue,
+      ...invoicePaths,
+    });
+  };
+
+  // List an account that is not billed without figures or an invoice
+  const addNotBilledRow = (account) => {
+    const { status, reason } = account.status;
+    log.warn(
+      `${account.user?.name || "Unknown"} not billed: ${status} (${reason})`
+    );
+    const row = {
+      date: formattedDate,
+      time_irish: formattedTime,
+      name: escapeCsvValue(account.user?.name || "Unknown"),
+      email: escapeCsvValue(account.user?.email || "Unknown"),
+      period_start: periodStart,
+      period_end: periodEnd,
+      period_label: escapeCsvValue(periodLabel),
+      status,
+      status_reason: escapeCsvValue(reason),
+      sub_account: escapeCsvValue(account.user?.subAccount || ""),
+      account_type: "account",
+      exchange: escapeCsvValue(account.user?.exchange || ""),
+      api_key_id: account.user?.apiKeyId ?? "",
+    };
+    lines.push(columns.map((column) => row[column] ?? "").join(","));
+    addClientRow(
+      account,
+      Object.fromEntries(columns.map((column) => [column, row[column] ?? ""]))
+    );
+  };
 
   // Process each account
-  report.accounts.forEach((account) => {
+  for (const account of report.accounts) {
     // Extract user info
     const name = account.user?.name || "Unknown";
     const email = account.user?.email || "Unknown";
+    const subAccount = account.user?.subAccount || "";
+    const exchange = account.user?.exchange || "";
+
+    // Accounts with missing data are listed without figures and not billed
+    const status = account.status?.status || STATUSES.OK;
+    if (status !== STATUSES.OK) {
+      addNotBilledRow(account);
+      continue;
+    }
+
+    // Reports from before the PnL breakdown was stored are summarised from
+    // their trading bills
+    if (!account.summary?.markets || !account.summary?.totals) {
+      const pnl = rebuildPnLSummary(account.trading);
+      if (!pnl) {
+        throw new Error(
+          `Report has no PnL breakdown or trading bills for ${name}; regenerate it with billing.js`
+        );
+      }
+      log.info(`${name}: PnL breakdown rebuilt from the report's bills`);
+      account.summary = { ...account.summary, ...pnl };
+    }
+
+    // Extract net USD PnL per fee market; fees are charged on the net
+    const { markets, totals } = account.summary;
+    const instruments = account.summary.instruments || {};
+    const spotPnL = markets.spot.net;
+    const perpsPnL = markets.perps.net;
+    const invPerpsPnL = markets.inverse.net;
+    const transfersUsd = account.summary.transfers?.usd || 0;
+    const flows = account.summary.flows;
+
+    // PnL left out for want of a USD price would be missing from the fee,
+    // so the account fails instead
+    const unconverted = Object.entries(instruments)
+      .filter(([_, pnl]) => pnl.unconvertedBills > 0)
+      .map(([instId, pnl]) => `${pnl.unconvertedBills} ${instId}`);
+    if (unconverted.length) {
+      account.status = account.status || createAccountStatus();
+      markSection(
+        account.status,
+        "pnl",
+        STATUSES.FAILED,
+        `bills without a USD price (${unconverted.join(", ")})`
+      );
+      addNotBilledRow(account);
+      continue;
+    }
 
-    // Extract PnL values
-    const spotPnL =
-      account.summary?.pnl?.spot?.length > 0
-        ? account.summary.pnl.spot.reduce(
-            (sum, pnl) => sum + parseFloat(pnl.split(": ")[1]),
-            0
-          )
-        : 0;
-
-    const perpsPnL =
-      account.summary?.pnl?.perpetuals?.length > 0
-        ? account.summary.pnl.perpetuals.reduce(
-            (sum, pnl) => sum + parseFloat(pnl.split(": ")[1]),
-            0
-          )
-        : 0;
-
-    const invPerpsPnL =
-      account.summary?.pnl?.inversePerpetuals?.length > 0
-        ? account.summary.pnl.inversePerpetuals.reduce(
-            (sum, pnl) => sum + parseFloat(pnl.split(": ")[1]),
-            0
-          )
-        : 0;
-
-    // Calculate 25% fees (only on positive PnL)
-    const perpsFee = perpsPnL > 0 ? perpsPnL * 0.25 : 0;
-    const invPerpsFee = invPerpsPnL > 0 ? invPerpsPnL * 0.25 : 0;
-
-    // Extract balances
+    // Transfers left out for want of a USD price would count as profit in
+    // the equity change and skew the hurdle's start equity, so the account
+    // fails too. Both counters cover the same trading account transfer bills.
+    const unconvertedTransfers = Math.max(
+      account.summary.transfers?.unconvertedBills || 0,
+      flows?.unconvertedCashFlows || 0
+    );
+    if (unconvertedTransfers > 0) {
+      account.status = account.status || createAccountStatus();
+      markSection(
+        account.status,
+        "transfers",
+        STATUSES.FAILED,
+        `${unconvertedTransfers} transfer bills without a USD price`
+      );
+      addNotBilledRow(account);
+      continue;
+    }
+    const btcInverse = instruments["BTC-USD-SWAP"] || { native: 0, usd: 0 };
+    const ethInverse = instruments["ETH-USD-SWAP"] || { native: 0, usd: 0 };
+    const instTypes = account.summary.instTypes || {};
+
+    // Extract balances; reports from before holdings were summarised carry
+    // only the raw balance response
+    const holdings =
+      account.summary.holdings || summarizeBalances(account.balances);
     const details = account.balances?.data?.[0]?.details || [];
     const btcDetails = details.find((b) => b.ccy === "BTC") || {};
     const ethDetails = details.find((b) => b.ccy === "ETH") || {};
     const usdtDetails = details.find((b) => b.ccy === "USDT") || {};
+    const totalEq = parseFloat(account.balances?.data?.[0]?.totalEq || 0);
+
+    // Calculate high-water-mark performance fees
+    const apiKeyId = account.user?.apiKeyId || null;
+    if (!apiKeyId) {
+      log.warn(
+        `No API key ID for ${name}; fees calculated without high-water-mark history`
+      );
+    }
+
+    // Accounts of a client on several exchanges go on the client's combined
+    // invoice, even while some of them are not billed
+    const combined = Boolean(apiKeyId) && multiExchangeClients.has(email);
+    const invoiceNumber = apiKeyId
+      ? formatInvoiceNumber(
+          invoiceConfig.numberPrefix,
+          periodStart,
+          combined ? multiExchangeClients.get(email) : apiKeyId
+        )
+      : "";
+
+    // A paid or void invoice is final, so re-processing its period must
+    // neither bill the account again nor overwrite the invoice's files
+    if (invoiceNumber && persist) {
+      let existing;
+      try {
+        existing = await dbClient.getInvoice(invoiceNumber);
+      } catch (error) {
+        log.error(`Error reading invoice ${invoiceNumber}`, {
+          error: error.message,
+        });
+        account.status = account.status || createAccountStatus();
+        markSection(account.status, "ledger", STATUSES.FAILED, error.message);
+        addNotBilledRow(account);
+        continue;
+      }
+      if (existing && existing.status !== "issued") {
+        account.status = account.status || createAccountStatus();
+        markSection(
+          account.status,
+          "invoice",
+          STATUSES.FAILED,
+          `${invoiceNumber} is already ${existing.status}`
+        );
+        addNotBilledRow(account);
+        continue;
+      }
+    }
+
+    // Fees calculated without the client's fee settings or high-water mark
+    // would be wrong, so the account fails instead
+    let accountFees;
+    try {
+      accountFees = await calculateAccountFees({
+        apiKeyId,
+        marketPnL: { spot: spotPnL, perps: perpsPnL, inverse: invPerpsPnL },
+        endEquity: totalEq,
+        equity: account.summary.equity || null,
+        netTransfers: transfersUsd,
+        cashFlows: flows?.cashFlows || [],
+        periodStart,
+        periodEnd,
+        persist,
+      });
+    } catch (error) {
+      log.error(`Error calculating fees for ${name}`, { error: error.message });
+      account.status = account.status || createAccountStatus();
+      markSection(account.status, "fees", STATUSES.FAILED, error.message);
+      addNotBilledRow(account);
+      continue;
+    }
+    const {
+      billingMode,
+      markets: fees,
+      equityChange,
+      minimumFeeTopUp,
+    } = accountFees;
+
+    const invoice = buildInvoice({
+      user: account.user || {},
+      period: { from: periodStart, to: periodEnd, label: periodLabel },
+      markets,
+      fees: accountFees,
+      issuedAt: reportDate,
+      config: invoiceConfig,
+    });
+    if (!invoice.number) {
+      log.warn(`No API key ID for ${name}; no invoice issued`);
+    }
+
+    // Store the account's results and invoice in the ledger; an account the
+    // ledger has no record of is not billed
+    try {
+      if (apiKeyId && persist) {
+        await dbClient.recordAccountPeriod({
+          runId,
+          apiKeyId,
+          periodStart,
+          periodEnd,
+          billingMode,
+          markets: { spot: spotPnL, perps: perpsPnL, inverse: invPerpsPnL },
+          totals,
+          flows: {
+            transfers: transfersUsd,
+            deposits: flows?.deposits.usd || 0,
+            withdrawals: flows?.withdrawals.usd || 0,
+          },
+          equityChange,
+          fees,
+          minimumFeeTopUp,
+          invoiceNumber,
+        });
+      }
+      if (invoice.number && !combined) {
+        await storeInvoice(invoice, [apiKeyId]);
+      }
+    } catch (error) {
+      log.error(`Error recording ${name} in the ledger`, {
+        error: error.message,
+      });
+      account.status = account.status || createAccountStatus();
+      markSection(account.status, "ledger", STATUSES.FAILED, error.message);
+      addNotBilledRow(account);
+      continue;
+    }
+
+    if (combined) {
+      if (!combinedInvoices.has(invoiceNumber)) {
+        combinedInvoices.set(invoiceNumber, []);
+      }
+      combinedInvoices.get(invoiceNumber).push({ invoice, apiKeyId });
+    } else if (invoice.number) {
+      await issueInvoice(invoice, [apiKeyId]);
+    }
+    runTotals.billed++;
+    runTotals.netPnl += totals.net;
+    runTotals.amountDue += invoice.amountDue;
 
     // Create CSV line
-    const csvLine = [
+    const values = [
       formattedDate,
       formattedTime,
-      name,
-      email,
+      escapeCsvValue(name),
+      escapeCsvValue(email),
       spotPnL.toFixed(8),
       perpsPnL.toFixed(8),
       invPerpsPnL.toFixed(8),
@@ -114,35 +863,214 @@ function processReport(reportPath) {
       usdtDetails.eq || "0",
       usdtDetails.eqUsd || "0",
       usdtDetails.availBal || "0",
-      perpsFee.toFixed(8),
-      invPerpsFee.toFixed(8),
-    ].join(",");
+      (fees.perps?.fee || 0).toFixed(8),
+      (fees.inverse?.fee || 0).toFixed(8),
+      (fees.spot?.fee || 0).toFixed(8),
+      (fees.spot?.carriedLoss || 0).toFixed(8),
+      (fees.perps?.carriedLoss || 0).toFixed(8),
+      (fees.inverse?.carriedLoss || 0).toFixed(8),
+      minimumFeeTopUp.toFixed(8),
+      btcInverse.native.toFixed(8),
+      btcInverse.usd.toFixed(8),
+      ethInverse.native.toFixed(8),
+      ethInverse.usd.toFixed(8),
+      periodStart,
+      periodEnd,
+      escapeCsvValue(periodLabel),
+      totals.grossPnl.toFixed(8),
+      totals.tradingFees.toFixed(8),
+      totals.funding.toFixed(8),
+      totals.liquidationPenalties.toFixed(8),
+      totals.interest.toFixed(8),
+      totals.net.toFixed(8),
+      transfersUsd.toFixed(8),
+      billingMode,
+      equityChange.unrealisedPnl.toFixed(8),
+      equityChange.startEquity === null
+        ? ""
+        : equityChange.startEquity.toFixed(8),
+      equityChange.endEquity === null ? "" : equityChange.endEquity.toFixed(8),
+      equityChange.pnl === null ? "" : equityChange.pnl.toFixed(8),
+      (fees.account?.fee || 0).toFixed(8),
+      (fees.account?.carriedLoss || 0).toFixed(8),
+      (flows?.deposits.usd || 0).toFixed(8),
+      (flows?.withdrawals.usd || 0).toFixed(8),
+      equityChange.modifiedDietzReturn === null
+        ? ""
+        : equityChange.modifiedDietzReturn.toFixed(8),
+      escapeCsvValue(invoiceNumber),
+      invoice.amountDue.toFixed(8),
+      status,
+      "",
+      ...INST_TYPES.map((instType) =>
+        (instTypes[instType]?.net || 0).toFixed(8)
+      ),
+      escapeCsvValue(subAccount),
+      "account",
+      escapeCsvValue(exchange),
+      apiKeyId ?? "",
+    ];
+
+    lines.push(values.join(","));
+    addClientRow(
+      account,
+      Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+    );
+
+    // One row per traded instrument
+    Object.entries(instruments).forEach(([instId, pnl]) => {
+      instrumentLines.push(
+        [
+          formattedDate,
+          formattedTime,
+          escapeCsvValue(name),
+          escapeCsvValue(email),
+          pnl.instType,
+          instId,
+          pnl.market,
+          pnl.ccy || "",
+          pnl.native.toFixed(8),
+          pnl.usd.toFixed(8),
+          pnl.components.tradingFees.toFixed(8),
+          pnl.components.funding.toFixed(8),
+          pnl.components.liquidationPenalties.toFixed(8),
+          pnl.components.interest.toFixed(8),
+          pnl.components.net.toFixed(8),
+          periodStart,
+          periodEnd,
+          escapeCsvValue(subAccount),
+          escapeCsvValue(exchange),
+        ].join(",")
+      );
+    });
+
+    // One row per currency with non-zero equity
+    (holdings?.currencies || []).forEach((currency) => {
+      balanceLines.push(
+        [
+          formattedDate,
+          formattedTime,
+          escapeCsvValue(name),
+          escapeCsvValue(email),
+          currency.ccy,
+          currency.equity.toFixed(8),
+          currency.usdValue.toFixed(8),
+          currency.available.toFixed(8),
+          currency.frozen.toFixed(8),
+          currency.unrealisedPnl.toFixed(8),
+          holdings.totalEq.toFixed(8),
+          periodEnd,
+          escapeCsvValue(subAccount),
+          escapeCsvValue(exchange),
+        ].join(",")
+      );
+    });
+  }
+
+  // One invoice per client on several exchanges. Its accounts are already
+  // listed as billed, so an invoice the ledger cannot store fails the run.
+  for (const [number, accountInvoices] of combinedInvoices) {
+    const invoice = combineInvoices(
+      accountInvoices.map(({ invoice }) => invoice),
+      number
+    );
+    const apiKeyIds = accountInvoices.map(({ apiKeyId }) => apiKeyId);
+    await storeInvoice(invoice, apiKeyIds);
+    await issueInvoice(invoice, apiKeyIds);
+  }
 
-    lines.push(csvLine);
+  // One consolidated row per client with sub-accounts
+  clientRows.forEach((rows) => {
+    const total = buildClientTotalRow(columns, rows);
+    lines.push(columns.map((column) => total[column]).join(","));
   });
 
   // Write CSV file to dated folder
+  ensureDirectoryExists(outputDir);
   const csvPath = path.join(
     outputDir,
     `okx_pnl_report_${reportDate.toISOString().replace(/:/g, "-")}.csv`
   );
   fs.writeFileSync(csvPath, lines.join("\n"));
-  console.log(`CSV report written to: ${csvPath}`);
+  log.info(`CSV report written to: ${csvPath}`);
+
+  const instrumentCsvPath = path.join(
+    outputDir,
+    `okx_instrument_pnl_report_${reportDate
+      .toISOString()
+      .replace(/:/g, "-")}.csv`
+  );
+  fs.writeFileSync(instrumentCsvPath, instrumentLines.join("\n"));
+  log.info(`Instrument CSV report written to: ${instrumentCsvPath}`);
+
+  const balanceCsvPath = path.join(
+    outputDir,
+    `okx_balance_report_${reportDate.toISOString().replace(/:/g, "-")}.csv`
+  );
+  fs.writeFileSync(balanceCsvPath, balanceLines.join("\n"));
+  log.info(`Balance CSV report written to: ${balanceCsvPath}`);
+
+  const runStatus = summarizeRunStatus(report.accounts);
 
   // Move JSON report to dated folder
-  const jsonFileName = path.basename(reportPath);
-  const jsonDestPath = path.join(outputDir, jsonFileName);
-  fs.renameSync(reportPath, jsonDestPath);
-  console.log(`JSON report moved to: ${jsonDestPath}`);
+  let reportFile = reportPath ? path.resolve(reportPath) : null;
+  if (reportPath && moveReport) {
+    reportFile = path.join(outputDir, path.basename(reportPath));
+    fs.renameSync(reportPath, reportFile);
+    log.info(`JSON report moved to: ${reportFile}`);
+  }
+
+  if (persist) {
+    await dbClient.updateReportRun({
+      runId,
+      status: "processed",
+      reportFile,
+      accountCount: report.accounts.length,
+      failedAccounts: runStatus.failed,
+      skippedAccounts: runStatus.skipped,
+      error: runStatus.failed ? formatRunStatus(runStatus) : undefined,
+    });
+  }
 
-  return csvPath;
+  return {
+    outputDir,
+    csvPath,
+    instrumentCsvPath,
+    balanceCsvPath,
+    reportFile,
+    invoices,
+    totals: runTotals,
+    status: runStatus,
+  };
+}
+
+/**
+ * Process a trading report saved as JSON
+ * @param {string} reportPath - Path to the JSON report file
+ * @param {Object} [options] - Options of processReport
+ * @returns {Promise<Object>} Result of processReport
+ * @throws {Error} If the report file cannot be read or parsed
+ */
+async function processReportFile(reportPath, options = {}) {
+  const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  return processReport(report, { ...options, reportPath });
 }
 
-// Get report path from command line argument
-const reportPath = process.argv[2];
-if (!reportPath) {
-  console.error("Please provide the report path as an argument");
-  process.exit(1);
+if (require.main === module) {
+  // Get report path from command line argument
+  const reportPath = process.argv[2];
+  if (!reportPath) {
+    log.error("Please provide the report path as an argument");
+    process.exit(1);
+  }
+
+  processReportFile(reportPath).catch((error) => {
+    log.error("Error processing report", { error: error.message });
+    process.exit(1);
+  });
 }
 
-processReport(reportPath);
+module.exports = {
+  processReport,
+  processReportFile,
+};
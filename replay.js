@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Regenerate CSVs and invoices from archived JSON reports with
+ * the current fee logic. Source reports are left where they are, and the
+ * output goes to a separate folder, so archived reports can be replayed any
+ * number of times. Reports are replayed in period order, so fee periods
+ * recorded by one report feed the high-water marks of the next.
+ *
+ * Usage:
+ *   node replay.js REPORT_OR_FOLDER... [--out DIR] [--diff] [--persist]
+ *
+ * Folders are searched for okx_trading_report_*.json files. --diff compares
+ * the totals of each new CSV with the CSV generated next to the report. The
+ * database is only read unless --persist is given, in which case the
+ * replayed results replace those recorded for the same periods.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./cli-args");
+const { processReport } = require("./process-report");
+const { createLogger, setLogContext } = require("./logger");
+
+const log = createLogger("replay");
+
+const REPORT_FILE_PATTERN = /^okx_trading_report_.*\.json$/;
+const CSV_FILE_PATTERN = /^okx_pnl_report_(.*)\.csv$/;
+
+// Values are written with 8 decimals, so smaller differences are rounding
+const DIFF_TOLERANCE = 1e-8;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i;
+
+// Columns that identify an account's row. A client's master, sub-accounts,
+// client total and accounts on other exchanges share name and email, and
+// CSVs from older versions lack the later columns, so rows are matched on
+// those present in both CSVs.
+const ROW_KEY_COLUMNS = [
+  "api_key_id",
+  "name",
+  "email",
+  "sub_account",
+  "account_type",
+  "exchange",
+];
+
+/**
+ * Find the JSON reports given on the command line
+ * @param {Array<string>} inputs - Report files and folders holding reports
+ * @returns {Array<string>} Report paths
+ * @throws {Error} If an input does not exist
+ */
+function findReports(inputs) {
+  return inputs.flatMap((input) => {
+    if (!fs.existsSync(input)) {
+      throw new Error(`${input} not found`);
+    }
+    if (!fs.statSync(input).isDirectory()) return [input];
+
+    return fs
+      .readdirSync(input)
+      .filter((file) => REPORT_FILE_PATTERN.test(file))
+      .map((file) => path.join(input, file));
+  });
+}
+
+/**
+ * Parse a CSV line, unquoting quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Field values
+ */
+function parseCsvLine(line) {
+  const values = [];
+  let value = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(value);
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+
+  return values;
+}
+
+/**
+ * Read a billing CSV
+ * @param {string} csvPath - Path to the CSV file
+ * @returns {{header: Array<string>, rows: Array<Object>}} Columns, and rows
+ *   keyed by column
+ */
+function readCsvRows(csvPath) {
+  const [headerLine, ...lines] = fs
+    .readFileSync(csvPath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim());
+  const header = parseCsvLine(headerLine);
+
+  return {
+    header,
+    rows: lines.map((line) => {
+      const values = parseCsvLine(line);
+      return Object.fromEntries(
+        header.map((column, i) => [column, values[i] ?? ""])
+      );
+    }),
+  };
+}
+
+/**
+ * Describe the account of a CSV row
+ * @param {Object} row - CSV row keyed by column
+ * @returns {string} Name and email, with the exchange, sub-account, row
+ *   type and API key ID where the row has them
+ */
+function describeRow(row) {
+  return [
+    `${row.name} <${row.email}>`,
+    row.exchange && `on ${row.exchange}`,
+    row.sub_account && `sub-account ${row.sub_account}`,
+    row.account_type === "client_total" && "client total",
+    row.api_key_id && `(API key ID ${row.api_key_id})`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Key the rows of a CSV by account
+ * @param {Array<Object>} rows - CSV rows keyed by column
+ * @param {Array<string>} keyColumns - Columns identifying a row
+ * @returns {Map<string, Object>} Rows keyed by the values of the key columns
+ */
+function keyRows(rows, keyColumns) {
+  return new Map(
+    rows.map((row) => [
+      JSON.stringify(keyColumns.map((column) => row[column])),
+      row,
+    ])
+  );
+}
+
+/**
+ * Find the CSV generated from a report when it was first processed: the
+ * billing CSV in the report's folder whose timestamp is closest to the
+ * report's
+ * @param {string} reportPath - Path to the JSON report
+ * @param {Object} report - Parsed report
+ * @returns {string|null} Path to the CSV, or null if there is none
+ */
+function findPreviousCsv(reportPath, report) {
+  const reportTime = new Date(report.timestamp).getTime();
+  const dir = path.dirname(reportPath);
+
+  const candidates = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: file.match(CSV_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      file,
+      // File names have the colons of the ISO timestamp replaced with dashes
+      time: new Date(
+        match[1].replace(/T(\d{2})-(\d{2})-(\d{2})/, "T$1:$2:$3")
+      ).getTime(),
+    }))
+    .filter(({ time }) => !Number.isNaN(time))
+    .sort(
+      (a, b) => Math.abs(a.time - reportTime) - Math.abs(b.time - reportTime)
+    );
+
+  return candidates.length ? path.join(dir, candidates[0].file) : null;
+}
+
+/**
+ * Compare two billing CSVs account by account. Only columns present in both
+ * are compared; numbers are compared by value.
+ * @param {string} previousPath - Path to the CSV generated earlier
+ * @param {string} currentPath - Path to the replayed CSV
+ * @returns {Array<Object>} Differences, each with the account and either the
+ *   changed column or a note that the account is missing from one CSV
+ */
+function diffCsv(previousPath, currentPath) {
+  const previousCsv = readCsvRows(previousPath);
+  const currentCsv = readCsvRows(currentPath);
+  const keyColumns = ROW_KEY_COLUMNS.filter(
+    (column) =>
+      previousCsv.header.includes(column) && currentCsv.header.includes(column)
+  );
+  const previousRows = keyRows(previousCsv.rows, keyColumns);
+  const currentRows = keyRows(currentCsv.rows, keyColumns);
+  const differences = [];
+
+  currentRows.forEach((current, key) => {
+    const account = describeRow(current);
+    const previous = previousRows.get(key);
+    if (!previous) {
+      differences.push({ account, note: "not in previous CSV" });
+      return;
+    }
+
+    Object.keys(current)
+      .filter((column) => column in previous)
+      .forEach((column) => {
+        const before = previous[column];
+        const after = current[column];
+        const numeric =
+          NUMBER_PATTERN.test(before) && NUMBER_PATTERN.test(after);
+
+        if (numeric) {
+          const delta = parseFloat(after) - parseFloat(before);
+          if (Math.abs(delta) > DIFF_TOLERANCE) {
+            differences.push({ account, column, before, after, delta });
+          }
+        } else if (before !== after) {
+          differences.push({ account, column, before, after });
+        }
+      });
+  });
+
+  previousRows.forEach((previous, key) => {
+    if (!currentRows.has(key)) {
+      differences.push({
+        account: describeRow(previous),
+        note: "not in replayed CSV",
+      });
+    }
+  });
+
+  return differences;
+}
+
+/**
+ * Print the differences between a previous and a replayed CSV
+ * @param {string} previousPath - Path to the CSV generated earlier
+ * @param {Array<Object>} differences - Output of diffCsv
+ */
+function printDiff(previousPath, differences) {
+  if (!differences.length) {
+    console.log(`No changes against ${previousPath}`);
+    return;
+  }
+
+  console.log(`${differences.length} changes against ${previousPath}:`);
+  differences.forEach(({ account, column, before, after, delta, note }) => {
+    if (note) {
+      console.log(`  ${account}: ${note}`);
+      return;
+    }
+    const change =
+      delta === undefined
+        ? ""
+        : ` (${delta >= 0 ? "+" : ""}${delta.toFixed(8)})`;
+    console.log(
+      `  ${account} ${column}: ${before || '""'} -> ${after || '""'}${change}`
+    );
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { flags, positional } = parseArgs(process.argv.slice(2));
+  if (!positional.length) {
+    throw new Error("Please provide the JSON reports or folders to replay");
+  }
+
+  // Replay in period order so each report builds on the fee periods of the
+  // one before it
+  const reports = findReports(positional)
+    .map((reportPath) => ({
+      reportPath,
+      report: JSON.parse(fs.readFileSync(reportPath, "utf8")),
+    }))
+    .sort(
+      (a, b) =>
+        new Date(a.report.period?.to || a.report.timestamp) -
+        new Date(b.report.period?.to || b.report.timestamp)
+    );
+  if (!reports.length) {
+    throw new Error("No okx_trading_report_*.json files found");
+  }
+
+  const persist = Boolean(flags.persist);
+  log.info(
+    `Replaying ${reports.length} reports${
+      persist ? "" : " without writing to the database"
+    }`
+  );
+
+  let failed = 0;
+  for (const { reportPath, report } of reports) {
+    // processReport sets the run ID of each report it processes
+    setLogContext({ runId: undefined });
+
+    // Mirror the folder layout of the source reports
+    const outputDir = path.join(
+      typeof flags.out === "string"
+        ? flags.out
+        : path.join(__dirname, "replay_output"),
+      path.basename(path.dirname(path.resolve(reportPath)))
+    );
+
+    try {
+      log.info(`Replaying ${reportPath}`);
+      const { csvPath } = await processReport(report, {
+        reportPath,
+        outputDir,
+        moveReport: false,
+        persist,
+      });
+
+      if (flags.diff) {
+        const previousPath = findPreviousCsv(reportPath, report);
+        if (previousPath) {
+          printDiff(previousPath, diffCsv(previousPath, csvPath));
+        } else {
+          console.log(`No earlier CSV found next to ${reportPath}`);
+        }
+      }
+    } catch (error) {
+      failed++;
+      log.error(`Error replaying ${reportPath}`, { error: error.message });
+    }
+  }
+
+  log.info(`Replayed ${reports.length - failed} of ${reports.length} reports`);
+  if (failed) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  diffCsv,
+};
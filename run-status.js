@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Status of each account and report section in a billing run.
+ * Every section fetched for an account (config, balance, positions, the bills
+ * of each instrument type, transfers and funding account flows) is recorded
+ * as ok, failed or skipped with a reason. An account is only billed when all
+ * of its sections are ok, so a failed request can never turn into an invoice
+ * for zero PnL.
+ */
+
+/**
+ * Status of an account or section
+ * @enum {string}
+ */
+const STATUSES = {
+  OK: "ok",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+/**
+ * Create the status of an account before any section has been fetched
+ * @returns {{status: string, reason: string|null, sections: Object}} Account status
+ */
+function createAccountStatus() {
+  return { status: STATUSES.OK, reason: null, sections: {} };
+}
+
+/**
+ * Record the outcome of a section from its response. Responses of the
+ * request helpers carry an `error` message when the request failed.
+ * @param {Object} accountStatus - Account status to update
+ * @param {string} section - Section name, e.g. "trading.SWAP"
+ * @param {Object|null} response - Section response
+ */
+function recordSection(accountStatus, section, response) {
+  if (!response || response.error) {
+    markSection(
+      accountStatus,
+      section,
+      STATUSES.FAILED,
+      response?.error || "No response"
+    );
+    return;
+  }
+  markSection(accountStatus, section, STATUSES.OK);
+}
+
+/**
+ * Set the status of a section and update the account status: any failed
+ * section fails the account
+ * @param {Object} accountStatus - Account status to update
+ * @param {string} section - Section name
+ * @param {string} status - Section status
+ * @param {string} [reason] - Why the section failed or was skipped
+ */
+function markSection(accountStatus, section, status, reason) {
+  accountStatus.sections[section] = { status, reason: reason || null };
+
+  if (status === STATUSES.FAILED && accountStatus.status !== STATUSES.FAILED) {
+    accountStatus.status = STATUSES.FAILED;
+    accountStatus.reason = `${section}: ${reason}`;
+  }
+}
+
+/**
+ * Mark sections that were never fetched as skipped
+ * @param {Object} accountStatus - Account status to update
+ * @param {Array<string>} sections - All section names
+ * @param {string} reason - Why they were not fetched
+ */
+function skipRemainingSections(accountStatus, sections, reason) {
+  sections
+    .filter((section) => !accountStatus.sections[section])
+    .forEach((section) =>
+      markSection(accountStatus, section, STATUSES.SKIPPED, reason)
+    );
+}
+
+/**
+ * Mark a whole account as skipped
+ * @param {Object} accountStatus - Account status to update
+ * @param {string} reason - Why the account was skipped
+ */
+function skipAccount(accountStatus, reason) {
+  accountStatus.status = STATUSES.SKIPPED;
+  accountStatus.reason = reason;
+}
+
+/**
+ * Mark a whole account as failed before any section was fetched
+ * @param {Object} accountStatus - Account status to update
+ * @param {string} reason - Why the account failed
+ */
+function failAccount(accountStatus, reason) {
+  accountStatus.status = STATUSES.FAILED;
+  accountStatus.reason = reason;
+}
+
+/**
+ * Count the accounts of a run by status
+ * @param {Array<Object>} accounts - Report accounts with `user` and `status`
+ * @returns {{ok: number, failed: number, skipped: number, accounts: Array}} Counts, and the accounts that were not ok
+ */
+function summarizeRunStatus(accounts) {
+  const summary = { ok: 0, failed: 0, skipped: 0, accounts: [] };
+
+  accounts.forEach((account) => {
+    const status = account.status?.status || STATUSES.OK;
+    summary[status]++;
+    if (status !== STATUSES.OK) {
+      summary.accounts.push({
+        name: account.user?.name,
+        apiKeyId: account.user?.apiKeyId ?? null,
+        status,
+        reason: account.status.reason,
+      });
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Describe a run summary in one line
+ * @param {Object} summary - Output of summarizeRunStatus
+ * @returns {string} Description
+ */
+function formatRunStatus(summary) {
+  const counts = `${summary.ok} ok, ${summary.failed} failed, ${summary.skipped} skipped`;
+  const details = summary.accounts.map(
+    (account) =>
+      `${account.name} (API key ID ${account.apiKeyId ?? "unknown"}) ${
+        account.status
+      }: ${account.reason}`
+  );
+  return [counts, ...details].join("; ");
+}
+
+module.exports = {
+  STATUSES,
+  createAccountStatus,
+  recordSection,
+  markSection,
+  skipRemainingSections,
+  skipAccount,
+  failAccount,
+  summarizeRunStatus,
+  formatRunStatus,
+};
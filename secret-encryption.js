@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Envelope encryption for API secrets stored in the database.
+ * Each api_keys row has its own random data key, which encrypts the row's
+ * secret key and passphrase with AES-256-GCM. The data key itself is stored
+ * encrypted ("wrapped") with the master key, which never leaves the billing
+ * process: it is read from BILLING_MASTER_KEY or the file named by
+ * BILLING_MASTER_KEY_FILE. Rotating the master key only re-wraps data keys.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Prefix of encrypted column values, with the format version
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+/**
+ * Parse a master key given as base64 or hex
+ * @param {string} value - Encoded key
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If the value is not a 256-bit key
+ */
+function parseMasterKey(value) {
+  const trimmed = String(value).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, "hex")
+    : Buffer.from(trimmed, "base64");
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error("Master key must be 32 bytes, encoded as base64 or hex");
+  }
+  return key;
+}
+
+/**
+ * Get the ID recorded with rows wrapped by a master key, so the key that can
+ * unwrap a row is known without storing the key
+ * @param {Buffer} key - Master key
+ * @returns {string} Key ID
+ */
+function getMasterKeyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+/**
+ * Create a master key object from its encoded value
+ * @param {string} value - Encoded key
+ * @returns {{id: string, key: Buffer}} Master key
+ */
+function createMasterKey(value) {
+  const key = parseMasterKey(value);
+  return { id: getMasterKeyId(key), key };
+}
+
+/**
+ * Read a master key from an environment variable or the keyfile it names
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name; `${name}_FILE` names a keyfile
+ * @returns {{id: string, key: Buffer}|null} Master key, or null if not configured
+ */
+function readMasterKey(env, name) {
+  if (env[name]) return createMasterKey(env[name]);
+  if (env[`${name}_FILE`]) {
+    return createMasterKey(fs.readFileSync(env[`${name}_FILE`], "utf8"));
+  }
+  return null;
+}
+
+/**
+ * Load the master keys from the environment. The previous key is only needed
+ * while a rotation is incomplete.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Array<{id: string, key: Buffer}>} Current key first, then the previous key
+ */
+function loadMasterKeys(env = process.env) {
+  return [
+    readMasterKey(env, "BILLING_MASTER_KEY"),
+    readMasterKey(env, "BILLING_PREVIOUS_MASTER_KEY"),
+  ].filter(Boolean);
+}
+
+/**
+ * Generate a new random master key
+ * @returns {string} Base64-encoded key
+ */
+function generateMasterKey() {
+  return crypto.randomBytes(KEY_BYTES).toString("base64");
+}
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {string} IV, auth tag and ciphertext, base64-encoded and joined by colons
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(":");
+}
+
+/**
+ * Decrypt data sealed with `seal`
+ * @param {Buffer} key - 32-byte key
+ * @param {string} sealed - Output of `seal`
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the key is wrong or the data was modified
+ */
+function unseal(key, sealed) {
+  const [iv, tag, ciphertext] = sealed
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Check whether a column value is encrypted
+ * @param {string|null} value - Column value
+ * @returns {boolean} True for encrypted values
+ */
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Find the master key a row's data key was wrapped with
+ * @param {Object} row - api_keys row
+ * @param {Array<{id: string, key: Buffer}>} masterKeys - Available master keys
+ * @returns {{id: string, key: Buffer}} Master key
+ * @throws {Error} If none of the keys matches
+ */
+function findMasterKey(row, masterKeys) {
+  const masterKey = masterKeys.find((k) => k.id === row.master_key_id);
+  if (!masterKey) {
+    throw new Error(
+      `Secrets are encrypted with master key ${row.master_key_id}, which is not configured`
+    );
+  }
+  return masterKey;
+}
+
+/**
+ * Encrypt an API key's secrets with a new data key
+ * @param {{secretKey: string, passphrase: string}} secrets - Plaintext secrets
+ * @param {{id: string, key: Buffer}} masterKey - Master key to wrap the data key with
+ * @returns {{secretKey: string, passphrase: string, dataKey: string, masterKeyId: string}} Column values
+ */
+function encryptSecrets({ secretKey, passphrase }, masterKey) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return {
+    secretKey: ENCRYPTED_PREFIX + seal(dataKey, Buffer.from(secretKey)),
+    passphrase: ENCRYPTED_PREFIX + seal(dataKey, Buffer.from(passphrase)),
+    dataKey: seal(masterKey.key, dataKey),
+    masterKeyId: masterKey.id,
+  };
+}
+
+/**
+ * Decrypt the secrets of an api_keys row in memory. Rows that have not been
+ * encrypted yet are returned unchanged.
+ * @param {Object} row - Row with secret_key, passphrase, data_key and master_key_id
+ * @param {Array<{id: string, key: Buffer}>} masterKeys - Available master keys
+ * @returns {Object} Copy of the row with plaintext secrets and without the key columns
+ * @throws {Error} If the row cannot be decrypted
+ */
+function decryptRow(row, masterKeys) {
+  const { data_key: wrappedKey, master_key_id: _, ...rest } = row;
+  if (!wrappedKey) return rest;
+
+  const dataKey = unseal(findMasterKey(row, masterKeys).key, wrappedKey);
+  const decrypt = (value) =>
+    isEncrypted(value)
+      ? unseal(dataKey, value.slice(ENCRYPTED_PREFIX.length)).toString()
+      : value;
+
+  return {
+    ...rest,
+    secret_key: decrypt(row.secret_key),
+    passphrase: decrypt(row.passphrase),
+  };
+}
+
+/**
+ * Re-wrap a row's data key with a new master key
+ * @param {Object} row - Row with data_key and master_key_id
+ * @param {Array<{id: string, key: Buffer}>} masterKeys - Keys that may have wrapped the data key
+ * @param {{id: string, key: Buffer}} newMasterKey - Master key to wrap with
+ * @returns {{dataKey: string, masterKeyId: string}} Column values
+ */
+function rewrapDataKey(row, masterKeys, newMasterKey) {
+  const dataKey = unseal(findMasterKey(row, masterKeys).key, row.data_key);
+  return {
+    dataKey: seal(newMasterKey.key, dataKey),
+    masterKeyId: newMasterKey.id,
+  };
+}
+
+module.exports = {
+  createMasterKey,
+  loadMasterKeys,
+  generateMasterKey,
+  isEncrypted,
+  encryptSecrets,
+  decryptRow,
+  rewrapDataKey,
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Manage the encryption of API secrets stored in the database.
+ *
+ * Usage:
+ *   node secrets.js generate-key [--out FILE]
+ *   node secrets.js status
+ *   node secrets.js encrypt
+ *   node secrets.js rotate (--new-key KEY | --new-key-file FILE)
+ *
+ * `encrypt` and `rotate` use the master key from BILLING_MASTER_KEY or
+ * BILLING_MASTER_KEY_FILE. Rotation re-wraps each row's data key with the new
+ * master key; it can be re-run if interrupted, since rows already wrapped
+ * with the new key are skipped.
+ */
+
+const fs = require("fs");
+const { dbClient } = require("./database");
+const { parseArgs } = require("./cli-args");
+const {
+  createMasterKey,
+  loadMasterKeys,
+  generateMasterKey,
+  encryptSecrets,
+  rewrapDataKey,
+} = require("./secret-encryption");
+
+/**
+ * Get the configured master keys, failing if there are none
+ * @returns {Array<{id: string, key: Buffer}>} Current key first
+ * @throws {Error} If no master key is configured
+ */
+function requireMasterKeys() {
+  const masterKeys = loadMasterKeys();
+  if (!masterKeys.length) {
+    throw new Error(
+      "Set BILLING_MASTER_KEY or BILLING_MASTER_KEY_FILE to the master key"
+    );
+  }
+  return masterKeys;
+}
+
+/**
+ * Encrypt every row that still holds plaintext secrets
+ * @returns {Promise<number>} Number of rows encrypted
+ */
+async function encryptAll() {
+  const [masterKey] = requireMasterKeys();
+  const rows = await dbClient.getStoredApiKeySecrets();
+
+  let encrypted = 0;
+  for (const row of rows.filter((r) => !r.data_key)) {
+    const secrets = encryptSecrets(
+      { secretKey: row.secret_key || "", passphrase: row.passphrase || "" },
+      masterKey
+    );
+    if (await dbClient.updateApiKeySecrets({ id: row.id, ...secrets })) {
+      encrypted++;
+    }
+  }
+
+  return encrypted;
+}
+
+/**
+ * Re-wrap every encrypted row's data key with a new master key
+ * @param {{id: string, key: Buffer}} newMasterKey - Master key to rotate to
+ * @returns {Promise<number>} Number of rows re-wrapped
+ */
+async function rotateAll(newMasterKey) {
+  const masterKeys = requireMasterKeys();
+  const rows = await dbClient.getStoredApiKeySecrets();
+
+  let rotated = 0;
+  for (const row of rows) {
+    if (!row.data_key || row.master_key_id === newMasterKey.id) continue;
+
+    const wrapped = rewrapDataKey(row, masterKeys, newMasterKey);
+    const updated = await dbClient.updateApiKeySecrets({
+      id: row.id,
+      secretKey: row.secret_key,
+      passphrase: row.passphrase,
+      ...wrapped,
+    });
+    if (updated) rotated++;
+  }
+
+  return rotated;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { flags, positional } = parseArgs(process.argv.slice(2));
+  const [command] = positional;
+
+  switch (command) {
+    case "generate-key": {
+      const key = generateMasterKey();
+      if (typeof flags.out === "string") {
+        fs.writeFileSync(flags.out, `${key}\n`, { mode: 0o600, flag: "wx" });
+        console.log(`Master key written to ${flags.out}`);
+      } else {
+        console.log(key);
+      }
+      break;
+    }
+
+    case "status": {
+      const rows = await dbClient.getStoredApiKeySecrets();
+      const byKey = {};
+      rows.forEach((row) => {
+        const keyId = row.data_key ? row.master_key_id : "plaintext";
+        byKey[keyId] = (byKey[keyId] || 0) + 1;
+      });
+
+      const [current] = loadMasterKeys();
+      console.log(`Current master key: ${current ? current.id : "not set"}`);
+      Object.entries(byKey).forEach(([keyId, count]) =>
+        console.log(`  ${keyId}: ${count} API keys`)
+      );
+      break;
+    }
+
+    case "encrypt":
+      console.log(`Encrypted ${await encryptAll()} API keys`);
+      break;
+
+    case "rotate": {
+      let newKeyValue = flags["new-key"];
+      if (typeof flags["new-key-file"] === "string") {
+        newKeyValue = fs.readFileSync(flags["new-key-file"], "utf8");
+      }
+      if (typeof newKeyValue !== "string") {
+        throw new Error("Please provide --new-key or --new-key-file");
+      }
+
+      const newMasterKey = createMasterKey(newKeyValue);
+      const rotated = await rotateAll(newMasterKey);
+      console.log(
+        `Re-wrapped ${rotated} API keys with master key ${newMasterKey.id}. ` +
+          "Set BILLING_MASTER_KEY to the new key and keep the old one as " +
+          "BILLING_PREVIOUS_MASTER_KEY until `status` shows no old key IDs."
+      );
+      break;
+    }
+
+    default:
+      throw new Error(
+        "Please provide a command: generate-key, status, encrypt or rotate"
+      );
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview OKX sub-accounts under a master API key. The sub-accounts of
+ * master keys flagged with `sub_accounts` are listed from OKX on every run,
+ * and each becomes an account of its own, billed with the API key stored for
+ * it (OKX only serves a sub-account's bills to its own key) and valued with
+ * the balance the master key sees for it. A master and its sub-accounts form
+ * one client, whose totals are consolidated on the report and CSV.
+ */
+
+const { addComponents, createComponents } = require("./bill-classifier");
+const { STATUSES } = require("./run-status");
+const { getExchangeKey } = require("./exchanges");
+const { createLogger } = require("./logger");
+
+const log = createLogger("sub-accounts");
+
+const SUB_ACCOUNT_PAGE_SIZE = 100;
+
+/**
+ * Check whether an API key row is a master key whose sub-accounts are billed
+ * @param {Object} user - User and API key row
+ * @returns {boolean} True if the row is an OKX key with `sub_accounts` set
+ */
+function isMasterKey(user) {
+  return (
+    Boolean(Number(user.sub_accounts)) &&
+    !user.master_api_key_id &&
+    getExchangeKey(user.exchange) === "OKX"
+  );
+}
+
+/**
+ * List the enabled sub-accounts of a master account. The account config
+ * tells master keys (uid equal to mainUid) from sub-account keys.
+ * @param {OkxClient} client - OKX client of the master key
+ * @returns {Promise<Array<Object>>} Sub-accounts, each with `subAcct` and `label`
+ * @throws {Error} If the key is not a master key or a request fails
+ */
+async function listSubAccounts(client) {
+  const config = await client.getConfig();
+  const { uid, mainUid } = config.data?.[0] || {};
+  if (mainUid && uid !== mainUid) {
+    throw new Error("API key belongs to a sub-account, not a master account");
+  }
+
+  // Pages are newest first; `after` returns sub-accounts created earlier
+  let subAccounts = [],
+    after = "";
+  while (true) {
+    const page = await client.getSubAccounts({
+      limit: SUB_ACCOUNT_PAGE_SIZE,
+      after,
+    });
+    if (!page.data?.length) break;
+
+    subAccounts = subAccounts.concat(page.data);
+    if (page.data.length < SUB_ACCOUNT_PAGE_SIZE) break;
+    after = page.data[page.data.length - 1].ts;
+  }
+
+  return subAccounts.filter((subAccount) => subAccount.enable !== false);
+}
+
+/**
+ * Replace each master key in a list of API key rows with the master and its
+ * sub-accounts. Sub-accounts are matched to the API key rows stored for them
+ * by name; sub-accounts without one are added with no credentials, so they
+ * are listed as skipped. If the sub-accounts of a master cannot be listed,
+ * the master and its stored sub-account rows are billed as they are.
+ * @param {Array<Object>} users - User and API key rows
+ * @param {Function} createClient - Creates an OKX client from API credentials
+ * @returns {Promise<Array<Object>>} Rows to bill, each sub-account right after
+ *   its master, with the master row as `master`
+ */
+async function expandSubAccounts(users, createClient) {
+  const expanded = new Map();
+
+  for (const master of users.filter(isMasterKey)) {
+    let subAccounts;
+    try {
+      subAccounts = await listSubAccounts(
+        createClient({
+          apiKey: master.api_key,
+          secretKey: master.secret_key,
+          passphrase: master.passphrase,
+        })
+      );
+    } catch (error) {
+      log.error(
+        "Error listing sub-accounts; billing stored sub-account keys only",
+        { apiKeyId: master.api_key_id, error: error.message }
+      );
+      continue;
+    }
+
+    const stored = new Map(
+      users
+        .filter(
+          (user) => String(user.master_api_key_id) === String(master.api_key_id)
+        )
+        .map((user) => [user.sub_account, user])
+    );
+    const rows = subAccounts.map((subAccount) => {
+      const row = stored.get(subAccount.subAcct);
+      stored.delete(subAccount.subAcct);
+      if (!row) {
+        log.warn(`No API key stored for sub-account ${subAccount.subAcct}`, {
+          apiKeyId: master.api_key_id,
+        });
+      }
+      return {
+        ...(row || {
+          id: master.id,
+          name: master.name,
+          email: master.email,
+          api_key_id: null,
+          exchange: master.exchange,
+          label: subAccount.label || subAccount.subAcct,
+          master_api_key_id: master.api_key_id,
+        }),
+        sub_account: subAccount.subAcct,
+        master,
+      };
+    });
+
+    // Keys of sub-accounts OKX no longer lists still fail or bill on their own
+    stored.forEach((row) => {
+      log.warn(
+        `Sub-account ${row.sub_account} is not an enabled sub-account of its master`,
+        { apiKeyId: row.api_key_id }
+      );
+      rows.push(row);
+    });
+
+    log.info(`Found ${subAccounts.length} sub-accounts`, {
+      apiKeyId: master.api_key_id,
+    });
+    expanded.set(String(master.api_key_id), rows);
+  }
+
+  // Stored sub-account rows of expanded masters are placed after the master
+  return users.flatMap((user) => {
+    if (expanded.has(String(user.master_api_key_id))) return [];
+    return [user, ...(expanded.get(String(user.api_key_id)) || [])];
+  });
+}
+
+/**
+ * Get the client an account is consolidated under: the API key ID of its
+ * master for masters and their sub-accounts
+ * @param {Object} user - Report user
+ * @returns {string|null} Client key, or null for accounts billed alone
+ */
+function getClientKey(user) {
+  return user?.masterApiKeyId ? String(user.masterApiKeyId) : null;
+}
+
+/**
+ * Consolidate the accounts of each client with sub-accounts: PnL components
+ * per fee market and in total, transfers and equity, summed over the
+ * accounts that were billed
+ * @param {Array<Object>} accounts - Report accounts with `user`, `status` and `summary`
+ * @returns {Array<Object>} Client totals, in the order of their first account
+ */
+function summarizeClients(accounts) {
+  const clients = new Map();
+
+  accounts.forEach((account) => {
+    const key = getClientKey(account.user);
+    if (!key) return;
+
+    if (!clients.has(key)) {
+      clients.set(key, {
+        name: account.user.name,
+        email: account.user.email,
+        masterApiKeyId: account.user.masterApiKeyId,
+        accounts: 0,
+        billed: 0,
+        subAccounts: [],
+        markets: {
+          spot: createComponents(),
+          perps: createComponents(),
+          inverse: createComponents(),
+        },
+        totals: createComponents(),
+        transfersUsd: 0,
+        totalEquity: 0,
+      });
+    }
+
+    const client = clients.get(key);
+    client.accounts++;
+    if (account.user.subAccount) {
+      client.subAccounts.push(account.user.subAccount);
+    }
+
+    const { summary } = account;
+    if ((account.status?.status || STATUSES.OK) !== STATUSES.OK || !summary) {
+      return;
+    }
+    client.billed++;
+    Object.keys(client.markets).forEach((market) =>
+      addComponents(client.markets[market], summary.markets[market])
+    );
+    addComponents(client.totals, summary.totals);
+    client.transfersUsd += summary.transfers?.usd || 0;
+    client.totalEquity += summary.equity?.totalEquity || 0;
+  });
+
+  // Clients without sub-accounts have nothing to consolidate
+  return [...clients.values()].filter((client) => client.subAccounts.length);
+}
+
+module.exports = {
+  isMasterKey,
+  listSubAccounts,
+  expandSubAccounts,
+  getClientKey,
+  summarizeClients,
+};
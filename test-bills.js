@@ -7,66 +7,22 @@
 
 // Load environment variables and dependencies
 require('dotenv').config();
-const fetch = require('node-fetch');
-const crypto = require('crypto');
+const { OkxClient } = require('./okx-client');
 const { dbClient } = require('./database');
 
-/**
- * Generate OKX API signature
- * @param {string} timestamp - Timestamp for the request
- * @param {string} method - HTTP method (e.g., 'GET', 'POST')
- * @param {string} requestPath - API request path
- * @param {string} body - Request body
- * @param {string} secretKey - OKX API secret key
- * @returns {string} Base64-encoded HMAC signature
- */
-function generateSignature(timestamp, method, requestPath, body, secretKey) {
-  const message = timestamp + method + requestPath + (body || '');
-  return crypto.createHmac('sha256', secretKey).update(message).digest('base64');
-}
-
-/**
- * Make OKX API request
- * @param {Object} credentials - OKX API credentials
- * @param {string} method - HTTP method (e.g., 'GET', 'POST')
- * @param {string} path - API request path
- * @param {string} body - Request body
- * @returns {Promise<Object>} API response data
- */
-async function makeOkxApiRequest(credentials, method, path, body) {
-  const timestamp = new Date().toISOString();
-  const signature = generateSignature(timestamp, method, path, body, credentials.secretKey);
-  
-  const response = await fetch(`https://www.okx.com${path}`, {
-    method,
-    headers: {
-      'OK-ACCESS-KEY': credentials.apiKey,
-      'OK-ACCESS-SIGN': signature,
-      'OK-ACCESS-TIMESTAMP': timestamp,
-      'OK-ACCESS-PASSPHRASE': credentials.passphrase,
-      'Content-Type': 'application/json',
-    },
-    body,
-  });
-
-  const data = await response.json();
-  return data;
-}
-
 /**
  * Test the bills endpoint for a specific trading pair
- * @param {Object} credentials - OKX API credentials
+ * @param {OkxClient} client - OKX client of the account
  * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
  * @returns {Promise<void>}
  */
-async function testBillsEndpoint(credentials, instId) {
+async function testBillsEndpoint(client, instId) {
   try {
     console.log(`\nChecking bills for ${instId}...`);
     
-    const endpoint = `/api/v5/account/bills?instId=${instId}&limit=10`;
-    console.log(`API Request: ${endpoint}`);
+    console.log(`API Request: /api/v5/account/bills?instId=${instId}&limit=10`);
     
-    const bills = await makeOkxApiRequest(credentials, 'GET', endpoint);
+    const bills = await client.getBills({ instId, limit: 10 });
     
     if (bills.data && bills.data.length > 0) {
       console.log(`Found ${bills.data.length} bills`);
@@ -78,7 +34,7 @@ async function testBillsEndpoint(credentials, instId) {
       console.log(JSON.stringify(bills, null, 2));
     }
   } catch (error) {
-    console.error('Error:', error.message);
+    console.error('Error:', error.message, error.code ? `(Code: ${error.code})` : '');
   }
 }
 
@@ -95,11 +51,11 @@ async function runTests() {
       throw new Error('No API keys found in database');
     }
 
-    const credentials = {
+    const client = new OkxClient({
       apiKey: apiKeys.api_key,
       secretKey: apiKeys.secret_key,
       passphrase: apiKeys.passphrase
-    };
+    });
 
     // Test different instruments
     const instruments = [
@@ -109,7 +65,7 @@ async function runTests() {
     ];
 
     for (const instrument of instruments) {
-      await testBillsEndpoint(credentials, instrument.id);
+      await testBillsEndpoint(client, instrument.id);
     }
   } catch (error) {
     console.error('Error:', error.message);
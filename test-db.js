@@ -30,7 +30,7 @@ async function testDatabase(exchange) {
         
         // Test getting all users with their API keys
         console.log('\n=== TESTING getAllUsersWithApiKeys ===');
-        const usersWithApiKeys = await dbClient.getAllUsersWithApiKeys();
+        const usersWithApiKeys = await dbClient.getAllUsersWithApiKeys([exchange]);
         
         if (usersWithApiKeys && usersWithApiKeys.length > 0) {
             console.log(`Found ${usersWithApiKeys.length} users with API keys`);
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks } = require("./helpers");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe("syncBills", () => {
+  const now = Date.now();
+  const period = {
+    from: new Date(now - 3 * DAY_MS).toISOString(),
+    to: new Date(now + DAY_MS).toISOString(),
+  };
+  let mocks;
+  let syncBills;
+  let SYNC_OVERLAP_MS;
+  let bills;
+  let fetched;
+
+  /**
+   * Fake OKX fetch serving `bills` and recording the requested ranges
+   * @param {{from: string, to: string}} range - Period to fetch
+   * @returns {Promise<Object>} Bills response
+   */
+  async function fetchBills(range) {
+    fetched.push(range);
+    const data = bills.filter(
+      (bill) =>
+        bill.ts >= Date.parse(range.from) && bill.ts < Date.parse(range.to)
+    );
+    return {
+      code: "0",
+      data,
+      msg: "",
+      sources: [{ source: "bills", ...range, count: data.length }],
+    };
+  }
+
+  /**
+   * Build a bill at a time before now
+   * @param {number} id - Bill ID
+   * @param {number} ageMs - Age of the bill
+   * @returns {Object} OKX bill
+   */
+  function bill(id, ageMs) {
+    return { billId: String(id), ts: String(now - ageMs), pnl: "1" };
+  }
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ syncBills, SYNC_OVERLAP_MS } = require("../bill-store"));
+  });
+
+  after(() => mocks.stop());
+
+  it("fetches the whole period on the first sync", async () => {
+    bills = [bill(1, 2 * DAY_MS), bill(2, DAY_MS), bill(3, 2 * HOUR_MS)];
+    fetched = [];
+
+    const result = await syncBills({
+      apiKeyId: "1",
+      stream: "instType=SWAP",
+      period,
+      fetchBills,
+    });
+
+    assert.equal(fetched.length, 1);
+    assert.equal(fetched[0].from, period.from);
+    assert.deepEqual(
+      result.data.map((b) => b.billId),
+      ["3", "2", "1"]
+    );
+    assert.deepEqual(
+      result.sources.map((source) => [source.source, source.count]),
+      [
+        ["bills", 3],
+        ["bill-store", 3],
+      ]
+    );
+  });
+
+  it("only fetches bills newer than the synced range on later syncs", async () => {
+    bills.push(bill(4, 10 * 60 * 1000));
+    fetched = [];
+
+    const result = await syncBills({
+      apiKeyId: "1",
+      stream: "instType=SWAP",
+      period,
+      fetchBills,
+    });
+
+    assert.equal(fetched.length, 1);
+    // The tail is fetched again from an hour before the end of the last sync
+    assert.ok(
+      Date.parse(fetched[0].from) >= now - SYNC_OVERLAP_MS,
+      `fetched from ${fetched[0].from}`
+    );
+    assert.deepEqual(
+      result.data.map((b) => b.billId),
+      ["4", "3", "2", "1"]
+    );
+  });
+
+  it("keeps bills OKX no longer returns", async () => {
+    // Older bills dropped out of the OKX retention window
+    bills = bills.filter((b) => b.billId !== "1");
+    fetched = [];
+
+    const result = await syncBills({
+      apiKeyId: "1",
+      stream: "instType=SWAP",
+      period,
+      fetchBills,
+    });
+
+    assert.deepEqual(
+      result.data.map((b) => b.billId),
+      ["4", "3", "2", "1"]
+    );
+  });
+
+  it("leaves the cursor unchanged when a fetch fails", async () => {
+    fetched = [];
+    const failing = async (range) => {
+      fetched.push(range);
+      return { error: "HTTP error! status: 503" };
+    };
+    const earlier = {
+      from: new Date(now - 5 * DAY_MS).toISOString(),
+      to: period.to,
+    };
+
+    const result = await syncBills({
+      apiKeyId: "1",
+      stream: "instType=SWAP",
+      period: earlier,
+      fetchBills: failing,
+    });
+    assert.equal(result.error, "HTTP error! status: 503");
+
+    // The earlier days are still missing on the next sync
+    fetched = [];
+    await syncBills({
+      apiKeyId: "1",
+      stream: "instType=SWAP",
+      period: earlier,
+      fetchBills,
+    });
+    assert.equal(fetched[0].from, earlier.from);
+  });
+});
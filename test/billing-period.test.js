@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveBillingPeriod } = require("../billing-period");
+
+describe("resolveBillingPeriod", () => {
+  it("covers local dates with a date-only --to including that day", () => {
+    const period = resolveBillingPeriod({
+      from: "2025-02-01",
+      to: "2025-02-28",
+    });
+    assert.equal(period.from, "2025-02-01T00:00:00.000Z");
+    assert.equal(period.to, "2025-03-01T00:00:00.000Z");
+    assert.equal(period.label, "2025-02-01 to 2025-02-28");
+  });
+
+  it("accepts 29 February in leap years", () => {
+    const period = resolveBillingPeriod({
+      from: "2024-02-29",
+      to: "2024-02-29T12:00",
+    });
+    assert.equal(period.to, "2024-02-29T12:00:00.000Z");
+  });
+
+  it("rejects dates and times that do not exist", () => {
+    [
+      [{ from: "2025-02-31", to: "2025-03-10" }, /--from value "2025-02-31"/],
+      [{ from: "2025-02-01", to: "2025-02-40" }, /--to value "2025-02-40"/],
+      [{ from: "2025-13-01", to: "2025-12-31" }, /--from value "2025-13-01"/],
+      [{ from: "2025-00-10", to: "2025-01-31" }, /--from value "2025-00-10"/],
+      [{ from: "2025-02-29", to: "2025-03-01" }, /--from value "2025-02-29"/],
+      [{ from: "2025-03-01T24:00", to: "2025-03-02" }, /--from value/],
+      [{ from: "2025-03-01", to: "2025-03-02T10:60" }, /--to value/],
+    ].forEach(([flags, message]) =>
+      assert.throws(() => resolveBillingPeriod(flags), message)
+    );
+  });
+
+  it("rejects months outside 1-12", () => {
+    assert.throws(() => resolveBillingPeriod({ month: "2025-13" }), /--month/);
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks, CREDENTIALS } = require("./helpers");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Build SWAP trade bills at regular intervals before now
+ * @param {number} now - Time of the newest bill
+ * @param {number} count - Number of bills
+ * @param {number} intervalMs - Time between bills
+ * @param {number} [firstId=1] - Bill ID of the newest bill
+ * @returns {Array<Object>} Bills, newest first
+ */
+function buildBills(now, count, intervalMs, firstId = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    billId: String(1000000 + firstId + i).padStart(18, "0"),
+    ts: String(now - i * intervalMs),
+    instType: "SWAP",
+    instId: "BTC-USDT-SWAP",
+    ccy: "USDT",
+    type: "2",
+    subType: "2",
+    pnl: "1",
+    fee: "-0.1",
+    balChg: "0.9",
+  }));
+}
+
+describe("getBills", () => {
+  const now = Date.now();
+  // 240 bills over the last 5 days, 10 more 6.5 days ago, and 20 in the
+  // archive range 20 to 21 days ago
+  const recentBills = buildBills(now - MINUTE_MS, 240, 30 * MINUTE_MS);
+  const olderBills = buildBills(now - 6.5 * DAY_MS, 10, MINUTE_MS, 241);
+  const archivedBills = buildBills(now - 20 * DAY_MS, 20, 60 * MINUTE_MS, 251);
+  let mocks;
+  let getBills;
+  let client;
+
+  before(async () => {
+    mocks = await startMocks({
+      accounts: {
+        [CREDENTIALS.apiKey]: {
+          ...CREDENTIALS,
+          bills: [...recentBills, ...olderBills, ...archivedBills],
+        },
+      },
+    });
+    ({ getBills } = require("../okx-adapter"));
+    const { OkxClient } = require("../okx-client");
+    client = new OkxClient(CREDENTIALS);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    mocks.okx.requests.length = 0;
+  });
+
+  it("pages through recent bills by `after` back to the period start", async () => {
+    const period = {
+      from: new Date(now - 6 * DAY_MS).toISOString(),
+      to: new Date(now).toISOString(),
+    };
+
+    const bills = await getBills(client, { instType: "SWAP" }, "SWAP", period);
+
+    assert.equal(bills.code, "0");
+    assert.deepEqual(
+      bills.data.map((bill) => bill.billId),
+      recentBills.map((bill) => bill.billId)
+    );
+
+    // Pages of 100, 100 and 40 bills, then an empty page ends the range
+    const requests = mocks.okx.requestsTo("/api/v5/account/bills");
+    assert.equal(requests.length, 4);
+    assert.equal(
+      requests[0].query.get("begin"),
+      String(Date.parse(period.from))
+    );
+    assert.equal(requests[0].query.get("after"), null);
+    assert.equal(requests[1].query.get("after"), recentBills[99].billId);
+    assert.equal(requests[2].query.get("after"), recentBills[199].billId);
+    assert.equal(requests[3].query.get("after"), recentBills[239].billId);
+    assert.equal(
+      mocks.okx.requestsTo("/api/v5/account/bills-archive").length,
+      0
+    );
+    assert.deepEqual(
+      bills.sources.map((source) => [source.source, source.count]),
+      [["bills", 240]]
+    );
+  });
+
+  it("excludes bills at or after the period end", async () => {
+    const period = {
+      from: new Date(now - 6 * DAY_MS).toISOString(),
+      to: new Date(parseInt(recentBills[9].ts)).toISOString(),
+    };
+
+    const bills = await getBills(client, { instType: "SWAP" }, "SWAP", period);
+
+    assert.equal(bills.data.length, 230);
+    assert.equal(bills.data[0].billId, recentBills[10].billId);
+  });
+
+  it("fetches bills older than 7 days from the bills archive", async () => {
+    const period = {
+      from: new Date(now - 25 * DAY_MS).toISOString(),
+      to: new Date(now - 10 * DAY_MS).toISOString(),
+    };
+
+    const bills = await getBills(client, { instType: "SWAP" }, "SWAP", period);
+
+    assert.deepEqual(
+      bills.data.map((bill) => bill.billId),
+      archivedBills.map((bill) => bill.billId)
+    );
+    assert.equal(mocks.okx.requestsTo("/api/v5/account/bills").length, 0);
+    assert.deepEqual(
+      bills.sources.map((source) => source.source),
+      ["bills-archive"]
+    );
+  });
+
+  it("retries rate-limited requests", async () => {
+    mocks.okx.failNext("/api/v5/account/bills", {
+      status: 429,
+      code: "50011",
+      msg: "Too Many Requests",
+    });
+    const period = {
+      from: new Date(now - DAY_MS).toISOString(),
+      to: new Date(now).toISOString(),
+    };
+
+    const bills = await getBills(client, { instType: "SWAP" }, "SWAP", period);
+
+    assert.equal(bills.code, "0");
+    assert.equal(bills.data.length, 48);
+    // The rate-limited request, its retry and the final empty page
+    assert.equal(mocks.okx.requestsTo("/api/v5/account/bills").length, 3);
+  });
+
+  it("returns OKX errors instead of partial bills", async () => {
+    mocks.okx.failNext("/api/v5/account/bills", {
+      status: 400,
+      code: "51000",
+      msg: "Parameter begin error",
+    });
+    const period = {
+      from: new Date(now - DAY_MS).toISOString(),
+      to: new Date(now).toISOString(),
+    };
+
+    const bills = await getBills(client, { instType: "SWAP" }, "SWAP", period);
+
+    assert.equal(bills.data, undefined);
+    assert.match(bills.error, /Code: 51000/);
+  });
+
+  it("returns authentication errors for unknown API keys", async () => {
+    const period = {
+      from: new Date(now - DAY_MS).toISOString(),
+      to: new Date(now).toISOString(),
+    };
+
+    const { OkxClient } = require("../okx-client");
+    const bills = await getBills(
+      new OkxClient({ ...CREDENTIALS, apiKey: "unknown-api-key" }),
+      { instType: "SWAP" },
+      "SWAP",
+      period
+    );
+
+    assert.match(bills.error, /Code: 50111/);
+  });
+});
@@ -0,0 +1,360 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startMocks,
+  loadBybitFixtures,
+  BYBIT_CREDENTIALS,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Account with more trades than fit on one transaction log page
+const PAGING_CREDENTIALS = {
+  apiKey: "test-bybit-key-0002",
+  secretKey: "test-bybit-secret-2",
+};
+
+describe("bybit adapter", () => {
+  const now = Date.now();
+  const period = {
+    from: new Date(now - DAY_MS).toISOString(),
+    to: new Date(now).toISOString(),
+  };
+  let mocks;
+  let BybitAdapter;
+  let adapter;
+
+  before(async () => {
+    mocks = await startMocks({
+      bybitAccounts: {
+        [BYBIT_CREDENTIALS.apiKey]: {
+          ...BYBIT_CREDENTIALS,
+          ...loadBybitFixtures(now),
+        },
+        [PAGING_CREDENTIALS.apiKey]: {
+          ...PAGING_CREDENTIALS,
+          transactions: Array.from({ length: 120 }, (_, i) => ({
+            id: `bybit-page-${String(i).padStart(4, "0")}`,
+            transactionTime: String(now - (i + 1) * 60 * 1000),
+            category: "linear",
+            symbol: "BTCUSDT",
+            type: "TRADE",
+            currency: "USDT",
+            cashFlow: "1",
+            fee: "0",
+            change: "1",
+          })),
+        },
+      },
+    });
+    ({ BybitAdapter } = require("../bybit-adapter"));
+    adapter = new BybitAdapter(BYBIT_CREDENTIALS);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    mocks.bybit.requests.length = 0;
+  });
+
+  it("maps Bybit symbols to OKX instrument types and IDs", () => {
+    const { toOkxInstrument } = require("../bybit-adapter");
+    const cases = [
+      ["linear", "BTCUSDT", "SWAP", "BTC-USDT-SWAP"],
+      ["linear", "ETHPERP", "SWAP", "ETH-USDC-SWAP"],
+      ["linear", "BTCUSDT-27MAR26", "FUTURES", "BTC-USDT-27MAR26"],
+      ["linear", "BTC-27MAR26", "FUTURES", "BTC-USDC-27MAR26"],
+      ["inverse", "BTCUSD", "SWAP", "BTC-USD-SWAP"],
+      ["inverse", "BTCUSDH26", "FUTURES", "BTC-USD-H26"],
+      ["spot", "ETHUSDC", "SPOT", "ETH-USDC"],
+      ["option", "BTC-27MAR26-60000-C", "OPTION", "BTC-27MAR26-60000-C"],
+    ];
+
+    cases.forEach(([category, symbol, instType, instId]) =>
+      assert.deepEqual(toOkxInstrument(category, symbol), { instType, instId })
+    );
+  });
+
+  it("normalises transaction log records to OKX bills", async () => {
+    const swap = await adapter.getBills(
+      { instType: "SWAP" },
+      "SWAP TRADING",
+      period
+    );
+
+    assert.deepEqual(
+      swap.data.map((bill) => [
+        bill.billId,
+        bill.instId,
+        bill.type,
+        bill.pnl,
+        bill.fee,
+        bill.balChg,
+      ]),
+      [
+        ["bybit-tx-0001", "BTC-USDT-SWAP", "2", "150", "-3", "147"],
+        ["bybit-tx-0002", "BTC-USDT-SWAP", "8", "0", "0", "-2"],
+        ["bybit-tx-0003", "BTC-USD-SWAP", "2", "0.001", "-0.00002", "0.00098"],
+      ]
+    );
+    assert.deepEqual(
+      swap.sources.map((source) => source.source),
+      ["transaction-log:category=linear", "transaction-log:category=inverse"]
+    );
+
+    // Spot trades swap balances without realising PnL
+    const spot = await adapter.getBills(
+      { instType: "SPOT" },
+      "SPOT TRADING",
+      period
+    );
+    assert.deepEqual(
+      spot.data.map((bill) => [bill.instId, bill.pnl, bill.balChg]),
+      [["BTC-USDT", "0", "-500"]]
+    );
+
+    const transfers = await adapter.getBills(
+      { type: "1" },
+      "TRANSFERS",
+      period
+    );
+    assert.deepEqual(
+      transfers.data.map((bill) => [bill.billId, bill.exchangeType]),
+      [["bybit-tx-0006", "TRANSFER_IN"]]
+    );
+  });
+
+  it("pages the transaction log in 7-day windows and by cursor", async () => {
+    const tenDays = {
+      from: new Date(now - 10 * DAY_MS).toISOString(),
+      to: period.to,
+    };
+    const swap = await adapter.getBills(
+      { instType: "SWAP" },
+      "SWAP TRADING",
+      tenDays
+    );
+
+    assert.ok(swap.data.some((bill) => bill.billId === "bybit-tx-0007"));
+    const windows = mocks.bybit
+      .requestsTo("/v5/account/transaction-log")
+      .filter((request) => request.query.get("category") === "linear")
+      .map((request) => [
+        parseInt(request.query.get("startTime")),
+        parseInt(request.query.get("endTime")),
+      ]);
+    assert.equal(windows.length, 2);
+    assert.equal(windows[0][0], new Date(tenDays.from).getTime());
+    assert.equal(windows[1][0], windows[0][1] + 1);
+    windows.forEach(([start, end]) => assert.ok(end - start < 7 * DAY_MS));
+
+    mocks.bybit.requests.length = 0;
+    const paged = await new BybitAdapter(PAGING_CREDENTIALS).getBills(
+      { instType: "SWAP" },
+      "SWAP TRADING",
+      period
+    );
+    assert.equal(paged.data.length, 120);
+    assert.deepEqual(
+      mocks.bybit
+        .requestsTo("/v5/account/transaction-log")
+        .filter((request) => request.query.get("category") === "linear")
+        .map((request) => request.query.get("cursor")),
+      [null, "50", "100"]
+    );
+  });
+
+  it("normalises deposits, withdrawals and funding transfers", async () => {
+    const { deposits, withdrawals, fundingBills } = await adapter.getFlows(
+      period
+    );
+
+    assert.deepEqual(
+      deposits.data.map((record) => [record.depId, record.amt, record.state]),
+      [
+        ["bybit-dep-0002", "250", "bybit-1"],
+        ["bybit-dep-0001", "500", "2"],
+      ]
+    );
+    assert.deepEqual(
+      withdrawals.data.map((record) => [record.wdId, record.fee, record.state]),
+      [["bybit-wd-0001", "1", "2"]]
+    );
+    assert.deepEqual(
+      fundingBills.data.map((bill) => [bill.billId, bill.type, bill.balChg]),
+      [["bybit-tr-0001", "131", "-300"]]
+    );
+  });
+
+  it("normalises balances and positions", async () => {
+    const balances = await adapter.getBalances();
+    const [balance] = balances.data;
+    assert.equal(balance.totalEq, "12000");
+    assert.equal(balance.upl, "25");
+    assert.deepEqual(
+      balance.details.find((detail) => detail.ccy === "BTC"),
+      {
+        ccy: "BTC",
+        eq: "0.04",
+        eqUsd: "1975",
+        availBal: "0.03",
+        frozenBal: "0.01",
+        upl: "0",
+      }
+    );
+
+    const positions = await adapter.getPositions();
+    assert.deepEqual(positions.data, [
+      {
+        instType: "SWAP",
+        instId: "BTC-USDT-SWAP",
+        pos: "-0.1",
+        avgPx: "51000",
+        upl: "25",
+      },
+    ]);
+    assert.deepEqual(
+      mocks.bybit
+        .requestsTo("/v5/position/list")
+        .map((request) => request.query.get("settleCoin")),
+      ["USDT", "USDC", null]
+    );
+  });
+
+  it("retries rate-limited requests", async () => {
+    mocks.bybit.failNext("/v5/account/wallet-balance", {
+      code: 10006,
+      msg: "Too many visits!",
+    });
+
+    const balances = await adapter.getBalances();
+
+    assert.equal(balances.data[0].totalEq, "12000");
+    assert.equal(
+      mocks.bybit.requestsTo("/v5/account/wallet-balance").length,
+      2
+    );
+  });
+
+  it("bills a Bybit API key through processAccount", async () => {
+    const { processAccount } = require("../billing");
+    const { summarizePnL } = require("../pnl-summary");
+    const user = {
+      id: "user-1",
+      name: "Alice",
+      email: "alice@example.com",
+      api_key_id: 5,
+      api_key: BYBIT_CREDENTIALS.apiKey,
+      secret_key: BYBIT_CREDENTIALS.secretKey,
+      passphrase: null,
+      exchange: "Bybit",
+      label: "Bybit main",
+      sub_accounts: 0,
+      master_api_key_id: null,
+      sub_account: null,
+    };
+
+    const report = await processAccount(
+      user,
+      period,
+      { concurrency: 2, useBillStore: false },
+      { index: 1, total: 1 }
+    );
+
+    assert.equal(report.status.status, "ok");
+    assert.equal(report.user.exchange, "Bybit");
+    assert.equal(report.balances.data[0].totalEq, "12000");
+    const { markets } = summarizePnL(report.trading);
+    // BTCUSDT perpetual and future, net of fees and funding
+    assert.equal(markets.perps.net, 154);
+    // 0.00098 BTC at the trade price
+    assert.equal(markets.inverse.net, 49);
+    assert.equal(report.flows.deposits.data.length, 2);
+    assert.equal(mocks.okx.requests.length, 0);
+  });
+
+  it("records an error thrown by a section against that section", async () => {
+    const { processAccount } = require("../billing");
+    const user = {
+      id: "user-1",
+      name: "Alice",
+      email: "alice@example.com",
+      api_key_id: 5,
+      api_key: BYBIT_CREDENTIALS.apiKey,
+      secret_key: BYBIT_CREDENTIALS.secretKey,
+      passphrase: null,
+      exchange: "Bybit",
+    };
+    const getFlows = BybitAdapter.prototype.getFlows;
+    BybitAdapter.prototype.getFlows = async () => {
+      throw new Error("socket hang up");
+    };
+
+    let report;
+    try {
+      report = await processAccount(
+        user,
+        period,
+        { concurrency: 2, useBillStore: false },
+        { index: 1, total: 1 }
+      );
+    } finally {
+      BybitAdapter.prototype.getFlows = getFlows;
+    }
+
+    const { sections } = report.status;
+    assert.equal(report.status.status, "failed");
+    assert.equal(report.status.reason, "flows.deposits: socket hang up");
+    assert.deepEqual(
+      ["flows.deposits", "flows.withdrawals", "flows.fundingBills"].map(
+        (section) => sections[section]
+      ),
+      Array(3).fill({ status: "failed", reason: "socket hang up" })
+    );
+    // Sections that ran keep their own status
+    [
+      "accountInfo",
+      "balances",
+      "positions",
+      "trading.SWAP",
+      "transfers",
+    ].forEach((section) =>
+      assert.equal(sections[section].status, "ok", section)
+    );
+  });
+
+  it("skips the remaining sections when the balance cannot be fetched", async () => {
+    const { processAccount } = require("../billing");
+    mocks.bybit.failNext("/v5/account/wallet-balance", {
+      code: 10001,
+      msg: "accountType only support UNIFIED.",
+    });
+
+    const report = await processAccount(
+      {
+        id: "user-1",
+        name: "Alice",
+        email: "alice@example.com",
+        api_key_id: 5,
+        api_key: BYBIT_CREDENTIALS.apiKey,
+        secret_key: BYBIT_CREDENTIALS.secretKey,
+        exchange: "Bybit",
+      },
+      period,
+      { concurrency: 2, useBillStore: false },
+      { index: 1, total: 1 }
+    );
+
+    const { sections } = report.status;
+    assert.equal(sections.accountInfo.status, "ok");
+    assert.equal(sections.balances.status, "failed");
+    assert.deepEqual(sections["trading.SWAP"], {
+      status: "skipped",
+      reason: "Not fetched after balances failed",
+    });
+    assert.equal(
+      mocks.bybit.requestsTo("/v5/account/transaction-log").length,
+      0
+    );
+  });
+});
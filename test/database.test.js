@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks, CREDENTIALS } = require("./helpers");
+
+describe("api key credentials", () => {
+  let mocks;
+  let dbClient;
+
+  before(async () => {
+    mocks = await startMocks();
+    delete process.env.BILLING_MASTER_KEY;
+    delete process.env.BILLING_MASTER_KEY_FILE;
+    ({ dbClient } = require("../database"));
+
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO users (id, name, email) VALUES ('user-1', 'Alice', 'alice@example.com')"
+    );
+    // Bob's secrets were encrypted with a master key this run does not have
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO api_keys (user_id, exchange, api_key, secret_key, passphrase, data_key, master_key_id) VALUES " +
+        "('user-1', 'OKX', ?, ?, ?, NULL, NULL), " +
+        "('user-1', 'OKX', 'key-2', 'enc:v1:secret', 'enc:v1:pass', 'wrapped', 'old-key')",
+      [CREDENTIALS.apiKey, CREDENTIALS.secretKey, CREDENTIALS.passphrase]
+    );
+  });
+
+  after(() => mocks.stop());
+
+  it("reports keys that cannot be decrypted as failed accounts", async () => {
+    const { processAccount } = require("../billing");
+    const rows = await dbClient.getAllUsersWithApiKeys(["OKX"]);
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].secret_key, CREDENTIALS.secretKey);
+    assert.equal(rows[1].secret_key, null);
+    assert.match(rows[1].decrypt_error, /master key old-key/);
+
+    const report = await processAccount(
+      rows[1],
+      {
+        from: new Date(Date.now() - 86400000).toISOString(),
+        to: new Date().toISOString(),
+      },
+      { concurrency: 2, useBillStore: false },
+      { index: 2, total: 2 }
+    );
+    assert.equal(report.status.status, "failed");
+    assert.match(report.status.reason, /^Could not decrypt credentials: /);
+    assert.equal(mocks.okx.requests.length, 0);
+  });
+});
@@ -0,0 +1,295 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_FEE_SETTINGS,
+  resolveFeeSettings,
+  calculateTieredFee,
+  getFeeFreeFraction,
+  getPeriodMonths,
+  calculateMinimumFeeTopUp,
+  calculateEquityChangePnL,
+  allocateHurdleCapital,
+  calculatePerformanceFee,
+} = require("../fee-engine");
+
+/**
+ * Record a fee result the way fee_periods stores it
+ * @param {Object} result - Output of calculatePerformanceFee
+ * @returns {Object} Previous period row
+ */
+function toPeriodRow(result) {
+  return {
+    cumulative_pnl: String(result.cumulativePnL),
+    high_water_mark: String(result.highWaterMark),
+  };
+}
+
+describe("calculatePerformanceFee", () => {
+  const settings = { ...DEFAULT_FEE_SETTINGS, feeRate: 0.25 };
+
+  it("charges the fee rate on profit above the high-water mark", () => {
+    const first = calculatePerformanceFee({ periodPnL: 1000, settings });
+    assert.equal(first.fee, 250);
+    assert.equal(first.highWaterMark, 1000);
+    assert.equal(first.carriedLoss, 0);
+
+    // A loss is carried forward and must be recovered before fees resume
+    const second = calculatePerformanceFee({
+      periodPnL: -400,
+      previousPeriod: toPeriodRow(first),
+      settings,
+    });
+    assert.equal(second.fee, 0);
+    assert.equal(second.highWaterMark, 1000);
+    assert.equal(second.carriedLoss, 400);
+
+    const third = calculatePerformanceFee({
+      periodPnL: 600,
+      previousPeriod: toPeriodRow(second),
+      settings,
+    });
+    assert.equal(third.chargeablePnL, 200);
+    assert.equal(third.fee, 50);
+    assert.equal(third.highWaterMark, 1200);
+  });
+
+  it("only charges profit above the hurdle", () => {
+    const result = calculatePerformanceFee({
+      periodPnL: 1000,
+      capital: 10000,
+      settings: { ...settings, hurdleRate: 0.05 },
+    });
+
+    assert.equal(result.hurdleAmount, 500);
+    assert.equal(result.chargeablePnL, 500);
+    assert.equal(result.fee, 125);
+  });
+
+  it("pro-rates the monthly hurdle by the length of the period", () => {
+    const week = calculatePerformanceFee({
+      periodPnL: 1000,
+      capital: 10000,
+      periodMonths: getPeriodMonths(
+        "2025-03-03T00:00:00.000Z",
+        "2025-03-10T00:00:00.000Z"
+      ),
+      settings: { ...settings, hurdleRate: 0.06 },
+    });
+
+    // 7 of 30 days of a 6% monthly hurdle
+    assert.equal(week.hurdleAmount.toFixed(8), "140.00000000");
+    assert.equal(week.chargeablePnL.toFixed(8), "860.00000000");
+  });
+
+  it("waives the fee-free share of the fee", () => {
+    const result = calculatePerformanceFee({
+      periodPnL: 1000,
+      settings,
+      feeFreeFraction: 0.5,
+    });
+
+    assert.equal(result.fee, 125);
+    assert.equal(result.waivedFee, 125);
+  });
+
+  it("raises the high-water mark by profit within the hurdle", () => {
+    const hurdleSettings = { ...settings, hurdleRate: 0.05 };
+    const first = calculatePerformanceFee({
+      periodPnL: 400,
+      capital: 10000,
+      settings: hurdleSettings,
+    });
+    assert.equal(first.fee, 0);
+    assert.equal(first.highWaterMark, 400);
+
+    // The 400 inside the first hurdle is not charged in the next period
+    const second = calculatePerformanceFee({
+      periodPnL: 600,
+      capital: 10000,
+      previousPeriod: toPeriodRow(first),
+      settings: hurdleSettings,
+    });
+    assert.equal(second.chargeablePnL, 100);
+    assert.equal(second.highWaterMark, 1000);
+  });
+
+  it("raises the high-water mark by profit made while fee-free", () => {
+    const first = calculatePerformanceFee({
+      periodPnL: 1000,
+      settings,
+      feeFreeFraction: 1,
+    });
+    assert.equal(first.fee, 0);
+    assert.equal(first.highWaterMark, 1000);
+
+    const second = calculatePerformanceFee({
+      periodPnL: 200,
+      previousPeriod: toPeriodRow(first),
+      settings,
+    });
+    assert.equal(second.chargeablePnL, 200);
+    assert.equal(second.fee, 50);
+  });
+});
+
+describe("allocateHurdleCapital", () => {
+  it("splits the capital across markets by their profit", () => {
+    assert.deepEqual(
+      allocateHurdleCapital(9000, { spot: 500, perps: 200, inverse: -50 }, [
+        "spot",
+        "perps",
+        "inverse",
+      ]),
+      { spot: (9000 * 500) / 700, perps: (9000 * 200) / 700, inverse: 0 }
+    );
+  });
+
+  it("leaves no hurdle without profit", () => {
+    assert.deepEqual(
+      allocateHurdleCapital(9000, { perps: -10, inverse: 0 }, [
+        "perps",
+        "inverse",
+      ]),
+      { perps: 0, inverse: 0 }
+    );
+  });
+});
+
+describe("calculateTieredFee", () => {
+  const brackets = [
+    { upTo: 1000, rate: 0.1 },
+    { upTo: 5000, rate: 0.2 },
+  ];
+
+  it("applies brackets marginally and the base rate above them", () => {
+    assert.equal(calculateTieredFee(500, 0.3, brackets), 50);
+    assert.equal(calculateTieredFee(3000, 0.3, brackets), 100 + 400);
+    assert.equal(calculateTieredFee(6000, 0.3, brackets), 100 + 800 + 300);
+  });
+
+  it("charges nothing on losses", () => {
+    assert.equal(calculateTieredFee(-100, 0.3, brackets), 0);
+  });
+});
+
+describe("resolveFeeSettings", () => {
+  it("prefers the fee schedule over the stored fee rate", () => {
+    const settings = resolveFeeSettings(
+      { fee_rate: "0.2", hurdle_rate: "0.01", include_spot: 1 },
+      {
+        id: 7,
+        rate: "0.3",
+        brackets: '[{"upTo": 1000, "rate": 0.1}]',
+        minimum_monthly_fee: "50",
+      }
+    );
+
+    assert.equal(settings.feeRate, 0.3);
+    assert.equal(settings.hurdleRate, 0.01);
+    assert.equal(settings.includeSpot, true);
+    assert.deepEqual(settings.brackets, [{ upTo: 1000, rate: 0.1 }]);
+    assert.equal(settings.minimumMonthlyFee, 50);
+    assert.equal(settings.feeScheduleId, 7);
+  });
+
+  it("falls back to the defaults", () => {
+    assert.deepEqual(resolveFeeSettings(null), { ...DEFAULT_FEE_SETTINGS });
+  });
+});
+
+describe("getFeeFreeFraction", () => {
+  it("measures the overlap with fee-free periods, counting overlaps once", () => {
+    const fraction = getFeeFreeFraction(
+      "2025-03-01T00:00:00.000Z",
+      "2025-03-11T00:00:00.000Z",
+      [
+        {
+          start_date: "2025-02-25T00:00:00.000Z",
+          end_date: "2025-03-03T00:00:00.000Z",
+        },
+        {
+          start_date: "2025-03-02T00:00:00.000Z",
+          end_date: "2025-03-04T00:00:00.000Z",
+        },
+      ]
+    );
+
+    assert.equal(fraction, 0.3);
+  });
+});
+
+describe("getPeriodMonths", () => {
+  it("counts calendar months and quarters as whole months", () => {
+    [
+      ["2025-02-01T00:00:00.000Z", "2025-03-01T00:00:00.000Z", 1],
+      // Irish summer time: 31 days and an hour
+      ["2025-03-01T00:00:00.000Z", "2025-03-31T23:00:00.000Z", 1],
+      ["2025-01-01T00:00:00.000Z", "2025-04-01T00:00:00.000Z", 3],
+    ].forEach(([start, end, months]) =>
+      assert.equal(getPeriodMonths(start, end), months, `${start} to ${end}`)
+    );
+  });
+
+  it("pro-rates shorter periods at 30 days a month", () => {
+    assert.equal(
+      getPeriodMonths("2025-03-01T00:00:00.000Z", "2025-03-07T00:00:00.000Z"),
+      0.2
+    );
+  });
+});
+
+describe("calculateMinimumFeeTopUp", () => {
+  const settings = { ...DEFAULT_FEE_SETTINGS, minimumMonthlyFee: 100 };
+
+  it("tops fees up to the monthly minimum", () => {
+    assert.equal(
+      calculateMinimumFeeTopUp(
+        30,
+        settings,
+        "2025-03-01T00:00:00.000Z",
+        "2025-04-01T00:00:00.000Z",
+        0
+      ),
+      70
+    );
+  });
+
+  it("pro-rates the minimum for short periods", () => {
+    assert.equal(
+      calculateMinimumFeeTopUp(
+        0,
+        settings,
+        "2025-03-01T00:00:00.000Z",
+        "2025-03-16T00:00:00.000Z",
+        0
+      ),
+      50
+    );
+  });
+
+  it("charges the minimum of each month of a quarter", () => {
+    assert.equal(
+      calculateMinimumFeeTopUp(
+        30,
+        settings,
+        "2025-01-01T00:00:00.000Z",
+        "2025-04-01T00:00:00.000Z",
+        0
+      ),
+      270
+    );
+  });
+});
+
+describe("calculateEquityChangePnL", () => {
+  it("excludes net transfers from the change in equity", () => {
+    assert.equal(
+      calculateEquityChangePnL({
+        startEquity: 10000,
+        endEquity: 12500,
+        netTransfers: 2000,
+      }),
+      500
+    );
+  });
+});
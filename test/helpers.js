@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Shared setup for the tests: starts the mock OKX, Bybit and
+ * D1 servers and points the billing scripts at them through the environment.
+ * Modules that read the environment when loaded (database.js, billing.js)
+ * must be required after `startMocks` has resolved.
+ */
+
+const { MockOkxServer } = require("./mocks/okx-server");
+const { MockBybitServer } = require("./mocks/bybit-server");
+const { MockD1Server } = require("./mocks/d1-server");
+const fixtures = require("./fixtures/bills.json");
+const bybitFixtures = require("./fixtures/bybit.json");
+
+const D1_CONFIG = {
+  accountId: "test-account",
+  databaseId: "test-database",
+  apiToken: "test-api-token",
+};
+
+// Credentials of the account the fixtures belong to
+const CREDENTIALS = {
+  apiKey: "test-api-key-0001",
+  secretKey: "test-secret-key",
+  passphrase: "test-passphrase",
+};
+
+// Credentials of the Bybit account the Bybit fixtures belong to
+const BYBIT_CREDENTIALS = {
+  apiKey: "test-bybit-key-0001",
+  secretKey: "test-bybit-secret",
+};
+
+// Timestamp field of each kind of Bybit record
+const BYBIT_TS_FIELDS = {
+  transactions: "transactionTime",
+  deposits: "successAt",
+  withdrawals: "createTime",
+  transfers: "timestamp",
+};
+
+/**
+ * Load the fixture bills with timestamps relative to now
+ * @param {number} [now=Date.now()] - Time the bill ages are measured from
+ * @returns {Array<Object>} OKX bill records
+ */
+function loadFixtureBills(now = Date.now()) {
+  return fixtures.bills.map(({ ageMinutes, ...bill }) => ({
+    ...bill,
+    ts: String(now - ageMinutes * 60 * 1000),
+  }));
+}
+
+/**
+ * Load the Bybit fixture account with timestamps relative to now
+ * @param {number} [now=Date.now()] - Time the record ages are measured from
+ * @returns {Object} Mock Bybit account records, wallet and positions
+ */
+function loadBybitFixtures(now = Date.now()) {
+  const records = Object.fromEntries(
+    Object.entries(BYBIT_TS_FIELDS).map(([kind, tsField]) => [
+      kind,
+      bybitFixtures[kind].map(({ ageMinutes, ...record }) => ({
+        ...record,
+        [tsField]: String(now - ageMinutes * 60 * 1000),
+      })),
+    ])
+  );
+  return {
+    ...records,
+    wallet: bybitFixtures.wallet,
+    positions: bybitFixtures.positions,
+  };
+}
+
+/**
+ * Start the mock servers and point the billing scripts at them
+ * @param {Object} [options]
+ * @param {Object} [options.accounts] - Mock OKX accounts keyed by API key;
+ *   defaults to the fixture account
+ * @param {Object} [options.rateLimits] - Mock OKX rate limits per endpoint
+ * @param {Object} [options.bybitAccounts] - Mock Bybit accounts keyed by API
+ *   key; defaults to the Bybit fixture account
+ * @returns {Promise<{okx: MockOkxServer, bybit: MockBybitServer, d1: MockD1Server, stop: Function}>} Running servers
+ */
+async function startMocks({ accounts, rateLimits, bybitAccounts } = {}) {
+  const okx = new MockOkxServer({
+    accounts: accounts || {
+      [CREDENTIALS.apiKey]: { ...CREDENTIALS, bills: loadFixtureBills() },
+    },
+    rateLimits,
+  });
+  const bybit = new MockBybitServer({
+    accounts: bybitAccounts || {
+      [BYBIT_CREDENTIALS.apiKey]: {
+        ...BYBIT_CREDENTIALS,
+        ...loadBybitFixtures(),
+      },
+    },
+  });
+  const d1 = new MockD1Server(D1_CONFIG);
+
+  Object.assign(process.env, {
+    OKX_API_URL: await okx.start(),
+    OKX_MAX_RETRIES: "2",
+    BYBIT_API_URL: await bybit.start(),
+    BYBIT_MAX_RETRIES: "2",
+    DB_BACKEND: "d1",
+    CLOUDFLARE_API_URL: await d1.start(),
+    CLOUDFLARE_ACCOUNT_ID: D1_CONFIG.accountId,
+    CLOUDFLARE_DATABASE_ID: D1_CONFIG.databaseId,
+    CLOUDFLARE_API_TOKEN: D1_CONFIG.apiToken,
+    LOG_LEVEL: process.env.LOG_LEVEL || "error",
+  });
+
+  return {
+    okx,
+    bybit,
+    d1,
+    stop: () => Promise.all([okx.stop(), bybit.stop(), d1.stop()]),
+  };
+}
+
+module.exports = {
+  CREDENTIALS,
+  BYBIT_CREDENTIALS,
+  loadFixtureBills,
+  loadBybitFixtures,
+  startMocks,
+};
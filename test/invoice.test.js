@@ -0,0 +1,24 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatInvoiceNumber } = require("../invoice");
+
+describe("formatInvoiceNumber", () => {
+  it("dates the number by the Irish day the period starts on", () => {
+    // April 2025 in Irish time starts at 23:00 UTC on 31 March
+    assert.equal(
+      formatInvoiceNumber("INV", "2025-03-31T23:00:00.000Z", 42),
+      "INV-20250401-0042"
+    );
+    assert.equal(
+      formatInvoiceNumber("INV", "2025-03-01T00:00:00.000Z", 42),
+      "INV-20250301-0042"
+    );
+  });
+
+  it("requires the API key ID of the account", () => {
+    assert.throws(
+      () => formatInvoiceNumber("INV", "2025-03-01T00:00:00.000Z", null),
+      /API key ID/
+    );
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Local stand-in for the Bybit v5 REST API, for tests. Serves
+ * the unified account endpoints the Bybit adapter uses from fixture data,
+ * checks request signatures like Bybit does, pages records by cursor,
+ * rejects time ranges longer than each record endpoint allows, and can
+ * answer with Bybit error codes. Point the scripts at it with BYBIT_API_URL.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest time range each record endpoint serves, and the record timestamp
+// it filters on
+const RECORD_ENDPOINTS = {
+  "/v5/account/transaction-log": {
+    records: "transactions",
+    windowMs: 7 * DAY_MS,
+    ts: "transactionTime",
+    list: "list",
+  },
+  "/v5/asset/deposit/query-record": {
+    records: "deposits",
+    windowMs: 30 * DAY_MS,
+    ts: "successAt",
+    list: "rows",
+  },
+  "/v5/asset/withdraw/query-record": {
+    records: "withdrawals",
+    windowMs: 30 * DAY_MS,
+    ts: "createTime",
+    list: "rows",
+  },
+  "/v5/asset/transfer/query-inter-transfer-list": {
+    records: "transfers",
+    windowMs: 7 * DAY_MS,
+    ts: "timestamp",
+    list: "list",
+  },
+};
+
+// Record fields a query parameter of the same name filters on
+const RECORD_FILTERS = ["category", "type", "currency", "coin", "status"];
+
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Mock Bybit API server
+ * @class
+ */
+class MockBybitServer {
+  /**
+   * Create a MockBybitServer instance
+   * @param {Object} [options]
+   * @param {Object<string, Object>} [options.accounts] - Accounts keyed by API
+   *   key, each with `secretKey` and optional `info`, `wallet` (the unified
+   *   account entry of wallet-balance), `positions` (each with `category`),
+   *   `transactions`, `deposits`, `withdrawals` and `transfers`
+   * @param {string} [options.indexPrice="50000"] - Close of every index kline
+   */
+  constructor({ accounts = {}, indexPrice = "50000" } = {}) {
+    this.accounts = accounts;
+    this.indexPrice = indexPrice;
+    this.requests = [];
+    this.failures = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Base URL of the server
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Answer the next requests to an endpoint with an error
+   * @param {string} endpoint - Endpoint path, e.g. "/v5/account/transaction-log"
+   * @param {Object} error
+   * @param {number} [error.status=200] - HTTP status
+   * @param {number} error.code - Bybit retCode
+   * @param {string} [error.msg] - Bybit retMsg
+   * @param {number} [error.times=1] - Number of requests to fail
+   */
+  failNext(endpoint, { status = 200, code, msg = "", times = 1 }) {
+    this.failures.push({ endpoint, status, code, msg, times });
+  }
+
+  /**
+   * Get the requests received for an endpoint
+   * @param {string} endpoint - Endpoint path
+   * @returns {Array<{method: string, endpoint: string, query: URLSearchParams, headers: Object}>} Requests
+   */
+  requestsTo(endpoint) {
+    return this.requests.filter((request) => request.endpoint === endpoint);
+  }
+
+  /**
+   * Send a Bybit response
+   * @param {Object} res - HTTP response
+   * @param {number} status - HTTP status
+   * @param {number} retCode - Bybit retCode
+   * @param {string} retMsg - Bybit retMsg
+   * @param {Object} [result] - Response result
+   */
+  send(res, status, retCode, retMsg, result = {}) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ retCode, retMsg, result, time: Date.now() }));
+  }
+
+  /**
+   * Check the credentials of a request
+   * @param {Object} req - HTTP request
+   * @param {string} payload - Query string the request was signed over
+   * @returns {{account?: Object, error?: Object}} Account, or the error to answer with
+   */
+  authenticate(req, payload) {
+    const account = this.accounts[req.headers["x-bapi-api-key"]];
+    if (!account) {
+      return { error: { code: 10003, msg: "API key is invalid." } };
+    }
+
+    const expected = crypto
+      .createHmac("sha256", account.secretKey)
+      .update(
+        req.headers["x-bapi-timestamp"] +
+          req.headers["x-bapi-api-key"] +
+          req.headers["x-bapi-recv-window"] +
+          payload
+      )
+      .digest("hex");
+    if (req.headers["x-bapi-sign"] !== expected) {
+      return {
+        error: {
+          code: 10004,
+          msg: "Error sign, please check your signature generation algorithm.",
+        },
+      };
+    }
+
+    return { account };
+  }
+
+  /**
+   * Get a page of records the way Bybit serves them: newest first, filtered
+   * by the query and time range, continued by `cursor`
+   * @param {Array<Object>} records - All records of the account
+   * @param {Object} source - Entry of RECORD_ENDPOINTS
+   * @param {URLSearchParams} query - Request query
+   * @returns {Object} Result with the page and `nextPageCursor`, or `error`
+   */
+  getRecordsPage(records, source, query) {
+    const start = parseInt(query.get("startTime"));
+    const end = parseInt(query.get("endTime"));
+    if (end - start > source.windowMs) {
+      return {
+        error: {
+          code: 10001,
+          msg: "The time range between startTime and endTime cannot exceed the limit",
+        },
+      };
+    }
+    const limit = Math.min(
+      parseInt(query.get("limit") || MAX_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+
+    const matching = records
+      .filter((record) =>
+        RECORD_FILTERS.every(
+          (field) =>
+            !query.has(field) || String(record[field]) === query.get(field)
+        )
+      )
+      .filter((record) => {
+        const ts = parseInt(record[source.ts]);
+        return ts >= start && ts <= end;
+      })
+      .sort((a, b) => parseInt(b[source.ts]) - parseInt(a[source.ts]));
+
+    const offset = parseInt(query.get("cursor") || 0);
+    const page = matching.slice(offset, offset + limit);
+    return {
+      [source.list]: page,
+      nextPageCursor:
+        offset + limit < matching.length ? String(offset + limit) : "",
+    };
+  }
+
+  /**
+   * Handle a request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  handle(req, res) {
+    req.resume();
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const endpoint = url.pathname;
+      const query = url.searchParams;
+      this.requests.push({
+        method: req.method,
+        endpoint,
+        query,
+        headers: req.headers,
+      });
+
+      const failure = this.failures.find((f) => f.endpoint === endpoint);
+      if (failure) {
+        if (--failure.times <= 0) {
+          this.failures.splice(this.failures.indexOf(failure), 1);
+        }
+        this.send(res, failure.status, failure.code, failure.msg);
+        return;
+      }
+
+      let account = null;
+      if (!endpoint.startsWith("/v5/market/")) {
+        const auth = this.authenticate(req, url.search.replace(/^\?/, ""));
+        if (auth.error) {
+          this.send(res, 401, auth.error.code, auth.error.msg);
+          return;
+        }
+        account = auth.account;
+      }
+
+      const result = this.getResult(endpoint, query, account);
+      if (!result) {
+        this.send(res, 404, 404, "Not Found");
+        return;
+      }
+      if (result.error) {
+        this.send(res, 200, result.error.code, result.error.msg);
+        return;
+      }
+      this.send(res, 200, 0, "OK", result);
+    });
+  }
+
+  /**
+   * Get the response result of an endpoint
+   * @param {string} endpoint - Endpoint path
+   * @param {URLSearchParams} query - Request query
+   * @param {Object|null} account - Account the request is signed for
+   * @returns {Object|null} Response result, an object with the Bybit `error`
+   *   to answer with, or null for unknown endpoints
+   */
+  getResult(endpoint, query, account) {
+    if (RECORD_ENDPOINTS[endpoint]) {
+      const source = RECORD_ENDPOINTS[endpoint];
+      return this.getRecordsPage(account[source.records] || [], source, query);
+    }
+
+    switch (endpoint) {
+      case "/v5/market/time":
+        return {
+          timeSecond: String(Math.floor(Date.now() / 1000)),
+          timeNano: String(Date.now() * 1e6),
+        };
+      case "/v5/market/index-price-kline": {
+        const minute = String(
+          Math.floor(parseInt(query.get("start")) / 60000) * 60000
+        );
+        const price = this.indexPrice;
+        return {
+          category: query.get("category"),
+          symbol: query.get("symbol"),
+          list: [[minute, price, price, price, price]],
+        };
+      }
+      case "/v5/account/info":
+        return (
+          account.info || {
+            unifiedMarginStatus: 4,
+            marginMode: "REGULAR_MARGIN",
+          }
+        );
+      case "/v5/account/wallet-balance":
+        if (query.get("accountType") !== "UNIFIED") {
+          return {
+            error: { code: 10001, msg: "accountType only support UNIFIED." },
+          };
+        }
+        return {
+          list: [account.wallet || { totalEquity: "0", coin: [] }],
+        };
+      case "/v5/position/list": {
+        const positions = (account.positions || []).filter(
+          (position) =>
+            position.category === query.get("category") &&
+            (!query.has("settleCoin") ||
+              position.settleCoin === query.get("settleCoin"))
+        );
+        const limit = parseInt(query.get("limit") || 20);
+        const offset = parseInt(query.get("cursor") || 0);
+        return {
+          category: query.get("category"),
+          list: positions.slice(offset, offset + limit),
+          nextPageCursor:
+            offset + limit < positions.length ? String(offset + limit) : "",
+        };
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = {
+  MockBybitServer,
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Local stand-in for the Cloudflare D1 HTTP API, for tests.
+ * Answers the `/query` endpoint from an in-memory SQLite database with every
+ * migration applied, in the D1 response shape, and rejects requests without
+ * the configured API token. Point the scripts at it with CLOUDFLARE_API_URL.
+ * The database is created on first use, so database.js is only loaded once
+ * the environment points at the server.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "..", "migrations");
+
+/**
+ * Mock Cloudflare D1 API server
+ * @class
+ */
+class MockD1Server {
+  /**
+   * Create a MockD1Server instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.accountId - Cloudflare account ID to accept
+   * @param {string} config.databaseId - D1 database ID to accept
+   * @param {string} config.apiToken - API token to accept
+   */
+  constructor({ accountId, databaseId, apiToken }) {
+    this.queryPath = `/client/v4/accounts/${accountId}/d1/database/${databaseId}/query`;
+    this.apiToken = apiToken;
+    this.queries = [];
+    this.client = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * In-memory database with every migration applied. Tests seed and inspect
+   * it directly through this client.
+   * @type {SqliteClient}
+   */
+  get db() {
+    if (!this.client) {
+      const { SqliteClient } = require("../../database");
+      this.client = new SqliteClient({ path: ":memory:" });
+      fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => /^\d{4}_.+\.sql$/.test(file))
+        .sort()
+        .forEach((file) =>
+          this.client.executeScript(
+            fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8")
+          )
+        );
+    }
+    return this.client;
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} API base URL to use as CLOUDFLARE_API_URL
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/client/v4`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server and close the database
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) =>
+      this.server.close(() => {
+        if (this.client) this.client.close();
+        resolve();
+      })
+    );
+  }
+
+  /**
+   * Send a D1 response
+   * @param {Object} res - HTTP response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Handle a request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  handle(req, res) {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      if (req.method !== "POST" || req.url !== this.queryPath) {
+        this.send(res, 404, {
+          success: false,
+          errors: [{ code: 7003, message: "Could not route to " + req.url }],
+          result: [],
+        });
+        return;
+      }
+      if (req.headers.authorization !== `Bearer ${this.apiToken}`) {
+        this.send(res, 401, {
+          success: false,
+          errors: [{ code: 10000, message: "Authentication error" }],
+          result: [],
+        });
+        return;
+      }
+
+      try {
+        const { sql, params = [] } = JSON.parse(body);
+        this.queries.push({ sql, params });
+        const data = await this.db.executeQuery(sql, params);
+        this.send(res, 200, { ...data, errors: [], messages: [] });
+      } catch (error) {
+        this.send(res, 400, {
+          success: false,
+          errors: [{ code: 7500, message: error.message }],
+          result: [],
+        });
+      }
+    });
+  }
+}
+
+module.exports = {
+  MockD1Server,
+};
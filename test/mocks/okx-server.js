@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Local stand-in for the OKX REST API, for tests. Serves the
+ * account endpoints the billing scripts use from fixture data, checks request
+ * signatures like OKX does, pages bills by `after` with OKX's retention per
+ * bills endpoint, pages funding account records by timestamp, and can answer with OKX error codes and rate-limit
+ * responses. Demo trading accounts only accept requests with the
+ * x-simulated-trading header, and live accounts only requests without it.
+ * Point the scripts at it with OKX_API_URL.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each bills endpoint serves bills
+const BILLS_RETENTION_MS = {
+  "/api/v5/account/bills": 7 * DAY_MS,
+  "/api/v5/account/bills-archive": 90 * DAY_MS,
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Funding account endpoints, and the account records each serves
+const ASSET_RECORDS = {
+  "/api/v5/asset/deposit-history": "deposits",
+  "/api/v5/asset/withdrawal-history": "withdrawals",
+  "/api/v5/asset/bills": "assetBills",
+};
+
+/**
+ * Mock OKX API server
+ * @class
+ */
+class MockOkxServer {
+  /**
+   * Create a MockOkxServer instance
+   * @param {Object} [options]
+   * @param {Object<string, Object>} [options.accounts] - Accounts keyed by API
+   *   key, each with `secretKey`, `passphrase` and optional `simulated`,
+   *   `config`, `balance`, `positions`, `bills`, `deposits`, `withdrawals`,
+   *   `assetBills` and `subAccounts` (each with `subAcct`, `ts`, optional
+   *   `label`, `enable` and `balance`)
+   * @param {Object<string, {requests: number, windowMs: number}>} [options.rateLimits] -
+   *   Limits per endpoint; requests over a limit get HTTP 429 with code 50011
+   * @param {string} [options.indexPrice="50000"] - Close of every index candle
+   * @param {Array<Object>} [options.tickers] - Tickers, each with `instType`
+   */
+  constructor({
+    accounts = {},
+    rateLimits = {},
+    indexPrice = "50000",
+    tickers = [],
+  } = {}) {
+    this.accounts = accounts;
+    this.rateLimits = rateLimits;
+    this.indexPrice = indexPrice;
+    this.tickers = tickers;
+    this.requests = [];
+    this.failures = [];
+    this.sent = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Base URL of the server
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Answer the next requests to an endpoint with an error
+   * @param {string} endpoint - Endpoint path, e.g. "/api/v5/account/bills"
+   * @param {Object} error
+   * @param {number} [error.status=200] - HTTP status
+   * @param {string} error.code - OKX error code
+   * @param {string} [error.msg] - OKX error message
+   * @param {number} [error.times=1] - Number of requests to fail
+   */
+  failNext(endpoint, { status = 200, code, msg = "", times = 1 }) {
+    this.failures.push({ endpoint, status, code, msg, times });
+  }
+
+  /**
+   * Get the requests received for an endpoint
+   * @param {string} endpoint - Endpoint path
+   * @returns {Array<{method: string, endpoint: string, query: URLSearchParams, headers: Object, body: string}>} Requests
+   */
+  requestsTo(endpoint) {
+    return this.requests.filter((request) => request.endpoint === endpoint);
+  }
+
+  /**
+   * Send an OKX response
+   * @param {Object} res - HTTP response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Check the credentials of a request
+   * @param {Object} req - HTTP request
+   * @param {string} requestPath - Path with query string
+   * @param {string} body - Request body
+   * @returns {{account?: Object, error?: Object}} Account, or the error to answer with
+   */
+  authenticate(req, requestPath, body) {
+    const account = this.accounts[req.headers["ok-access-key"]];
+    if (!account) {
+      return { error: { code: "50111", msg: "Invalid OK-ACCESS-KEY" } };
+    }
+    if (req.headers["ok-access-passphrase"] !== account.passphrase) {
+      return { error: { code: "50105", msg: "Invalid OK-ACCESS-PASSPHRASE" } };
+    }
+
+    const expected = crypto
+      .createHmac("sha256", account.secretKey)
+      .update(
+        req.headers["ok-access-timestamp"] + req.method + requestPath + body
+      )
+      .digest("base64");
+    if (req.headers["ok-access-sign"] !== expected) {
+      return { error: { code: "50113", msg: "Invalid Sign" } };
+    }
+    if (
+      (req.headers["x-simulated-trading"] === "1") !==
+      Boolean(account.simulated)
+    ) {
+      return {
+        error: {
+          code: "50101",
+          msg: "APIKey does not match current environment",
+        },
+      };
+    }
+
+    return { account };
+  }
+
+  /**
+   * Count a request against its endpoint's rate limit
+   * @param {string} endpoint - Endpoint path
+   * @param {string} key - API key, or "public"
+   * @returns {boolean} True if the request is over the limit
+   */
+  isRateLimited(endpoint, key) {
+    const limit = this.rateLimits[endpoint];
+    if (!limit) return false;
+
+    const now = Date.now();
+    const sentKey = `${key}:${endpoint}`;
+    const recent = (this.sent.get(sentKey) || []).filter(
+      (ts) => ts > now - limit.windowMs
+    );
+    recent.push(now);
+    this.sent.set(sentKey, recent);
+    return recent.length > limit.requests;
+  }
+
+  /**
+   * Get a page of bills the way OKX serves them: newest first, filtered by
+   * the query, and only as far back as the endpoint keeps bills
+   * @param {Array<Object>} bills - All bills of the account
+   * @param {string} endpoint - Bills endpoint path
+   * @param {URLSearchParams} query - Request query
+   * @returns {Array<Object>} Page of bills
+   */
+  getBillsPage(bills, endpoint, query) {
+    const oldest = Date.now() - BILLS_RETENTION_MS[endpoint];
+    const begin = query.has("begin") ? parseInt(query.get("begin")) : 0;
+    const end = query.has("end") ? parseInt(query.get("end")) : Infinity;
+    const limit = Math.min(
+      parseInt(query.get("limit") || MAX_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+
+    const matching = bills
+      .filter((bill) =>
+        ["instType", "type", "ccy", "instId"].every(
+          (field) => !query.has(field) || bill[field] === query.get(field)
+        )
+      )
+      .filter((bill) => {
+        const ts = parseInt(bill.ts);
+        return ts >= oldest && ts >= begin && ts <= end;
+      })
+      .sort(
+        (a, b) =>
+          parseInt(b.ts) - parseInt(a.ts) || b.billId.localeCompare(a.billId)
+      );
+
+    // `after` returns bills older than the given bill
+    const after = query.get("after");
+    const start = after
+      ? matching.findIndex((bill) => bill.billId === after) + 1
+      : 0;
+    return matching.slice(start, start + limit);
+  }
+
+  /**
+   * Get a page of funding account records the way OKX serves them: newest
+   * first, with `after` returning records older than a timestamp and
+   * `before` records newer than one
+   * @param {Array<Object>} records - All records of the account
+   * @param {URLSearchParams} query - Request query
+   * @returns {Array<Object>} Page of records
+   */
+  getAssetPage(records, query) {
+    const after = query.has("after") ? parseInt(query.get("after")) : Infinity;
+    const before = query.has("before")
+      ? parseInt(query.get("before"))
+      : -Infinity;
+    const limit = Math.min(
+      parseInt(query.get("limit") || MAX_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+
+    return records
+      .filter((record) => {
+        const ts = parseInt(record.ts);
+        return ts < after && ts > before;
+      })
+      .sort((a, b) => parseInt(b.ts) - parseInt(a.ts))
+      .slice(0, limit);
+  }
+
+  /**
+   * Handle a request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  handle(req, res) {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const endpoint = url.pathname;
+      const query = url.searchParams;
+      this.requests.push({
+        method: req.method,
+        endpoint,
+        query,
+        headers: req.headers,
+        body,
+      });
+
+      const failure = this.failures.find((f) => f.endpoint === endpoint);
+      if (failure) {
+        if (--failure.times <= 0) {
+          this.failures.splice(this.failures.indexOf(failure), 1);
+        }
+        this.send(res, failure.status, {
+          code: failure.code,
+          msg: failure.msg,
+          data: [],
+        });
+        return;
+      }
+
+      const isPublic =
+        endpoint.startsWith("/api/v5/market/") ||
+        endpoint.startsWith("/api/v5/public/");
+      let account = null;
+      if (!isPublic) {
+        const auth = this.authenticate(req, req.url, body);
+        if (auth.error) {
+          this.send(res, 401, { ...auth.error, data: [] });
+          return;
+        }
+        account = auth.account;
+      }
+
+      if (
+        this.isRateLimited(
+          endpoint,
+          isPublic ? "public" : req.headers["ok-access-key"]
+        )
+      ) {
+        this.send(res, 429, {
+          code: "50011",
+          msg: "Too Many Requests",
+          data: [],
+        });
+        return;
+      }
+
+      const data = this.getData(endpoint, query, account);
+      if (!data) {
+        this.send(res, 404, { code: "404", msg: "Not Found", data: [] });
+        return;
+      }
+      if (data.error) {
+        this.send(res, 200, { ...data.error, data: [] });
+        return;
+      }
+      this.send(res, 200, { code: "0", msg: "", data });
+    });
+  }
+
+  /**
+   * Get the response data of an endpoint
+   * @param {string} endpoint - Endpoint path
+   * @param {URLSearchParams} query - Request query
+   * @param {Object|null} account - Account the request is signed for
+   * @returns {Array|Object|null} Response data, an object with the OKX
+   *   `error` to answer with, or null for unknown endpoints
+   */
+  getData(endpoint, query, account) {
+    switch (endpoint) {
+      case "/api/v5/public/time":
+        return [{ ts: String(Date.now()) }];
+      case "/api/v5/market/history-index-candles": {
+        const ts = parseInt(query.get("after") || Date.now()) - 1;
+        const minute = String(Math.floor(ts / 60000) * 60000);
+        const price = this.indexPrice;
+        return [[minute, price, price, price, price, "1"]];
+      }
+      case "/api/v5/market/tickers":
+        return this.tickers.filter(
+          (ticker) => ticker.instType === query.get("instType")
+        );
+      case "/api/v5/account/config":
+        return [
+          account.config || {
+            uid: "100000001",
+            mainUid: "100000001",
+            acctLv: "2",
+          },
+        ];
+      case "/api/v5/account/balance":
+        return [account.balance || { totalEq: "0", details: [] }];
+      case "/api/v5/account/positions":
+        return account.positions || [];
+      case "/api/v5/account/bills":
+      case "/api/v5/account/bills-archive":
+        return this.getBillsPage(account.bills || [], endpoint, query);
+      case "/api/v5/users/subaccount/list": {
+        const after = query.has("after") ? parseInt(query.get("after")) : null;
+        return (account.subAccounts || [])
+          .filter((sub) => after === null || parseInt(sub.ts) < after)
+          .sort((a, b) => parseInt(b.ts) - parseInt(a.ts))
+          .slice(0, parseInt(query.get("limit") || MAX_PAGE_SIZE))
+          .map(({ balance, ...sub }) => ({
+            enable: true,
+            label: "",
+            uid: "",
+            ...sub,
+          }));
+      }
+      case "/api/v5/account/subaccount/balances": {
+        const sub = (account.subAccounts || []).find(
+          (s) => s.subAcct === query.get("subAcct")
+        );
+        if (!sub) {
+          return {
+            error: { code: "59510", msg: "Sub-account does not exist" },
+          };
+        }
+        return [sub.balance || { totalEq: "0", details: [] }];
+      }
+      case "/api/v5/asset/deposit-history":
+      case "/api/v5/asset/withdrawal-history":
+      case "/api/v5/asset/bills":
+        return this.getAssetPage(account[ASSET_RECORDS[endpoint]] || [], query);
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = {
+  MockOkxServer,
+};
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks, CREDENTIALS } = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Account with more records at one millisecond than fit on a page
+const CROWDED_CREDENTIALS = {
+  apiKey: "test-api-key-0002",
+  secretKey: "test-secret-key-2",
+  passphrase: "test-passphrase-2",
+};
+
+describe("okx adapter", () => {
+  const now = Date.now();
+  const period = {
+    from: new Date(now - DAY_MS).toISOString(),
+    to: new Date(now).toISOString(),
+  };
+  let mocks;
+  let OkxAdapter;
+
+  before(async () => {
+    // 150 deposits, one a minute, except that the ten around the end of the
+    // first page all arrive in the same millisecond
+    const deposits = Array.from({ length: 150 }, (_, i) => ({
+      depId: `dep-${String(i).padStart(4, "0")}`,
+      ccy: "USDT",
+      amt: "10",
+      state: "2",
+      ts: String(now - (Math.min(Math.max(i, 95), 104) + 1) * 60 * 1000),
+    }));
+    mocks = await startMocks({
+      accounts: {
+        [CREDENTIALS.apiKey]: { ...CREDENTIALS, deposits },
+        [CROWDED_CREDENTIALS.apiKey]: {
+          ...CROWDED_CREDENTIALS,
+          assetBills: Array.from({ length: 101 }, (_, i) => ({
+            billId: `bill-${i}`,
+            ccy: "USDT",
+            balChg: "1",
+            type: "131",
+            ts: String(now - 60 * 1000),
+          })),
+        },
+      },
+    });
+    ({ OkxAdapter } = require("../okx-adapter"));
+  });
+
+  after(() => mocks.stop());
+
+  it("pages deposits sharing a timestamp across pages exactly once", async () => {
+    const { deposits } = await new OkxAdapter(CREDENTIALS).getFlows(period);
+
+    const ids = deposits.data.map((record) => record.depId);
+    assert.equal(ids.length, 150);
+    assert.equal(new Set(ids).size, 150);
+    assert.equal(
+      mocks.okx.requestsTo("/api/v5/asset/deposit-history").length,
+      2
+    );
+  });
+
+  it("fails a flow with more records at one timestamp than a page holds", async () => {
+    const { fundingBills, deposits } = await new OkxAdapter(
+      CROWDED_CREDENTIALS
+    ).getFlows(period);
+
+    assert.match(fundingBills.error, /^More than 100 records at /);
+    assert.deepEqual(deposits.data, []);
+  });
+});
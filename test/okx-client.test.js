@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks, CREDENTIALS } = require("./helpers");
+
+const DEMO_CREDENTIALS = {
+  apiKey: "test-demo-key-0001",
+  secretKey: "test-demo-secret",
+  passphrase: "test-demo-passphrase",
+};
+
+describe("OkxClient", () => {
+  let mocks;
+  let OkxClient;
+  let OkxError;
+
+  before(async () => {
+    mocks = await startMocks({
+      accounts: {
+        [CREDENTIALS.apiKey]: {
+          ...CREDENTIALS,
+          balance: { totalEq: "1000", details: [] },
+        },
+        [DEMO_CREDENTIALS.apiKey]: { ...DEMO_CREDENTIALS, simulated: true },
+      },
+    });
+    mocks.okx.tickers = [
+      { instType: "SWAP", instId: "BTC-USDT-SWAP", last: "50000" },
+      { instType: "SPOT", instId: "BTC-USDT", last: "50001" },
+    ];
+    ({ OkxClient, OkxError } = require("../okx-client"));
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    mocks.okx.requests.length = 0;
+  });
+
+  it("signs requests with the account's credentials", async () => {
+    const client = new OkxClient(CREDENTIALS);
+
+    const balance = await client.getBalance();
+
+    assert.equal(balance.data[0].totalEq, "1000");
+    const [request] = mocks.okx.requestsTo("/api/v5/account/balance");
+    assert.equal(request.headers["ok-access-key"], CREDENTIALS.apiKey);
+    assert.equal(request.headers["x-simulated-trading"], undefined);
+  });
+
+  it("sends query parameters without unset values", async () => {
+    const client = new OkxClient(CREDENTIALS);
+
+    await client.getBills({ instType: "SWAP", limit: 100, after: "" });
+
+    const [request] = mocks.okx.requestsTo("/api/v5/account/bills");
+    assert.deepEqual(Object.fromEntries(request.query), {
+      instType: "SWAP",
+      limit: "100",
+    });
+  });
+
+  it("sends demo trading requests with the simulated trading header", async () => {
+    const client = new OkxClient(DEMO_CREDENTIALS, { simulated: true });
+
+    const config = await client.getConfig();
+
+    assert.equal(config.code, "0");
+    const [request] = mocks.okx.requestsTo("/api/v5/account/config");
+    assert.equal(request.headers["x-simulated-trading"], "1");
+  });
+
+  it("calls public endpoints without credentials", async () => {
+    const client = new OkxClient();
+
+    const tickers = await client.getTickers({ instType: "SWAP" });
+
+    assert.deepEqual(
+      tickers.data.map((ticker) => ticker.instId),
+      ["BTC-USDT-SWAP"]
+    );
+    const [request] = mocks.okx.requestsTo("/api/v5/market/tickers");
+    assert.equal(request.headers["ok-access-key"], undefined);
+  });
+
+  it("throws OkxError with the HTTP status and OKX code", async () => {
+    const client = new OkxClient(CREDENTIALS, { simulated: true });
+
+    await assert.rejects(client.getPositions(), (error) => {
+      assert.ok(error instanceof OkxError);
+      assert.equal(error.status, 401);
+      assert.equal(error.code, "50101");
+      return true;
+    });
+
+    mocks.okx.failNext("/api/v5/account/positions", {
+      code: "51000",
+      msg: "Parameter instType error",
+    });
+    await assert.rejects(
+      new OkxClient(CREDENTIALS).getPositions({ instType: "FOO" }),
+      {
+        name: "OkxError",
+        status: 200,
+        code: "51000",
+        message: "API Error: Parameter instType error (Code: 51000)",
+      }
+    );
+  });
+
+  it("throws OkxError for network failures once retries are exhausted", async () => {
+    // Nothing listens on the discard port
+    const client = new OkxClient(CREDENTIALS, {
+      baseUrl: "http://127.0.0.1:9",
+    });
+
+    await assert.rejects(client.getServerTime(), (error) => {
+      assert.ok(error instanceof OkxError);
+      assert.equal(error.code, undefined);
+      assert.equal(error.cause.name, "FetchError");
+      return true;
+    });
+  });
+});
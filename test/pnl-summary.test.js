@@ -0,0 +1,118 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { summarizePnL, summarizeTransfers } = require("../pnl-summary");
+const { getBillUsdPrice, applyUsdPrice } = require("../usd-conversion");
+const { loadFixtureBills } = require("./helpers");
+
+/**
+ * Assert that two amounts are equal to within floating point error
+ * @param {number} actual - Calculated amount
+ * @param {number} expected - Expected amount
+ */
+function assertAmount(actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`
+  );
+}
+
+/**
+ * Group the fixture bills into the bills responses billing.js builds, with
+ * coin-settled bills valued at their fill price
+ * @returns {{trading: Object, transfers: Object}} Trading and transfer bills
+ */
+function loadFixtureResponses() {
+  const bills = loadFixtureBills().map((bill) => {
+    const price = getBillUsdPrice(bill);
+    return price ? applyUsdPrice(bill, price.price, price.source) : bill;
+  });
+  const byInstType = (instType) => ({
+    bills: {
+      code: "0",
+      data: bills.filter((bill) => bill.instType === instType),
+    },
+  });
+
+  return {
+    trading: {
+      SPOT: byInstType("SPOT"),
+      MARGIN: byInstType("MARGIN"),
+      SWAP: byInstType("SWAP"),
+    },
+    transfers: {
+      code: "0",
+      data: bills.filter((bill) => bill.type === "1"),
+    },
+  };
+}
+
+describe("summarizePnL", () => {
+  const { trading, transfers } = loadFixtureResponses();
+  const { instruments, instTypes, markets } = summarizePnL(trading);
+
+  it("splits USDT-margined swap bills into PnL components", () => {
+    assert.deepEqual(instruments["BTC-USDT-SWAP"].components, {
+      grossPnl: 120,
+      tradingFees: -3,
+      funding: -2.5,
+      liquidationPenalties: 0,
+      interest: 0,
+      transfers: 0,
+      other: 0,
+      net: 114.5,
+    });
+    assert.equal(
+      instruments["ETH-USDT-SWAP"].components.liquidationPenalties,
+      -0.5
+    );
+    assert.equal(instruments["ETH-USDT-SWAP"].components.net, -31.5);
+  });
+
+  it("values coin-margined PnL in USD", () => {
+    const inverse = instruments["BTC-USD-SWAP"];
+    assert.equal(inverse.market, "inverse");
+    assert.equal(inverse.ccy, "BTC");
+    assertAmount(inverse.native, 0.001);
+    assertAmount(inverse.usd, 50);
+    assertAmount(inverse.components.net, 49);
+  });
+
+  it("totals each fee market", () => {
+    assertAmount(markets.perps.net, 83);
+    assertAmount(markets.perps.grossPnl, 90);
+    assertAmount(markets.inverse.net, 49);
+    // Margin interest is billed with spot
+    assertAmount(markets.spot.net, 14.3);
+    assertAmount(markets.spot.interest, -0.2);
+  });
+
+  it("totals each instrument type", () => {
+    assertAmount(instTypes.SWAP.net, 132);
+    assertAmount(instTypes.SPOT.net, 14.5);
+    assertAmount(instTypes.MARGIN.net, -0.2);
+    assert.equal(instTypes.FUTURES, undefined);
+  });
+
+  it("leaves transfers out of PnL", () => {
+    assert.equal(
+      Object.values(markets).some((market) => market.transfers !== 0),
+      false
+    );
+    assert.deepEqual(summarizeTransfers(transfers), {
+      usd: 1000,
+      count: 1,
+      unconvertedBills: 0,
+    });
+  });
+
+  it("excludes coin-settled bills without a USD price", () => {
+    const bill = {
+      ...trading.SWAP.bills.data.find((b) => b.instId === "BTC-USD-SWAP"),
+    };
+    delete bill.usdPx;
+
+    const summary = summarizePnL({ SWAP: { bills: { data: [bill] } } });
+    assert.equal(summary.instruments["BTC-USD-SWAP"].unconvertedBills, 1);
+    assert.equal(summary.markets.inverse.net, 0);
+  });
+});
@@ -0,0 +1,911 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks, loadFixtureBills } = require("./helpers");
+const {
+  summarizePnL,
+  summarizeTransfers,
+  summarizeEquity,
+} = require("../pnl-summary");
+const { summarizeFlows } = require("../account-flows");
+const { createComponents, addComponents } = require("../bill-classifier");
+const { getBillUsdPrice, applyUsdPrice } = require("../usd-conversion");
+
+const PERIOD = {
+  from: "2025-03-01T00:00:00.000Z",
+  to: "2025-04-01T00:00:00.000Z",
+  label: "March 2025",
+};
+
+/**
+ * Build a report account from the fixture bills, as billing.js summarises it
+ * @param {Object} user - Report user
+ * @returns {Object} Report account
+ */
+function buildAccount(user) {
+  const bills = loadFixtureBills().map((bill) => {
+    const price = getBillUsdPrice(bill);
+    return price ? applyUsdPrice(bill, price.price, price.source) : bill;
+  });
+  const trading = Object.fromEntries(
+    ["SPOT", "MARGIN", "SWAP"].map((instType) => [
+      instType,
+      { bills: { data: bills.filter((bill) => bill.instType === instType) } },
+    ])
+  );
+  const transfers = { data: bills.filter((bill) => bill.type === "1") };
+  const balances = {
+    data: [
+      {
+        totalEq: "10000",
+        details: [
+          { ccy: "USDT", eq: "10000", eqUsd: "10000", availBal: "9000" },
+        ],
+      },
+    ],
+  };
+  const pnl = summarizePnL(trading);
+
+  return {
+    user,
+    status: { status: "ok", reason: null, sections: {} },
+    summary: {
+      instruments: pnl.instruments,
+      instTypes: pnl.instTypes,
+      markets: pnl.markets,
+      totals: Object.values(pnl.markets).reduce(
+        (sum, market) => addComponents(sum, market),
+        createComponents()
+      ),
+      transfers: summarizeTransfers(transfers),
+      flows: summarizeFlows(null, transfers),
+      equity: summarizeEquity(balances, PERIOD.to),
+    },
+    balances,
+  };
+}
+
+/**
+ * Read a CSV written by processReport into objects keyed by column,
+ * unquoting escaped values
+ * @param {string} csvPath - Path to the CSV
+ * @returns {Array<Object>} Rows
+ */
+function readCsv(csvPath) {
+  const [header, ...lines] = fs.readFileSync(csvPath, "utf8").split("\n");
+  const columns = header.split(",");
+  return lines.map((line) => {
+    const values = line
+      .match(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g)
+      .map((value) => value.replace(/,$/, ""))
+      .map((value) =>
+        value.startsWith('"') ? value.slice(1, -1).replace(/""/g, '"') : value
+      );
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  });
+}
+
+describe("processReport", () => {
+  let mocks;
+  let processReport;
+  let outputDir;
+  const report = {
+    timestamp: "2025-04-01T00:05:00.000Z",
+    runId: "2025-04-01T00:00:00.000Z",
+    period: PERIOD,
+    accounts: [],
+  };
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ processReport } = require("../process-report"));
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "billing-test-"));
+
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO users (id, name, email) VALUES ('user-1', 'Alice', 'alice@example.com'), " +
+        "('user-2', 'Bob', 'bob@example.com')"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO api_keys (user_id, exchange, api_key, secret_key, passphrase) VALUES " +
+        "('user-1', 'OKX', 'key-1', 'secret-1', 'pass-1'), ('user-2', 'OKX', 'key-2', 'secret-2', 'pass-2')"
+    );
+
+    report.accounts = [
+      buildAccount({ name: "Alice", email: "alice@example.com", apiKeyId: 1 }),
+      {
+        user: { name: "Bob", email: "bob@example.com", apiKeyId: 2 },
+        status: {
+          status: "failed",
+          reason: "trading.SWAP: HTTP error! status: 503",
+          sections: {},
+        },
+      },
+    ];
+  });
+
+  after(async () => {
+    await mocks.stop();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("writes a CSV row per account with fees on net PnL", async () => {
+    const result = await processReport(report, { outputDir });
+
+    const [alice, bob] = readCsv(result.csvPath);
+    assert.equal(alice.name, "Alice");
+    assert.equal(alice.perps_pnl, "83.00000000");
+    assert.equal(alice.invperps_pnl_usd, "49.00000000");
+    assert.equal(alice.spot_pnl, "14.30000000");
+    // Default settings: 25% of net PnL, spot not billed
+    assert.equal(alice.perps_fee, "20.75000000");
+    assert.equal(alice.invperps_fee, "12.25000000");
+    assert.equal(alice.spot_fee, "0.00000000");
+    assert.equal(alice.amount_due_usd, "33.00000000");
+    assert.equal(alice.transfers_usd, "1000.00000000");
+    assert.equal(alice.usdt_equity, "10000");
+    assert.equal(alice.period_label, "March 2025");
+    assert.equal(alice.status, "ok");
+
+    // Failed accounts are listed without figures or an invoice
+    assert.equal(bob.status, "failed");
+    assert.equal(bob.status_reason, "trading.SWAP: HTTP error! status: 503");
+    assert.equal(bob.perps_fee, "");
+    assert.equal(bob.invoice_number, "");
+
+    assert.deepEqual(result.totals, {
+      accounts: 2,
+      billed: 1,
+      netPnl: parseFloat(alice.net_pnl_usd),
+      amountDue: 33,
+    });
+    assert.equal(result.invoices.length, 1);
+    assert.equal(result.invoices[0].number, alice.invoice_number);
+    assert.ok(fs.existsSync(result.invoices[0].pdf));
+    assert.ok(fs.existsSync(result.instrumentCsvPath));
+  });
+
+  it("records the run, fee periods and invoice in D1", async () => {
+    const { results: feePeriods } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT market, period_pnl, high_water_mark, fee FROM performance_fee_periods ORDER BY market"
+      )
+    ).result[0];
+    assert.deepEqual(
+      feePeriods.map((row) => [row.market, row.fee]),
+      [
+        ["inverse", 12.25],
+        ["perps", 20.75],
+      ]
+    );
+
+    const { results: invoices } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT api_key_id, amount_due FROM invoices"
+      )
+    ).result[0];
+    assert.deepEqual(invoices, [{ api_key_id: "1", amount_due: 33 }]);
+
+    const { results: runs } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT status, account_count, failed_accounts FROM report_runs"
+      )
+    ).result[0];
+    assert.deepEqual(runs, [
+      { status: "processed", account_count: 2, failed_accounts: 1 },
+    ]);
+  });
+
+  it("writes nothing to the database when persist is off", async () => {
+    const queries = mocks.d1.queries.length;
+
+    await processReport(report, { outputDir, persist: false });
+
+    const writes = mocks.d1.queries
+      .slice(queries)
+      .filter(({ sql }) => !/^\s*SELECT/i.test(sql));
+    assert.deepEqual(writes, []);
+  });
+
+  it("adds a consolidated row per client with sub-accounts", async () => {
+    const user = { name: "Carol", email: "carol@example.com" };
+    const { csvPath, totals } = await processReport(
+      {
+        ...report,
+        accounts: [
+          buildAccount({ ...user, apiKeyId: 11, masterApiKeyId: 11 }),
+          buildAccount({
+            ...user,
+            apiKeyId: 12,
+            masterApiKeyId: 11,
+            subAccount: "alpha",
+          }),
+          {
+            user: { ...user, masterApiKeyId: 11, subAccount: "beta" },
+            status: {
+              status: "skipped",
+              reason: "No API key stored for sub-account beta",
+              sections: {},
+            },
+          },
+        ],
+      },
+      { outputDir, persist: false }
+    );
+
+    const rows = readCsv(csvPath);
+    assert.deepEqual(
+      rows.map((row) => [row.sub_account, row.account_type, row.status]),
+      [
+        ["", "account", "ok"],
+        ["alpha", "account", "ok"],
+        ["beta", "account", "skipped"],
+        ["", "client_total", "skipped"],
+      ]
+    );
+
+    const total = rows[3];
+    assert.equal(total.name, "Carol");
+    assert.equal(total.status_reason, "1 of 3 accounts not billed");
+    assert.equal(total.perps_pnl, "166.00000000");
+    assert.equal(total.perps_fee, "41.50000000");
+    assert.equal(total.usdt_equity, "20000.00000000");
+    assert.equal(total.amount_due_usd, "66.00000000");
+    assert.equal(total.invoice_number, "");
+    // Client totals are not counted as accounts of the run
+    assert.equal(totals.accounts, 3);
+    assert.equal(totals.amountDue, 66);
+  });
+
+  it("combines the invoices of a client on several exchanges", async () => {
+    const user = { name: "Dave", email: "dave@example.com" };
+    const { csvPath, instrumentCsvPath, invoices, totals } =
+      await processReport(
+        {
+          ...report,
+          accounts: [
+            buildAccount({ ...user, apiKeyId: 21, exchange: "OKX" }),
+            buildAccount({
+              name: "Erin",
+              email: "erin@example.com",
+              apiKeyId: 23,
+              exchange: "Bybit",
+            }),
+            buildAccount({
+              ...user,
+              apiKeyId: 22,
+              exchange: "Bybit",
+              label: "Bybit main",
+            }),
+          ],
+        },
+        { outputDir, persist: false }
+      );
+
+    const rows = readCsv(csvPath);
+    assert.deepEqual(
+      rows.map((row) => [row.name, row.exchange, row.amount_due_usd]),
+      [
+        ["Dave", "OKX", "33.00000000"],
+        ["Erin", "Bybit", "33.00000000"],
+        ["Dave", "Bybit", "33.00000000"],
+      ]
+    );
+    // Both of Dave's accounts point at the invoice numbered by his first key
+    assert.equal(rows[2].invoice_number, rows[0].invoice_number);
+    assert.notEqual(rows[1].invoice_number, rows[0].invoice_number);
+    assert.ok(
+      readCsv(instrumentCsvPath).every((row) =>
+        ["OKX", "Bybit"].includes(row.exchange)
+      )
+    );
+
+    assert.equal(invoices.length, 2);
+    const combined = invoices.find(
+      (invoice) => invoice.number === rows[0].invoice_number
+    );
+    assert.equal(combined.apiKeyId, 21);
+    assert.deepEqual(combined.apiKeyIds, [21, 22]);
+    assert.equal(combined.amountDue, 66);
+    assert.equal(totals.amountDue, 99);
+
+    const html = fs.readFileSync(combined.html, "utf8");
+    assert.match(html, /OKX: No Label/);
+    assert.match(html, /Bybit: Bybit main/);
+    assert.equal(html.match(/Account total/g).length, 2);
+    assert.ok(fs.existsSync(combined.pdf));
+  });
+
+  it("writes a balance row per currency held", async () => {
+    const account = buildAccount({
+      name: "Frank",
+      email: "frank@example.com",
+      apiKeyId: 31,
+      subAccount: "alpha",
+    });
+    account.balances.data[0] = {
+      totalEq: "11750",
+      details: [
+        ...account.balances.data[0].details,
+        {
+          ccy: "SOL",
+          eq: "12.5",
+          eqUsd: "1750",
+          availBal: "10",
+          frozenBal: "2.5",
+          upl: "-3",
+        },
+        { ccy: "ETH", eq: "0", eqUsd: "0", availBal: "0", frozenBal: "0" },
+      ],
+    };
+
+    const { balanceCsvPath } = await processReport(
+      { ...report, accounts: [account, report.accounts[1]] },
+      { outputDir, persist: false }
+    );
+
+    // Currencies without equity and accounts not billed have no rows
+    assert.deepEqual(
+      readCsv(balanceCsvPath).map((row) => [
+        row.name,
+        row.ccy,
+        row.equity,
+        row.usd_value,
+        row.frozen,
+        row.unrealised_pnl,
+        row.total_equity_usd,
+        row.sub_account,
+      ]),
+      [
+        [
+          "Frank",
+          "USDT",
+          "10000.00000000",
+          "10000.00000000",
+          "0.00000000",
+          "0.00000000",
+          "11750.00000000",
+          "alpha",
+        ],
+        [
+          "Frank",
+          "SOL",
+          "12.50000000",
+          "1750.00000000",
+          "2.50000000",
+          "-3.00000000",
+          "11750.00000000",
+          "alpha",
+        ],
+      ]
+    );
+  });
+
+  it("fails an account whose fee history cannot be read", async () => {
+    const { db } = mocks.d1;
+    const executeQuery = db.executeQuery;
+    db.executeQuery = async (sql, params) => {
+      if (/FROM performance_fee_periods/.test(sql)) {
+        throw new Error("D1_ERROR: no such table: performance_fee_periods");
+      }
+      return executeQuery.call(db, sql, params);
+    };
+
+    let result;
+    try {
+      result = await processReport(
+        {
+          ...report,
+          accounts: [
+            buildAccount({
+              name: "Gina",
+              email: "gina@example.com",
+              apiKeyId: 41,
+            }),
+          ],
+        },
+        { outputDir, persist: false }
+      );
+    } finally {
+      db.executeQuery = executeQuery;
+    }
+
+    const [gina] = readCsv(result.csvPath);
+    assert.equal(gina.status, "failed");
+    assert.match(gina.status_reason, /^fees: /);
+    assert.equal(gina.amount_due_usd, "");
+    assert.equal(gina.invoice_number, "");
+    assert.deepEqual(result.invoices, []);
+    assert.equal(result.totals.billed, 0);
+  });
+
+  it("fails an account whose fee settings cannot be read", async () => {
+    const { db } = mocks.d1;
+    const executeQuery = db.executeQuery;
+    db.executeQuery = async (sql, params) => {
+      if (/FROM fee_settings/.test(sql)) {
+        throw new Error("D1_ERROR: no such table: fee_settings");
+      }
+      return executeQuery.call(db, sql, params);
+    };
+
+    let result;
+    try {
+      result = await processReport(
+        {
+          ...report,
+          accounts: [
+            buildAccount({
+              name: "Hugo",
+              email: "hugo@example.com",
+              apiKeyId: 42,
+            }),
+          ],
+        },
+        { outputDir, persist: false }
+      );
+    } finally {
+      db.executeQuery = executeQuery;
+    }
+
+    // Not billed at the default rate
+    const [hugo] = readCsv(result.csvPath);
+    assert.equal(hugo.status, "failed");
+    assert.match(hugo.status_reason, /^fees: .*fee_settings/);
+    assert.equal(hugo.perps_fee, "");
+    assert.deepEqual(result.invoices, []);
+  });
+
+  it("rebuilds the PnL breakdown of reports from before it was stored", async () => {
+    // Bills as stored then: grouped by market and coin, without USD prices
+    const bills = loadFixtureBills();
+    const legacyDir = path.join(outputDir, "legacy");
+    const { csvPath } = await processReport(
+      {
+        timestamp: report.timestamp,
+        accounts: [
+          {
+            user: { name: "Ivan", email: "ivan@example.com" },
+            summary: { pnl: {} },
+            balances: buildAccount({}).balances,
+            trading: {
+              spot: {
+                btc: {
+                  bills: {
+                    data: bills.filter((bill) => bill.instType !== "SWAP"),
+                  },
+                },
+              },
+              usdtSwap: {
+                btc: {
+                  bills: {
+                    data: bills.filter((bill) => bill.instType === "SWAP"),
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      { outputDir: legacyDir, persist: false }
+    );
+
+    const [ivan] = readCsv(csvPath);
+    assert.equal(ivan.status, "ok");
+    assert.equal(ivan.perps_pnl, "83.00000000");
+    assert.equal(ivan.invperps_pnl_usd, "49.00000000");
+    assert.equal(ivan.spot_pnl, "14.30000000");
+    // Without an API key ID there is no stable invoice number
+    assert.equal(ivan.invoice_number, "");
+  });
+
+  it("creates no output folder for a report it cannot process", async () => {
+    const failedDir = path.join(outputDir, "failed");
+
+    await assert.rejects(
+      processReport(
+        {
+          ...report,
+          accounts: [{ user: { name: "Jo", email: "jo@example.com" } }],
+        },
+        { outputDir: failedDir, persist: false }
+      ),
+      /no PnL breakdown or trading bills for Jo/
+    );
+    assert.equal(fs.existsSync(failedDir), false);
+  });
+
+  it("fails an account with PnL bills that have no USD price", async () => {
+    const account = buildAccount({
+      name: "Kim",
+      email: "kim@example.com",
+      apiKeyId: 43,
+    });
+    account.summary.instruments["BTC-USD-SWAP"].unconvertedBills = 2;
+
+    const { csvPath, invoices } = await processReport(
+      { ...report, accounts: [account] },
+      { outputDir, persist: false }
+    );
+
+    const [kim] = readCsv(csvPath);
+    assert.equal(kim.status, "failed");
+    assert.equal(
+      kim.status_reason,
+      "pnl: bills without a USD price (2 BTC-USD-SWAP)"
+    );
+    assert.equal(kim.net_pnl_usd, "");
+    assert.deepEqual(invoices, []);
+  });
+
+  it("fails an equity-billed account with a deposit that has no USD price", async () => {
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO users (id, name, email) VALUES ('user-4', 'Omar', 'omar@example.com')"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO api_keys (id, user_id, exchange, api_key, secret_key, passphrase) VALUES " +
+        "(71, 'user-4', 'OKX', 'key-71', 'secret-71', 'pass-71')"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO fee_settings (user_id, fee_rate, billing_mode) VALUES ('user-4', 0.25, 'equity')"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO equity_snapshots (api_key_id, snapshot_at, total_equity, taken_at) VALUES ('71', ?, 8000, ?)",
+      [PERIOD.from, PERIOD.from]
+    );
+    const account = buildAccount({
+      name: "Omar",
+      email: "omar@example.com",
+      apiKeyId: 71,
+    });
+    // 0.05 BTC moved into the trading account, with no BTC price found
+    const transfers = {
+      data: [
+        {
+          billId: "omar-deposit",
+          ts: String(Date.parse(PERIOD.to) - 60 * 1000),
+          ccy: "BTC",
+          type: "1",
+          subType: "11",
+          pnl: "0",
+          fee: "0",
+          balChg: "0.05",
+        },
+      ],
+    };
+    account.summary.transfers = summarizeTransfers(transfers);
+    account.summary.flows = summarizeFlows(null, transfers);
+
+    const { csvPath, invoices } = await processReport(
+      { ...report, accounts: [account] },
+      { outputDir, persist: false }
+    );
+
+    // Billed, the deposit would count as profit in the equity change
+    const [omar] = readCsv(csvPath);
+    assert.equal(omar.status, "failed");
+    assert.equal(
+      omar.status_reason,
+      "transfers: 1 transfer bills without a USD price"
+    );
+    assert.equal(omar.equity_fee, "");
+    assert.deepEqual(invoices, []);
+  });
+
+  it("fails an account whose invoice the ledger cannot store", async () => {
+    const { db } = mocks.d1;
+    const executeQuery = db.executeQuery;
+    db.executeQuery = async (sql, params) => {
+      if (/^INSERT INTO invoices/.test(sql)) {
+        throw new Error("D1_ERROR: database is locked");
+      }
+      return executeQuery.call(db, sql, params);
+    };
+
+    let result;
+    try {
+      result = await processReport(
+        {
+          ...report,
+          runId: "2025-04-01T03:00:00.000Z",
+          accounts: [
+            buildAccount({
+              name: "Pia",
+              email: "pia@example.com",
+              apiKeyId: 81,
+            }),
+          ],
+        },
+        { outputDir }
+      );
+    } finally {
+      db.executeQuery = executeQuery;
+    }
+
+    const [pia] = readCsv(result.csvPath);
+    assert.equal(pia.status, "failed");
+    assert.match(pia.status_reason, /^ledger: .*database is locked/);
+    assert.deepEqual(result.invoices, []);
+    assert.equal(result.status.failed, 1);
+    assert.equal(
+      fs.existsSync(path.join(outputDir, "invoice_INV-20250301-0081.pdf")),
+      false
+    );
+
+    const { results: runs } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT status, failed_accounts FROM report_runs WHERE run_id = ?",
+        ["2025-04-01T03:00:00.000Z"]
+      )
+    ).result[0];
+    assert.deepEqual(runs, [{ status: "processed", failed_accounts: 1 }]);
+  });
+
+  it("does not re-issue an invoice that has been paid", async () => {
+    const paidDir = path.join(outputDir, "paid");
+    fs.mkdirSync(paidDir);
+    const htmlPath = path.join(paidDir, "invoice_INV-20250301-0082.html");
+    fs.writeFileSync(htmlPath, "as sent");
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO invoices (invoice_number, run_id, api_key_id, period_start, period_end, " +
+        "amount_due, issued_at, due_at, status, html_path) " +
+        "VALUES ('INV-20250301-0082', 'earlier-run', '82', ?, ?, 20, ?, ?, 'paid', ?)",
+      [PERIOD.from, PERIOD.to, PERIOD.to, PERIOD.to, htmlPath]
+    );
+
+    const { csvPath, invoices } = await processReport(
+      {
+        ...report,
+        runId: "2025-04-01T04:00:00.000Z",
+        accounts: [
+          buildAccount({
+            name: "Quinn",
+            email: "quinn@example.com",
+            apiKeyId: 82,
+          }),
+        ],
+      },
+      { outputDir: paidDir }
+    );
+
+    const [quinn] = readCsv(csvPath);
+    assert.equal(quinn.status, "failed");
+    assert.equal(
+      quinn.status_reason,
+      "invoice: INV-20250301-0082 is already paid"
+    );
+    assert.deepEqual(invoices, []);
+    assert.equal(fs.readFileSync(htmlPath, "utf8"), "as sent");
+
+    // Neither the fee history nor the invoice is touched
+    const { results: feePeriods } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT * FROM performance_fee_periods WHERE api_key_id = '82'"
+      )
+    ).result[0];
+    assert.deepEqual(feePeriods, []);
+    const { results: paid } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT amount_due, status FROM invoices WHERE invoice_number = 'INV-20250301-0082'"
+      )
+    ).result[0];
+    assert.deepEqual(paid, [{ amount_due: 20, status: "paid" }]);
+  });
+
+  it("fails an account billed for dates inside a period already billed", async () => {
+    const user = { name: "Ravi", email: "ravi@example.com", apiKeyId: 91 };
+    const bill = (period, runId) =>
+      processReport(
+        {
+          ...report,
+          timestamp: runId,
+          runId,
+          period,
+          accounts: [buildAccount(user)],
+        },
+        { outputDir }
+      );
+
+    await bill(PERIOD, "2025-04-01T05:00:00.000Z");
+    const overlapping = await bill(
+      {
+        from: "2025-03-10T00:00:00.000Z",
+        to: "2025-03-20T00:00:00.000Z",
+        label: "10 to 20 March 2025",
+      },
+      "2025-04-01T06:00:00.000Z"
+    );
+    const april = await bill(
+      {
+        from: "2025-04-01T00:00:00.000Z",
+        to: "2025-05-01T00:00:00.000Z",
+        label: "April 2025",
+      },
+      "2025-05-01T00:05:00.000Z"
+    );
+
+    const [ravi] = readCsv(overlapping.csvPath);
+    assert.equal(ravi.status, "failed");
+    assert.equal(
+      ravi.status_reason,
+      "fees: perps period overlaps the one billed from 2025-03-01T00:00:00.000Z to 2025-04-01T00:00:00.000Z"
+    );
+    assert.equal(readCsv(april.csvPath)[0].status, "ok");
+
+    // April builds on March, which ended as April started
+    const { results } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT period_start, cumulative_pnl FROM performance_fee_periods " +
+          "WHERE api_key_id = '91' AND market = 'perps' ORDER BY period_end"
+      )
+    ).result[0];
+    assert.deepEqual(results, [
+      { period_start: "2025-03-01T00:00:00.000Z", cumulative_pnl: 83 },
+      { period_start: "2025-04-01T00:00:00.000Z", cumulative_pnl: 166 },
+    ]);
+  });
+
+  it("quotes names and emails with separators in every CSV", async () => {
+    const name = 'Lee, "Trading" Ltd';
+    const result = await processReport(
+      {
+        ...report,
+        accounts: [
+          buildAccount({ name, email: "lee@example.com", apiKeyId: 44 }),
+        ],
+      },
+      { outputDir, persist: false }
+    );
+
+    [result.csvPath, result.instrumentCsvPath, result.balanceCsvPath].forEach(
+      (csvPath) => {
+        const rows = readCsv(csvPath);
+        assert.ok(rows.length > 0, csvPath);
+        rows.forEach((row) => {
+          assert.equal(row.name, name);
+          assert.equal(row.email, "lee@example.com");
+        });
+      }
+    );
+  });
+
+  it("keeps a client's combined invoice number when a retry bills a failed account", async () => {
+    const user = { name: "Mia", email: "mia@example.com" };
+    const okx = { ...user, apiKeyId: 51, exchange: "OKX" };
+    const bybit = { ...user, apiKeyId: 52, exchange: "Bybit" };
+    // Issued for the Bybit account alone before combined invoices
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO invoices (invoice_number, run_id, api_key_id, period_start, period_end, " +
+        "amount_due, issued_at, due_at) VALUES ('INV-20250401-0052', 'earlier-run', '52', ?, ?, 33, ?, ?)",
+      [PERIOD.from, PERIOD.to, PERIOD.to, PERIOD.to]
+    );
+
+    const first = await processReport(
+      {
+        ...report,
+        runId: "2025-04-01T01:00:00.000Z",
+        accounts: [
+          {
+            user: okx,
+            status: {
+              status: "failed",
+              reason: "balances: HTTP error! status: 503",
+              sections: {},
+            },
+          },
+          buildAccount(bybit),
+        ],
+      },
+      { outputDir }
+    );
+    const retry = await processReport(
+      {
+        ...report,
+        runId: "2025-04-01T02:00:00.000Z",
+        accounts: [buildAccount(okx), buildAccount(bybit)],
+      },
+      { outputDir }
+    );
+
+    // Numbered by the client's lowest key even while that account failed
+    assert.deepEqual(
+      first.invoices.map((invoice) => [invoice.number, invoice.amountDue]),
+      [["INV-20250301-0051", 33]]
+    );
+    assert.deepEqual(
+      retry.invoices.map((invoice) => [invoice.number, invoice.amountDue]),
+      [["INV-20250301-0051", 66]]
+    );
+
+    const { results } = (
+      await mocks.d1.db.executeQuery(
+        "SELECT invoice_number, amount_due, status, notes FROM invoices " +
+          "WHERE api_key_id IN ('51', '52') ORDER BY invoice_number"
+      )
+    ).result[0];
+    assert.deepEqual(results, [
+      {
+        invoice_number: "INV-20250301-0051",
+        amount_due: 66,
+        status: "issued",
+        notes: null,
+      },
+      {
+        invoice_number: "INV-20250401-0052",
+        amount_due: 33,
+        status: "void",
+        notes: "Replaced by INV-20250301-0051",
+      },
+    ]);
+  });
+
+  it("measures the hurdle on the equity the period started with", async () => {
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO users (id, name, email) VALUES ('user-3', 'Nora', 'nora@example.com')"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO api_keys (id, user_id, exchange, api_key, secret_key, passphrase) VALUES " +
+        "(61, 'user-3', 'OKX', 'key-61', 'secret-61', 'pass-61')"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO fee_settings (user_id, fee_rate, hurdle_rate) VALUES ('user-3', 0.25, 0.01)"
+    );
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO equity_snapshots (api_key_id, snapshot_at, total_equity, taken_at) VALUES ('61', ?, 8000, ?)",
+      [PERIOD.from, PERIOD.from]
+    );
+
+    const { csvPath } = await processReport(
+      {
+        ...report,
+        accounts: [
+          buildAccount({
+            name: "Nora",
+            email: "nora@example.com",
+            apiKeyId: 61,
+          }),
+        ],
+      },
+      { outputDir, persist: false }
+    );
+
+    // One 1% hurdle on the 8000 start equity, not on the 10000 end equity
+    // in each market: 25% of 83 + 49 - 80
+    const [nora] = readCsv(csvPath);
+    assert.equal(nora.start_equity_usd, "8000.00000000");
+    assert.equal(nora.amount_due_usd, "13.00000000");
+  });
+
+  it("pro-rates the hurdle of a weekly period", async () => {
+    const week = {
+      from: "2025-03-03T00:00:00.000Z",
+      to: "2025-03-10T00:00:00.000Z",
+      label: "2025-03-03 to 2025-03-09",
+    };
+    await mocks.d1.db.executeQuery(
+      "INSERT INTO equity_snapshots (api_key_id, snapshot_at, total_equity, taken_at) VALUES ('61', ?, 8000, ?)",
+      [week.from, week.from]
+    );
+
+    const { csvPath } = await processReport(
+      {
+        ...report,
+        timestamp: week.to,
+        period: week,
+        accounts: [
+          buildAccount({
+            name: "Nora",
+            email: "nora@example.com",
+            apiKeyId: 61,
+          }),
+        ],
+      },
+      { outputDir, persist: false }
+    );
+
+    // 7 days of the 1% monthly hurdle on 8000: 25% of 83 + 49 - 18.67
+    const [nora] = readCsv(csvPath);
+    assert.equal(nora.amount_due_usd, "28.33333333");
+  });
+});
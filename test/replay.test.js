@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+
+/**
+ * Write a CSV from rows keyed by column
+ * @param {string} csvPath - Path to write to
+ * @param {Array<string>} columns - CSV columns
+ * @param {Array<Object>} rows - Rows keyed by column
+ */
+function writeCsv(csvPath, columns, rows) {
+  fs.writeFileSync(
+    csvPath,
+    [
+      columns.join(","),
+      ...rows.map((row) =>
+        columns.map((column) => row[column] ?? "").join(",")
+      ),
+    ].join("\n")
+  );
+}
+
+describe("replay --diff", () => {
+  let mocks;
+  let diffCsv;
+  let dir;
+
+  // Carol's master and sub-account, their client total and her Bybit account
+  const carol = { name: "Carol", email: "carol@example.com" };
+  const rows = [
+    { ...carol, api_key_id: "11", account_type: "account", exchange: "OKX" },
+    {
+      ...carol,
+      api_key_id: "12",
+      sub_account: "alpha",
+      account_type: "account",
+      exchange: "OKX",
+    },
+    { ...carol, account_type: "client_total", exchange: "OKX" },
+    { ...carol, api_key_id: "13", account_type: "account", exchange: "Bybit" },
+  ].map((row) => ({ perps_fee: "20.75000000", ...row }));
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ diffCsv } = require("../replay"));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-test-"));
+  });
+
+  after(async () => {
+    await mocks.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("attributes a change to the sub-account it belongs to", () => {
+    const columns = [
+      "name",
+      "email",
+      "perps_fee",
+      "sub_account",
+      "account_type",
+      "exchange",
+    ];
+    const previousPath = path.join(dir, "previous.csv");
+    const currentPath = path.join(dir, "current.csv");
+    // CSVs from before the api_key_id column are matched on the rest
+    writeCsv(previousPath, columns, rows);
+    writeCsv(
+      currentPath,
+      [...columns, "api_key_id"],
+      rows.map((row, i) =>
+        i === 1 || i === 2 ? { ...row, perps_fee: "25.00000000" } : row
+      )
+    );
+
+    assert.deepEqual(
+      diffCsv(previousPath, currentPath).map(({ account, column, delta }) => [
+        account,
+        column,
+        delta,
+      ]),
+      [
+        [
+          "Carol <carol@example.com> on OKX sub-account alpha (API key ID 12)",
+          "perps_fee",
+          4.25,
+        ],
+        ["Carol <carol@example.com> on OKX client total", "perps_fee", 4.25],
+      ]
+    );
+  });
+
+  it("reports an account missing from one CSV by its API key", () => {
+    const columns = ["name", "email", "perps_fee", "exchange", "api_key_id"];
+    const previousPath = path.join(dir, "previous-keys.csv");
+    const currentPath = path.join(dir, "current-keys.csv");
+    writeCsv(previousPath, columns, rows);
+    writeCsv(currentPath, columns, rows.slice(0, 3));
+
+    assert.deepEqual(diffCsv(previousPath, currentPath), [
+      {
+        account: "Carol <carol@example.com> on Bybit (API key ID 13)",
+        note: "not in replayed CSV",
+      },
+    ]);
+  });
+});
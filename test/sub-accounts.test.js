@@ -0,0 +1,243 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks, loadFixtureBills, CREDENTIALS } = require("./helpers");
+
+const SUB_CREDENTIALS = {
+  apiKey: "test-sub-key-0001",
+  secretKey: "test-sub-secret",
+  passphrase: "test-sub-passphrase",
+};
+const NOT_MASTER_CREDENTIALS = {
+  apiKey: "test-sub-key-0002",
+  secretKey: "test-sub-secret-2",
+  passphrase: "test-sub-passphrase-2",
+};
+
+/**
+ * Build the API key row of an account
+ * @param {number} apiKeyId - ID of the API key row
+ * @param {Object} credentials - API credentials
+ * @param {Object} [fields] - Other columns
+ * @returns {Object} User and API key row
+ */
+function keyRow(apiKeyId, credentials, fields = {}) {
+  return {
+    id: "user-1",
+    name: "Alice",
+    email: "alice@example.com",
+    api_key_id: apiKeyId,
+    api_key: credentials.apiKey,
+    secret_key: credentials.secretKey,
+    passphrase: credentials.passphrase,
+    exchange: "OKX",
+    label: null,
+    sub_accounts: 0,
+    master_api_key_id: null,
+    sub_account: null,
+    ...fields,
+  };
+}
+
+describe("sub-accounts", () => {
+  const now = Date.now();
+  // 120 enabled sub-accounts take two pages; one more is disabled
+  const subAccounts = [
+    { subAcct: "alpha", label: "Alpha", ts: String(now - 1000) },
+    { subAcct: "beta", label: "Beta", ts: String(now - 2000) },
+    { subAcct: "closed", enable: false, ts: String(now - 3000) },
+    ...Array.from({ length: 118 }, (_, i) => ({
+      subAcct: `bulk${i}`,
+      ts: String(now - 10000 - i),
+    })),
+  ];
+  subAccounts[0].balance = {
+    totalEq: "2500",
+    details: [{ ccy: "USDT", eq: "2500", eqUsd: "2500", availBal: "2500" }],
+  };
+  let mocks;
+  let sub;
+  let OkxClient;
+  const createClient = (credentials) => new OkxClient(credentials);
+
+  before(async () => {
+    mocks = await startMocks({
+      accounts: {
+        [CREDENTIALS.apiKey]: { ...CREDENTIALS, subAccounts },
+        [SUB_CREDENTIALS.apiKey]: {
+          ...SUB_CREDENTIALS,
+          config: { uid: "200000001", mainUid: "100000001" },
+          bills: loadFixtureBills(),
+        },
+        [NOT_MASTER_CREDENTIALS.apiKey]: {
+          ...NOT_MASTER_CREDENTIALS,
+          config: { uid: "200000002", mainUid: "100000001" },
+        },
+      },
+    });
+    sub = require("../sub-accounts");
+    ({ OkxClient } = require("../okx-client"));
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    mocks.okx.requests.length = 0;
+  });
+
+  it("lists the enabled sub-accounts of a master key page by page", async () => {
+    const listed = await sub.listSubAccounts(createClient(CREDENTIALS));
+
+    assert.equal(listed.length, 120);
+    assert.deepEqual(
+      listed.slice(0, 3).map((s) => s.subAcct),
+      ["alpha", "beta", "bulk0"]
+    );
+    const requests = mocks.okx.requestsTo("/api/v5/users/subaccount/list");
+    assert.equal(requests.length, 2);
+    // The second page starts after the 100th sub-account, disabled ones included
+    assert.equal(requests[1].query.get("after"), subAccounts[99].ts);
+  });
+
+  it("rejects sub-account keys as master keys", async () => {
+    await assert.rejects(
+      sub.listSubAccounts(createClient(NOT_MASTER_CREDENTIALS)),
+      /not a master account/
+    );
+  });
+
+  it("places each sub-account after its master, with or without a stored key", async () => {
+    const master = keyRow(1, CREDENTIALS, { sub_accounts: 1 });
+    const alpha = keyRow(2, SUB_CREDENTIALS, {
+      master_api_key_id: 1,
+      sub_account: "alpha",
+    });
+    const other = keyRow(3, NOT_MASTER_CREDENTIALS, { id: "user-2" });
+
+    const rows = await sub.expandSubAccounts(
+      [master, other, alpha],
+      createClient
+    );
+
+    assert.equal(rows.length, 1 + 120 + 1);
+    assert.equal(rows[0], master);
+    assert.equal(rows[1].api_key_id, 2);
+    assert.equal(rows[1].master, master);
+    assert.equal(rows[2].sub_account, "beta");
+    assert.equal(rows[2].api_key, undefined);
+    assert.equal(rows[2].label, "Beta");
+    assert.equal(rows[2].master_api_key_id, 1);
+    assert.equal(rows[rows.length - 1], other);
+  });
+
+  it("bills stored sub-account keys alone when the master cannot list them", async () => {
+    const master = keyRow(1, NOT_MASTER_CREDENTIALS, { sub_accounts: 1 });
+    const alpha = keyRow(2, SUB_CREDENTIALS, {
+      master_api_key_id: 1,
+      sub_account: "alpha",
+    });
+
+    const rows = await sub.expandSubAccounts([master, alpha], createClient);
+
+    assert.deepEqual(rows, [master, alpha]);
+  });
+
+  it("reads sub-account balances through the master and bills through its own key", async () => {
+    const { processAccount } = require("../billing");
+    const master = keyRow(1, CREDENTIALS, { sub_accounts: 1 });
+    const [, alpha, beta] = await sub.expandSubAccounts(
+      [
+        master,
+        keyRow(2, SUB_CREDENTIALS, {
+          master_api_key_id: 1,
+          sub_account: "alpha",
+        }),
+      ],
+      createClient
+    );
+    const period = {
+      from: new Date(now - 86400000).toISOString(),
+      to: new Date(now).toISOString(),
+    };
+    const options = { concurrency: 2, useBillStore: false };
+
+    const report = await processAccount(alpha, period, options, {
+      index: 2,
+      total: 3,
+    });
+
+    assert.equal(report.status.status, "ok");
+    assert.equal(report.balances.data[0].totalEq, "2500");
+    assert.deepEqual(report.user, {
+      ...report.user,
+      apiKeyId: 2,
+      subAccount: "alpha",
+      masterApiKeyId: 1,
+    });
+    const [balanceRequest] = mocks.okx.requestsTo(
+      "/api/v5/account/subaccount/balances"
+    );
+    assert.equal(balanceRequest.query.get("subAcct"), "alpha");
+    assert.equal(balanceRequest.headers["ok-access-key"], CREDENTIALS.apiKey);
+    assert.ok(
+      mocks.okx
+        .requestsTo("/api/v5/account/bills")
+        .every(
+          (request) =>
+            request.headers["ok-access-key"] === SUB_CREDENTIALS.apiKey
+        )
+    );
+
+    const skipped = await processAccount(beta, period, options, {
+      index: 3,
+      total: 3,
+    });
+    assert.equal(skipped.status.status, "skipped");
+    assert.match(
+      skipped.status.reason,
+      /No API key stored for sub-account beta/
+    );
+  });
+
+  it("consolidates the billed accounts of each client", () => {
+    const components = (net) => ({
+      grossPnl: net,
+      tradingFees: 0,
+      funding: 0,
+      liquidationPenalties: 0,
+      interest: 0,
+      net,
+    });
+    const account = (user, net, status = "ok") => ({
+      user: { name: "Alice", email: "alice@example.com", ...user },
+      status: { status },
+      summary: {
+        markets: {
+          spot: components(0),
+          perps: components(net),
+          inverse: components(0),
+        },
+        totals: components(net),
+        transfers: { usd: 10 },
+        equity: { totalEquity: 1000 },
+      },
+    });
+
+    const clients = sub.summarizeClients([
+      account({ apiKeyId: 1, masterApiKeyId: 1 }, 100),
+      account({ apiKeyId: 2, masterApiKeyId: 1, subAccount: "alpha" }, 50),
+      account({ masterApiKeyId: 1, subAccount: "beta" }, 0, "skipped"),
+      account({ apiKeyId: 3 }, 70),
+      // A master without sub-accounts has nothing to consolidate
+      account({ apiKeyId: 4, masterApiKeyId: 4 }, 20),
+    ]);
+
+    assert.equal(clients.length, 1);
+    assert.equal(clients[0].accounts, 3);
+    assert.equal(clients[0].billed, 2);
+    assert.deepEqual(clients[0].subAccounts, ["alpha", "beta"]);
+    assert.equal(clients[0].totals.net, 150);
+    assert.equal(clients[0].markets.perps.net, 150);
+    assert.equal(clients[0].transfersUsd, 20);
+    assert.equal(clients[0].totalEquity, 2000);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getBillUsdPrice } = require("../usd-conversion");
+
+describe("getBillUsdPrice", () => {
+  it("values coin-margined bills at their fill price", () => {
+    assert.deepEqual(
+      getBillUsdPrice({
+        instType: "SWAP",
+        instId: "BTC-USD-SWAP",
+        ccy: "BTC",
+        px: "84000",
+        fillIdxPx: "84010",
+      }),
+      { price: 84000, source: "fill" }
+    );
+  });
+
+  it("values option bills at the index price, not the premium", () => {
+    // px and fillMarkPx are the option premium in BTC
+    const bill = {
+      instType: "OPTION",
+      instId: "BTC-USD-250328-80000-C",
+      ccy: "BTC",
+      px: "0.0435",
+      fillMarkPx: "0.044",
+      fillIdxPx: "84010.5",
+    };
+
+    assert.deepEqual(getBillUsdPrice(bill), {
+      price: 84010.5,
+      source: "index-at-fill",
+    });
+    // Without an index price the bill is priced from index candles instead
+    assert.equal(getBillUsdPrice({ ...bill, fillIdxPx: "" }), null);
+  });
+
+  it("leaves bills in another currency than the instrument's base unpriced", () => {
+    assert.equal(
+      getBillUsdPrice({
+        instType: "SPOT",
+        instId: "ETH-BTC",
+        ccy: "ETH",
+        px: "0.02",
+      }),
+      null
+    );
+  });
+});
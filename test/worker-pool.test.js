@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_CONCURRENCY, resolveConcurrency } = require("../worker-pool");
+
+describe("resolveConcurrency", () => {
+  it("takes the flag over the environment", () => {
+    assert.equal(
+      resolveConcurrency({ concurrency: "8" }, { BILLING_CONCURRENCY: "2" }),
+      8
+    );
+    assert.equal(resolveConcurrency({}, { BILLING_CONCURRENCY: "2" }), 2);
+    assert.equal(resolveConcurrency({}, {}), DEFAULT_CONCURRENCY);
+  });
+
+  it("rejects values that are not positive integers", () => {
+    ["0", "-1", "1.5", "four", ""].forEach((concurrency) =>
+      assert.throws(
+        () => resolveConcurrency({ concurrency }, {}),
+        /positive integer/,
+        concurrency
+      )
+    );
+  });
+
+  it("rejects --concurrency without a value", () => {
+    assert.throws(
+      () => resolveConcurrency({ concurrency: true }, {}),
+      /--concurrency needs a value/
+    );
+  });
+});
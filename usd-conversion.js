@@ -0,0 +1,117 @@
+/**
+ * @fileoverview USD conversion for bills settled in coins.
+ * Coin-margined instruments such as BTC-USD-SWAP settle PnL in the base coin,
+ * and margin bills can be in any currency, so each such bill is valued in USD
+ * at a price taken from the bill itself where possible. USD stablecoins are
+ * counted at par.
+ */
+
+/**
+ * Currencies valued at 1 USD
+ * @type {Array<string>}
+ */
+const USD_CURRENCIES = ["USD", "USDT", "USDC"];
+
+/**
+ * Bill price fields in order of preference, with the source recorded on the bill
+ * @type {Array<{field: string, source: string}>}
+ */
+const BILL_PRICE_FIELDS = [
+  { field: "px", source: "fill" },
+  { field: "fillIdxPx", source: "index-at-fill" },
+  { field: "fillMarkPx", source: "mark-at-fill" },
+];
+
+/**
+ * Price fields of option bills: the fill and mark prices of an option are its
+ * premium quoted in coin, so only the index price at fill values the coin
+ * @type {Array<{field: string, source: string}>}
+ */
+const OPTION_PRICE_FIELDS = [{ field: "fillIdxPx", source: "index-at-fill" }];
+
+/**
+ * Check whether a currency is valued at par with USD
+ * @param {string} ccy - Currency code
+ * @returns {boolean} True for USD and USD stablecoins
+ */
+function isUsdCurrency(ccy) {
+  return USD_CURRENCIES.includes(ccy);
+}
+
+/**
+ * Check whether an instrument is coin-margined (quoted in USD, settled in coin)
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USD-SWAP')
+ * @returns {boolean} True for inverse instruments
+ */
+function isInverseInstrument(instId) {
+  return /^[A-Z0-9]+-USD-/.test(instId || "");
+}
+
+/**
+ * Get the OKX index used to value a currency in USD
+ * @param {string} ccy - Currency code (e.g., 'BTC')
+ * @returns {string} Index ID (e.g., 'BTC-USD')
+ */
+function getIndexId(ccy) {
+  return `${ccy}-USD`;
+}
+
+/**
+ * Get a USD price for a bill's currency from the bill's own fields. Prices on
+ * the bill are only usable when the instrument is the bill currency quoted in
+ * USD or a USD stablecoin (e.g. a BTC bill on BTC-USD-SWAP or BTC-USDT), and
+ * for options only the index price is.
+ * @param {Object} bill - OKX bill record
+ * @returns {{price: number, source: string}|null} Price and where it came from
+ */
+function getBillUsdPrice(bill) {
+  const [base, quote] = (bill.instId || "").split("-");
+  if (base !== bill.ccy || !isUsdCurrency(quote)) return null;
+
+  const fields =
+    bill.instType === "OPTION" ? OPTION_PRICE_FIELDS : BILL_PRICE_FIELDS;
+  for (const { field, source } of fields) {
+    const price = parseFloat(bill[field]);
+    if (price > 0) return { price, source };
+  }
+  return null;
+}
+
+/**
+ * Record a USD price on a bill and value its PnL in USD. Records without a
+ * PnL field (deposits, withdrawals, funding bills) only get the price.
+ * @param {Object} bill - OKX bill record (modified in place)
+ * @param {number} price - USD price of the bill currency
+ * @param {string} source - Where the price came from
+ * @returns {Object} The bill
+ */
+function applyUsdPrice(bill, price, source) {
+  bill.usdPx = String(price);
+  bill.usdPxSource = source;
+  if (bill.pnl !== undefined) {
+    bill.pnlUsd = String(parseFloat(bill.pnl || 0) * price);
+  }
+  return bill;
+}
+
+/**
+ * Get the USD value of one unit of a bill's currency
+ * @param {Object} bill - OKX bill record
+ * @returns {number|null} USD rate, or null if the bill has no USD price
+ */
+function getBillUsdRate(bill) {
+  if (isUsdCurrency(bill.ccy)) return 1;
+  if (bill.usdPx !== undefined && bill.usdPx !== null) {
+    return parseFloat(bill.usdPx);
+  }
+  return null;
+}
+
+module.exports = {
+  isUsdCurrency,
+  isInverseInstrument,
+  getIndexId,
+  getBillUsdPrice,
+  applyUsdPrice,
+  getBillUsdRate,
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Bounded concurrency for billing runs. Work is spread over a
+ * fixed number of workers, and results are returned in the order of the input
+ * regardless of which task finishes first, so reports assemble the same way
+ * on every run.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Resolve the pool size from the --concurrency flag or BILLING_CONCURRENCY
+ * @param {Object} flags - Parsed command line flags
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} Number of tasks to run at once
+ * @throws {Error} If the value is not a positive integer
+ */
+function resolveConcurrency(flags, env = process.env) {
+  const value = flags.concurrency ?? env.BILLING_CONCURRENCY;
+  if (value === undefined) return DEFAULT_CONCURRENCY;
+  // A bare --concurrency parses as true, which Number() would take as 1
+  if (typeof value === "boolean") {
+    throw new Error("--concurrency needs a value");
+  }
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrency must be a positive integer, got "${value}"`);
+  }
+  return concurrency;
+}
+
+/**
+ * Map items through an async function with at most `concurrency` calls in
+ * flight. Every item is processed even if some fail.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the order of `items`
+ * @throws {Error} The error of the first failed item, once all have settled
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  const errors = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        errors[index] = error;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+
+  const failed = errors.findIndex((error) => error !== undefined);
+  if (failed !== -1) throw errors[failed];
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  resolveConcurrency,
+  mapWithConcurrency,
+};